@@ -1,6 +1,7 @@
 import * as THREE from "three";
 import { SpotLightHelper } from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import { RoomEnvironment } from "three/addons/environments/RoomEnvironment.js";
 import { RectAreaLightUniformsLib } from "three/addons/lights/RectAreaLightUniformsLib.js";
 
@@ -20,8 +21,8 @@ const err  = (...args) => DEBUG && console.error(...args);
 function applySingleLineHintStyle(el) {
   if (!el) return;
 
-  // ONLY affect iOS
-  if (!isIOSDevice()) return;
+  // ONLY affect touch devices
+  if (!isTouchDevice()) return;
 
   el.style.whiteSpace = "nowrap";
   el.style.wordBreak = "keep-all";
@@ -48,6 +49,18 @@ const isIOS =
   /iPad|iPhone|iPod/.test(navigator.userAgent) ||
   (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1);
 
+// ✅ touch flows (TV drag-select, camera drag, double tap, wall gestures,
+// hints) follow what the device can do, not the user agent — Android
+// phones / tablets get the same handling as iOS. isIOS / isIOSDevice()
+// stay for Safari quirks and the iOS look + perf calibration (lamp,
+// cigarette + remote transforms and the remote's lights).
+const isTouch =
+  window.matchMedia?.("(pointer: coarse)").matches ||
+  (navigator.maxTouchPoints > 0 && !window.matchMedia?.("(hover: hover)").matches);
+
+// Android-only viewport + audio-activation differences
+const isAndroid = /Android/i.test(navigator.userAgent);
+
 const SAFE_MOBILE = isIOS; // flip to true to test on desktop
 
 const MOBILE_PROFILE = {
@@ -78,6 +91,178 @@ const IOS_FX_FPS = 20;
 
 let iosQualityRestoreTimer = null;
 
+// ============================================================
+// ✅ ADAPTIVE QUALITY (frame-time governor)
+// Tiers cover DPR, shadows, shadow map cap, postFX, dust / smoke
+// particle share and the secondary FX throttle. The governor in
+// animate() samples frame times and steps down fast / up slowly:
+// - down: a window averaging over downMs
+// - up: several windows in a row under upMs, never back into a tier
+//   that just failed (holdFailedMs), and a cooldown after every switch
+// ?quality=low|medium|high pins a tier, ?quality=auto (default) adapts.
+// iOS keeps its crash guards (no shadows, no dust) and tops out at medium.
+// ============================================================
+const QUALITY_TIERS = [
+  { name: "low",    maxDpr: 1.0,  shadows: false, shadowMapSize: 1024, postFX: false, dust: 0,   smoke: 0.35, fxFps: 20 },
+  { name: "medium", maxDpr: 1.65, shadows: true,  shadowMapSize: 2048, postFX: true,  dust: 0.5, smoke: 0.6,  fxFps: 30 },
+  { name: "high",   maxDpr: 2.0,  shadows: true,  shadowMapSize: 4096, postFX: true,  dust: 1,   smoke: 1,    fxFps: 0 },
+];
+
+const QUALITY_GOVERNOR = {
+  windowFrames: 90,     // frames per sample window
+  downMs: 26,           // ~38fps average → step down
+  upMs: 17.5,           // ~57fps average → candidate to step up
+  upWindows: 4,         // ...for this many windows in a row
+  cooldownMs: 3000,     // ignore frames after a switch (shader compiles, shadow maps)
+  holdFailedMs: 45000,  // don't retry a tier we just dropped out of
+  maxFrameMs: 250,      // tab switches / breakpoints aren't "slow frames"
+};
+
+const QUALITY_MAX_TIER = isIOS ? 1 : QUALITY_TIERS.length - 1;
+
+const qualityParam = (new URLSearchParams(location.search).get("quality") || "auto").toLowerCase();
+const qualityPinnedIndex = QUALITY_TIERS.findIndex((t) => t.name === qualityParam);
+
+let qualityTierIndex = qualityPinnedIndex !== -1 ? qualityPinnedIndex : QUALITY_MAX_TIER;
+let qualityTier = QUALITY_TIERS[qualityTierIndex];
+
+const qualityGov = {
+  frames: 0,
+  sumMs: 0,
+  goodWindows: 0,
+  cooldownUntil: 0,
+  failedTier: -1,
+  failedUntil: 0,
+};
+
+// write the tier into MOBILE_PROFILE so every existing reader follows it
+function writeQualityTierToProfile(tier) {
+  MOBILE_PROFILE.maxDpr = tier.maxDpr;
+  MOBILE_PROFILE.shadows = tier.shadows && !isIOS;
+  MOBILE_PROFILE.shadowMapSize = tier.shadowMapSize;
+  MOBILE_PROFILE.postFX = tier.postFX;
+}
+
+writeQualityTierToProfile(qualityTier);
+
+if (qualityPinnedIndex !== -1) {
+  console.log(`⚙️ Quality pinned by URL: ${qualityTier.name}`);
+}
+
+function getQualityDustCount() {
+  return Math.round(DUST_COUNT * qualityTier.dust);
+}
+
+function getQualitySmokeCount() {
+  return Math.round(CIG_SMOKE_COUNT * qualityTier.smoke);
+}
+
+// 0 = every frame; iOS never runs faster than IOS_FX_FPS
+function getQualityFxFps() {
+  return isIOS ? Math.min(IOS_FX_FPS, qualityTier.fxFps || IOS_FX_FPS) : qualityTier.fxFps;
+}
+
+function applyShadowMapQuality(light) {
+  if (!light?.shadow) return;
+
+  const base = light.userData.baseShadowMapSize ?? light.shadow.mapSize.x;
+  light.userData.baseShadowMapSize = base;
+
+  const size = Math.min(base, MOBILE_PROFILE.shadowMapSize);
+  if (light.shadow.mapSize.x === size) return;
+
+  light.shadow.mapSize.set(size, size);
+
+  // three re-allocates the map at the new size on the next shadow pass
+  if (light.shadow.map) {
+    light.shadow.map.dispose();
+    light.shadow.map = null;
+  }
+}
+
+function applyQualityTier(index, reason = "") {
+  index = THREE.MathUtils.clamp(index, 0, QUALITY_MAX_TIER);
+  if (index === qualityTierIndex) return;
+
+  const from = qualityTier.name;
+  qualityTierIndex = index;
+  qualityTier = QUALITY_TIERS[index];
+  writeQualityTierToProfile(qualityTier);
+
+  // pixel ratio (iOS night vision keeps its own lower cap)
+  const dprCap = isIOS && nightVisionOn ? Math.min(IOS_PERF.nvDpr, MOBILE_PROFILE.maxDpr) : MOBILE_PROFILE.maxDpr;
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, dprCap));
+  renderer.setSize(window.innerWidth, window.innerHeight, false);
+  if (composer) composer.setSize(window.innerWidth, window.innerHeight);
+
+  // shadows: materials must recompile when the shadow map toggles
+  if (renderer.shadowMap.enabled !== MOBILE_PROFILE.shadows) {
+    renderer.shadowMap.enabled = MOBILE_PROFILE.shadows;
+    scene.traverse((o) => {
+      const mats = Array.isArray(o.material) ? o.material : o.material ? [o.material] : [];
+      mats.forEach((m) => { m.needsUpdate = true; });
+    });
+  }
+
+  scene.traverse((o) => {
+    if (o.isLight && o.castShadow) applyShadowMapQuality(o);
+  });
+
+  // postFX is built lazily on scene entry; build it now if we climbed back
+  if (MOBILE_PROFILE.postFX && !composer && !loaderEl?.isConnected) initPostFXLazy();
+
+  dustGeo?.setDrawRange(0, getQualityDustCount());
+  cigaretteSmokeGeo?.setDrawRange(0, getQualitySmokeCount());
+  exhaleSmokeGeo?.setDrawRange(0, getQualitySmokeCount());
+
+  console.log(`⚙️ Quality ${from} → ${qualityTier.name}`, reason);
+  trackSceneClick("quality_tier", { from, to: qualityTier.name, reason });
+}
+
+function updateQualityGovernor(dt) {
+  if (qualityPinnedIndex !== -1) return;
+  if (document.hidden || loaderEl?.isConnected) return;
+
+  const ms = dt * 1000;
+  if (ms > QUALITY_GOVERNOR.maxFrameMs) return;
+
+  const now = performance.now();
+  if (now < qualityGov.cooldownUntil) return;
+
+  qualityGov.frames++;
+  qualityGov.sumMs += ms;
+  if (qualityGov.frames < QUALITY_GOVERNOR.windowFrames) return;
+
+  const avg = qualityGov.sumMs / qualityGov.frames;
+  qualityGov.frames = 0;
+  qualityGov.sumMs = 0;
+
+  if (avg > QUALITY_GOVERNOR.downMs && qualityTierIndex > 0) {
+    qualityGov.failedTier = qualityTierIndex;
+    qualityGov.failedUntil = now + QUALITY_GOVERNOR.holdFailedMs;
+    qualityGov.goodWindows = 0;
+    qualityGov.cooldownUntil = now + QUALITY_GOVERNOR.cooldownMs;
+    applyQualityTier(qualityTierIndex - 1, `avg ${avg.toFixed(1)}ms`);
+    return;
+  }
+
+  if (avg < QUALITY_GOVERNOR.upMs && qualityTierIndex < QUALITY_MAX_TIER) {
+    const next = qualityTierIndex + 1;
+    const held = next === qualityGov.failedTier && now < qualityGov.failedUntil;
+
+    qualityGov.goodWindows = held ? 0 : qualityGov.goodWindows + 1;
+
+    if (qualityGov.goodWindows >= QUALITY_GOVERNOR.upWindows) {
+      qualityGov.goodWindows = 0;
+      qualityGov.cooldownUntil = now + QUALITY_GOVERNOR.cooldownMs;
+      applyQualityTier(next, `avg ${avg.toFixed(1)}ms`);
+    }
+    return;
+  }
+
+  qualityGov.goodWindows = 0;
+}
+
 const LAYER_WORLD = 0;
 const LAYER_ACCENT = 2;
 const LAYER_PIN = 3;
@@ -151,6 +336,7 @@ async function enterSceneFromLoader() {
   }
 
   hideLoader();
+  updateWallToolbarVisibility();
 
 // start smoke alarm chirp schedule (desktop only)
 if (!isIOS) {
@@ -162,19 +348,358 @@ if (!isIOS) {
   // ✅ lazy load playlist AFTER first entry
   startLazyPlaylistLoad();
 
+  // ✅ lamp / picture / track / TV page from the last visit
+  restoreRoomState();
+
+  // ✅ #/video/music/2 style links open straight to the item
+  applyPendingTvRoute();
+
   setTimeout(() => {
     initPostFXLazy();
   }, 600);
 }
 
-loaderEl?.addEventListener("pointerdown", enterSceneFromLoader);
+loaderEl?.addEventListener("pointerdown", (e) => {
+  // Android Chrome doesn't count a touch pointerdown as a user activation,
+  // so the ambience would stay blocked — let the click that follows enter
+  if (isAndroid && e.pointerType === "touch") return;
+  enterSceneFromLoader();
+});
 loaderEl?.addEventListener("click", enterSceneFromLoader);
 
-const renderer = new THREE.WebGLRenderer({
-  canvas,
-  antialias: false,
-  powerPreference: "low-power",
-});
+// ============================================================
+// ✅ SOCIAL / CONTACT LINKS
+// (up here so the 2D fallback can use them before the scene exists)
+// ============================================================
+const TIKTOK_PROFILE_URL = "https://www.tiktok.com/@___gambo___";
+
+function getTikTokProfileUrl() {
+  return TIKTOK_PROFILE_URL;
+}
+
+const INSTAGRAM_PROFILE_URL = "https://www.instagram.com/g_a_m_b_o/";
+
+function getInstagramProfileUrl() {
+  return INSTAGRAM_PROFILE_URL;
+}
+
+function getContactProfileUrl() {
+  return INSTAGRAM_PROFILE_URL;
+}
+
+const YOUTUBE_PROFILE_URL = "https://www.youtube.com/@G.A.M.B.O";
+
+function getYoutubeProfileUrl() {
+  return YOUTUBE_PROFILE_URL;
+}
+
+const CONTACT_EMAIL = "gamboproductions@gmail.com";
+
+function getContactMailtoUrl() {
+  return `mailto:${CONTACT_EMAIL}?subject=${encodeURIComponent("inquiry")}&body=${encodeURIComponent("yo GAMBO,\n\nim reaching out about...")}`;
+}
+
+// ============================================================
+// ✅ 2D FALLBACK PORTFOLIO (no WebGL / scene failed to load)
+// - WebGL is probed BEFORE the renderer is created; no context →
+//   show the plain HTML portfolio and halt the room's init (no throw)
+// - at runtime a watchdog switches over when a required GLB fails or
+//   the loader stops making progress (so nobody sits at 87% forever)
+// - same content.json categories, playlist and social links as the room
+// ============================================================
+const SCENE_WATCHDOG = {
+  stallMs: 30000,   // no loader progress (asset done or GLB bytes arriving) for this long → fallback
+  checkMs: 1000,
+};
+
+// content.json location + categories (shared with the CONTENT MANIFEST
+// section below; declared here so the no-WebGL page can read them too)
+const CONTENT_MANIFEST_URL = "./content.json";
+const CONTENT_CATEGORY_TYPES = ["PHOTO", "VIDEO", "3D MODEL"];
+
+let fallbackPortfolioActive = false;
+
+function hasWebGLSupport() {
+  try {
+    if (!window.WebGLRenderingContext) return false;
+
+    const probe = document.createElement("canvas");
+    const gl = probe.getContext("webgl2") || probe.getContext("webgl");
+    if (!gl) return false;
+
+    // hand the probe context back right away (iOS caps live contexts)
+    gl.getExtension("WEBGL_lose_context")?.loseContext();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function makeFallbackEl(tag, text, style = {}) {
+  const el = document.createElement(tag);
+  if (text) el.textContent = text;
+  Object.assign(el.style, style);
+  return el;
+}
+
+function buildFallbackMedia(type, item) {
+  const url = item.src;
+  const isVideo = isVideoUrl(url);
+  const isGlb = isGlbUrl(url);
+  const caption = item.title || url.split("/").pop().replace(/\.[^.]+$/, "");
+
+  const fig = makeFallbackEl("figure", "", { margin: "0" });
+
+  if (isVideo || (isGlb && item.fallback)) {
+    const v = makeFallbackEl("video", "", {
+      width: "100%",
+      aspectRatio: "16 / 9",
+      background: "#000",
+      borderRadius: "8px",
+    });
+    v.src = isGlb ? item.fallback : url;
+    v.controls = true;
+    v.preload = "none";
+    v.playsInline = true;
+    if (item.thumb) v.poster = item.thumb;
+    v.addEventListener("play", () => trackSceneClick("fallback_play", { src: url }), { once: true });
+    fig.appendChild(v);
+  } else if (isGlb) {
+    const a = makeFallbackEl("a", "Download 3D model (.glb)", { color: "#fff" });
+    a.href = url;
+    a.download = "";
+    fig.appendChild(a);
+  } else {
+    const a = makeFallbackEl("a");
+    a.href = url;
+    a.target = "_blank";
+    a.rel = "noopener";
+
+    const img = makeFallbackEl("img", "", {
+      display: "block",
+      width: "100%",
+      aspectRatio: "4 / 3",
+      objectFit: "cover",
+      borderRadius: "8px",
+      background: "#111",
+    });
+    img.src = item.thumb || url;
+    img.loading = "lazy";
+    img.alt = item.alt || caption;
+    a.appendChild(img);
+    fig.appendChild(a);
+  }
+
+  fig.appendChild(makeFallbackEl("figcaption", caption, {
+    marginTop: "6px",
+    fontSize: "12px",
+    opacity: "0.7",
+  }));
+
+  return fig;
+}
+
+function buildFallbackPlaylist(tracks) {
+  const wrap = makeFallbackEl("section");
+  wrap.appendChild(makeFallbackEl("h2", "MUSIC", { fontSize: "16px", letterSpacing: "0.14em" }));
+
+  const audio = makeFallbackEl("audio", "", { width: "100%", marginBottom: "10px" });
+  audio.controls = true;
+  audio.preload = "none";
+
+  const list = makeFallbackEl("ol", "", { margin: "0", paddingLeft: "22px", lineHeight: "1.9" });
+  let current = -1;
+
+  const playAt = (i) => {
+    current = (i + tracks.length) % tracks.length;
+    audio.src = tracks[current].src;
+    audio.play().catch(() => {});
+
+    [...list.children].forEach((li, j) => { li.style.fontWeight = j === current ? "bold" : "normal"; });
+    trackSceneClick("fallback_track", { track_index: current });
+  };
+
+  tracks.forEach((t, i) => {
+    const li = makeFallbackEl("li");
+    const btn = makeFallbackEl("button", t.title || t.src.split("/").pop(), {
+      background: "none",
+      border: "0",
+      padding: "0",
+      color: "#fff",
+      font: "inherit",
+      cursor: "pointer",
+      textAlign: "left",
+    });
+    btn.type = "button";
+    btn.addEventListener("click", () => playAt(i));
+    li.appendChild(btn);
+    list.appendChild(li);
+  });
+
+  audio.addEventListener("ended", () => playAt(current + 1));
+
+  wrap.append(audio, list);
+  return wrap;
+}
+
+function buildFallbackSocialRow() {
+  const row = makeFallbackEl("nav", "", { display: "flex", gap: "18px", flexWrap: "wrap" });
+  row.setAttribute("aria-label", "Contact");
+
+  const links = [
+    ["Email", getContactMailtoUrl()],
+    ["Instagram", getInstagramProfileUrl()],
+    ["YouTube", getYoutubeProfileUrl()],
+    ["TikTok", getTikTokProfileUrl()],
+  ];
+
+  for (const [label, href] of links) {
+    const a = makeFallbackEl("a", label, { color: "#fff", letterSpacing: "0.08em" });
+    a.href = href;
+    if (!href.startsWith("mailto:")) {
+      a.target = "_blank";
+      a.rel = "noopener noreferrer";
+    }
+    a.addEventListener("click", () => trackSceneClick("fallback_social_click", { social_id: label.toLowerCase() }));
+    row.appendChild(a);
+  }
+
+  return row;
+}
+
+async function showFallbackPortfolio(reason) {
+  if (fallbackPortfolioActive) return;
+  fallbackPortfolioActive = true;
+
+  console.warn("🧱 Switching to the 2D portfolio:", reason);
+  trackSceneClick("fallback_portfolio", { reason });
+
+  // scene was already running: silence it (loop stops in animate)
+  if (reason !== "webgl") {
+    try {
+      pauseAll();
+      bgAudio?.pause();
+    } catch (e) {
+      console.warn("Fallback: could not stop scene audio", e);
+    }
+  }
+
+  canvas.style.display = "none";
+  loaderEl?.remove();
+  document.getElementById("audio-mixer")?.remove();
+
+  const page = makeFallbackEl("main", "", {
+    position: "fixed",
+    inset: "0",
+    overflowY: "auto",
+    padding: "32px min(6vw, 56px) 56px",
+    boxSizing: "border-box",
+    background: "rgba(0,0,0,0.86)",
+    color: "#fff",
+    fontFamily: "Arial, sans-serif",
+    fontSize: "14px",
+    zIndex: "9999",
+  });
+
+  const logo = makeFallbackEl("img", "", {
+    display: "block",
+    width: "min(200px, 50vw)",
+    filter: "brightness(0) invert(1)",
+  });
+  logo.src = "./assets/Loading Page/Black logo.svg";
+  logo.alt = "GAMBO";
+
+  const note = makeFallbackEl(
+    "p",
+    reason === "webgl"
+      ? "Your browser can't show the 3D room, so here's the portfolio as a simple page."
+      : "The 3D room didn't load, so here's the portfolio as a simple page.",
+    { opacity: "0.75", margin: "14px 0 24px" }
+  );
+
+  const body = makeFallbackEl("div", "Loading…");
+  page.append(logo, note, buildFallbackSocialRow(), body);
+  document.body.appendChild(page);
+
+  let content = null;
+  try {
+    const res = await fetch(CONTENT_MANIFEST_URL, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const manifest = validateContentManifest(await res.json());
+    if (manifest.problems.length) {
+      console.warn(`🧱 Fallback: content.json has ${manifest.problems.length} problem(s), skipping those entries`);
+    }
+    content = manifest.content;
+  } catch (e) {
+    console.warn("🧱 Fallback: content.json failed to load", e);
+    body.textContent = "The portfolio couldn't be loaded right now. Reach out with the links above.";
+    return;
+  }
+
+  body.textContent = "";
+
+  for (const type of CONTENT_CATEGORY_TYPES) {
+    // { SUBID: [item, ...] } → only subcategories that kept an item
+    const subs = Object.entries(content.galleries[type]).filter(([, items]) => items.length);
+    if (!subs.length) continue;
+
+    const section = makeFallbackEl("section", "", { marginTop: "36px" });
+    section.appendChild(makeFallbackEl("h2", type, { fontSize: "16px", letterSpacing: "0.14em" }));
+
+    for (const [subId, items] of subs) {
+      section.appendChild(makeFallbackEl("h3", subId, {
+        fontSize: "13px",
+        letterSpacing: "0.12em",
+        opacity: "0.8",
+        margin: "18px 0 10px",
+      }));
+
+      const grid = makeFallbackEl("div", "", {
+        display: "grid",
+        gridTemplateColumns: `repeat(auto-fill, minmax(${type === "PHOTO" ? 180 : 260}px, 1fr))`,
+        gap: "14px",
+      });
+
+      items.forEach((item) => grid.appendChild(buildFallbackMedia(type, item)));
+      section.appendChild(grid);
+    }
+
+    body.appendChild(section);
+  }
+
+  if (content.playlist.length) {
+    const music = buildFallbackPlaylist(content.playlist);
+    music.style.marginTop = "36px";
+    body.appendChild(music);
+  }
+}
+
+// no WebGL → the 2D page takes over and the room's init halts here:
+// module evaluation waits on a promise that never settles, so nothing
+// below runs and nothing is thrown into the console / error reporting
+function haltForFallbackPortfolio(reason) {
+  showFallbackPortfolio(reason);
+  return new Promise(() => {});
+}
+
+if (!hasWebGLSupport()) await haltForFallbackPortfolio("webgl");
+
+function createSceneRenderer() {
+  try {
+    return new THREE.WebGLRenderer({
+      canvas,
+      antialias: false,
+      powerPreference: "low-power",
+    });
+  } catch (e) {
+    // probe passed but the real context still failed (blocklisted GPU etc.)
+    console.warn("🧱 WebGLRenderer could not be created:", e);
+    return null;
+  }
+}
+
+const renderer = createSceneRenderer() ?? (await haltForFallbackPortfolio("webgl"));
 
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 0.95; // desktop maybe 1.0
@@ -244,8 +769,8 @@ function updateIOSNightVisionQuality() {
   }
 }
 
-// ✅ iOS SAFARI INPUT FIX (does NOT change desktop look)
-if (isIOS) {
+// ✅ TOUCH INPUT FIX — iOS Safari + Android Chrome (does NOT change desktop look)
+if (isTouch) {
   renderer.domElement.style.touchAction = "none";
   renderer.domElement.style.webkitUserSelect = "none";
   renderer.domElement.style.userSelect = "none";
@@ -274,6 +799,7 @@ scene.background = new THREE.Color(0x000000);
 let __loadTotalWeight = 0;
 let __loadDoneWeight = 0;
 let __loaderFinished = false;
+let __loadLastProgressMs = performance.now(); // watched by the fallback watchdog
 
 function __beginAsset(label, weight = 1) {
   const w = Math.max(0.001, Number(weight) || 1);
@@ -288,11 +814,38 @@ function __beginAsset(label, weight = 1) {
     finished = true;
 
     __loadDoneWeight += w;
+    __loadLastProgressMs = performance.now();
     __updateLoader(label);
     __maybeFinishLoader();
   };
 }
 
+// onProgress for the GLB loaders: bytes still arriving keep the watchdog
+// quiet (one big GLB on a slow line can take longer than stallMs)
+function __noteLoadProgress() {
+  __loadLastProgressMs = performance.now();
+}
+
+// a GLB the room can't work without failed → 2D portfolio
+function __failRequiredAsset(label, error) {
+  console.error(`🧱 Required asset failed: ${label}`, error);
+  showFallbackPortfolio(`asset:${label}`);
+}
+
+// loader stuck below 100% (hung request, script error mid-load) → 2D portfolio
+const __loaderWatchdog = setInterval(() => {
+  if (__loaderFinished || fallbackPortfolioActive) {
+    clearInterval(__loaderWatchdog);
+    return;
+  }
+
+  if (performance.now() - __loadLastProgressMs > SCENE_WATCHDOG.stallMs) {
+    clearInterval(__loaderWatchdog);
+    console.warn("🧱 Loader stalled at", Math.floor((__loadDoneWeight / Math.max(__loadTotalWeight, 0.001)) * 100) + "%");
+    showFallbackPortfolio("loader_stalled");
+  }
+}, SCENE_WATCHDOG.checkMs);
+
 function __updateLoader(label = "") {
   if (__loadTotalWeight <= 0) {
     setLoaderPct(0);
@@ -328,70 +881,343 @@ function __maybeFinishLoader() {
 setLoaderPct(0);
 
 // ============================================================
-// ✅ DEBUG: show load errors on the loader (but ignore harmless iOS rejections)
+// ✅ CONTENT MANIFEST (content.json)
+// - galleries, TV previews, playlist + Picture1 textures live in one file
+// - fetched at startup and counted by the loader, so nothing can
+//   open the TV / speaker before it is ready
+// - bad entries are skipped and reported, the rest still loads
+// - CONTENT_MANIFEST_URL / CONTENT_CATEGORY_TYPES live with the 2D
+//   FALLBACK above (the no-WebGL page reads the same file)
 // ============================================================
-const __IGNORE_ERR = [
-  /notallowederror/i,                 // autoplay/user gesture blocks
-  /play\(\) failed/i,
-  /the operation is insecure/i,
-  /resizeobserver loop limit exceeded/i,
-  /webkit/i
-];
 
-function __shouldIgnoreMsg(msg = "") {
-  return __IGNORE_ERR.some((re) => re.test(String(msg)));
+// filled by applyContentManifest()
+let SUBCATEGORY_ITEMS = {};   // { PHOTO: ["portraits", ...], ... }
+let TV_PREVIEW_LABELS = {};   // { PHOTO: { portraits: [...] }, ... }
+let TV_PREVIEW_IMAGES = {};   // { PHOTO: { portraits: [thumb, ...] }, ... }
+let PHOTO_CATEGORIES = {};    // { PORTRAITS: [src, ...], ... }
+let VIDEO_CATEGORIES = {};
+let MODEL_CATEGORIES = {};
+let tracks = [];
+let PICTURE1_TEXTURES = [];
+
+// every gallery item / track keyed by src (title, thumb, etc.)
+const contentItemsBySrc = new Map();
+
+function getContentItem(src) {
+  return contentItemsBySrc.get(src) || null;
 }
 
-window.addEventListener("error", (e) => {
-  const msg = e?.message || "";
-  console.error("💥 Uncaught error:", e.error || msg);
+function normalizeContentItem(raw, where, problems) {
+  const item = typeof raw === "string" ? { src: raw } : raw;
 
-  // Ignore common harmless ones
-  if (__shouldIgnoreMsg(msg)) return;
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    problems.push(`${where}: expected a path or an object`);
+    return null;
+  }
 
-  // Only show ERROR while loader is still visible
-  if (!__loaderFinished && loaderTextEl) loaderTextEl.textContent = "ERROR (check console)";
-});
+  if (typeof item.src !== "string" || !item.src.trim()) {
+    problems.push(`${where}: missing "src"`);
+    return null;
+  }
 
-window.addEventListener("unhandledrejection", (e) => {
-  const reason = e?.reason;
-  const msg =
-    (typeof reason === "string" ? reason : reason?.message) || String(reason || "");
+  const out = { ...item, src: item.src.trim() };
 
-  console.error("💥 Unhandled promise rejection:", reason);
+  if (out.thumb != null && (typeof out.thumb !== "string" || !out.thumb.trim())) {
+    problems.push(`${where}: "thumb" must be a path, ignoring it`);
+    delete out.thumb;
+  }
 
-  // Ignore autoplay / gesture blocked rejections (super common on iOS)
-  if (__shouldIgnoreMsg(msg)) return;
+  // optional info card fields: title, year, client, description, credits
+  // (+ "alt": screen-reader text for the item)
+  for (const field of ["title", "client", "description", "alt"]) {
+    if (out[field] != null && typeof out[field] !== "string") {
+      problems.push(`${where}: "${field}" must be text, ignoring it`);
+      delete out[field];
+    }
+  }
 
-  // Only show ERROR while loader is still visible
-  if (!__loaderFinished && loaderTextEl) loaderTextEl.textContent = "ERROR (check console)";
-});
+  if (out.year != null && !/^\d{4}$/.test(String(out.year))) {
+    problems.push(`${where}: "year" must be a 4-digit year, ignoring it`);
+    delete out.year;
+  }
 
-let composer = null;
-let nightVisionPass = null;
-let baseExposure = renderer.toneMappingExposure;
+  if (out.credits != null) {
+    out.credits = normalizeContentCredits(out.credits, where, problems);
+  }
 
+  // optional mp4 turntable for .glb models (used when the viewer can't load it)
+  if (out.fallback != null) {
+    if (typeof out.fallback !== "string" || !isVideoUrl(out.fallback.trim())) {
+      problems.push(`${where}: "fallback" must be a video path, ignoring it`);
+      delete out.fallback;
+    } else {
+      out.fallback = out.fallback.trim();
+    }
+  }
 
-// ============================================================
-// ✅ NIGHT VISION AUTO-GAIN (Eye Adaptation) — NV ONLY
-// ============================================================
-const AE_SIZE = 32; // tiny render target (fast)
-const aeRT = new THREE.WebGLRenderTarget(AE_SIZE, AE_SIZE, {
-  depthBuffer: false,
-  stencilBuffer: false,
-});
-const aePixels = new Uint8Array(AE_SIZE * AE_SIZE * 4);
+  return out;
+}
 
-let aeGain = 1.45;          // current smoothed gain
-let aeTargetLuma = 0.18;    // target average brightness (0..1). 0.14–0.22 is a good range
-let aeMinGain = 0.80;
-let aeMaxGain = 3.20;
+// credits: ["Name", ...] or [{ role: "Director", name: "Name" }, ...]
+function normalizeContentCredits(raw, where, problems) {
+  if (!Array.isArray(raw)) {
+    problems.push(`${where}: "credits" should be a list, ignoring it`);
+    return [];
+  }
 
-let aeSampleAccum = 0;      // to sample at ~10–15 Hz instead of every frame
+  const credits = [];
 
-function updateNightVisionAutoGain(dt) {
-  if (!nightVisionOn || !nightVisionPass) return;
-  if (isIOS && IOS_PERF.skipNvAutoGain) return;
+  raw.forEach((c, i) => {
+    if (typeof c === "string" && c.trim()) {
+      credits.push({ role: "", name: c.trim() });
+    } else if (c && typeof c.name === "string" && c.name.trim()) {
+      credits.push({ role: typeof c.role === "string" ? c.role.trim() : "", name: c.name.trim() });
+    } else {
+      problems.push(`${where}.credits[${i}]: expected a name or { role, name }`);
+    }
+  });
+
+  return credits;
+}
+
+function validateContentManifest(raw) {
+  const problems = [];
+
+  const out = {
+    subcategories: {},
+    labels: {},
+    previews: {},
+    galleries: { PHOTO: {}, VIDEO: {}, "3D MODEL": {} },
+    playlist: [],
+    pictureFrame: [],
+  };
+
+  if (!raw || typeof raw !== "object") {
+    problems.push("manifest is not an object");
+    return { content: out, problems };
+  }
+
+  const categories = raw.categories && typeof raw.categories === "object" ? raw.categories : {};
+
+  for (const type of Object.keys(categories)) {
+    if (!CONTENT_CATEGORY_TYPES.includes(type)) {
+      problems.push(`categories.${type}: unknown category (expected ${CONTENT_CATEGORY_TYPES.join(", ")})`);
+    }
+  }
+
+  for (const type of CONTENT_CATEGORY_TYPES) {
+    const subs = categories[type];
+
+    out.subcategories[type] = [];
+    out.labels[type] = {};
+    out.previews[type] = {};
+
+    if (subs == null) {
+      problems.push(`categories.${type}: missing`);
+      continue;
+    }
+
+    if (!Array.isArray(subs)) {
+      problems.push(`categories.${type}: expected a list of subcategories`);
+      continue;
+    }
+
+    subs.forEach((sub, si) => {
+      const where = `categories.${type}[${si}]`;
+      const id = typeof sub?.id === "string" ? sub.id.trim().toLowerCase() : "";
+
+      if (!id) {
+        problems.push(`${where}: missing "id"`);
+        return;
+      }
+
+      if (out.subcategories[type].includes(id)) {
+        problems.push(`${where}: duplicate id "${id}"`);
+        return;
+      }
+
+      const items = [];
+      const rawItems = Array.isArray(sub.items) ? sub.items : [];
+      if (!Array.isArray(sub.items)) problems.push(`${where}: "items" should be a list`);
+
+      rawItems.forEach((rawItem, ii) => {
+        const item = normalizeContentItem(rawItem, `${where}.items[${ii}]`, problems);
+        if (!item) return;
+
+        if (type === "VIDEO" && !isVideoUrl(item.src)) {
+          problems.push(`${where}.items[${ii}]: not a video file (${item.src})`);
+          return;
+        }
+
+        if (type === "PHOTO" && !isImageUrl(item.src)) {
+          problems.push(`${where}.items[${ii}]: not an image file (${item.src})`);
+          return;
+        }
+
+        items.push({ ...item, category: type, subcategory: id });
+      });
+
+      out.subcategories[type].push(id);
+      out.labels[type][id] = Array.isArray(sub.labels)
+        ? sub.labels.filter((l) => typeof l === "string")
+        : [];
+      out.previews[type][id] = items.filter((it) => it.thumb).map((it) => it.thumb);
+      out.galleries[type][id.toUpperCase()] = items;
+    });
+  }
+
+  if (Array.isArray(raw.playlist)) {
+    raw.playlist.forEach((rawTrack, i) => {
+      const track = normalizeContentItem(rawTrack, `playlist[${i}]`, problems);
+      if (track) out.playlist.push(track);
+    });
+  } else {
+    problems.push("playlist: expected a list of tracks");
+  }
+
+  if (Array.isArray(raw.pictureFrame)) {
+    raw.pictureFrame.forEach((path, i) => {
+      if (typeof path === "string" && path.trim()) out.pictureFrame.push(path.trim());
+      else problems.push(`pictureFrame[${i}]: expected a texture path`);
+    });
+  } else {
+    problems.push("pictureFrame: expected a list of texture paths");
+  }
+
+  return { content: out, problems };
+}
+
+function applyContentManifest(content) {
+  const srcLists = (galleries) => {
+    const lists = {};
+    for (const key of Object.keys(galleries)) {
+      lists[key] = galleries[key].map((it) => it.src);
+    }
+    return lists;
+  };
+
+  contentItemsBySrc.clear();
+  for (const type of CONTENT_CATEGORY_TYPES) {
+    for (const items of Object.values(content.galleries[type])) {
+      for (const it of items) contentItemsBySrc.set(it.src, it);
+    }
+  }
+  for (const t of content.playlist) contentItemsBySrc.set(t.src, t);
+
+  SUBCATEGORY_ITEMS = content.subcategories;
+  TV_PREVIEW_LABELS = content.labels;
+  TV_PREVIEW_IMAGES = content.previews;
+
+  PHOTO_CATEGORIES = srcLists(content.galleries.PHOTO);
+  VIDEO_CATEGORIES = srcLists(content.galleries.VIDEO);
+  MODEL_CATEGORIES = srcLists(content.galleries["3D MODEL"]);
+
+  tracks = content.playlist.map((t) => t.src);
+  PICTURE1_TEXTURES = content.pictureFrame;
+
+  // Picture1 may already exist if the main GLB beat the manifest
+  if (picture1MeshRef && PICTURE1_TEXTURES.length) {
+    setPicture1Texture(picture1TexIndex);
+  }
+}
+
+async function loadContentManifest() {
+  const __endManifest = __beginAsset("Content manifest");
+
+  try {
+    const res = await fetch(CONTENT_MANIFEST_URL, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const raw = await res.json();
+    const { content, problems } = validateContentManifest(raw);
+
+    if (problems.length) {
+      warn(`📦 content.json: ${problems.length} problem(s)`);
+      problems.forEach((p) => warn("📦 content.json →", p));
+    }
+
+    applyContentManifest(content);
+    log("📦 Content manifest loaded:", {
+      photo: Object.keys(PHOTO_CATEGORIES).length,
+      video: Object.keys(VIDEO_CATEGORIES).length,
+      model: Object.keys(MODEL_CATEGORIES).length,
+      tracks: tracks.length,
+      pictures: PICTURE1_TEXTURES.length,
+    });
+  } catch (err) {
+    console.warn("📦 Content manifest failed to load:", CONTENT_MANIFEST_URL, err);
+  } finally {
+    __endManifest();
+  }
+}
+
+loadContentManifest();
+
+// ============================================================
+// ✅ DEBUG: show load errors on the loader (but ignore harmless iOS rejections)
+// ============================================================
+const __IGNORE_ERR = [
+  /notallowederror/i,                 // autoplay/user gesture blocks
+  /play\(\) failed/i,
+  /the operation is insecure/i,
+  /resizeobserver loop limit exceeded/i,
+  /webkit/i
+];
+
+function __shouldIgnoreMsg(msg = "") {
+  return __IGNORE_ERR.some((re) => re.test(String(msg)));
+}
+
+window.addEventListener("error", (e) => {
+  const msg = e?.message || "";
+  console.error("💥 Uncaught error:", e.error || msg);
+
+  // Ignore common harmless ones
+  if (__shouldIgnoreMsg(msg)) return;
+
+  // Only show ERROR while loader is still visible
+  if (!__loaderFinished && loaderTextEl) loaderTextEl.textContent = "ERROR (check console)";
+});
+
+window.addEventListener("unhandledrejection", (e) => {
+  const reason = e?.reason;
+  const msg =
+    (typeof reason === "string" ? reason : reason?.message) || String(reason || "");
+
+  console.error("💥 Unhandled promise rejection:", reason);
+
+  // Ignore autoplay / gesture blocked rejections (super common on iOS)
+  if (__shouldIgnoreMsg(msg)) return;
+
+  // Only show ERROR while loader is still visible
+  if (!__loaderFinished && loaderTextEl) loaderTextEl.textContent = "ERROR (check console)";
+});
+
+let composer = null;
+let nightVisionPass = null;
+let baseExposure = renderer.toneMappingExposure;
+
+
+// ============================================================
+// ✅ NIGHT VISION AUTO-GAIN (Eye Adaptation) — NV ONLY
+// ============================================================
+const AE_SIZE = 32; // tiny render target (fast)
+const aeRT = new THREE.WebGLRenderTarget(AE_SIZE, AE_SIZE, {
+  depthBuffer: false,
+  stencilBuffer: false,
+});
+const aePixels = new Uint8Array(AE_SIZE * AE_SIZE * 4);
+
+let aeGain = 1.45;          // current smoothed gain
+let aeTargetLuma = 0.18;    // target average brightness (0..1). 0.14–0.22 is a good range
+let aeMinGain = 0.80;
+let aeMaxGain = 3.20;
+
+let aeSampleAccum = 0;      // to sample at ~10–15 Hz instead of every frame
+
+function updateNightVisionAutoGain(dt) {
+  if (!nightVisionOn || !nightVisionPass) return;
+  if (isIOS && IOS_PERF.skipNvAutoGain) return;
 
   // sample ~12 times per second (adjust if you want)
   aeSampleAccum += dt;
@@ -908,7 +1734,7 @@ function setInitialCameraFraming() {
 }
 
 function applyIOSCameraOffset() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (!IOS_CAM.enabled) return;
 
   // position offset from desktop framing
@@ -1007,7 +1833,7 @@ function setIOSCameraFraming(maxDim) {
 }
 
 function applyFinalIOSCameraFraming() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (!IOS_CAM.enabled) return;
 
   // ALWAYS rebuild from the canonical desktop framing
@@ -1036,7 +1862,7 @@ function applyFinalIOSCameraFraming() {
 }
 
 function captureIOSCameraDragBase() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice() && !gamepadCamPanActive) return;
   if (!IOS_CAM_DRAG.enabled) return;
 
   iosCamBasePos = camera.position.clone();
@@ -1048,7 +1874,7 @@ function captureIOSCameraDragBase() {
 }
 
 function applyIOSCameraDragNow() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice() && !gamepadCamPanActive) return;
   if (!IOS_CAM_DRAG.enabled) return;
   if (!iosCamBaseCaptured || !iosCamBasePos || !iosCamBaseTarget) return;
 
@@ -1063,18 +1889,18 @@ function applyIOSCameraDragNow() {
 }
 
 function updateIOSCameraDrag() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice() && !gamepadCamPanActive) return; // desktop: gamepad right stick
   if (!IOS_CAM_DRAG.enabled) return;
   if (!iosCamBaseCaptured) return;
 
-  iosCamUserOffsetX +=
-    (iosCamUserOffsetXTarget - iosCamUserOffsetX) * IOS_CAM_DRAG.lerp;
+  if (reducedMotion) iosCamUserOffsetX = iosCamUserOffsetXTarget; // no glide after release
+  else iosCamUserOffsetX += (iosCamUserOffsetXTarget - iosCamUserOffsetX) * IOS_CAM_DRAG.lerp;
 
   applyIOSCameraDragNow();
 }
 
 function resetIOSCameraDragBaseFromCurrentFraming() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (!IOS_CAM_DRAG.enabled) return;
 
   // landing view must start centered every fresh settle/load
@@ -1353,13 +2179,23 @@ function updateDust(dt) {
 
 const S = dt * 60;
 
-  for (let i = 0; i < DUST_COUNT; i++) {
+  // music beats stir the air a little (see MUSIC ANALYSIS)
+  const music = getMusicReactive();
+  const stir = music ? music.beat : 0;
+  const wander = WANDER * (1 + stir * AUDIO_REACTIVE.dust.wander);
+  const maxV = MAX_V * (1 + stir * AUDIO_REACTIVE.dust.maxV);
+
+  // quality tier decides how many of the particles are live
+  const count = getQualityDustCount();
+  dustGeo.setDrawRange(0, count);
+
+  for (let i = 0; i < count; i++) {
     const ix = i * 3;
 
       // random-walk velocity (reduced so it feels heavier)
-    vel[ix + 0] += (Math.random() * 2 - 1) * WANDER;
-    vel[ix + 1] += (Math.random() * 2 - 1) * WANDER * 0.45; // less vertical float
-    vel[ix + 2] += (Math.random() * 2 - 1) * WANDER * 0.35;
+    vel[ix + 0] += (Math.random() * 2 - 1) * wander;
+    vel[ix + 1] += (Math.random() * 2 - 1) * wander * 0.45; // less vertical float
+    vel[ix + 2] += (Math.random() * 2 - 1) * wander * 0.35;
 
     // add breeze influence (subtle)
     vel[ix + 0] += dustBreeze.x;
@@ -1376,9 +2212,9 @@ const S = dt * 60;
 
 
     // clamp speed so it never ramps up
-    vel[ix + 0] = Math.max(-MAX_V, Math.min(MAX_V, vel[ix + 0]));
-    vel[ix + 1] = Math.max(-MAX_V, Math.min(MAX_V, vel[ix + 1]));
-    vel[ix + 2] = Math.max(-MAX_V, Math.min(MAX_V, vel[ix + 2]));
+    vel[ix + 0] = Math.max(-maxV, Math.min(maxV, vel[ix + 0]));
+    vel[ix + 1] = Math.max(-maxV, Math.min(maxV, vel[ix + 1]));
+    vel[ix + 2] = Math.max(-maxV, Math.min(maxV, vel[ix + 2]));
 
     pos[ix + 0] += vel[ix + 0] * S;
     pos[ix + 1] += vel[ix + 1] * S;
@@ -1479,6 +2315,20 @@ function updateLampFlicker() {
     });
   }
 
+  // reduced motion: hold the lamp steady at its base level
+  if (reducedMotion) {
+    nightLights.lampKey.intensity = lampBaseKeyI;
+    nightLights.lampShadow.intensity = lampBaseShadowI;
+    return;
+  }
+
+  // music playing: the lamp pumps with it instead of random bursts
+  const music = getMusicReactive();
+  if (music) {
+    updateLampMusicSync(music);
+    return;
+  }
+
   function updateCigaretteEmber_OLD() {
   if (!emberTipRef || !emberTipRef.material) return;
 
@@ -1580,6 +2430,19 @@ if (t < window.lampBurstUntil && window.lampBurstParams) {
   nightLights.lampShadow.intensity = lampBaseShadowI * clamped;
 }
 
+// music-synced variant: same slow drift + clamp, bass / beats instead of bursts
+function updateLampMusicSync(music) {
+  const t = performance.now() / 1000;
+  const { lamp } = AUDIO_REACTIVE;
+
+  const slow = 0.03 * Math.sin(t * 0.55);
+  const mult = 1 + slow + music.level * lamp.level + music.beat * lamp.beat;
+  const clamped = Math.max(0.78, Math.min(1.18, mult));
+
+  nightLights.lampKey.intensity = lampBaseKeyI * clamped;
+  nightLights.lampShadow.intensity = lampBaseShadowI * clamped;
+}
+
 const IOS_REMOTE_TWEAK = {
   enabled: true,
 
@@ -1974,6 +2837,19 @@ function clearAllButtonPresses() {
   pressState.forEach((st) => (st.target = 0));
 }
 
+// 0..1 breathing the speaker cone follows (the TV MUSIC page uses it too)
+// - music analysis when it's live, the old sine otherwise
+function getSpeakerPulseWave() {
+  const music = getMusicReactive();
+  if (music) {
+    const { speaker } = AUDIO_REACTIVE;
+    return Math.min(1, music.level * speaker.level + music.beat * speaker.beat);
+  }
+
+  const t = performance.now() * 0.0055;
+  return Math.sin(t) * 0.5 + 0.5;
+}
+
 function updateSpeakerPulse(dt) {
   if (!speakerMeshRef || !speakerBaseScale) return;
 
@@ -2000,12 +2876,12 @@ function updateSpeakerPulse(dt) {
   speakerPulseKick *= 0.65;
 
   // slower motion
-  const t = performance.now() * 0.0055;
-  const wave = Math.sin(t) * 0.5 + 0.5;
+  const wave = getSpeakerPulseWave();
 
   // much smaller amplitude
   const pulseAmount =
-    speakerPulseCurrent * (0.0045 * wave + 0.0030 * speakerPulseKick);
+    speakerPulseCurrent * (0.0045 * wave + 0.0030 * speakerPulseKick) *
+    (reducedMotion ? REDUCED_MOTION.speakerPulseScale : 1);
 
   speakerMeshRef.scale.set(
     speakerBaseScale.x * (1 + pulseAmount * 0.12),
@@ -2226,13 +3102,19 @@ function stopIosPowerPulse() {
 }
 
 function startIosPowerPulse() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (!powerButtonMeshRef) return;
 
   stopIosPowerPulse();
 
+  // reduced motion: steady glow instead of blinking
+  if (reducedMotion) {
+    if (!tvOn) setGlowTarget(powerButtonMeshRef, true, POWER_GLOW_COLOR);
+    return;
+  }
+
   function tick() {
-    if (!isIOSDevice()) return;
+    if (!isTouchDevice()) return;
     if (tvOn) {
       stopIosPowerPulse();
       return;
@@ -2251,11 +3133,12 @@ function startIosPowerPulse() {
 }
 
 function startIosRemotePulse() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (!iosRemotePulseArmed) return;
 
   // prevent duplicates
   stopIosRemotePulse();
+  if (reducedMotion) return;
 
   const now = performance.now();
 
@@ -2325,7 +3208,7 @@ function scheduleNextPulseTick() {
 }
 
 function nudgeIosRemotePulse() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   // turn off now, then restart timing so it doesn't instantly pulse again
   stopIosRemotePulse();
   startIosRemotePulse();
@@ -2349,7 +3232,7 @@ function stopIosSoloGlow() {
 }
 
 function markIosRemoteUsed() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (!tvOn) return;
 
   // ✅ permanently stop the repeating pulse for this TV-on session
@@ -2362,7 +3245,7 @@ function markIosRemoteUsed() {
 
 // Call this when a remote button is pressed on iOS
 function iosSoloGlow(mesh, ms = 900) {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
 
   // Stop the repeating pulse so it doesn't fight the solo glow
   stopIosRemotePulse();
@@ -2492,6 +3375,7 @@ tvHint.style.transition = "opacity 0.25s ease";
 tvHint.style.zIndex = "9998";
 
 applySingleLineHintStyle(tvHint);
+tvHint.setAttribute("role", "status");
 
 document.body.appendChild(tvHint);
 
@@ -2505,7 +3389,7 @@ function showTvHint(show) {
 }
 
 function popIosFullscreenHint() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (!tvOn) return;
 
   // ✅ kill the menu-controls hint immediately
@@ -2852,7 +3736,7 @@ wallHintMain.innerText = "press to draw";
 const wallHintSub1 = document.createElement("div");
 wallHintSub1.style.fontSize = "12px";
 wallHintSub1.style.opacity = "0.85";
-wallHintSub1.innerText = isIOSDevice()
+wallHintSub1.innerText = isTouchDevice()
   ? "double tap = change color"
   : "C = change color";
 
@@ -2860,7 +3744,7 @@ const wallHintSub2 = document.createElement("div");
 wallHintSub2.style.fontSize = "12px";
 wallHintSub2.style.opacity = "0.85";
 wallHintSub2.style.marginTop = "2px";
-wallHintSub2.innerText = isIOSDevice()
+wallHintSub2.innerText = isTouchDevice()
   ? "2 finger hold = erase"
   : "E = erase";
 
@@ -2868,7 +3752,7 @@ const wallHintSub3 = document.createElement("div");
 wallHintSub3.style.fontSize = "12px";
 wallHintSub3.style.opacity = "0.85";
 wallHintSub3.style.marginTop = "2px";
-wallHintSub3.innerText = isIOSDevice()
+wallHintSub3.innerText = isTouchDevice()
   ? "triple tap = clear wall"
   : "double click = clear wall";
 
@@ -3030,7 +3914,7 @@ iosMenuHint.appendChild(iosMenuHintLine2);
 document.body.appendChild(iosMenuHint);
 
 function showIosMenuControlsHintOnce() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (iosMenuHintShown) return;
 
   iosMenuHintShown = true;
@@ -3320,6 +4204,70 @@ grainOverlay.style.animation = "grainBgMove 0.6s steps(1) infinite";
 
 document.body.appendChild(grainOverlay);
 
+// ============================================================
+// ✅ REDUCED MOTION (prefers-reduced-motion + runtime toggle)
+// Calm mode for visitors with vestibular sensitivity:
+// dust / bug / smoke freeze, lamp + ember stop flickering, grain holds
+// still, TV boots and changes page with instant cuts, remote pulses
+// become a steady glow and camera drag has no easing.
+// Follows the OS setting until toggled by hand (R key / TV mirror).
+// ============================================================
+const REDUCED_MOTION = {
+  speakerPulseScale: 0.25, // speaker still "breathes" a little so playback is visible
+};
+
+const reducedMotionQuery = window.matchMedia
+  ? window.matchMedia("(prefers-reduced-motion: reduce)")
+  : null;
+
+let reducedMotion = !!reducedMotionQuery?.matches;
+let reducedMotionUserSet = false;
+
+function applyReducedMotion() {
+  grainOverlay.style.animation = reducedMotion
+    ? "none"
+    : "grainBgMove 0.6s steps(1) infinite";
+}
+
+function syncRemotePulsesWithTvState() {
+  if (isTouchDevice()) {
+    if (tvOn) {
+      stopIosPowerPulse();
+      startIosRemotePulse();
+    } else {
+      stopIosRemotePulse();
+      startIosPowerPulse();
+    }
+  } else {
+    syncDesktopPulseWithTvState();
+  }
+}
+
+function setReducedMotion(on, { fromUser = false } = {}) {
+  on = !!on;
+  if (fromUser) reducedMotionUserSet = true;
+  if (on === reducedMotion) return;
+
+  reducedMotion = on;
+  applyReducedMotion();
+  syncRemotePulsesWithTvState();
+
+  if (tvTransitionActive) tvTransitionActive = false;
+
+  console.log(reducedMotion ? "🧘 Reduced motion ON" : "🌀 Reduced motion OFF");
+
+  if (fromUser) {
+    trackSceneClick("reduced_motion_toggle", { state: reducedMotion ? "on" : "off" });
+  }
+}
+
+reducedMotionQuery?.addEventListener?.("change", (e) => {
+  if (reducedMotionUserSet) return;
+  setReducedMotion(e.matches);
+});
+
+applyReducedMotion();
+
 const iosNightVisionOverlay = document.createElement("div");
 iosNightVisionOverlay.style.position = "fixed";
 iosNightVisionOverlay.style.left = "0";
@@ -3409,6 +4357,7 @@ speakerHintSub.innerText = "double click: next track";
 
 speakerHint.appendChild(speakerHintMain);
 speakerHint.appendChild(speakerHintSub);
+speakerHint.setAttribute("role", "status");
 
 speakerHint.style.position = "fixed";
 speakerHint.style.left = "50%";
@@ -3553,6 +4502,9 @@ photoOverlayImg.style.maxHeight = "96%";
 photoOverlayImg.style.objectFit = "contain";
 photoOverlayImg.style.boxShadow = "0 20px 80px rgba(0,0,0,0.6)";
 photoOverlayImg.style.pointerEvents = "none"; // ✅ clicks go to buttons/overlay
+photoOverlayImg.style.transformOrigin = "50% 50%";
+photoOverlayImg.style.willChange = "transform";
+photoOverlayImg.draggable = false;
 
 overlayCenter.appendChild(photoOverlayImg);
 photoOverlay.appendChild(overlayCenter);
@@ -3561,12 +4513,12 @@ photoOverlay.appendChild(overlayCenter);
 const overlayPrev = document.createElement("button");
 overlayPrev.innerHTML = "&lt;";
 overlayPrev.style.position = "absolute";
-overlayPrev.style.left = isIOSDevice() ? "16px" : "18px";
+overlayPrev.style.left = isTouchDevice() ? "16px" : "18px";
 overlayPrev.style.top = "50%";
 overlayPrev.style.transform = "translateY(-50%)";
-overlayPrev.style.width = isIOSDevice() ? "46px" : "64px";
-overlayPrev.style.height = isIOSDevice() ? "46px" : "64px";
-overlayPrev.style.fontSize = isIOSDevice() ? "24px" : "34px";
+overlayPrev.style.width = isTouchDevice() ? "46px" : "64px";
+overlayPrev.style.height = isTouchDevice() ? "46px" : "64px";
+overlayPrev.style.fontSize = isTouchDevice() ? "24px" : "34px";
 overlayPrev.style.border = "none";
 overlayPrev.style.background = "transparent";
 overlayPrev.style.borderRadius = "0";
@@ -3580,10 +4532,10 @@ overlayPrev.style.justifyContent = "center";
 const overlayNext = document.createElement("button");
 overlayNext.innerHTML = "&gt;";
 overlayNext.style.position = "absolute";
-overlayNext.style.right = isIOSDevice() ? "16px" : "18px";
-overlayNext.style.width = isIOSDevice() ? "46px" : "64px";
-overlayNext.style.height = isIOSDevice() ? "46px" : "64px";
-overlayNext.style.fontSize = isIOSDevice() ? "24px" : "34px";
+overlayNext.style.right = isTouchDevice() ? "16px" : "18px";
+overlayNext.style.width = isTouchDevice() ? "46px" : "64px";
+overlayNext.style.height = isTouchDevice() ? "46px" : "64px";
+overlayNext.style.fontSize = isTouchDevice() ? "24px" : "34px";
 overlayNext.style.top = "50%";
 overlayNext.style.transform = "translateY(-50%)";
 overlayNext.style.border = "none";
@@ -3657,7 +4609,7 @@ videoOverlayEl.style.boxShadow = "0 20px 80px rgba(0,0,0,0.6)";
 videoOverlayEl.style.background = "#000";
 videoOverlayEl.playsInline = true;
 videoOverlayEl.setAttribute("webkit-playsinline", "");
-videoOverlayEl.controls = true; // ✅ allow real fullscreen controls
+videoOverlayEl.controls = false; // ✅ transport bar below; native controls only in fullscreen
 videoOverlayEl.loop = true;
 videoOverlayEl.preload = "auto";
 
@@ -3755,10 +4707,10 @@ videoOverlayExit.style.backdropFilter = "blur(6px)";
 const videoOverlayPrev = document.createElement("button");
 videoOverlayPrev.innerHTML = "&lt;";
 videoOverlayPrev.style.position = "absolute";
-videoOverlayPrev.style.left = isIOSDevice() ? "16px" : "18px";
-videoOverlayPrev.style.width = isIOSDevice() ? "46px" : "64px";
-videoOverlayPrev.style.height = isIOSDevice() ? "46px" : "64px";
-videoOverlayPrev.style.fontSize = isIOSDevice() ? "24px" : "34px";
+videoOverlayPrev.style.left = isTouchDevice() ? "16px" : "18px";
+videoOverlayPrev.style.width = isTouchDevice() ? "46px" : "64px";
+videoOverlayPrev.style.height = isTouchDevice() ? "46px" : "64px";
+videoOverlayPrev.style.fontSize = isTouchDevice() ? "24px" : "34px";
 videoOverlayPrev.style.top = "50%";
 videoOverlayPrev.style.transform = "translateY(-50%)";
 videoOverlayPrev.style.border = "none";
@@ -3774,10 +4726,10 @@ videoOverlayPrev.style.justifyContent = "center";
 const videoOverlayNext = document.createElement("button");
 videoOverlayNext.innerHTML = "&gt;";
 videoOverlayNext.style.position = "absolute";
-videoOverlayNext.style.right = isIOSDevice() ? "16px" : "18px";
-videoOverlayNext.style.width = isIOSDevice() ? "46px" : "64px";
-videoOverlayNext.style.height = isIOSDevice() ? "46px" : "64px";
-videoOverlayNext.style.fontSize = isIOSDevice() ? "24px" : "34px";
+videoOverlayNext.style.right = isTouchDevice() ? "16px" : "18px";
+videoOverlayNext.style.width = isTouchDevice() ? "46px" : "64px";
+videoOverlayNext.style.height = isTouchDevice() ? "46px" : "64px";
+videoOverlayNext.style.fontSize = isTouchDevice() ? "24px" : "34px";
 videoOverlayNext.style.top = "50%";
 videoOverlayNext.style.transform = "translateY(-50%)";
 videoOverlayNext.style.border = "none";
@@ -3829,7 +4781,7 @@ function refitCameraAfterViewportChange() {
   setInitialCameraFraming();
 }
 
-if (isIOS && window.visualViewport) {
+if (isTouch && window.visualViewport) {
   window.visualViewport.addEventListener("resize", () => {
     requestAnimationFrame(() => {
       requestAnimationFrame(refitCameraAfterViewportChange);
@@ -3907,7 +4859,7 @@ modelOverlayEl.style.boxShadow = "0 20px 80px rgba(0,0,0,0.6)";
 modelOverlayEl.style.background = "#000";
 modelOverlayEl.playsInline = true;
 modelOverlayEl.setAttribute("webkit-playsinline", "");
-modelOverlayEl.controls = true;
+modelOverlayEl.controls = false; // native controls only in fullscreen
 modelOverlayEl.loop = true;
 modelOverlayEl.preload = "auto";
 
@@ -3950,6 +4902,8 @@ function sizeModelOverlayMedia() {
 
   modelOverlayImg.style.maxWidth = `${maxW}px`;
   modelOverlayImg.style.maxHeight = `${maxH}px`;
+
+  if (modelViewerInOverlay) sizeModelViewerForOverlay();
 }
 
 function freezeTvModelForOverlay() {
@@ -4019,10 +4973,10 @@ modelOverlayExit.style.backdropFilter = "blur(6px)";
 const modelOverlayPrev = document.createElement("button");
 modelOverlayPrev.innerHTML = "&lt;";
 modelOverlayPrev.style.position = "absolute";
-modelOverlayPrev.style.left = isIOSDevice() ? "16px" : "18px";
-modelOverlayPrev.style.width = isIOSDevice() ? "46px" : "64px";
-modelOverlayPrev.style.height = isIOSDevice() ? "46px" : "64px";
-modelOverlayPrev.style.fontSize = isIOSDevice() ? "24px" : "34px";
+modelOverlayPrev.style.left = isTouchDevice() ? "16px" : "18px";
+modelOverlayPrev.style.width = isTouchDevice() ? "46px" : "64px";
+modelOverlayPrev.style.height = isTouchDevice() ? "46px" : "64px";
+modelOverlayPrev.style.fontSize = isTouchDevice() ? "24px" : "34px";
 modelOverlayPrev.style.top = "50%";
 modelOverlayPrev.style.transform = "translateY(-50%)";
 modelOverlayPrev.style.border = "none";
@@ -4038,10 +4992,10 @@ modelOverlayPrev.style.justifyContent = "center";
 const modelOverlayNext = document.createElement("button");
 modelOverlayNext.innerHTML = "&gt;";
 modelOverlayNext.style.position = "absolute";
-modelOverlayNext.style.right = isIOSDevice() ? "16px" : "18px";
-modelOverlayNext.style.width = isIOSDevice() ? "46px" : "64px";
-modelOverlayNext.style.height = isIOSDevice() ? "46px" : "64px";
-modelOverlayNext.style.fontSize = isIOSDevice() ? "24px" : "34px";
+modelOverlayNext.style.right = isTouchDevice() ? "16px" : "18px";
+modelOverlayNext.style.width = isTouchDevice() ? "46px" : "64px";
+modelOverlayNext.style.height = isTouchDevice() ? "46px" : "64px";
+modelOverlayNext.style.fontSize = isTouchDevice() ? "24px" : "34px";
 modelOverlayNext.style.top = "50%";
 modelOverlayNext.style.transform = "translateY(-50%)";
 modelOverlayNext.style.border = "none";
@@ -4053,8 +5007,54 @@ modelOverlayNext.style.display = "flex";
 modelOverlayNext.style.alignItems = "center";
 modelOverlayNext.style.justifyContent = "center";
 
+// .glb controls (bottom center): auto-rotate + shaded/matcap/wireframe
+const modelOverlayViewerBar = document.createElement("div");
+modelOverlayViewerBar.style.position = "absolute";
+modelOverlayViewerBar.style.left = "50%";
+modelOverlayViewerBar.style.bottom = "calc(18px + env(safe-area-inset-bottom))";
+modelOverlayViewerBar.style.transform = "translateX(-50%)";
+modelOverlayViewerBar.style.display = "none";
+modelOverlayViewerBar.style.gap = "10px";
+
+function makeModelViewerBarButton() {
+  const b = document.createElement("button");
+  b.style.height = "40px";
+  b.style.padding = "0 16px";
+  b.style.borderRadius = "12px";
+  b.style.border = "1px solid rgba(255,255,255,0.25)";
+  b.style.background = "rgba(0,0,0,0.35)";
+  b.style.color = "#fff";
+  b.style.font = "14px Arial";
+  b.style.letterSpacing = "0.08em";
+  b.style.cursor = "pointer";
+  b.style.backdropFilter = "blur(6px)";
+  modelOverlayViewerBar.appendChild(b);
+  return b;
+}
+
+const modelOverlayRotateBtn = makeModelViewerBarButton();
+const modelOverlayShadingBtn = makeModelViewerBarButton();
+
+function refreshModelViewerBar() {
+  const spinning = !!modelViewerControls?.autoRotate;
+  modelOverlayRotateBtn.textContent = spinning ? "⟳ AUTO-ROTATE ON" : "⟳ AUTO-ROTATE OFF";
+  modelOverlayRotateBtn.style.opacity = spinning ? "1" : "0.6";
+  modelOverlayShadingBtn.textContent = `VIEW: ${modelViewerShading.toUpperCase()}`;
+}
+
+modelOverlayRotateBtn.addEventListener("click", (e) => {
+  e.stopPropagation();
+  toggleModelViewerAutoRotate();
+});
+
+modelOverlayShadingBtn.addEventListener("click", (e) => {
+  e.stopPropagation();
+  cycleModelViewerShading();
+});
+
 modelOverlay.appendChild(modelOverlayPrev);
 modelOverlay.appendChild(modelOverlayNext);
+modelOverlay.appendChild(modelOverlayViewerBar);
 modelOverlay.appendChild(modelOverlayExit);
 document.body.appendChild(modelOverlay);
 
@@ -4083,12 +5083,26 @@ window.addEventListener("keydown", (e) => {
   if (e.key === "Escape") closeModelOverlay();
 });
 
+// V cycles the .glb view (TV or overlay)
+window.addEventListener("keydown", (e) => {
+  if (e.key !== "v" && e.key !== "V") return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (isTypingTarget(e.target)) return;
+  if (modelMediaType !== "glb") return;
+  if (!modelOverlayOpen && !(tvOn && tvUiState === "3D MODEL")) return;
+
+  cycleModelViewerShading();
+});
+
 async function openModelOverlay() {
 if (modelMediaType === "video" && !modelVideoEl) return;
 if (modelMediaType === "image" && !currentModelUrl) return;
+if (modelMediaType === "glb" && !modelViewerRoot) return;
 
   modelOverlayOpen = true;
   modelOverlay.style.display = "block";
+  refreshOverlayInfoCaption();
+  refreshModelOverlayTransport();
 
   sizeModelOverlayMedia();
 
@@ -4102,6 +5116,16 @@ if (modelMediaType === "image" && !currentModelUrl) return;
   showPowerHint(false);
   hideRemoteHints();
 
+if (modelMediaType === "glb") {
+  // ✅ move the live viewer canvas in (orbit + zoom enabled there)
+  modelOverlayEl.pause();
+  modelOverlayEl.style.display = "none";
+  modelOverlayImg.style.display = "none";
+
+  attachModelViewerToOverlay();
+  return;
+}
+
 if (modelMediaType === "image") {
   // ✅ show image, hide video
   modelOverlayEl.pause();
@@ -4136,6 +5160,8 @@ function closeModelOverlay() {
   modelOverlayOpen = false;
   modelOverlay.style.display = "none";
 
+  detachModelViewerFromOverlay();
+
   loadModelAt(modelIndex, { autoPlay: false });
 
   tvModelSuppressed = false;
@@ -4170,8 +5196,27 @@ const n = list.length;
 modelIndex = (modelIndex + delta + n) % n;
 
 const url = list[modelIndex];
+refreshOverlayInfoCaption();
+syncTvRoute();
 
   try {
+    // GLB PATH (loads through the TV gallery, same viewer canvas)
+  if (isGlbUrl(url)) {
+  modelOverlayEl.pause();
+  modelOverlayEl.removeAttribute("src");
+  modelOverlayEl.load();
+  modelOverlayEl.style.display = "none";
+  modelOverlayImg.src = "";
+  modelOverlayImg.style.display = "none";
+
+  currentModelUrl = url;
+  loadModelAt(modelIndex, { autoPlay: false });
+  if (modelMediaType === "glb") attachModelViewerToOverlay();
+  return;
+}
+
+  detachModelViewerFromOverlay();
+
     // IMAGE PATH
   if (isImageUrl(url)) {
   currentModelUrl = url;
@@ -4224,6 +5269,8 @@ async function openVideoOverlay() {
 
   videoOverlayOpen = true;
   videoOverlay.style.display = "block";
+  refreshOverlayInfoCaption();
+  refreshVideoOverlayTransport();
 
   tvVideoSuppressed = false;
   pauseVideo();
@@ -4271,7 +5318,7 @@ function closeVideoOverlay() {
 // Click outside buttons closes
 photoOverlay.addEventListener("click", (e) => {
   // only close if they clicked the dark background (not a button)
-  if (e.target === photoOverlay) closePhotoOverlay();
+  if (e.target === photoOverlay && !photoGesture.moved) closePhotoOverlay();
 });
 
 // Exit button closes
@@ -4283,14 +5330,12 @@ overlayExit.addEventListener("click", (e) => {
 // Prev/Next buttons
 overlayPrev.addEventListener("click", (e) => {
   e.stopPropagation();
-  nextPhoto(-1);                // ✅ uses your existing gallery function
-  openPhotoOverlay(currentPhotoUrl); // ✅ refresh overlay image
+  overlayNextPhoto(-1);
 });
 
 overlayNext.addEventListener("click", (e) => {
   e.stopPropagation();
-  nextPhoto(+1);
-  openPhotoOverlay(currentPhotoUrl);
+  overlayNextPhoto(+1);
 });
 
 // ESC closes + arrow keys navigate while overlay open
@@ -4302,13 +5347,15 @@ window.addEventListener("keydown", (e) => {
     return;
   }
   if (e.key === "ArrowLeft") {
-    nextPhoto(-1);
-    openPhotoOverlay(currentPhotoUrl);
+    overlayNextPhoto(-1);
     return;
   }
   if (e.key === "ArrowRight") {
-    nextPhoto(+1);
-    openPhotoOverlay(currentPhotoUrl);
+    overlayNextPhoto(+1);
+    return;
+  }
+  if (e.key === "0") {
+    resetPhotoOverlayZoom();
     return;
   }
 });
@@ -4319,6 +5366,9 @@ function openPhotoOverlay(url) {
   overlayOpen = true;
   photoOverlayImg.src = url;
   photoOverlay.style.display = "block";
+  resetPhotoOverlayZoom();
+  preloadPhotoOverlayNeighbours();
+  refreshOverlayInfoCaption();
 
   // hide hint when fullscreen opens
   showTvHint(false);
@@ -4331,24 +5381,324 @@ function closePhotoOverlay() {
   overlayOpen = false;
   photoOverlay.style.display = "none";
   photoOverlayImg.src = "";
+  resetPhotoOverlayZoom();
 }
 
-
 // ============================================================
-// TV UI (Option A: Canvas -> CanvasTexture)
+// ✅ PHOTO OVERLAY: gallery nav + zoom/pan
+// arrows / ←→ / swipe step through the current subcategory (TV follows
+// via loadPhotoAt), wheel + pinch zoom, drag pans, double-click resets
 // ============================================================
-const tvCanvas = document.createElement("canvas");
-tvCanvas.width = 1920;
-tvCanvas.height = 1080;
+const PHOTO_ZOOM = {
+  max: 6,
+  wheelStep: 0.003,     // per wheel deltaY pixel
+  swipeMinPx: 50,
+  doubleTapMs: 300,
+};
 
-const tvCtx = tvCanvas.getContext("2d");
-tvCtx.imageSmoothingEnabled = true;
+let photoZoom = { scale: 1, x: 0, y: 0 };
+
+const photoGesture = {
+  pointers: new Map(),  // pointerId -> { x, y }
+  startX: 0,
+  startY: 0,
+  startT: 0,
+  pinchDist: 0,
+  pinchScale: 1,
+  moved: false,
+  lastTapT: 0,
+};
 
-// ✅ Stable photo styling buffers
-// We blur the TV photo using a low-res offscreen pass so iOS always keeps the look.
-const tvPhotoFxCanvas = document.createElement("canvas");
-tvPhotoFxCanvas.width = 1920;
-tvPhotoFxCanvas.height = 1080;
+// neighbours so prev/next is instant
+const photoOverlayPreload = [new Image(), new Image()];
+
+function getCurrentPhotoList() {
+  const key = (selectedSubcategory || "").toUpperCase();
+  return PHOTO_CATEGORIES[key] || [];
+}
+
+function preloadPhotoOverlayNeighbours() {
+  const list = getCurrentPhotoList();
+  const n = list.length;
+  if (n < 2) return;
+
+  photoOverlayPreload[0].src = list[(photoIndex + 1) % n];
+  photoOverlayPreload[1].src = list[(photoIndex - 1 + n) % n];
+}
+
+function overlayNextPhoto(delta) {
+  if (!overlayOpen) return;
+  if (tvUiState !== "PHOTO") return;
+
+  const list = getCurrentPhotoList();
+  if (!list.length) return;
+
+  // keep TV + photoIndex in sync (also updates the route)
+  loadPhotoAt(photoIndex + delta);
+
+  photoOverlayImg.src = list[photoIndex];
+  resetPhotoOverlayZoom();
+  preloadPhotoOverlayNeighbours();
+  refreshOverlayInfoCaption();
+
+  trackSceneClick("photo_overlay_nav", { direction: delta > 0 ? "next" : "prev", index: photoIndex });
+}
+
+function applyPhotoOverlayZoom() {
+  const { scale, x, y } = photoZoom;
+  photoOverlayImg.style.transform = scale === 1 ? "" : `translate(${x}px, ${y}px) scale(${scale})`;
+  photoOverlayImg.style.cursor = scale > 1 ? "grab" : "";
+}
+
+function clampPhotoOverlayPan() {
+  // pan only as far as the zoomed image reaches past its resting box
+  const maxX = (photoOverlayImg.offsetWidth * (photoZoom.scale - 1)) / 2;
+  const maxY = (photoOverlayImg.offsetHeight * (photoZoom.scale - 1)) / 2;
+
+  photoZoom.x = THREE.MathUtils.clamp(photoZoom.x, -maxX, maxX);
+  photoZoom.y = THREE.MathUtils.clamp(photoZoom.y, -maxY, maxY);
+}
+
+function resetPhotoOverlayZoom() {
+  photoZoom = { scale: 1, x: 0, y: 0 };
+  applyPhotoOverlayZoom();
+}
+
+// zoom keeping the point under (clientX, clientY) fixed
+function zoomPhotoOverlayAt(nextScale, clientX, clientY) {
+  const s = photoZoom.scale;
+  const s2 = THREE.MathUtils.clamp(nextScale, 1, PHOTO_ZOOM.max);
+  if (s2 === s) return;
+
+  const r = overlayCenter.getBoundingClientRect();
+  const px = clientX - (r.left + r.width * 0.5);
+  const py = clientY - (r.top + r.height * 0.5);
+
+  photoZoom.x = px - ((px - photoZoom.x) / s) * s2;
+  photoZoom.y = py - ((py - photoZoom.y) / s) * s2;
+  photoZoom.scale = s2;
+
+  if (s2 === 1) {
+    photoZoom.x = 0;
+    photoZoom.y = 0;
+  }
+
+  clampPhotoOverlayPan();
+  applyPhotoOverlayZoom();
+}
+
+photoOverlay.style.touchAction = "none"; // we handle pinch + swipe ourselves
+
+photoOverlay.addEventListener("wheel", (e) => {
+  if (!overlayOpen) return;
+  e.preventDefault();
+
+  zoomPhotoOverlayAt(photoZoom.scale * Math.exp(-e.deltaY * PHOTO_ZOOM.wheelStep), e.clientX, e.clientY);
+}, { passive: false });
+
+photoOverlay.addEventListener("dblclick", (e) => {
+  if (e.target.closest("button")) return;
+  resetPhotoOverlayZoom();
+});
+
+photoOverlay.addEventListener("pointerdown", (e) => {
+  if (!overlayOpen || e.target.closest("button")) return;
+
+  // no setPointerCapture on the root: it would retarget the follow-up
+  // click to photoOverlay and close the overlay on every tap (the overlay
+  // is full-screen, so moves/ups reach it without capture anyway)
+  photoGesture.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+  if (photoGesture.pointers.size === 1) {
+    photoGesture.startX = e.clientX;
+    photoGesture.startY = e.clientY;
+    photoGesture.startT = performance.now();
+    photoGesture.moved = false;
+  }
+
+  if (photoGesture.pointers.size === 2) {
+    const [a, b] = [...photoGesture.pointers.values()];
+    photoGesture.pinchDist = Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    photoGesture.pinchScale = photoZoom.scale;
+    photoGesture.moved = true;
+  }
+});
+
+photoOverlay.addEventListener("pointermove", (e) => {
+  const prev = photoGesture.pointers.get(e.pointerId);
+  if (!prev) return;
+
+  const cur = { x: e.clientX, y: e.clientY };
+  photoGesture.pointers.set(e.pointerId, cur);
+
+  // pinch
+  if (photoGesture.pointers.size >= 2) {
+    const [a, b] = [...photoGesture.pointers.values()];
+    const dist = Math.hypot(a.x - b.x, a.y - b.y);
+    zoomPhotoOverlayAt(
+      photoGesture.pinchScale * (dist / photoGesture.pinchDist),
+      (a.x + b.x) * 0.5,
+      (a.y + b.y) * 0.5
+    );
+    return;
+  }
+
+  if (Math.hypot(cur.x - photoGesture.startX, cur.y - photoGesture.startY) > 6) {
+    photoGesture.moved = true;
+  }
+
+  // pan (only while zoomed — at 1x a drag is a swipe)
+  if (photoZoom.scale > 1) {
+    photoZoom.x += cur.x - prev.x;
+    photoZoom.y += cur.y - prev.y;
+    clampPhotoOverlayPan();
+    applyPhotoOverlayZoom();
+  }
+});
+
+function endPhotoOverlayPointer(e) {
+  if (!photoGesture.pointers.has(e.pointerId)) return;
+
+  const wasSingle = photoGesture.pointers.size === 1;
+  photoGesture.pointers.delete(e.pointerId);
+
+  // pinch → one finger left: restart from there so it doesn't jump
+  if (photoGesture.pointers.size === 1) {
+    const [p] = [...photoGesture.pointers.values()];
+    photoGesture.startX = p.x;
+    photoGesture.startY = p.y;
+    return;
+  }
+
+  if (!wasSingle || e.type === "pointercancel") return;
+
+  const dx = e.clientX - photoGesture.startX;
+  const dy = e.clientY - photoGesture.startY;
+
+  // swipe at 1x → prev/next
+  if (photoZoom.scale === 1 && Math.abs(dx) > PHOTO_ZOOM.swipeMinPx && Math.abs(dx) > Math.abs(dy) * 1.5) {
+    overlayNextPhoto(dx < 0 ? +1 : -1);
+    return;
+  }
+
+  // touch double-tap resets (desktop gets dblclick)
+  if (!photoGesture.moved && e.pointerType === "touch") {
+    const now = performance.now();
+    if (now - photoGesture.lastTapT < PHOTO_ZOOM.doubleTapMs) {
+      resetPhotoOverlayZoom();
+      photoGesture.lastTapT = 0;
+    } else {
+      photoGesture.lastTapT = now;
+    }
+  }
+}
+
+photoOverlay.addEventListener("pointerup", endPhotoOverlayPointer);
+photoOverlay.addEventListener("pointercancel", endPhotoOverlayPointer);
+
+// ============================================================
+// ✅ OVERLAY INFO CAPTION (same data as the TV lower-third)
+// top-left so it never fights the native video controls
+// ============================================================
+function makeOverlayInfoCaption() {
+  const el = document.createElement("div");
+  el.style.position = "absolute";
+  el.style.left = isTouchDevice() ? "16px" : "22px";
+  el.style.top = "18px";
+  el.style.maxWidth = "min(560px, 70vw)";
+  el.style.padding = "10px 14px";
+  el.style.borderRadius = "12px";
+  el.style.background = "rgba(0,0,0,0.35)";
+  el.style.backdropFilter = "blur(6px)";
+  el.style.color = "#fff";
+  el.style.fontFamily = "Arial, sans-serif";
+  el.style.fontSize = "13px";
+  el.style.lineHeight = "1.4";
+  el.style.pointerEvents = "none";
+  el.style.display = "none";
+  return el;
+}
+
+const photoOverlayInfo = makeOverlayInfoCaption();
+const videoOverlayInfo = makeOverlayInfoCaption();
+const modelOverlayInfo = makeOverlayInfoCaption();
+
+photoOverlay.appendChild(photoOverlayInfo);
+videoOverlay.appendChild(videoOverlayInfo);
+modelOverlay.appendChild(modelOverlayInfo);
+
+function fillOverlayInfoCaption(el, info) {
+  el.replaceChildren();
+
+  if (!info) {
+    el.style.display = "none";
+    return;
+  }
+
+  const title = document.createElement("div");
+  title.style.fontWeight = "bold";
+  title.style.fontSize = "16px";
+  title.textContent = info.title;
+  el.appendChild(title);
+
+  const metaLine = [info.meta, `${info.index + 1} / ${info.count}`].filter(Boolean).join("  ·  ");
+  const meta = document.createElement("div");
+  meta.style.opacity = "0.72";
+  meta.textContent = metaLine;
+  el.appendChild(meta);
+
+  if (tvCreditsOpen) {
+    for (const c of info.credits) {
+      const row = document.createElement("div");
+      row.style.marginTop = "4px";
+      row.textContent = c.role ? `${c.role} — ${c.name}` : c.name;
+      el.appendChild(row);
+    }
+
+    if (info.description) {
+      const desc = document.createElement("div");
+      desc.style.marginTop = "8px";
+      desc.style.opacity = "0.82";
+      desc.textContent = info.description;
+      el.appendChild(desc);
+    }
+  }
+
+  el.style.display = "block";
+}
+
+function refreshOverlayInfoCaption() {
+  fillOverlayInfoCaption(photoOverlayInfo, overlayOpen ? getCurrentTvItemInfo("PHOTO") : null);
+  fillOverlayInfoCaption(videoOverlayInfo, videoOverlayOpen ? getCurrentTvItemInfo("VIDEO") : null);
+  fillOverlayInfoCaption(modelOverlayInfo, modelOverlayOpen ? getCurrentTvItemInfo("3D MODEL") : null);
+}
+
+// "I" toggles the credits page (TV + whichever overlay is open)
+window.addEventListener("keydown", (e) => {
+  if (e.repeat) return;
+  if (e.key !== "i" && e.key !== "I") return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (isTypingTarget(e.target)) return;
+
+  toggleTvCredits();
+});
+
+
+// ============================================================
+// TV UI (Option A: Canvas -> CanvasTexture)
+// ============================================================
+const tvCanvas = document.createElement("canvas");
+tvCanvas.width = 1920;
+tvCanvas.height = 1080;
+
+const tvCtx = tvCanvas.getContext("2d");
+tvCtx.imageSmoothingEnabled = true;
+
+// ✅ Stable photo styling buffers
+// We blur the TV photo using a low-res offscreen pass so iOS always keeps the look.
+const tvPhotoFxCanvas = document.createElement("canvas");
+tvPhotoFxCanvas.width = 1920;
+tvPhotoFxCanvas.height = 1080;
 const tvPhotoFxCtx = tvPhotoFxCanvas.getContext("2d");
 tvPhotoFxCtx.imageSmoothingEnabled = true;
 
@@ -4399,6 +5749,7 @@ let tvTransitionType = "slide";
 
 function beginTvPageTransition(type = "slide") {
   if (!tvCanvas || !tvCtx || !tvTransitionCanvas || !tvTransitionCtx) return;
+  if (reducedMotion) return; // instant cut
 
   tvTransitionCtx.clearRect(
     0,
@@ -4487,89 +5838,6 @@ const TV_CAROUSEL_STYLE = {
   edgeFadeW: 220,
 };
 
-const TV_PREVIEW_LABELS = {
-  PHOTO: {
-    portraits:     ["face", "studio", "close-up", "profile", "grain"],
-    surfaces:      ["metal", "wall", "texture", "paint", "detail"],
-    environments:  ["hall", "room", "street", "window", "interior"],
-  },
-  VIDEO: {
-    cinematic:     ["wide", "night", "tracking", "slow", "frame"],
-    commercial:    ["clean", "product", "brand", "cut", "shine"],
-    music:         ["performance", "flash", "beat", "crowd", "stage"],
-    experimental:  ["abstract", "glitch", "loop", "distort", "noise"],
-  },
-  "3D MODEL": {
-    boards:        ["deck", "truck", "wheel", "grip", "shape"],
-    objects:       ["prop", "asset", "form", "scan", "mesh"],
-    architecture:  ["facade", "stairs", "room", "tower", "frame"],
-  },
-};
-
-const TV_PREVIEW_IMAGES = {
-  PHOTO: {
-    portraits: [
-      "./assets/Photo/Portrait/02-Portrait.jpg",
-      "./assets/Photo/Portrait/03-Portrait.jpg",
-      "./assets/Photo/Portrait/07-Portrait.jpg",
-      "./assets/Photo/Portrait/08-Portrait.jpg",
-      "./assets/Photo/Portrait/09-Portrait.jpg",
-      "./assets/Photo/Portrait/14-Portrait.jpg",
-    ],
-    surfaces: [
-      "./assets/Photo/Surfaces/01-Surfaces.jpg",
-      "./assets/Photo/Surfaces/02-Surfaces.jpg",
-      "./assets/Photo/Surfaces/03-Surfaces.jpg",
-    ],
-    environments: [
-      "./assets/Photo/Environment/01-Environment.jpg",
-      "./assets/Photo/Environment/02-Environment.jpg",
-      "./assets/Photo/Environment/03-Environment.jpg",
-      "./assets/Photo/Environment/04-Environment.jpg",
-    ],
-  },
-
-  VIDEO: {
-    cinematic: [
-      "./assets/Video/Cinematic/01-Cinematic.jpg",
-    ],
-    commercial: [
-      "./assets/Video/Commercial/01-Commercial.jpg",
-      "./assets/Video/Commercial/02-Commercial.jpg",
-    ],
-    music: [
-      "./assets/Video/Music/01-Music.jpg",
-      "./assets/Video/Music/02-Music.jpg",
-      "./assets/Video/Music/03-Music.jpg",
-      "./assets/Video/Music/04-Music.jpg",
-      
-    ],
-    experimental: [
-      "./assets/Video/Experimental/01-Experimental.jpg",
-    ],
-  },
-
-  "3D MODEL": {
-    boards: [
-      "./assets/3D Model/Boards/01-Boards.jpg",
-      "./assets/3D Model/Boards/02-Boards.jpg",
-      "./assets/3D Model/Boards/03-Boards.jpg",
-    ],
-    objects: [
-      "./assets/3D Model/Objects/01-Objects.jpg",
-      "./assets/3D Model/Objects/02-Objects.jpg",
-      "./assets/3D Model/Objects/03-Objects.jpg",
-      "./assets/3D Model/Objects/04-Objects.jpg",
-      "./assets/3D Model/Objects/05-Objects.jpg",
-      "./assets/3D Model/Objects/06-Objects.jpg",
-      "./assets/3D Model/Objects/07-Objects.jpg",
-    ],
-    architecture: [
-      "./assets/3D Model/Architecture/01-Architecture.jpg",
-    ],
-  },
-};
-
 const tvCarouselImageCache = new Map();
 
 function loadTvCarouselImage(src) {
@@ -4612,27 +5880,27 @@ function getActiveTvSelectionIndex() {
 }
 
 function getTvMenuLayout(state = tvUiState) {
-  const isIOS = isIOSDevice();
+  const touchUI = isTouchDevice(); // bigger rows for fingers
 
   if (state === "SUBCATEGORY_MENU") {
     return {
   titleY: tvCanvas.height * TV_MENU_LAYOUT.subTopTitleY,
   listCenterY: tvCanvas.height * TV_MENU_LAYOUT.subMenuCenterY,
-  gapY: isIOS ? TV_MENU_LAYOUT.subGapIOS : TV_MENU_LAYOUT.subGapDesktop,
-  font: isIOS ? "112px Arial" : "96px Arial",
-  titleFont: isIOS ? "bold 58px Arial" : "bold 50px Arial",
+  gapY: touchUI ? TV_MENU_LAYOUT.subGapIOS : TV_MENU_LAYOUT.subGapDesktop,
+  font: touchUI ? "112px Arial" : "96px Arial",
+  titleFont: touchUI ? "bold 58px Arial" : "bold 50px Arial",
   highlightW: tvCanvas.width * 0.42,
-  highlightH: isIOS ? 92 : 84,
+  highlightH: touchUI ? 92 : 84,
 };
   }
 return {
   titleY: tvCanvas.height * TV_MENU_LAYOUT.topTitleY,
   listCenterY: tvCanvas.height * TV_MENU_LAYOUT.menuCenterY,
-  gapY: isIOS ? TV_MENU_LAYOUT.menuGapIOS : TV_MENU_LAYOUT.menuGapDesktop,
-  font: isIOS ? "bold 116px Arial" : "bold 100px Arial",
+  gapY: touchUI ? TV_MENU_LAYOUT.menuGapIOS : TV_MENU_LAYOUT.menuGapDesktop,
+  font: touchUI ? "bold 116px Arial" : "bold 100px Arial",
   titleFont: null,
   highlightW: tvCanvas.width * 0.36,
-  highlightH: isIOS ? 96 : 88,
+  highlightH: touchUI ? 96 : 88,
 };
 }
 
@@ -4732,8 +6000,8 @@ function updateGhostPreviewFx(dt) {
     }
   }
 
-  // auto-cycle through all images in current pool
-  if (tvGhostPool.length > 1) {
+  // auto-cycle through all images in current pool (holds on the first in reduced motion)
+  if (tvGhostPool.length > 1 && !reducedMotion) {
     tvGhostCycleTimer += dt;
 
     if (tvGhostCycleTimer >= TV_GHOST_PREVIEW.cycleInterval) {
@@ -4893,8 +6161,9 @@ function updateTvMenuFx(dt) {
   // ============================================================
   // iOS: do NOT animate / lerp the highlight
   // keep it locked to the active selection at all times
+  // (same for reduced motion)
   // ============================================================
-  if (isIOSDevice()) {
+  if (isTouchDevice() || reducedMotion) {
     syncTvHighlightToCurrentSelection(true);
     updateGhostPreviewFx(dt);
     return;
@@ -4918,13 +6187,13 @@ function drawAnimatedSelectionBar(ctx, w) {
 
   ctx.save();
   ctx.shadowColor = "rgba(255,255,255,0.08)";
-  ctx.shadowBlur = isIOSDevice() ? 0 : 6;
+  ctx.shadowBlur = isTouchDevice() ? 0 : 6;
 
   // ============================================================
   // iOS: use a stable solid highlight so it never fades away
   // Desktop: keep your animated gradient
   // ============================================================
-  if (isIOSDevice()) {
+  if (isTouchDevice()) {
   ctx.globalAlpha = 1.0;
   ctx.filter = "none";
   ctx.shadowColor = "transparent";
@@ -5006,7 +6275,7 @@ function drawMenuItemsAnimated(ctx, items, startY, gapY, cx, selectedIndex) {
   // iOS: use a stable text path only
   // Desktop: keep the original animated path
   // ============================================================
-  if (isIOSDevice()) {
+  if (isTouchDevice()) {
     drawTvTextListIOSStable(ctx, items, startY, gapY, cx, selectedIndex);
     return;
   }
@@ -5036,7 +6305,7 @@ function drawMenuItemsAnimated(ctx, items, startY, gapY, cx, selectedIndex) {
 
 function getTvMenuBtn() {
   // Bigger button on iOS for easier tapping
-  if (isIOSDevice()) {
+  if (isTouchDevice()) {
     return {
       pad: 48,
       w: 420,
@@ -5094,7 +6363,7 @@ function drawDesktopTvSideArrows(ctx, w, h) {
   ctx.textBaseline = "middle";
 
   // iOS gets slightly smaller arrows pulled inward a bit
-  const isIOSUI = isIOSDevice();
+  const isIOSUI = isTouchDevice();
   ctx.font = isIOSUI ? "bold 96px Arial" : "bold 120px Arial";
 
   const leftX  = isIOSUI ? w * 0.09 : w * 0.05;
@@ -5147,6 +6416,286 @@ function drawDesktopTvSideArrows(ctx, w, h) {
   ctx.restore();
 }
 
+// ============================================================
+// ✅ ITEM INFO (lower-third + full credits page)
+// - data comes from content.json (title, year, client, credits, description)
+// - INFO chip next to MENU, or the "I" key, toggles the credits page
+// ============================================================
+let tvCreditsOpen = false;
+let infoHover = false;
+
+function getCurrentTvItemInfo(state = tvUiState) {
+  let list = null;
+  let index = 0;
+
+  const key = (selectedSubcategory || "").toUpperCase();
+
+  if (state === "PHOTO") {
+    list = PHOTO_CATEGORIES[key];
+    index = photoIndex;
+  } else if (state === "VIDEO") {
+    list = VIDEO_CATEGORIES[key];
+    index = videoIndex;
+  } else if (state === "3D MODEL") {
+    list = MODEL_CATEGORIES[key];
+    index = modelIndex;
+  }
+
+  if (!list || !list.length) return null;
+
+  const n = list.length;
+  index = ((index % n) + n) % n;
+
+  const src = list[index];
+  const item = getContentItem(src) || { src };
+  const fallbackTitle = `${(selectedSubcategory || state).toUpperCase()} ${String(index + 1).padStart(2, "0")}`;
+
+  return {
+    item,
+    index,
+    count: n,
+    title: item.title || fallbackTitle,
+    meta: [item.year, item.client].filter(Boolean).join("  ·  "),
+    credits: item.credits || [],
+    description: item.description || "",
+  };
+}
+
+function getTvInfoBtn(w) {
+  const BTN = getTvMenuBtn();
+  const bw = Math.round(BTN.w * 0.62);
+  const gap = Math.round(BTN.pad * 0.5);
+
+  return {
+    x: w - BTN.pad - BTN.w - gap - bw,
+    y: BTN.pad,
+    w: bw,
+    h: BTN.h,
+  };
+}
+
+function isTvInfoBtnHit(px, py, w, h) {
+  if (tvUiState !== "PHOTO" && tvUiState !== "VIDEO" && tvUiState !== "3D MODEL") return false;
+
+  const INFO = getTvInfoBtn(w);
+  const inX = px >= INFO.x && px <= INFO.x + INFO.w;
+
+  // same V-flip tolerance as MENU/BACK
+  const inA = py >= INFO.y && py <= INFO.y + INFO.h;
+  const inB = (h - py) >= INFO.y && (h - py) <= INFO.y + INFO.h;
+
+  return inX && (inA || inB);
+}
+
+function wrapTvText(ctx, text, maxW) {
+  const words = String(text || "").split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+
+  for (const word of words) {
+    const test = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(test).width > maxW) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = test;
+    }
+  }
+
+  if (line) lines.push(line);
+  return lines;
+}
+
+function drawTvInfoButton(ctx, w) {
+  const INFO = getTvInfoBtn(w);
+
+  ctx.save();
+
+  if (infoHover || tvCreditsOpen) {
+    ctx.globalAlpha = 0.9;
+    ctx.fillStyle = "#222";
+    ctx.shadowColor = "rgba(255,255,255,0.5)";
+    ctx.shadowBlur = 25;
+  } else {
+    ctx.globalAlpha = 0.65;
+    ctx.fillStyle = "#000";
+  }
+
+  roundRect(ctx, INFO.x, INFO.y, INFO.w, INFO.h, 18);
+  ctx.fill();
+  ctx.restore();
+
+  ctx.save();
+  ctx.globalAlpha = 0.35;
+  ctx.strokeStyle = "#fff";
+  ctx.lineWidth = 3;
+  roundRect(ctx, INFO.x, INFO.y, INFO.w, INFO.h, 18);
+  ctx.stroke();
+  ctx.restore();
+
+  ctx.save();
+  ctx.fillStyle = "#fff";
+  ctx.globalAlpha = 0.92;
+  ctx.font = "bold 46px Arial";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("INFO", INFO.x + INFO.w * 0.5, INFO.y + INFO.h * 0.52);
+  ctx.restore();
+}
+
+function drawTvLowerThird(ctx, w, h, info) {
+  const padX = isTouchDevice() ? w * 0.09 : w * 0.06;
+  const barH = info.meta ? 176 : 132;
+  const y0 = h - barH - 48;
+
+  ctx.save();
+
+  const grad = ctx.createLinearGradient(0, y0 - 60, 0, h);
+  grad.addColorStop(0, "rgba(0,0,0,0)");
+  grad.addColorStop(1, "rgba(0,0,0,0.62)");
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, y0 - 60, w, h - y0 + 60);
+
+  // accent tick
+  ctx.fillStyle = "rgba(255,255,255,0.85)";
+  ctx.fillRect(padX, y0 + 22, 6, barH - 44);
+
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#fff";
+  ctx.font = "bold 58px Arial";
+  ctx.fillText(info.title, padX + 28, y0 + (info.meta ? 62 : barH * 0.5));
+
+  if (info.meta) {
+    ctx.globalAlpha = 0.72;
+    ctx.font = "36px Arial";
+    ctx.fillText(info.meta, padX + 28, y0 + 124);
+  }
+
+  ctx.globalAlpha = 0.6;
+  ctx.textAlign = "right";
+  ctx.font = "32px Arial";
+  ctx.fillText(`${info.index + 1} / ${info.count}`, w - padX, y0 + barH * 0.5);
+
+  ctx.restore();
+}
+
+function drawTvCreditsPage(ctx, w, h, info) {
+  ctx.save();
+
+  ctx.fillStyle = "rgba(0,0,0,0.78)";
+  ctx.fillRect(0, 0, w, h);
+
+  const left = w * 0.16;
+  const maxW = w * 0.68;
+  let y = h * 0.24;
+
+  ctx.textAlign = "left";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillStyle = "#fff";
+
+  ctx.font = "bold 76px Arial";
+  ctx.fillText(info.title, left, y);
+  y += 64;
+
+  if (info.meta) {
+    ctx.globalAlpha = 0.72;
+    ctx.font = "40px Arial";
+    ctx.fillText(info.meta, left, y);
+    ctx.globalAlpha = 1;
+    y += 40;
+  }
+
+  y += 36;
+  ctx.fillStyle = "rgba(255,255,255,0.25)";
+  ctx.fillRect(left, y, maxW, 2);
+  y += 70;
+  ctx.fillStyle = "#fff";
+
+  if (info.credits.length) {
+    ctx.font = "bold 34px Arial";
+    ctx.globalAlpha = 0.55;
+    ctx.fillText("CREDITS", left, y);
+    ctx.globalAlpha = 1;
+    y += 58;
+
+    for (const c of info.credits.slice(0, 8)) {
+      ctx.font = "36px Arial";
+      ctx.globalAlpha = 0.6;
+      ctx.fillText(c.role || "", left, y);
+      ctx.globalAlpha = 1;
+      ctx.font = "bold 36px Arial";
+      ctx.fillText(c.name, left + maxW * 0.36, y);
+      y += 54;
+    }
+
+    y += 24;
+  }
+
+  if (info.description) {
+    ctx.font = "36px Arial";
+    ctx.globalAlpha = 0.82;
+    for (const line of wrapTvText(ctx, info.description, maxW).slice(0, 5)) {
+      ctx.fillText(line, left, y);
+      y += 50;
+    }
+  }
+
+  if (!info.credits.length && !info.description) {
+    ctx.font = "36px Arial";
+    ctx.globalAlpha = 0.55;
+    ctx.fillText("No credits listed for this piece yet.", left, y);
+  }
+
+  ctx.globalAlpha = 0.5;
+  ctx.textAlign = "center";
+  ctx.font = "30px Arial";
+  ctx.fillText(isTouchDevice() ? "tap INFO to close" : "INFO / I: close", w * 0.5, h - 70);
+
+  ctx.restore();
+}
+
+// called from drawPhotoToTv / drawVideoFrameToTv / drawModelFrameToTv
+function drawTvItemInfo(ctx, w, h) {
+  if (!tvOn) return;
+  if (tvUiState !== "PHOTO" && tvUiState !== "VIDEO" && tvUiState !== "3D MODEL") return;
+
+  const info = getCurrentTvItemInfo();
+  if (!info) return;
+
+  if (tvCreditsOpen) drawTvCreditsPage(ctx, w, h, info);
+  else drawTvLowerThird(ctx, w, h, info);
+
+  drawTvInfoButton(ctx, w);
+}
+
+function redrawCurrentTvMedia() {
+  if (!tvOn) return;
+
+  if (tvUiState === "PHOTO" && photoImage) drawPhotoToTv(photoImage);
+  else if (tvUiState === "VIDEO" && videoReady && !tvVideoSuppressed) drawVideoFrameToTv();
+  else if (tvUiState === "3D MODEL" && modelReady && !tvModelSuppressed) drawModelToTv();
+  else if (tvUiState === "MUSIC") drawTvMusic();
+}
+
+function setTvCreditsOpen(open) {
+  tvCreditsOpen = !!open;
+  redrawCurrentTvMedia();
+  refreshOverlayInfoCaption();
+}
+
+function toggleTvCredits() {
+  if (!tvOn) return;
+  if (tvUiState !== "PHOTO" && tvUiState !== "VIDEO" && tvUiState !== "3D MODEL") return;
+
+  trackSceneClick("tv_info_toggle", {
+    tv_ui_state: tvUiState,
+    credits_open: !tvCreditsOpen,
+  });
+
+  setTvCreditsOpen(!tvCreditsOpen);
+}
+
 function getTvSocialRowRects(w, h) {
   const items = TV_SOCIAL_ITEMS;
 
@@ -5157,7 +6706,7 @@ function getTvSocialRowRects(w, h) {
   const totalW = items.length * boxW + (items.length - 1) * gap;
   const startX = (w - totalW) * 0.5;
 
-  // keep this row under the vertical PHOTO / VIDEO / 3D MODEL list
+  // keep this row under the vertical PHOTO / VIDEO / 3D MODEL / MUSIC list
   const layout = getTvMenuLayout("MENU");
   const startY = getMenuStartY(MENU_ITEMS.length, layout.listCenterY, layout.gapY);
   const lastMenuY = startY + (MENU_ITEMS.length - 1) * layout.gapY;
@@ -5532,7 +7081,7 @@ function drawTvMenu() {
 
   // ✅ only show ONE selection system at a time
   if (!socialHoverActive) {
-  syncTvHighlightToCurrentSelection(isIOSDevice());
+  syncTvHighlightToCurrentSelection(isTouchDevice());
   drawAnimatedSelectionBar(tvCtx, w);
   drawMenuItemsAnimated(tvCtx, items, startY, layout.gapY, cx, menuIndex);
 } else {
@@ -5546,13 +7095,7 @@ function drawTvMenu() {
   tvTex.needsUpdate = true;
 }
 
-const MENU_ITEMS = ["PHOTO", "VIDEO", "3D MODEL"];
-
-const SUBCATEGORY_ITEMS = {
-  PHOTO: ["portraits", "surfaces", "environments"],
-  VIDEO: ["cinematic", "commercial", "music", "experimental"],
-  "3D MODEL": ["boards", "objects", "architecture"],
-};
+const MENU_ITEMS = ["PHOTO", "VIDEO", "3D MODEL", "MUSIC"];
 
 const TV_SOCIAL_ITEMS = [
   {
@@ -5619,7 +7162,7 @@ function drawTvSubcategoryMenu() {
 const cx = w * 0.5;
 const startY = getMenuStartY(items.length, layout.listCenterY, layout.gapY);
 
-syncTvHighlightToCurrentSelection(isIOSDevice());
+syncTvHighlightToCurrentSelection(isTouchDevice());
 drawAnimatedSelectionBar(tvCtx, w);
 drawMenuItemsAnimated(tvCtx, items, startY, layout.gapY, cx, subcategoryIndex);
 
@@ -5634,7 +7177,7 @@ drawMenuItemsAnimated(tvCtx, items, startY, layout.gapY, cx, subcategoryIndex);
     tvCtx.globalAlpha = 0.9;
     tvCtx.fillStyle = "#222";
     tvCtx.shadowColor = "rgba(255,255,255,0.5)";
-    tvCtx.shadowBlur = isIOSDevice() ? 0 : 25;
+    tvCtx.shadowBlur = isTouchDevice() ? 0 : 25;
   } else {
     tvCtx.globalAlpha = 0.65;
     tvCtx.fillStyle = "#000";
@@ -5711,7 +7254,7 @@ function moveMenuSelection(delta) {
 
     // If a social icon is currently selected:
     if (socialIndex !== -1) {
-      // UP from socials goes back to 3D MODEL
+      // UP from socials goes back to the last menu item
       if (delta < 0) {
         tvSocialHoverId = null;
         menuIndex = MENU_ITEMS.length - 1;
@@ -5727,7 +7270,7 @@ function moveMenuSelection(delta) {
       return;
     }
 
-    // DOWN from 3D MODEL enters the social row at EMAIL
+    // DOWN from the last menu item enters the social row at EMAIL
     if (delta > 0 && menuIndex === MENU_ITEMS.length - 1) {
       selectTvSocialByIndex(0);
       console.log("📺 entered social row:", TV_SOCIAL_ITEMS[0].id);
@@ -5757,7 +7300,10 @@ function moveMenuSelection(delta) {
     drawTvSubcategoryMenu();
 
     console.log("📺 subcategoryIndex:", subcategoryIndex, items[subcategoryIndex]);
+    return;
   }
+
+  if (tvUiState === "MUSIC") moveTvMusicSelection(delta);
 }
 
 function handleTvChromeButtonTapFromUv(uv) {
@@ -5786,7 +7332,7 @@ function handleTvChromeButtonTapFromUv(uv) {
     pyB >= by && pyB <= by + BTN.h;
 
   if (inMenuBtnA || inMenuBtnB) {
-    if (isIOSDevice()) tvIgnoreNextPointerUp = true;
+    if (isTouchDevice()) tvIgnoreNextPointerUp = true;
     goBackToTvMenu();
     return true;
   }
@@ -5800,11 +7346,22 @@ function handleTvChromeButtonTapFromUv(uv) {
     pyB >= backY && pyB <= backY + BACK.h;
 
   if (tvUiState !== "MENU" && (inBackBtnA || inBackBtnB)) {
-    if (isIOSDevice()) tvIgnoreNextPointerUp = true;
+    if (isTouchDevice()) tvIgnoreNextPointerUp = true;
     goBackOnePage();
     return true;
   }
 
+  if (isTvInfoBtnHit(px, py, w, h)) {
+    if (isTouchDevice()) tvIgnoreNextPointerUp = true;
+    toggleTvCredits();
+    return true;
+  }
+
+  if (handleTvSeekBarTap(px, pyA, w, h)) {
+    if (isTouchDevice()) tvIgnoreNextPointerUp = true;
+    return true;
+  }
+
   return false;
 }
 
@@ -5834,6 +7391,12 @@ function confirmLockedTvTouchSelection() {
 
     menuIndex = tvTouchStartMenuIndex;
     tvSocialHoverId = null;
+
+    if (selected === "MUSIC") {
+      openTvMusic();
+      return;
+    }
+
     tvParentCategory = selected;
     subcategoryIndex = 0;
     selectedSubcategory = null;
@@ -5843,6 +7406,7 @@ function confirmLockedTvTouchSelection() {
     blinkT0 = performance.now();
     syncTvHighlightToCurrentSelection(true);
     drawTvSubcategoryMenu();
+    syncTvRoute();
     return;
   }
 
@@ -5908,6 +7472,12 @@ function confirmMenuSelection() {
     const selected = MENU_ITEMS[menuIndex];
     console.log("✅ Top-level selected:", selected);
 
+    // MUSIC has no subcategories: straight to the playlist
+    if (selected === "MUSIC") {
+      openTvMusic();
+      return;
+    }
+
     beginTvPageTransition("slide");
 
     tvSocialHoverId = null;
@@ -5920,6 +7490,7 @@ function confirmMenuSelection() {
     blinkT0 = performance.now();
     syncTvHighlightToCurrentSelection(true);
     drawTvSubcategoryMenu();
+    syncTvRoute();
     return;
   }
 
@@ -5965,6 +7536,11 @@ function confirmMenuSelection() {
     }
   }
 
+  if (tvUiState === "MUSIC") {
+    confirmTvMusicSelection();
+    return;
+  }
+
   drawTvMenu();
 }
 
@@ -5978,6 +7554,7 @@ function goBackOnePage() {
   beginTvPageTransition("slide");
 
   tvUiState = "SUBCATEGORY_MENU";
+  tvCreditsOpen = false;
 
   // keep the current selected row and hover orientation
   // so the submenu does not re-lock in the wrong direction
@@ -5988,6 +7565,7 @@ function goBackOnePage() {
   syncTvHighlightToCurrentSelection(true);
   tvSocialHoverId = null;
   drawTvSubcategoryMenu();
+  syncTvRoute();
   return;
 }
 
@@ -5999,9 +7577,15 @@ function goBackOnePage() {
     tvSocialHoverId = null;
     return;
   }
-}
 
-function goBackToTvMenu() {
+  if (tvUiState === "MUSIC") {
+    backHover = false;
+    menuHover = false;
+    goBackFromTvMusic();
+  }
+}
+
+function goBackToTvMenu() {
   if (!tvOn) return;
 
   // stop any active media so it doesn't keep running
@@ -6011,6 +7595,7 @@ function goBackToTvMenu() {
   beginTvPageTransition("slide");
 
   tvUiState = "MENU";
+  tvCreditsOpen = false;
   tvParentCategory = null;
   selectedSubcategory = null;
   subcategoryIndex = 0;
@@ -6021,833 +7606,988 @@ function goBackToTvMenu() {
   tvSubcategoryHoverFlipV = null;
   tvSocialHoverId = null;
   drawTvMenu();
+  syncTvRoute();
 }
 
 // ============================================================
-// PHOTO GALLERY (draw images to the TV canvas)
+// ✅ TV MUSIC (playlist + now playing)
+// - 4th top-level MENU entry, no subcategory page
+// - list: every playlist track with its length; OK / tap plays it
+// - now playing: title, play state, seek bar (same as VIDEO);
+//   ◀/▶ = previous / next track, hold = seek ±10s
+// - driven by the same trackIndex / isPlaying as the speaker,
+//   so speaker clicks and M / N keys show up here right away
 // ============================================================
-const PHOTO_CATEGORIES = {
-  PORTRAITS: [
-    "./assets/Photo/Portrait/01-Portrait.jpg",
-    "./assets/Photo/Portrait/02-Portrait.jpg",
-    "./assets/Photo/Portrait/03-Portrait.jpg",
-    "./assets/Photo/Portrait/04-Portrait.jpg",
-    "./assets/Photo/Portrait/05-Portrait.jpg",
-    "./assets/Photo/Portrait/06-Portrait.jpg",
-    "./assets/Photo/Portrait/07-Portrait.jpg",
-    "./assets/Photo/Portrait/08-Portrait.jpg",
-    "./assets/Photo/Portrait/09-Portrait.jpg",
-    "./assets/Photo/Portrait/10-Portrait.jpg",
-    "./assets/Photo/Portrait/11-Portrait.jpg",
-    "./assets/Photo/Portrait/12-Portrait.jpg",
-    "./assets/Photo/Portrait/14-Portrait.jpg",
-  ],
-
-  SURFACES: [
-    "./assets/Photo/Surfaces/01-Surfaces.jpg",
-    "./assets/Photo/Surfaces/02-Surfaces.jpg",
-    "./assets/Photo/Surfaces/03-Surfaces.jpg",
-    "./assets/Photo/Surfaces/04-Surfaces.jpg",
-  ],
-
-  ENVIRONMENTS: [
-    "./assets/Photo/Environment/01-Environment.jpg",
-    "./assets/Photo/Environment/02-Environment.jpg",
-    "./assets/Photo/Environment/03-Environment.jpg",
-    "./assets/Photo/Environment/04-Environment.JPEG",
-  ],
-};
-
-const VIDEO_CATEGORIES = {
-  CINEMATIC: [
-    "./assets/Video/Cinematic/01-Cinematic.mp4",
-  ],
-  COMMERCIAL: [
-    "./assets/Video/Commercial/01-Commercial.mp4",
-    "./assets/Video/Commercial/02-Commercial.mp4",
-  ],
-  MUSIC: [
-    "./assets/Video/Music/01-Music.mp4",
-    "./assets/Video/Music/02-Music.mp4",
-    "./assets/Video/Music/03-Music.mp4",
-    "./assets/Video/Music/04-Music.mp4",
-  ],
-  EXPERIMENTAL: [
-    "./assets/Video/Experimental/01-Experimental.mp4",
-  ],
+const TV_MUSIC_LAYOUT = {
+  titleY: 0.13,       // same as the subcategory title
+  listTopY: 0.22,
+  listW: 0.7,
+  rowsDesktop: 7,
+  rowsIOS: 5,
+  rowHDesktop: 96,
+  rowHIOS: 124,
+  barsY: 0.31,
+  nowTitleY: 0.5,
+  controlsY: 0.74,
 };
 
-const MODEL_CATEGORIES = {
-  BOARDS: [
-    "./assets/3D Model/Boards/01-Boards.mp4",
-    "./assets/3D Model/Boards/02-Boards.mp4",
-    "./assets/3D Model/Boards/03-Boards.mp4",
-  ],
-
-  OBJECTS: [
-    "./assets/3D Model/Objects/01-Objects.mp4",
-    "./assets/3D Model/Objects/02-Objects.mp4",
-    "./assets/3D Model/Objects/03-Objects.mp4",
-    "./assets/3D Model/Objects/04-Objects.mp4",
-    "./assets/3D Model/Objects/05-Objects.mp4",
-    "./assets/3D Model/Objects/06-Objects.mp4",
-    "./assets/3D Model/Objects/07-Objects.mp4",
-    "./assets/3D Model/Objects/08-Objects.mp4",
-  ],
-
-  ARCHITECTURE: [],
-};
+let tvMusicView = "list";  // "list" | "now"
+let tvMusicIndex = 0;      // highlighted playlist row
+let tvMusicScroll = 0;     // first visible row
+let tvMusicBarY = -1;      // highlight glides toward the selected row
+let tvMusicTouchRow = -1;  // iOS: row under the finger, played on release (a swipe scrolls instead)
 
-const imgLoader = new THREE.ImageLoader();
-imgLoader.setCrossOrigin("anonymous");
+function getTvMusicListLayout(w, h) {
+  const touchUI = isTouchDevice();
+  const listW = w * TV_MUSIC_LAYOUT.listW;
 
-let photoIndex = 0;
-let photoImage = null;   // the currently loaded HTMLImageElement
-let photoLoading = false;
+  return {
+    x: (w - listW) * 0.5,
+    y: h * TV_MUSIC_LAYOUT.listTopY,
+    w: listW,
+    rowH: touchUI ? TV_MUSIC_LAYOUT.rowHIOS : TV_MUSIC_LAYOUT.rowHDesktop,
+    rows: Math.min(tracks.length, touchUI ? TV_MUSIC_LAYOUT.rowsIOS : TV_MUSIC_LAYOUT.rowsDesktop),
+    font: touchUI ? 54 : 46,
+  };
+}
 
+function keepTvMusicRowVisible() {
+  const { rows } = getTvMusicListLayout(tvCanvas.width, tvCanvas.height);
 
-function loadPhotoAt(index) {
-  if (!tvOn) return;
-  if (tvUiState !== "PHOTO") return;
+  if (tvMusicIndex < tvMusicScroll) tvMusicScroll = tvMusicIndex;
+  else if (tvMusicIndex >= tvMusicScroll + rows) tvMusicScroll = tvMusicIndex - rows + 1;
 
-  const key = (selectedSubcategory || "").toUpperCase();
-  const list = PHOTO_CATEGORIES[key] || [];
-  if (!list.length) {
-    console.warn("❌ No photos for subcategory:", selectedSubcategory, key);
-    return;
-  }
+  tvMusicScroll = THREE.MathUtils.clamp(tvMusicScroll, 0, Math.max(0, tracks.length - rows));
+}
 
-  const n = list.length;
-  photoIndex = (index + n) % n;
+// playlist row under a canvas point, -1 if none
+function getTvMusicRowAt(px, py, w, h) {
+  const L = getTvMusicListLayout(w, h);
+  if (px < L.x || px > L.x + L.w) return -1;
 
-  const url = list[photoIndex];
-  currentPhotoUrl = url;
-  photoLoading = true;
+  const r = Math.floor((py - L.y) / L.rowH);
+  if (r < 0 || r >= L.rows) return -1;
 
-  console.log("🖼 Loading photo:", url);
+  return tvMusicScroll + r;
+}
 
-  imgLoader.load(
-    url,
-    (img) => {
-  photoImage = img;
-  photoLoading = false;
-  drawPhotoToTv(img);
-  applyTvPageTransitionOverlay();
-},
-    undefined,
-    (err) => {
-      console.warn("❌ Photo failed to load:", url, err);
-      photoLoading = false;
-    }
+// speaker level for the on-screen pulse (0 when the music is paused)
+function getTvMusicPulse() {
+  return THREE.MathUtils.clamp(
+    speakerPulseCurrent * (0.55 + 0.45 * getSpeakerPulseWave()) + speakerPulseKick,
+    0,
+    1
   );
 }
 
-function drawSoftBlurredCoverImage(ctx, img, dx, dy, dw, dh) {
-  const w = tvPhotoFxCanvas.width;
-  const h = tvPhotoFxCanvas.height;
-
-  const tinyCanvas = drawSoftBlurredCoverImage._tinyCanvas || document.createElement("canvas");
-  const tinyCtx = drawSoftBlurredCoverImage._tinyCtx || tinyCanvas.getContext("2d");
+function openTvMusic() {
+  if (!tvOn) return;
 
-  drawSoftBlurredCoverImage._tinyCanvas = tinyCanvas;
-  drawSoftBlurredCoverImage._tinyCtx = tinyCtx;
+  beginTvPageTransition("slide");
+  buildPlaylistAudio(); // metadata → track lengths on the list
 
-  const sw = Math.max(1, Math.floor(w * TV_PHOTO_STYLE.blurScale));
-  const sh = Math.max(1, Math.floor(h * TV_PHOTO_STYLE.blurScale));
+  tvSocialHoverId = null;
+  tvParentCategory = null;
+  selectedSubcategory = null;
+  tvUiState = "MUSIC";
+  tvMusicView = "list";
+  tvMusicIndex = trackIndex;
+  tvMusicBarY = -1;
+  tvMusicTouchRow = -1;
+  keepTvMusicRowVisible();
 
-  if (tinyCanvas.width !== sw) tinyCanvas.width = sw;
-  if (tinyCanvas.height !== sh) tinyCanvas.height = sh;
+  drawTvMusic();
+  syncTvRoute();
+}
 
-  // full-size work pass
-  tvPhotoFxCtx.clearRect(0, 0, w, h);
-  tvPhotoFxCtx.imageSmoothingEnabled = true;
-  tvPhotoFxCtx.drawImage(img, dx, dy, dw, dh);
+function openTvMusicNowPlaying() {
+  if (!tvOn || tvUiState !== "MUSIC") return;
 
-  // tiny pass
-  tinyCtx.clearRect(0, 0, sw, sh);
-  tinyCtx.imageSmoothingEnabled = true;
-  tinyCtx.drawImage(tvPhotoFxCanvas, 0, 0, w, h, 0, 0, sw, sh);
+  beginTvPageTransition("contentFade");
+  tvMusicView = "now";
 
-  // upscale tiny back to full size = stable soft blur
-  ctx.save();
-  ctx.imageSmoothingEnabled = true;
-  ctx.globalAlpha = TV_PHOTO_STYLE.blurAlpha;
-  ctx.drawImage(tinyCanvas, 0, 0, sw, sh, 0, 0, w, h);
-  ctx.restore();
+  drawTvMusic();
+  syncTvRoute();
 }
 
-function drawPhotoToTv(img) {
-  const w = tvCanvas.width;
-  const h = tvCanvas.height;
+// list row → play it (or keep playing it) and show now playing
+async function playTvMusicRow(i) {
+  if (!tracks.length) return;
 
-  tvCtx.clearRect(0, 0, w, h);
-  tvCtx.fillStyle = "#000";
-  tvCtx.fillRect(0, 0, w, h);
+  tvMusicIndex = i;
+  openTvMusicNowPlaying();
 
-  const iw = img.width;
-  const ih = img.height;
+  trackSceneClick("tv_music_track", {
+    track_index: i + 1,
+    track_title: getTrackTitle(i),
+  });
 
-  // ✅ COVER (fills the whole TV, crops edges if needed)
-  const scale = Math.max(w / iw, h / ih);
+  await unlockAudioOnce();
+  speakerPulseKick = 0.35;
 
-  // ✅ tiny overscan like real TV (hides small borders)
-  const overscan = 1.02;
-  const dw = iw * scale * overscan;
-  const dh = ih * scale * overscan;
+  if (i !== trackIndex) await selectTrack(i, true);
+  else if (!isPlaying || currentAudio().paused) await togglePlayPause();
+}
 
-  const dx = (w - dw) * 0.5;
-  const dy = (h - dh) * 0.5;
+async function toggleTvMusicPlayPause() {
+  speakerPulseKick = 0.35;
+  await togglePlayPause();
+}
 
-  // --------------------------------------------------
-  // ✅ PASS 1: soft blurred base
-  // Reliable on iOS because it uses low-res upscale blur simulation
-  // --------------------------------------------------
-  drawSoftBlurredCoverImage(tvCtx, img, dx, dy, dw, dh);
+async function stepTvMusicTrack(dir) {
+  await unlockAudioOnce();
+  speakerPulseKick = 0.35;
 
-  // --------------------------------------------------
-  // ✅ PASS 2: main image with reduced opacity
-  // --------------------------------------------------
-  tvCtx.save();
-  tvCtx.imageSmoothingEnabled = true;
-  tvCtx.globalAlpha = TV_PHOTO_STYLE.finalAlpha;
-  tvCtx.drawImage(img, dx, dy, dw, dh);
-  tvCtx.restore();
+  if (dir > 0) await nextTrack();
+  else await prevTrack();
+}
 
-  // --------------------------------------------------
-  // ✅ PASS 3: subtle dark vignette so the image always feels softer
-  // --------------------------------------------------
-  tvCtx.save();
-  const vg = tvCtx.createRadialGradient(
-    w * 0.5, h * 0.5, Math.min(w, h) * 0.18,
-    w * 0.5, h * 0.5, Math.max(w, h) * 0.62
-  );
-  vg.addColorStop(0.0, `rgba(0,0,0,0.0)`);
-  vg.addColorStop(1.0, `rgba(0,0,0,${TV_PHOTO_STYLE.vignetteAlpha})`);
-  tvCtx.fillStyle = vg;
-  tvCtx.fillRect(0, 0, w, h);
-  tvCtx.restore();
+function moveTvMusicSelection(delta) {
+  if (!tvOn || tvUiState !== "MUSIC" || tvMusicView !== "list") return;
 
-  drawDesktopTvSideArrows(tvCtx, w, h);
+  const n = tracks.length;
+  if (!n) return;
 
-  if (tvOn && (tvUiState === "PHOTO" || tvUiState === "3D MODEL")) {
-    const BACK = getTvBackBtn();
-    const backX = BACK.pad;
-    const backY = BACK.pad;
+  tvMusicIndex = (tvMusicIndex + delta + n) % n;
+  keepTvMusicRowVisible();
+  drawTvMusic();
+}
 
-    tvCtx.save();
+// swipe / scroll arrows: move a whole page of rows
+function scrollTvMusicList(dir) {
+  const { rows } = getTvMusicListLayout(tvCanvas.width, tvCanvas.height);
+  const n = tracks.length;
+  if (!n) return;
 
-    if (backHover) {
-      tvCtx.globalAlpha = 1.0;
-      tvCtx.fillStyle = "rgba(255,255,255,0.06)";
-      tvCtx.shadowColor = "rgba(255,255,255,0.5)";
-      tvCtx.shadowBlur = 18;
-    } else {
-      tvCtx.globalAlpha = 0.85;
-      tvCtx.fillStyle = "rgba(255,255,255,0.06)";
-    }
+  tvMusicIndex = THREE.MathUtils.clamp(tvMusicIndex + dir * Math.max(1, rows - 1), 0, n - 1);
+  keepTvMusicRowVisible();
+  drawTvMusic();
+}
 
-    roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
-    tvCtx.fill();
+// OK / Enter
+function confirmTvMusicSelection() {
+  if (tvMusicView === "list") playTvMusicRow(tvMusicIndex);
+  else toggleTvMusicPlayPause();
+}
 
-    tvCtx.strokeStyle = "rgba(255,255,255,0.25)";
-    tvCtx.lineWidth = 2;
-    roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
-    tvCtx.stroke();
+// remote / keyboard ◀ ▶ on now playing: tap = track, hold = seek
+function beginTvMusicSeekHold(dir) {
+  if (tvMusicView !== "now") return false;
+  beginRemoteSeekHold(dir, () => stepTvMusicTrack(dir));
+  return true;
+}
 
-    tvCtx.fillStyle = "#fff";
-    tvCtx.font = "46px Arial";
-    tvCtx.textAlign = "center";
-    tvCtx.textBaseline = "middle";
-    tvCtx.fillText("← back", backX + BACK.w * 0.5, backY + BACK.h * 0.52);
+// now playing → list → MENU
+function goBackFromTvMusic() {
+  if (tvMusicView === "now") {
+    beginTvPageTransition("slide");
 
-    tvCtx.restore();
+    tvMusicView = "list";
+    tvMusicIndex = trackIndex;
+    keepTvMusicRowVisible();
+
+    drawTvMusic();
+    syncTvRoute();
+    return;
   }
 
-  if (tvOn && (tvUiState === "PHOTO" || tvUiState === "3D MODEL")) {
-    const BTN = getTvMenuBtn();
-    const bx = w - BTN.pad - BTN.w;
-    const by = BTN.pad;
+  goBackToTvMenu();
+}
 
-    tvCtx.save();
+// playlist moved on (speaker, M / N keys, auto-next): keep the URL on the playing track
+function syncTvMusicTrack() {
+  if (tvOn && tvUiState === "MUSIC" && tvMusicView === "now") syncTvRoute();
+}
 
-    if (menuHover) {
-      tvCtx.globalAlpha = 0.9;
-      tvCtx.fillStyle = "#222";
-      tvCtx.shadowColor = "rgba(255,255,255,0.5)";
-      tvCtx.shadowBlur = 25;
-    } else {
-      tvCtx.globalAlpha = 0.65;
-      tvCtx.fillStyle = "#000";
-    }
+// direct TV tap / click (after BACK / MENU / seek bar)
+function handleTvMusicTap(px, py, w, h) {
+  if (tvMusicView === "now") {
+    const x01 = px / w;
 
-    roundRect(tvCtx, bx, by, BTN.w, BTN.h, 18);
-    tvCtx.fill();
-    tvCtx.restore();
+    if (x01 < 0.33) stepTvMusicTrack(-1);
+    else if (x01 > 0.66) stepTvMusicTrack(+1);
+    else toggleTvMusicPlayPause();
+    return true;
+  }
 
-    // border
-    tvCtx.save();
-    tvCtx.globalAlpha = 0.35;
-    tvCtx.strokeStyle = "#fff";
-    tvCtx.lineWidth = 3;
-    roundRect(tvCtx, bx, by, BTN.w, BTN.h, 18);
-    tvCtx.stroke();
-    tvCtx.restore();
+  const L = getTvMusicListLayout(w, h);
+  const row = getTvMusicRowAt(px, py, w, h);
 
-    // text
-    tvCtx.save();
-    tvCtx.fillStyle = "#fff";
-    tvCtx.globalAlpha = 0.92;
-    tvCtx.font = "bold 46px Arial";
-    tvCtx.textAlign = "center";
-    tvCtx.textBaseline = "middle";
-    tvCtx.fillText("MENU", bx + BTN.w * 0.5, by + BTN.h * 0.52);
-    tvCtx.restore();
+  // iOS: wait for pointerup so a swipe can scroll instead
+  if (isTouchDevice()) {
+    tvMusicTouchRow = row;
+    return true;
   }
 
-  applyTvPageTransitionOverlay();
-
-  tvTex.needsUpdate = true;
-}
+  if (row !== -1) {
+    playTvMusicRow(row);
+    return true;
+  }
 
-function nextPhoto(delta) {
-  if (!tvOn) return;
-  if (tvUiState !== "PHOTO") return;
-  if (photoLoading) return;
+  // ▲ / ▼ strips above and below the list
+  if (py < L.y && tvMusicScroll > 0) scrollTvMusicList(-1);
+  else if (py > L.y + L.rows * L.rowH && tvMusicScroll + L.rows < tracks.length) scrollTvMusicList(+1);
 
-  loadPhotoAt(photoIndex + delta);
+  return true;
 }
 
-// ============================================================
-// VIDEO GALLERY (draw video frames to the TV canvas)
-// ============================================================
-const VIDEO_PATHS = [
-  "./assets/Video/01-sweet93-OG.mp4",
-];
+// iOS pointerup on the MUSIC page
+function finishTvMusicTouch(isTap, swipeDy) {
+  const row = tvMusicTouchRow;
+  tvMusicTouchRow = -1;
 
-let videoIndex = 0;
-let videoEl = null;          // single persistent <video>
-let videoReady = false;      // true once we have dimensions/frames
-let videoPlaying = false;    // our UI state
-let videoWantsAutoPlay = false; 
+  if (tvMusicView !== "list") return;
 
-function ensureVideoEl() {
-  if (videoEl) return;
+  if (swipeDy) {
+    scrollTvMusicList(swipeDy < 0 ? +1 : -1); // finger up → later tracks
+    return;
+  }
 
-  videoEl = document.createElement("video");
-videoEl.crossOrigin = "anonymous";
-videoEl.preload = "auto";
-videoEl.playsInline = true;
-videoEl.setAttribute("playsinline", "");
-videoEl.setAttribute("webkit-playsinline", ""); // iOS Safari
-videoEl.loop = true;
-videoEl.muted = false;
-videoEl.defaultMuted = false;
-videoEl.removeAttribute("muted");
-videoEl.volume = 1.0;
-videoEl.controls = false;
+  if (isTap && row !== -1) playTvMusicRow(row);
+}
 
-videoEl.addEventListener("loadeddata", async () => {
-  videoReady = true;
+function drawTvMusicChrome(ctx, w) {
+  const BACK = getTvBackBtn();
+  const BTN = getTvMenuBtn();
 
-  // draw first frame immediately once it exists
-  if (tvOn && tvUiState === "VIDEO" && !tvVideoSuppressed) {
-  drawVideoFrameToTv();
-  applyTvPageTransitionOverlay();
-}
+  const buttons = [
+    { x: BACK.pad, y: BACK.pad, w: BACK.w, h: BACK.h, label: "← back", font: "46px Arial", hover: backHover },
+    { x: w - BTN.pad - BTN.w, y: BTN.pad, w: BTN.w, h: BTN.h, label: "MENU", font: "bold 46px Arial", hover: menuHover },
+  ];
 
-  // autoplay only after first frame is ready
-  if (tvOn && tvUiState === "VIDEO" && videoWantsAutoPlay && videoEl.paused) {
-    try {
-      await playVideo();
-      videoWantsAutoPlay = false;
-    } catch (err) {
-      console.warn("Autoplay after loadeddata failed:", err);
+  buttons.forEach((b) => {
+    ctx.save();
+    if (b.hover) {
+      ctx.globalAlpha = 0.9;
+      ctx.fillStyle = "#222";
+      ctx.shadowColor = "rgba(255,255,255,0.5)";
+      ctx.shadowBlur = isTouchDevice() ? 0 : 25;
+    } else {
+      ctx.globalAlpha = 0.65;
+      ctx.fillStyle = "#000";
     }
-  }
-});
-
-videoEl.addEventListener("pause", () => (videoPlaying = false));
-videoEl.addEventListener("play", () => (videoPlaying = true));
-}
+    roundRect(ctx, b.x, b.y, b.w, b.h, 18);
+    ctx.fill();
+    ctx.restore();
 
-function loadVideoAt(index, { autoPlay = false } = {}) {
-  if (!tvOn) return;
-  if (tvUiState !== "VIDEO") return;
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.strokeStyle = "#fff";
+    ctx.lineWidth = 3;
+    roundRect(ctx, b.x, b.y, b.w, b.h, 18);
+    ctx.stroke();
+    ctx.restore();
 
-  ensureVideoEl();
+    ctx.save();
+    ctx.fillStyle = "#fff";
+    ctx.globalAlpha = 0.92;
+    ctx.font = b.font;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(b.label, b.x + b.w * 0.5, b.y + b.h * 0.52);
+    ctx.restore();
+  });
+}
 
-  const key = (selectedSubcategory || "").toUpperCase();
-  const list = VIDEO_CATEGORIES[key] || [];
+function drawTvMusicList(ctx, w, h) {
+  const L = getTvMusicListLayout(w, h);
+  const playing = isPlaying && !currentAudio()?.paused;
 
-  if (!list.length) {
-    console.warn("❌ No videos for:", selectedSubcategory, key);
-    clearTvScreen();
+  ctx.save();
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "center";
+  ctx.fillStyle = "rgba(255,255,255,0.78)";
+  ctx.font = getTvMenuLayout("SUBCATEGORY_MENU").titleFont;
+  ctx.fillText("MUSIC", w * 0.5, h * TV_MUSIC_LAYOUT.titleY);
+
+  if (!tracks.length) {
+    ctx.globalAlpha = 0.6;
+    ctx.font = "44px Arial";
+    ctx.fillText("No tracks yet.", w * 0.5, h * 0.5);
+    ctx.restore();
     return;
   }
 
-  const n = list.length;
-  videoIndex = (index + n) % n;
+  // highlight
+  const targetY = L.y + (tvMusicIndex - tvMusicScroll) * L.rowH;
+  tvMusicBarY = tvMusicBarY < 0 || reducedMotion
+    ? targetY
+    : tvMusicBarY + (targetY - tvMusicBarY) * 0.3;
 
-  const url = list[videoIndex];
+  ctx.fillStyle = "rgba(255,255,255,0.16)";
+  roundRect(ctx, L.x, tvMusicBarY + 6, L.w, L.rowH - 12, 12);
+  ctx.fill();
 
-  console.log("🎬 Loading video:", url);
+  for (let r = 0; r < L.rows; r++) {
+    const i = tvMusicScroll + r;
+    const y = L.y + r * L.rowH + L.rowH * 0.5;
+    const isCurrent = i === trackIndex;
 
-  videoReady = false;
-  videoPlaying = false;
-  videoWantsAutoPlay = autoPlay;
+    ctx.globalAlpha = i === tvMusicIndex || isCurrent ? 1 : 0.62;
+    ctx.fillStyle = "#fff";
 
-  const __endVid = () => {};
+    // track number, or a pulsing play mark on the speaker's track
+    ctx.textAlign = "center";
+    if (isCurrent) {
+      const pulse = playing ? getTvMusicPulse() : 0;
+
+      ctx.save();
+      ctx.globalAlpha = 0.12 + 0.22 * pulse;
+      ctx.beginPath();
+      ctx.arc(L.x + 56, y, 26 + 12 * pulse, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
 
-  try {
-    videoEl.pause();
-    videoEl.currentTime = 0;
-  } catch {}
+      ctx.font = "bold 36px Arial";
+      ctx.fillText(playing ? "▶" : "❚❚", L.x + 56, y);
+    } else {
+      ctx.font = "36px Arial";
+      ctx.fillText(String(i + 1).padStart(2, "0"), L.x + 56, y);
+    }
 
-  videoEl.src = url;
-  videoEl.load();
+    ctx.textAlign = "left";
+    ctx.font = `${isCurrent ? "bold " : ""}${L.font}px Arial`;
+    ctx.fillText(getTrackTitle(i), L.x + 120, y, L.w - 330);
 
-  let ended = false;
+    const dur = getTrackDuration(i);
+    ctx.textAlign = "right";
+    ctx.font = "38px Arial";
+    ctx.globalAlpha *= 0.8;
+    ctx.fillText(dur ? formatTimecode(dur) : "–:––", L.x + L.w - 28, y);
+  }
 
-  const done = () => {
-    if (ended) return;
-    ended = true;
+  // more rows above / below
+  ctx.globalAlpha = 0.5;
+  ctx.textAlign = "center";
+  ctx.font = "34px Arial";
+  if (tvMusicScroll > 0) ctx.fillText("▲", w * 0.5, L.y - 22);
+  if (tvMusicScroll + L.rows < tracks.length) ctx.fillText("▼", w * 0.5, L.y + L.rows * L.rowH + 24);
 
-    __endVid();
-    videoEl.removeEventListener("loadeddata", done);
-    videoEl.removeEventListener("canplay", done);
-    videoEl.removeEventListener("error", done);
-  };
+  ctx.restore();
+}
 
-  videoEl.addEventListener("loadeddata", done, { once: true });
-  videoEl.addEventListener("canplay", done, { once: true });
-  videoEl.addEventListener("error", done, { once: true });
+function drawTvMusicNowPlaying(ctx, w, h) {
+  const a = currentAudio();
+  const playing = !!(a && !a.paused && isPlaying);
+  const pulse = playing ? getTvMusicPulse() : 0;
 
-  setTimeout(done, 8000);
+  ctx.save();
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "center";
+  ctx.fillStyle = "rgba(255,255,255,0.78)";
+  ctx.font = getTvMenuLayout("SUBCATEGORY_MENU").titleFont;
+  ctx.fillText("NOW PLAYING", w * 0.5, h * TV_MUSIC_LAYOUT.titleY);
+
+  // level bars breathing with the speaker cone
+  const bars = 7;
+  const barW = 22;
+  const gap = 16;
+  const maxH = 150;
+  const x0 = (w - (bars * barW + (bars - 1) * gap)) * 0.5;
+  const cy = h * TV_MUSIC_LAYOUT.barsY;
+  const t = performance.now() * 0.004;
+
+  ctx.fillStyle = "#fff";
+  for (let k = 0; k < bars; k++) {
+    const phase = reducedMotion ? 1 : Math.sin(t + k * 1.3) * 0.5 + 0.5;
+    const bh = 14 + (maxH - 14) * pulse * (0.35 + 0.65 * phase);
+
+    ctx.globalAlpha = 0.35 + 0.5 * pulse;
+    roundRect(ctx, x0 + k * (barW + gap), cy - bh * 0.5, barW, bh, barW * 0.5);
+    ctx.fill();
+  }
+
+  // title (up to two lines)
+  ctx.globalAlpha = 1;
+  ctx.font = "bold 84px Arial";
+  const lines = wrapTvText(ctx, getTrackTitle(trackIndex), w * 0.78).slice(0, 2);
+  const titleY = h * TV_MUSIC_LAYOUT.nowTitleY - (lines.length - 1) * 48;
+  lines.forEach((line, i) => ctx.fillText(line, w * 0.5, titleY + i * 96, w * 0.78));
+
+  ctx.globalAlpha = 0.6;
+  ctx.font = "40px Arial";
+  ctx.fillText(
+    `${trackIndex + 1} of ${tracks.length}`,
+    w * 0.5,
+    titleY + (lines.length - 1) * 96 + 86
+  );
 
-  clearTvScreen();
+  // transport hints (tap left / center / right thirds)
+  const cyControls = h * TV_MUSIC_LAYOUT.controlsY;
+  ctx.font = "bold 64px Arial";
+  ctx.globalAlpha = 0.55;
+  ctx.fillText("◀◀", w * 0.3, cyControls);
+  ctx.fillText("▶▶", w * 0.7, cyControls);
+  ctx.globalAlpha = 0.92;
+  ctx.fillText(playing ? "❚❚" : "▶", w * 0.5, cyControls);
+
+  ctx.restore();
+
+  drawTvVideoTransport(ctx, w, h, a);
 }
 
-async function playVideo() {
-  if (!tvOn) return;
-  if (tvUiState !== "VIDEO") return;
-  if (!videoEl) return;
+function drawTvMusic() {
+  const w = tvCanvas.width;
+  const h = tvCanvas.height;
 
- try {
-  videoEl.muted = false;
-  videoEl.defaultMuted = false;
-  videoEl.removeAttribute("muted");
-  videoEl.volume = 1.0;
+  tvCtx.clearRect(0, 0, w, h);
+  tvCtx.fillStyle = "#111111";
+  tvCtx.fillRect(0, 0, w, h);
 
-  await videoEl.play();
-  videoPlaying = true;
-} catch (err) {
-    console.warn("Video play blocked (needs user gesture):", err);
-    videoPlaying = false;
-  }
+  if (tvMusicView === "now") drawTvMusicNowPlaying(tvCtx, w, h);
+  else drawTvMusicList(tvCtx, w, h);
+
+  drawTvMusicChrome(tvCtx, w);
+
+  applyTvPageTransitionOverlay();
+
+  tvTex.needsUpdate = true;
 }
 
-function pauseVideo() {
-  if (!videoEl) return;
-  videoEl.pause();
-  videoPlaying = false;
+// ============================================================
+// ✅ DEEP LINKS (#/video/music/2 ↔ TV state)
+// #/                  → TV on, MENU
+// #/video             → SUBCATEGORY_MENU for VIDEO
+// #/video/music/2     → 2nd item of the "music" subcategory
+// #/music             → TV MUSIC playlist
+// #/music/now/3       → now playing, track 3 (cued, never autoplayed)
+// Subcategory slugs are the content.json ids, items are 1-based.
+// Browsing pushes history; browser Back walks up like goBackOnePage.
+// ============================================================
+let tvPendingRoute = parseTvRoute(location.hash); // applied on scene entry
+let tvRouteSceneEntered = false;
+let tvRouteApplying = false;                      // popstate / deep link in progress
+
+function getTvRouteSlug(category) {
+  return category === "3D MODEL" ? "model" : category.toLowerCase();
 }
 
-function stopVideoCompletely() {
-  if (!videoEl) return;
+function parseTvRoute(hash = "") {
+  const m = /^#\/(.*)$/.exec(hash);
+  if (!m) return null;
 
-  // stop playback
-  videoEl.pause();
-  videoPlaying = false;
+  const parts = m[1].split("/").filter(Boolean).map((p) => decodeURIComponent(p).toLowerCase());
 
-  // reset to start so it doesn’t “keep running”
-  try {
-    videoEl.currentTime = 0;
-  } catch {}
+  const route = { category: null, sub: null, item: 0 };
+  if (!parts.length) return route;
 
-  // OPTIONAL but recommended: clear frame + redraw menu/black
-  videoReady = false;
-}
+  route.category = MENU_ITEMS.find((c) => getTvRouteSlug(c) === parts[0]) || null;
+  if (!route.category) {
+    console.warn("🔗 Unknown TV route category:", parts[0]);
+    return route;
+  }
 
+  if (parts[1]) route.sub = parts[1];
 
-function toggleVideoPlayPause() {
-  if (!videoEl) return;
-  if (videoEl.paused) playVideo();
-  else pauseVideo();
+  const n = parseInt(parts[2], 10);
+  if (Number.isFinite(n) && n > 0) route.item = n - 1;
+
+  return route;
 }
 
-function nextVideo(delta) {
-  if (!tvOn) return;
-  if (tvUiState !== "VIDEO") return;
+function formatTvRoute(route) {
+  if (!route) return "";
+  if (!route.category) return "#/";
 
-  // keep playing state when switching
-  const shouldPlay = videoPlaying && videoEl && !videoEl.paused;
-  loadVideoAt(videoIndex + delta, { autoPlay: shouldPlay });
+  const parts = [getTvRouteSlug(route.category)];
+  if (route.sub) parts.push(encodeURIComponent(route.sub), String(route.item + 1));
+
+  return "#/" + parts.join("/");
 }
 
-async function overlayNextVideo(delta) {
-  if (!videoOverlayOpen) return;
-  if (tvUiState !== "VIDEO") return;
+function getTvRouteDepth(route) {
+  if (!route) return -1;
+  if (!route.category) return 0;
+  return route.sub ? 2 : 1;
+}
 
-  const key = (selectedSubcategory || "").toUpperCase();
-  const list = VIDEO_CATEGORIES[key] || [];
-  if (!list.length) return;
+function getTvRouteFromState() {
+  if (!tvOn) return null;
 
-  const n = list.length;
-  videoIndex = (videoIndex + delta + n) % n;
+  if (tvUiState === "MENU") return { category: null, sub: null, item: 0 };
 
-  const url = list[videoIndex];
+  if (tvUiState === "SUBCATEGORY_MENU") {
+    return { category: tvParentCategory, sub: null, item: 0 };
+  }
 
-  // keep TV state in sync, but paused while overlay is open
-  loadVideoAt(videoIndex, { autoPlay: false });
+  if (tvUiState === "MUSIC") {
+    return { category: "MUSIC", sub: tvMusicView === "now" ? "now" : null, item: trackIndex };
+  }
 
-  try {
-    videoOverlayEl.pause();
-    videoOverlayEl.src = url;
-    videoOverlayEl.currentTime = 0;
-    videoOverlayEl.load();
+  const item =
+    tvUiState === "PHOTO" ? photoIndex :
+    tvUiState === "VIDEO" ? videoIndex :
+    modelIndex;
 
-    await videoOverlayEl.play();
-  } catch (err) {
-    console.warn("overlayNextVideo play blocked:", err);
-  }
+  return { category: tvUiState, sub: selectedSubcategory, item };
 }
 
-function drawVideoFrameToTv() {
-  if (!videoEl || !videoReady) return;
+// call after any TV page / item change
+function syncTvRoute() {
+  if (!tvRouteSceneEntered) return;
+  saveRoomStateSoon();
 
-  const w = tvCanvas.width;
-  const h = tvCanvas.height;
+  const route = getTvRouteFromState();
+  const hash = formatTvRoute(route);
+  if (hash === location.hash) return;
 
-  tvCtx.clearRect(0, 0, w, h);
-  tvCtx.fillStyle = "#000";
-  tvCtx.fillRect(0, 0, w, h);
+  const url = hash || location.pathname + location.search;
 
-  const iw = videoEl.videoWidth || 16;
-  const ih = videoEl.videoHeight || 9;
+  // stepping through one gallery replaces; changing page pushes
+  const prev = parseTvRoute(location.hash);
+  const sameGallery =
+    route && prev &&
+    route.sub && prev.sub === route.sub &&
+    prev.category === route.category;
 
-  // ✅ COVER (same logic as PHOTO)
-  const scale = Math.max(w / iw, h / ih);
-  const overscan = 1.02;
-  const dw = iw * scale * overscan;
-  const dh = ih * scale * overscan;
-  const dx = (w - dw) * 0.5;
-  const dy = (h - dh) * 0.5;
+  if (tvRouteApplying || sameGallery) history.replaceState({ tvRoute: hash }, "", url);
+  else history.pushState({ tvRoute: hash }, "", url);
+}
 
-  // draw the current frame
-  tvCtx.drawImage(videoEl, dx, dy, dw, dh);
-  drawDesktopTvSideArrows(tvCtx, w, h);
+function loadTvRouteItem(index) {
+  if (tvUiState === "PHOTO") loadPhotoAt(index);
+  else if (tvUiState === "VIDEO") loadVideoAt(index, { autoPlay: true });
+  else if (tvUiState === "3D MODEL") loadModelAt(index, { autoPlay: true });
+  else if (tvUiState === "MUSIC" && index !== trackIndex && index < tracks.length) selectTrack(index);
+}
 
-  if (tvOn && tvUiState === "VIDEO") {
-  const BACK = getTvBackBtn();
-  const backX = BACK.pad;
-  const backY = BACK.pad;
+// drive the TV the same way the remote does: power → MENU → SUBCATEGORY_MENU → item
+function applyTvRoute(route) {
+  if (!route) {
+    if (tvOn) {
+      playTvOffSound();
+      setTvPower(false);
+    }
+    return;
+  }
 
-  tvCtx.save();
+  tvRouteApplying = true;
 
-  if (backHover) {
-    tvCtx.globalAlpha = 1.0;
-    tvCtx.fillStyle = "rgba(255,255,255,0.06)";
-    tvCtx.shadowColor = "rgba(255,255,255,0.5)";
-    tvCtx.shadowBlur = 18;
-  } else {
-    tvCtx.globalAlpha = 0.85;
-    tvCtx.fillStyle = "rgba(255,255,255,0.06)";
-  }
+  try {
+    if (!tvOn) {
+      playTvOnSound();
+      setTvPower(true);
+    } else if (tvUiState !== "MENU") {
+      goBackToTvMenu();
+    }
 
-  roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
-  tvCtx.fill();
+    if (!route.category) return;
 
-  tvCtx.strokeStyle = "rgba(255,255,255,0.25)";
-  tvCtx.lineWidth = 2;
-  roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
-  tvCtx.stroke();
+    menuIndex = MENU_ITEMS.indexOf(route.category);
+    tvSocialHoverId = null;
+    confirmMenuSelection(); // → SUBCATEGORY_MENU (MUSIC: playlist)
 
-  tvCtx.fillStyle = "#fff";
-  tvCtx.font = "46px Arial";
-  tvCtx.textAlign = "center";
-  tvCtx.textBaseline = "middle";
-  tvCtx.fillText("← back", backX + BACK.w * 0.5, backY + BACK.h * 0.52);
+    if (!route.sub) return;
 
-  tvCtx.restore();
-}
+    if (route.category === "MUSIC") {
+      if (route.sub !== "now") {
+        console.warn("🔗 Unknown TV route subcategory:", route.category, route.sub);
+        return;
+      }
 
-if (tvOn && tvUiState === "VIDEO") {
-  const BTN = getTvMenuBtn();
-  const bx = w - BTN.pad - BTN.w;
-  const by = BTN.pad;
+      loadTvRouteItem(route.item);
+      openTvMusicNowPlaying();
+      return;
+    }
 
-  // ✅ 1) PAUSED overlay FIRST (so MENU can sit on top)
-  if (videoEl.paused) {
-    tvCtx.save();
-    tvCtx.fillStyle = "rgba(0,0,0,0.35)";
-    tvCtx.fillRect(0, 0, w, h);
+    const subs = SUBCATEGORY_ITEMS[route.category] || [];
+    const si = subs.indexOf(route.sub);
 
-    tvCtx.fillStyle = "#fff";
-    tvCtx.font = "bold 64px Arial";
-    tvCtx.textAlign = "center";
-    tvCtx.textBaseline = "middle";
-    tvCtx.fillText("PAUSED", w * 0.5, h * 0.5);
+    if (si === -1) {
+      console.warn("🔗 Unknown TV route subcategory:", route.category, route.sub);
+      return;
+    }
 
-    tvCtx.font = "32px Arial";
-    tvCtx.fillText("OK: Play/Pause    ◀/▶: Prev/Next", w * 0.5, h * 0.5 + 80);
-    tvCtx.restore();
+    subcategoryIndex = si;
+    syncTvHighlightToCurrentSelection(true);
+    confirmMenuSelection(); // → item 1
+
+    if (route.item > 0) loadTvRouteItem(route.item);
+  } finally {
+    syncTvRoute();
+    tvRouteApplying = false;
   }
+}
 
-  // ✅ 2) MENU button SECOND (drawn on top of overlay)
-  tvCtx.save();
+// called once the visitor clicks through the loader
+function applyPendingTvRoute() {
+  if (tvRouteSceneEntered) return;
+  tvRouteSceneEntered = true;
 
-  if (menuHover) {
-    tvCtx.globalAlpha = 0.9;
-    tvCtx.fillStyle = "#222";
-    tvCtx.shadowColor = "rgba(255,255,255,0.5)";
-    tvCtx.shadowBlur = 25;
-  } else {
-    tvCtx.globalAlpha = 0.65;
-    tvCtx.fillStyle = "#000";
+  const route = tvPendingRoute;
+  tvPendingRoute = null;
+
+  if (route) {
+    console.log("🔗 Deep link:", formatTvRoute(route));
+    trackSceneClick(roomStateRouteRestored ? "tv_route_restore" : "deep_link_open", {
+      route: formatTvRoute(route),
+    });
+    applyTvRoute(route);
   }
+}
 
-  roundRect(tvCtx, bx, by, BTN.w, BTN.h, 18);
-  tvCtx.fill();
-  tvCtx.restore();
+window.addEventListener("popstate", () => {
+  const route = parseTvRoute(location.hash);
 
-  // border
-  tvCtx.save();
-  tvCtx.globalAlpha = 0.35;
-  tvCtx.strokeStyle = "#fff";
-  tvCtx.lineWidth = 3;
-  roundRect(tvCtx, bx, by, BTN.w, BTN.h, 18);
-  tvCtx.stroke();
-  tvCtx.restore();
+  if (!tvRouteSceneEntered) {
+    tvPendingRoute = route;
+    return;
+  }
 
-  // text
-  tvCtx.save();
-  tvCtx.fillStyle = "#fff";
-  tvCtx.globalAlpha = 0.92;
-  tvCtx.font = "bold 46px Arial";
-  tvCtx.textAlign = "center";
-  tvCtx.textBaseline = "middle";
-  tvCtx.fillText("MENU", bx + BTN.w * 0.5, by + BTN.h * 0.52);
-  tvCtx.restore();
-}
+  const cur = getTvRouteFromState();
+  const depth = getTvRouteDepth(route);
+  const curHash = formatTvRoute(cur);
+  const targetHash = formatTvRoute(route);
 
-applyTvPageTransitionOverlay();
+  // Back to an ancestor page → same as pressing BACK on the TV
+  if (route && cur && depth < getTvRouteDepth(cur) && curHash.startsWith(targetHash)) {
+    tvRouteApplying = true;
+    try {
+      for (let i = 0; i < 3 && tvOn && getTvRouteDepth(getTvRouteFromState()) > depth; i++) {
+        goBackOnePage();
+      }
+      syncTvRoute();
+    } finally {
+      tvRouteApplying = false;
+    }
+    return;
+  }
 
-  tvTex.needsUpdate = true;
-}
+  // same gallery, different item → just load it
+  if (route && cur && route.sub && route.sub === cur.sub && route.category === cur.category) {
+    tvRouteApplying = true;
+    try {
+      loadTvRouteItem(route.item);
+    } finally {
+      tvRouteApplying = false;
+    }
+    return;
+  }
 
-// ✅ MODEL MEDIA TYPE HELPERS (put right above MODEL_PATHS)
-function isImageUrl(url = "") {
-  return /\.(png|jpe?g|webp|gif)$/i.test(url.split("?")[0]);
-}
-function isVideoUrl(url = "") {
-  return /\.(mp4|webm|mov|m4v|ogg)$/i.test(url.split("?")[0]);
-}
+  applyTvRoute(route);
+});
 
 // ============================================================
-// 3D MODEL GALLERY (actually mp4s — same system as VIDEO) ✅
+// ✅ VISITOR STATE (localStorage)
+// - lamp / night vision, Picture1, playlist position + timestamp,
+//   master volume / mute and the TV page are remembered between visits
+// - restored on scene entry (a #/ deep link in the URL wins over
+//   the saved TV page); music never autoplays, it resumes on play
+// - the stored object is versioned: any other version is dropped
+//   (bump ROOM_STATE_VERSION when the shape changes), and every field
+//   is checked on its own so one bad value doesn't lose the rest
+// - "reset room" (help overlay, a11y panel or ?reset) wipes it
 // ============================================================
-const MODEL_PATHS = [
-  "./assets/3D Model/01-Gate.mp4",
-  "./assets/3D Model/02-Skateboard.mp4",
-  "./assets/3D Model/03-Skateboard-2.mp4",
-  "./assets/3D Model/04-UAP.mp4",
-  "./assets/3D Model/05-Morningstar.mp4",
-  "./assets/3D Model/06-Bat.mp4",
-  "./assets/3D Model/07-Chainsaw.mp4",
-  "./assets/3D Model/08-Granade1.mp4",
-  
-];
-
-let modelIndex = 0;
+const ROOM_STATE_KEY = "gambo.room";
+const ROOM_STATE_VERSION = 1;
+const ROOM_STATE_SAVE_DELAY_MS = 400;
 
-// ✅ we now support BOTH video + photo
-let modelVideoEl = null;          // <video>
-let modelImageEl = null;          // HTMLImageElement
-let modelMediaType = "video";     // "video" | "image"
+let roomStateRestored = false;   // no saves before restore (load-time setters would overwrite it)
+let roomStateSaveTimer = null;
+let roomStateRouteRestored = false;
 
-let modelReady = false;
-let modelPlaying = false;
-let modelWantsAutoPlay = false;
+// last playing position, kept outside the <audio> because on touch
+// devices blur / pagehide stop + rewind every track (blur can land
+// before the pagehide save); a hidden page keeps the playlist going
+let roomTrackPos = { index: 0, time: 0 };
+let roomTrackResumePending = false;
 
-let currentModelUrl = null;       // track what is currently loaded
-let modelImageLoading = false;
+function readRoomStorage() {
+  try {
+    const raw = localStorage.getItem(ROOM_STATE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn("💾 Room state unreadable:", e);
+    return null;
+  }
+}
 
+// saved by another build (older or newer shape) → don't guess
+function checkRoomStateVersion(state) {
+  if (!state || typeof state !== "object") return null;
+  return Number(state.v) === ROOM_STATE_VERSION ? state : null;
+}
 
-function ensureModelVideoEl() {
-  if (modelVideoEl) return;
+function rememberRoomTrackTime(index, time) {
+  roomTrackPos = { index, time: Number.isFinite(time) ? time : 0 };
+}
 
-  modelVideoEl = document.createElement("video");
-  modelVideoEl.crossOrigin = "anonymous";
-  modelVideoEl.preload = "metadata";
-  modelVideoEl.playsInline = true;
-  modelVideoEl.setAttribute("webkit-playsinline", "");
-  modelVideoEl.loop = true;
-  modelVideoEl.muted = isIOS ? false : false;
-  modelVideoEl.controls = false;
+function getRoomState() {
+  const trackTime = roomTrackPos.index === trackIndex ? roomTrackPos.time : 0;
 
-  modelVideoEl.addEventListener("loadeddata", async () => {
-    modelReady = true;
+  return {
+    v: ROOM_STATE_VERSION,
+    savedAt: Date.now(),
+    lampMood,
+    picture: PICTURE1_TEXTURES[picture1TexIndex] || null,
+    pictureIndex: picture1TexIndex,
+    track: {
+      src: tracks[trackIndex] || null,
+      index: trackIndex,
+      time: Math.round(trackTime * 10) / 10,
+    },
+    tvRoute: formatTvRoute(getTvRouteFromState()) || null,
+    sound: {
+      volume: Math.round(audioMixVolume * 100) / 100,
+      muted: audioMixMuted,
+    },
+  };
+}
 
-    if (tvOn && tvUiState === "3D MODEL") drawModelToTv();
+function saveRoomState() {
+  if (!roomStateRestored) return;
 
-    if (tvOn && tvUiState === "3D MODEL" && modelWantsAutoPlay && modelVideoEl.paused) {
-      try {
-        await playModel();
-        modelWantsAutoPlay = false;
-      } catch {}
-    }
-  });
+  if (roomStateSaveTimer) {
+    clearTimeout(roomStateSaveTimer);
+    roomStateSaveTimer = null;
+  }
 
-  modelVideoEl.addEventListener("pause", () => (modelPlaying = false));
-  modelVideoEl.addEventListener("play", () => (modelPlaying = true));
+  try {
+    localStorage.setItem(ROOM_STATE_KEY, JSON.stringify(getRoomState()));
+  } catch (e) {
+    console.warn("💾 Room state not saved:", e);
+  }
 }
 
-function ensureModelImageEl() {
-  if (modelImageEl) return;
+function saveRoomStateSoon() {
+  if (!roomStateRestored) return;
+  if (roomStateSaveTimer) clearTimeout(roomStateSaveTimer);
+  roomStateSaveTimer = setTimeout(saveRoomState, ROOM_STATE_SAVE_DELAY_MS);
+}
 
-  modelImageEl = new Image();
-  modelImageEl.crossOrigin = "anonymous";
+function applyRoomLamp(mood) {
+  lampMood = mood;
+  setNightVision(lampMood === 1);
+  applyLampMood(lampMood);
+  updateLampHintText();
 }
 
-function loadModelAt(index, { autoPlay = false } = {}) {
-  if (!tvOn) return;
-  if (tvUiState !== "3D MODEL") return;
+// playCurrent() calls this so the first play picks up where the last visit stopped
+function applyRoomTrackResume(a) {
+  if (!roomTrackResumePending) return;
+  roomTrackResumePending = false;
 
-  const key = (selectedSubcategory || "").toUpperCase();
-  const list = MODEL_CATEGORIES[key] || [];
+  if (roomTrackPos.index !== trackIndex || !(roomTrackPos.time > 0)) return;
 
-  if (!list.length) {
-    console.warn("❌ No 3D model media for:", selectedSubcategory, key);
-    clearTvScreen();
-    return;
+  try {
+    a.currentTime = roomTrackPos.time;
+  } catch (e) {
+    console.warn("💾 Track resume failed:", e);
   }
+}
 
-  const n = list.length;
-  modelIndex = (index + n) % n;
-
-  const url = list[modelIndex];
-  currentModelUrl = url;
+// called from enterSceneFromLoader(), before applyPendingTvRoute()
+function restoreRoomState() {
+  if (roomStateRestored) return;
 
-  modelReady = false;
-  modelPlaying = false;
+  const saved = checkRoomStateVersion(readRoomStorage());
+  roomStateRestored = true;
 
-  // show black while loading
-  clearTvScreen();
+  if (!saved) return;
 
-  if (isImageUrl(url)) {
-    modelMediaType = "image";
-    ensureModelImageEl();
+  const restored = [];
 
-    if (modelVideoEl) {
-      try { modelVideoEl.pause(); } catch {}
-    }
-    modelPlaying = false;
+  if (saved.lampMood === 0 || saved.lampMood === 1) {
+    if (saved.lampMood !== lampMood) applyRoomLamp(saved.lampMood);
+    restored.push("lamp");
+  }
 
-    modelImageLoading = true;
-    modelImageEl.onload = () => {
-  modelImageLoading = false;
-  modelReady = true;
-  drawModelToTv();
-  applyTvPageTransitionOverlay();
-};
+  // by path first (survives reordering content.json), index as a fallback
+  let pic = PICTURE1_TEXTURES.indexOf(saved.picture);
+  if (pic === -1 && Number.isInteger(saved.pictureIndex) && saved.pictureIndex < PICTURE1_TEXTURES.length) {
+    pic = saved.pictureIndex;
+  }
+  if (pic >= 0) {
+    if (pic !== picture1TexIndex) setPicture1Texture(pic);
+    restored.push("picture");
+  }
 
-    modelImageEl.onerror = (e) => {
-      modelImageLoading = false;
-      console.warn("❌ Model image failed to load:", url, e);
-    };
+  const t = saved.track;
+  if (t && typeof t === "object" && tracks.length) {
+    let ti = tracks.indexOf(t.src);
+    if (ti === -1 && Number.isInteger(t.index) && t.index >= 0 && t.index < tracks.length) ti = t.index;
 
-    modelImageEl.src = url;
-    return;
+    if (ti >= 0) {
+      trackIndex = ti;
+      const time = Number(t.time);
+      rememberRoomTrackTime(ti, time > 0 ? time : 0);
+      roomTrackResumePending = time > 0;
+      updateSpeakerHintText();
+      restored.push("track");
+    }
   }
 
-  // ---- VIDEO ----
-  modelMediaType = "video";
-  ensureModelVideoEl();
-
-  try {
-    modelVideoEl.pause();
-    modelVideoEl.currentTime = 0;
-  } catch {}
+  const snd = saved.sound;
+  if (snd && typeof snd === "object") {
+    const volume = Number(snd.volume);
+    if (Number.isFinite(volume) && volume >= 0 && volume <= 1) setAudioMasterVolume(volume);
+    if (typeof snd.muted === "boolean") setAudioMuted(snd.muted);
+    restored.push("sound");
+  }
 
-  modelVideoEl.src = url;
-  modelVideoEl.load();
+  // an explicit #/ link beats the saved TV page
+  if (typeof saved.tvRoute === "string" && !tvPendingRoute && !location.hash) {
+    const route = parseTvRoute(saved.tvRoute);
+    if (route) {
+      tvPendingRoute = route;
+      roomStateRouteRestored = true;
+      restored.push("tv");
+    }
+  }
 
-  if (autoPlay) playModel();
-  else pauseModel();
+  if (restored.length) {
+    console.log("💾 Room state restored:", restored.join(", "));
+    trackSceneClick("room_state_restore", {
+      restored: restored.join(","),
+      saved_version: saved.v,
+    });
+  }
 }
 
-async function playModel() {
-  if (!tvOn) return;
-  if (tvUiState !== "3D MODEL") return;
-  if (!modelVideoEl) return;
-
- try {
-  await modelVideoEl.play();
-  modelPlaying = true;
-
-  if (isIOS) {
-    playBackgroundAudio();
+function resetRoomState({ source = "unknown" } = {}) {
+  if (roomStateSaveTimer) {
+    clearTimeout(roomStateSaveTimer);
+    roomStateSaveTimer = null;
   }
-} catch (err) {
-  console.warn("3D Model play blocked (needs user gesture):", err);
-  modelPlaying = false;
-}
-}
 
-function pauseModel() {
-  if (modelMediaType !== "video") return; // ✅ ADD THIS LINE HERE
-  if (!modelVideoEl) return;
-  modelVideoEl.pause();
-  modelPlaying = false;
-}
+  try {
+    localStorage.removeItem(ROOM_STATE_KEY);
+  } catch (e) {
+    console.warn("💾 Room state not cleared:", e);
+  }
 
+  // nothing to put back yet — restore will just find an empty slot
+  if (!roomStateRestored) return;
 
+  if (lampMood !== 0) applyRoomLamp(0);
+  if (picture1TexIndex !== 0) setPicture1Texture(0);
 
-function stopModelCompletely() {
-  if (!modelVideoEl) return;
+  for (const a of audioEls) {
+    try {
+      a.pause();
+      a.currentTime = 0;
+    } catch {}
+  }
+  isPlaying = false;
+  trackIndex = 0;
+  rememberRoomTrackTime(0, 0);
+  roomTrackResumePending = false;
+  updateSpeakerHintText();
 
-  modelVideoEl.pause();
-  modelPlaying = false;
+  setAudioMasterVolume(1);
+  setAudioMuted(false);
 
-  try {
-    modelVideoEl.currentTime = 0;
-  } catch {}
+  if (tvOn) {
+    playTvOffSound();
+    setTvPower(false);
+  }
 
-  modelReady = false;
+  console.log("🧹 Room reset");
+  trackSceneClick("room_state_reset", { source });
 }
 
-function toggleModelPlayPause() {
-  if (modelMediaType !== "video") return; // ✅ ADD THIS LINE HERE
-  if (!modelVideoEl) return;
-  if (modelVideoEl.paused) playModel();
-  else pauseModel();
+// ?reset → start from a clean room (param is stripped so a reload doesn't wipe again)
+{
+  const params = new URLSearchParams(location.search);
+  if (params.has("reset")) {
+    resetRoomState({ source: "url" });
+    params.delete("reset");
+    const qs = params.toString();
+    history.replaceState(history.state, "", location.pathname + (qs ? `?${qs}` : "") + location.hash);
+  }
 }
 
+// flush right away when leaving — these run before the touch
+// "stop music because user left" listeners further down
+window.addEventListener("pagehide", saveRoomState);
+window.addEventListener("blur", saveRoomState);
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) saveRoomState();
+});
 
-function nextModel(delta) {
-  if (!tvOn) return;
-  if (tvUiState !== "3D MODEL") return;
+// ============================================================
+// PHOTO GALLERY (draw images to the TV canvas)
+// ============================================================
+const imgLoader = new THREE.ImageLoader();
+imgLoader.setCrossOrigin("anonymous");
 
-  const shouldPlay = modelPlaying && modelVideoEl && !modelVideoEl.paused;
+let photoIndex = 0;
+let photoImage = null;   // the currently loaded HTMLImageElement
+let photoLoading = false;
 
-  loadModelAt(modelIndex + delta, { autoPlay: shouldPlay });
-}
 
-function drawModelToTv() {
-  if (modelMediaType === "image") {
-    if (!modelImageEl || !modelReady) return;
-    drawPhotoToTv(modelImageEl); // reuse your existing cover-draw logic
+function loadPhotoAt(index) {
+  if (!tvOn) return;
+  if (tvUiState !== "PHOTO") return;
+
+  const key = (selectedSubcategory || "").toUpperCase();
+  const list = PHOTO_CATEGORIES[key] || [];
+  if (!list.length) {
+    console.warn("❌ No photos for subcategory:", selectedSubcategory, key);
     return;
   }
 
-  // video
-  drawModelFrameToTv();
-}
-
-function drawModelFrameToTv() {
-  if (modelMediaType !== "video") return; // ✅ ADD THIS LINE (FIRST)
-  if (!modelVideoEl || !modelReady) return;
+  const n = list.length;
+  photoIndex = (index + n) % n;
 
+  const url = list[photoIndex];
+  currentPhotoUrl = url;
+  photoLoading = true;
+  syncTvRoute();
+
+  console.log("🖼 Loading photo:", url);
+
+  imgLoader.load(
+    url,
+    (img) => {
+  photoImage = img;
+  photoLoading = false;
+  drawPhotoToTv(img);
+  applyTvPageTransitionOverlay();
+},
+    undefined,
+    (err) => {
+      console.warn("❌ Photo failed to load:", url, err);
+      photoLoading = false;
+    }
+  );
+}
+
+function drawSoftBlurredCoverImage(ctx, img, dx, dy, dw, dh) {
+  const w = tvPhotoFxCanvas.width;
+  const h = tvPhotoFxCanvas.height;
+
+  const tinyCanvas = drawSoftBlurredCoverImage._tinyCanvas || document.createElement("canvas");
+  const tinyCtx = drawSoftBlurredCoverImage._tinyCtx || tinyCanvas.getContext("2d");
+
+  drawSoftBlurredCoverImage._tinyCanvas = tinyCanvas;
+  drawSoftBlurredCoverImage._tinyCtx = tinyCtx;
+
+  const sw = Math.max(1, Math.floor(w * TV_PHOTO_STYLE.blurScale));
+  const sh = Math.max(1, Math.floor(h * TV_PHOTO_STYLE.blurScale));
+
+  if (tinyCanvas.width !== sw) tinyCanvas.width = sw;
+  if (tinyCanvas.height !== sh) tinyCanvas.height = sh;
+
+  // full-size work pass
+  tvPhotoFxCtx.clearRect(0, 0, w, h);
+  tvPhotoFxCtx.imageSmoothingEnabled = true;
+  tvPhotoFxCtx.drawImage(img, dx, dy, dw, dh);
+
+  // tiny pass
+  tinyCtx.clearRect(0, 0, sw, sh);
+  tinyCtx.imageSmoothingEnabled = true;
+  tinyCtx.drawImage(tvPhotoFxCanvas, 0, 0, w, h, 0, 0, sw, sh);
+
+  // upscale tiny back to full size = stable soft blur
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.globalAlpha = TV_PHOTO_STYLE.blurAlpha;
+  ctx.drawImage(tinyCanvas, 0, 0, sw, sh, 0, 0, w, h);
+  ctx.restore();
+}
+
+function drawPhotoToTv(img) {
   const w = tvCanvas.width;
   const h = tvCanvas.height;
 
@@ -6855,56 +8595,87 @@ function drawModelFrameToTv() {
   tvCtx.fillStyle = "#000";
   tvCtx.fillRect(0, 0, w, h);
 
-  const iw = modelVideoEl.videoWidth || 16;
-  const ih = modelVideoEl.videoHeight || 9;
+  const iw = img.width;
+  const ih = img.height;
 
-  // ✅ COVER (same as PHOTO + VIDEO)
+  // ✅ COVER (fills the whole TV, crops edges if needed)
   const scale = Math.max(w / iw, h / ih);
+
+  // ✅ tiny overscan like real TV (hides small borders)
   const overscan = 1.02;
   const dw = iw * scale * overscan;
   const dh = ih * scale * overscan;
+
   const dx = (w - dw) * 0.5;
   const dy = (h - dh) * 0.5;
 
-  tvCtx.drawImage(modelVideoEl, dx, dy, dw, dh);
+  // --------------------------------------------------
+  // ✅ PASS 1: soft blurred base
+  // Reliable on iOS because it uses low-res upscale blur simulation
+  // --------------------------------------------------
+  drawSoftBlurredCoverImage(tvCtx, img, dx, dy, dw, dh);
+
+  // --------------------------------------------------
+  // ✅ PASS 2: main image with reduced opacity
+  // --------------------------------------------------
+  tvCtx.save();
+  tvCtx.imageSmoothingEnabled = true;
+  tvCtx.globalAlpha = TV_PHOTO_STYLE.finalAlpha;
+  tvCtx.drawImage(img, dx, dy, dw, dh);
+  tvCtx.restore();
+
+  // --------------------------------------------------
+  // ✅ PASS 3: subtle dark vignette so the image always feels softer
+  // --------------------------------------------------
+  tvCtx.save();
+  const vg = tvCtx.createRadialGradient(
+    w * 0.5, h * 0.5, Math.min(w, h) * 0.18,
+    w * 0.5, h * 0.5, Math.max(w, h) * 0.62
+  );
+  vg.addColorStop(0.0, `rgba(0,0,0,0.0)`);
+  vg.addColorStop(1.0, `rgba(0,0,0,${TV_PHOTO_STYLE.vignetteAlpha})`);
+  tvCtx.fillStyle = vg;
+  tvCtx.fillRect(0, 0, w, h);
+  tvCtx.restore();
+
   drawDesktopTvSideArrows(tvCtx, w, h);
+  drawTvItemInfo(tvCtx, w, h);
 
   if (tvOn && (tvUiState === "PHOTO" || tvUiState === "3D MODEL")) {
-  const BACK = getTvBackBtn();
-  const backX = BACK.pad;
-  const backY = BACK.pad;
+    const BACK = getTvBackBtn();
+    const backX = BACK.pad;
+    const backY = BACK.pad;
 
-  tvCtx.save();
+    tvCtx.save();
 
-  if (backHover) {
-    tvCtx.globalAlpha = 1.0;
-    tvCtx.fillStyle = "rgba(255,255,255,0.06)";
-    tvCtx.shadowColor = "rgba(255,255,255,0.5)";
-    tvCtx.shadowBlur = 18;
-  } else {
-    tvCtx.globalAlpha = 0.85;
-    tvCtx.fillStyle = "rgba(255,255,255,0.06)";
-  }
+    if (backHover) {
+      tvCtx.globalAlpha = 1.0;
+      tvCtx.fillStyle = "rgba(255,255,255,0.06)";
+      tvCtx.shadowColor = "rgba(255,255,255,0.5)";
+      tvCtx.shadowBlur = 18;
+    } else {
+      tvCtx.globalAlpha = 0.85;
+      tvCtx.fillStyle = "rgba(255,255,255,0.06)";
+    }
 
-  roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
-  tvCtx.fill();
+    roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
+    tvCtx.fill();
 
-  tvCtx.strokeStyle = "rgba(255,255,255,0.25)";
-  tvCtx.lineWidth = 2;
-  roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
-  tvCtx.stroke();
+    tvCtx.strokeStyle = "rgba(255,255,255,0.25)";
+    tvCtx.lineWidth = 2;
+    roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
+    tvCtx.stroke();
 
-  tvCtx.fillStyle = "#fff";
-  tvCtx.font = "46px Arial";
-  tvCtx.textAlign = "center";
-  tvCtx.textBaseline = "middle";
-  tvCtx.fillText("← back", backX + BACK.w * 0.5, backY + BACK.h * 0.52);
+    tvCtx.fillStyle = "#fff";
+    tvCtx.font = "46px Arial";
+    tvCtx.textAlign = "center";
+    tvCtx.textBaseline = "middle";
+    tvCtx.fillText("← back", backX + BACK.w * 0.5, backY + BACK.h * 0.52);
 
-  tvCtx.restore();
-}
-  
-  // ✅ MENU button (top-right)
-  if (tvOn && tvUiState === "3D MODEL") {
+    tvCtx.restore();
+  }
+
+  if (tvOn && (tvUiState === "PHOTO" || tvUiState === "3D MODEL")) {
     const BTN = getTvMenuBtn();
     const bx = w - BTN.pad - BTN.w;
     const by = BTN.pad;
@@ -6925,6 +8696,7 @@ function drawModelFrameToTv() {
     tvCtx.fill();
     tvCtx.restore();
 
+    // border
     tvCtx.save();
     tvCtx.globalAlpha = 0.35;
     tvCtx.strokeStyle = "#fff";
@@ -6933,6 +8705,7 @@ function drawModelFrameToTv() {
     tvCtx.stroke();
     tvCtx.restore();
 
+    // text
     tvCtx.save();
     tvCtx.fillStyle = "#fff";
     tvCtx.globalAlpha = 0.92;
@@ -6943,3267 +8716,5612 @@ function drawModelFrameToTv() {
     tvCtx.restore();
   }
 
-  // ✅ paused overlay (same UI as VIDEO)
-  if (modelVideoEl.paused) {
-    tvCtx.save();
-    tvCtx.fillStyle = "rgba(0,0,0,0.35)";
-    tvCtx.fillRect(0, 0, w, h);
-
-    tvCtx.fillStyle = "#fff";
-    tvCtx.font = "bold 64px Arial";
-    tvCtx.textAlign = "center";
-    tvCtx.textBaseline = "middle";
-    tvCtx.fillText("PAUSED", w * 0.5, h * 0.5);
-
-    tvCtx.font = "32px Arial";
-    tvCtx.fillText("OK: Play/Pause    ◀/▶: Prev/Next", w * 0.5, h * 0.5 + 80);
-    tvCtx.restore();
-  }
-
   applyTvPageTransitionOverlay();
 
   tvTex.needsUpdate = true;
 }
 
+function nextPhoto(delta) {
+  if (!tvOn) return;
+  if (tvUiState !== "PHOTO") return;
+  if (photoLoading) return;
+
+  loadPhotoAt(photoIndex + delta);
+}
 
-// TV UI HELPERS (clears screen + disables/enables texture)
-// PUT DIRECTLY UNDER drawTvMenu()
 // ============================================================
-function clearTvScreen() {
-  const w = tvCanvas.width;
-  const h = tvCanvas.height;
+// VIDEO GALLERY (draw video frames to the TV canvas)
+// ============================================================
+const VIDEO_PATHS = [
+  "./assets/Video/01-sweet93-OG.mp4",
+];
 
-  tvCtx.clearRect(0, 0, w, h);
-  tvCtx.fillStyle = "#000000";
-  tvCtx.fillRect(0, 0, w, h);
+let videoIndex = 0;
+let videoEl = null;          // single persistent <video>
+let videoReady = false;      // true once we have dimensions/frames
+let videoPlaying = false;    // our UI state
+let videoWantsAutoPlay = false; 
 
-  tvTex.needsUpdate = true;
-}
+function ensureVideoEl() {
+  if (videoEl) return;
 
-function applyTvTextureEnabled(enabled) {
-  if (!tvScreenMatRef) return;
+  videoEl = document.createElement("video");
+videoEl.crossOrigin = "anonymous";
+videoEl.preload = "auto";
+videoEl.playsInline = true;
+videoEl.setAttribute("playsinline", "");
+videoEl.setAttribute("webkit-playsinline", ""); // iOS Safari
+videoEl.loop = true;
+videoEl.muted = false;
+videoEl.defaultMuted = false;
+videoEl.removeAttribute("muted");
+mixAudio(videoEl, "video", undefined, { anchor: () => tvScreenMeshRef });
+videoEl.controls = false;
 
-  tvScreenMatRef.map = enabled ? tvTex : null;
-  tvScreenMatRef.emissiveMap = enabled ? tvTex : null;
-  tvScreenMatRef.needsUpdate = true;
+videoEl.addEventListener("loadeddata", async () => {
+  videoReady = true;
+
+  // draw first frame immediately once it exists
+  if (tvOn && tvUiState === "VIDEO" && !tvVideoSuppressed) {
+  drawVideoFrameToTv();
+  applyTvPageTransitionOverlay();
 }
 
-const tracks = [
-  "./assets/Audio/01-rip-fredo-notice-me-011.mp3",
-  "./assets/Audio/02-Me.mp3",
-  "./assets/Audio/03-floor-555-011.mp3",
-  "./assets/Audio/04-12r-011.mp3",
-  "./assets/Audio/05-Promise.mp3",
-  "./assets/Audio/06-bline-01.mp3",
-  "./assets/Audio/07-I-Dream.mp3",
-  "./assets/Audio/08-Bingethinking.mp3",
-  "./assets/Audio/09-under-the-same-name-011.mp3",
-  "./assets/Audio/10-a-sad-cartoon-011.mp3", 
-  "./assets/Audio/11-xo-011.mp3",
-  "./assets/Audio/12-min-dag1.mp3",
-  "./assets/Audio/13-Counting-Hands.mp3",
-  "./assets/Audio/14-pistol-011.mp3",
-  "./assets/Audio/15-widowdusk-011.mp3",
-  "./assets/Audio/16-letters-to-frances_011.mp3",
-];
+  // autoplay only after first frame is ready
+  if (tvOn && tvUiState === "VIDEO" && videoWantsAutoPlay && videoEl.paused) {
+    try {
+      await playVideo();
+      videoWantsAutoPlay = false;
+    } catch (err) {
+      console.warn("Autoplay after loadeddata failed:", err);
+    }
+  }
+});
 
-let trackIndex = 0;
-let isPlaying = false;
+videoEl.addEventListener("pause", () => (videoPlaying = false));
+videoEl.addEventListener("play", () => (videoPlaying = true));
 
-// 🔓 ADD THIS BLOCK RIGHT HERE
-let audioUnlocked = false;
+watchVideoBuffering(videoEl);
+}
 
-let bgAudio = null;
-let bgAudioEnabled = true;
+function loadVideoAt(index, { autoPlay = false } = {}) {
+  if (!tvOn) return;
+  if (tvUiState !== "VIDEO") return;
 
-let bgAudioResumePending = false;
-let bgAudioResumeTimer = null;
+  ensureVideoEl();
 
-async function unlockAudioOnce() {
-  if (audioUnlocked) return;
+  const key = (selectedSubcategory || "").toUpperCase();
+  const list = VIDEO_CATEGORIES[key] || [];
 
-  const a = currentAudio();
+  if (!list.length) {
+    console.warn("❌ No videos for:", selectedSubcategory, key);
+    clearTvScreen();
+    return;
+  }
 
-  try {
-    a.muted = true;
-    await a.play();
-    a.pause();
-    a.currentTime = 0;
-    a.muted = false;
-
-    audioUnlocked = true;
-    console.log("🔓 Speaker audio unlocked");
-  } catch (e) {
-    console.warn("Speaker audio unlock failed:", e);
-    audioUnlocked = false;
-  }
-}
-
-let audioEls = [];
-let playlistLazyLoadStarted = false;
-
-function buildPlaylistAudio() {
-  if (audioEls.length) return audioEls;
-
-  audioEls = tracks.map((src) => {
-    const a = new Audio(src);
-    a.preload = "metadata";
-    a.crossOrigin = "anonymous";
-    return a;
-  });
-
-  // ✅ AUTO-NEXT when a song finishes
-  audioEls.forEach((a, i) => {
-    a.addEventListener("ended", () => {
-      if (i !== trackIndex) return;
-      if (!isPlaying) return;
+  const n = list.length;
+  videoIndex = (index + n) % n;
 
-      console.log("⏭ Track ended → auto next");
-      nextTrack();
-    });
-  });
+  const url = list[videoIndex];
+  syncTvRoute();
 
-  return audioEls;
-}
+  console.log("🎬 Loading video:", url);
 
-function startLazyPlaylistLoad() {
-  if (playlistLazyLoadStarted) return;
-  playlistLazyLoadStarted = true;
+  videoReady = false;
+  videoPlaying = false;
+  videoWantsAutoPlay = autoPlay;
 
-  // start after scene is entered
-  setTimeout(() => {
-    buildPlaylistAudio();
-    console.log("🎵 Playlist lazy load started");
-  }, 1000);
-}
+  const __endVid = () => {};
 
-function currentAudio() {
-  if (!audioEls.length) buildPlaylistAudio();
-  return audioEls[trackIndex];
-}
+  try {
+    videoEl.pause();
+    videoEl.currentTime = 0;
+  } catch {}
 
-function ensureBackgroundAudio() {
-  if (bgAudio) return bgAudio;
+  videoEl.src = url;
+  videoEl.load();
 
-  bgAudio = new Audio("./assets/Audio/Background-sound11.mp3");
-  bgAudio.preload = "metadata";
-  bgAudio.crossOrigin = "anonymous";
-  bgAudio.loop = true;
-  bgAudio.volume = isIOS ? 0.28 : 0.60; // ✅ lower on iOS only
-  bgAudio.playsInline = true;
-    bgAudio.setAttribute?.("webkit-playsinline", "");
+  let ended = false;
 
-  bgAudio.addEventListener("pause", () => {
-    if (!bgAudioEnabled) return;
-    if (!isIOS) return;
-    if (document.hidden) return;
+  const done = () => {
+    if (ended) return;
+    ended = true;
 
-    bgAudioResumePending = true;
-    scheduleBackgroundAudioResume(120);
-  });
+    __endVid();
+    videoEl.removeEventListener("loadeddata", done);
+    videoEl.removeEventListener("canplay", done);
+    videoEl.removeEventListener("error", done);
+  };
 
-  bgAudio.addEventListener("ended", () => {
-    if (!bgAudioEnabled) return;
-    if (!isIOS) return;
+  videoEl.addEventListener("loadeddata", done, { once: true });
+  videoEl.addEventListener("canplay", done, { once: true });
+  videoEl.addEventListener("error", done, { once: true });
 
-    bgAudioResumePending = true;
-    scheduleBackgroundAudioResume(0);
-  });
+  setTimeout(done, 8000);
 
-  return bgAudio;
+  clearTvScreen();
 }
 
-function scheduleBackgroundAudioResume(delay = 0) {
-  if (!bgAudioEnabled) return;
-  if (!isIOS) return;
+async function playVideo() {
+  if (!tvOn) return;
+  if (tvUiState !== "VIDEO") return;
+  if (!videoEl) return;
 
-  bgAudioResumePending = true;
+ try {
+  videoEl.muted = false;
+  videoEl.defaultMuted = false;
+  videoEl.removeAttribute("muted");
+  mixAudio(videoEl, "video");
 
-  if (bgAudioResumeTimer) {
-    clearTimeout(bgAudioResumeTimer);
-    bgAudioResumeTimer = null;
+  await videoEl.play();
+  videoPlaying = true;
+} catch (err) {
+    console.warn("Video play blocked (needs user gesture):", err);
+    videoPlaying = false;
   }
+}
 
-  bgAudioResumeTimer = setTimeout(async () => {
-    bgAudioResumeTimer = null;
-
-    const bg = ensureBackgroundAudio();
-    if (!bg) return;
-    if (!bgAudioResumePending) return;
-
-    try {
-      bg.loop = true;
-      bg.volume = isIOS ? 0.28 : 0.60;
-      bg.playsInline = true;
-      bg.setAttribute?.("webkit-playsinline", "");
-
-      if (bg.paused) {
-        await bg.play();
-        console.log("🌫️ Background ambience resumed");
-      }
-
-      bgAudioResumePending = false;
-    } catch (err) {
-      console.warn("Background ambience resume blocked:", err);
-    }
-  }, delay);
+function pauseVideo() {
+  if (!videoEl) return;
+  videoEl.pause();
+  videoPlaying = false;
 }
 
-async function forceResumeBackgroundAudioNow() {
-  if (!bgAudioEnabled) return;
+function stopVideoCompletely() {
+  if (!videoEl) return;
 
-  const bg = ensureBackgroundAudio();
-  if (!bg) return;
+  // stop playback
+  videoEl.pause();
+  videoPlaying = false;
 
+  // reset to start so it doesn’t “keep running”
   try {
-    bg.loop = true;
-    bg.volume = isIOS ? 0.28 : 0.60;
-    bg.playsInline = true;
-    bg.setAttribute?.("webkit-playsinline", "");
-
-    if (bg.paused) {
-      await bg.play();
-      console.log("🌫️ Background ambience forced resume");
-    }
+    videoEl.currentTime = 0;
+  } catch {}
 
-    bgAudioResumePending = false;
-  } catch (err) {
-    console.warn("Background ambience forced resume blocked:", err);
-  }
+  // OPTIONAL but recommended: clear frame + redraw menu/black
+  videoReady = false;
 }
 
-const IOS_LAMP_VOLUME = 0.12;
-const DESKTOP_LAMP_VOLUME = 0.22;
-
-let lampAudio = null;
-
-let smokeChirpAudio = null;
-let smokeChirpStartTimeout = null;
-let smokeChirpInterval = null;
 
-function applyLampAudioVolume(a) {
-  if (!a) return;
-  a.volume = isIOS ? IOS_LAMP_VOLUME : DESKTOP_LAMP_VOLUME;
+function toggleVideoPlayPause() {
+  if (!videoEl) return;
+  if (videoEl.paused) playVideo();
+  else pauseVideo();
 }
 
-function ensureLampAudio() {
-  if (lampAudio) {
-    applyLampAudioVolume(lampAudio);
-    return lampAudio;
-  }
-
-  lampAudio = new Audio("./assets/Audio/Lamp-Turnon_01.mp3");
-  lampAudio.preload = "auto";
-  lampAudio.crossOrigin = "anonymous";
-  lampAudio.loop = false;
-  lampAudio.playsInline = true;
-  lampAudio.setAttribute?.("webkit-playsinline", "");
-  applyLampAudioVolume(lampAudio);
-  lampAudio.load();
+function nextVideo(delta) {
+  if (!tvOn) return;
+  if (tvUiState !== "VIDEO") return;
 
-  return lampAudio;
+  // keep playing state when switching
+  const shouldPlay = videoPlaying && videoEl && !videoEl.paused;
+  loadVideoAt(videoIndex + delta, { autoPlay: shouldPlay });
 }
 
-function ensureSmokeChirpAudio() {
-  if (smokeChirpAudio) return smokeChirpAudio;
+async function overlayNextVideo(delta) {
+  if (!videoOverlayOpen) return;
+  if (tvUiState !== "VIDEO") return;
 
-  smokeChirpAudio = new Audio("./assets/Audio/Smoke-Chirp.mp3");
-  smokeChirpAudio.preload = "auto";
-  smokeChirpAudio.crossOrigin = "anonymous";
-  smokeChirpAudio.loop = false;
-  smokeChirpAudio.playsInline = true;
-  smokeChirpAudio.setAttribute?.("webkit-playsinline", "");
-  smokeChirpAudio.volume = isIOS ? 0.12 : 0.08;
-  smokeChirpAudio.load();
+  const key = (selectedSubcategory || "").toUpperCase();
+  const list = VIDEO_CATEGORIES[key] || [];
+  if (!list.length) return;
 
-  return smokeChirpAudio;
-}
+  const n = list.length;
+  videoIndex = (videoIndex + delta + n) % n;
 
-function playSmokeChirp() {
-  const a = ensureSmokeChirpAudio();
-  if (!a) return;
+  const url = list[videoIndex];
+
+  // keep TV state in sync, but paused while overlay is open
+  loadVideoAt(videoIndex, { autoPlay: false });
+  refreshOverlayInfoCaption();
 
   try {
-    a.pause();
-    a.currentTime = 0;
+    videoOverlayEl.pause();
+    videoOverlayEl.src = url;
+    videoOverlayEl.currentTime = 0;
+    videoOverlayEl.load();
 
-    const p = a.play();
-    if (p?.catch) {
-      p.catch((err) => {
-        console.warn("Smoke chirp play blocked:", err);
-      });
-    }
+    await videoOverlayEl.play();
   } catch (err) {
-    console.warn("Smoke chirp failed:", err);
+    console.warn("overlayNextVideo play blocked:", err);
   }
 }
 
-function stopSmokeChirpCycle() {
-  if (smokeChirpStartTimeout) {
-    clearTimeout(smokeChirpStartTimeout);
-    smokeChirpStartTimeout = null;
-  }
+function drawVideoFrameToTv() {
+  if (!videoEl || !videoReady) return;
 
-  if (smokeChirpInterval) {
-    clearInterval(smokeChirpInterval);
-    smokeChirpInterval = null;
-  }
+  const w = tvCanvas.width;
+  const h = tvCanvas.height;
 
-  if (smokeChirpAudio) {
-    try {
-      smokeChirpAudio.pause();
-      smokeChirpAudio.currentTime = 0;
-    } catch {}
-  }
-}
+  tvCtx.clearRect(0, 0, w, h);
+  tvCtx.fillStyle = "#000";
+  tvCtx.fillRect(0, 0, w, h);
 
-function startSmokeChirpCycle() {
-  // prevent duplicates
-  stopSmokeChirpCycle();
+  const iw = videoEl.videoWidth || 16;
+  const ih = videoEl.videoHeight || 9;
 
-  // first chirp after 15s in scene
-  smokeChirpStartTimeout = setTimeout(() => {
-    playSmokeChirp();
+  // ✅ COVER (same logic as PHOTO)
+  const scale = Math.max(w / iw, h / ih);
+  const overscan = 1.02;
+  const dw = iw * scale * overscan;
+  const dh = ih * scale * overscan;
+  const dx = (w - dw) * 0.5;
+  const dy = (h - dh) * 0.5;
 
-    // then every 30s forever
-    smokeChirpInterval = setInterval(() => {
-      playSmokeChirp();
-    }, 75000);
-  }, 15000);
-}
+  // draw the current frame
+  tvCtx.drawImage(videoEl, dx, dy, dw, dh);
+  drawDesktopTvSideArrows(tvCtx, w, h);
+  drawTvItemInfo(tvCtx, w, h);
 
-const TV_ON_SOUND_SRC = "./assets/Audio/Tv On Sound1-01.mp3";
-const TV_OFF_SOUND_SRC = "./assets/Audio/Tv Off Sound-01.mp3";
+  if (tvOn && tvUiState === "VIDEO") {
+  const BACK = getTvBackBtn();
+  const backX = BACK.pad;
+  const backY = BACK.pad;
 
-let tvOnSoundPreload = null;
-let tvOffSoundPreload = null;
+  tvCtx.save();
 
-let tvOnSoundActive = null;
-let tvOffSoundActive = null;
+  if (backHover) {
+    tvCtx.globalAlpha = 1.0;
+    tvCtx.fillStyle = "rgba(255,255,255,0.06)";
+    tvCtx.shadowColor = "rgba(255,255,255,0.5)";
+    tvCtx.shadowBlur = 18;
+  } else {
+    tvCtx.globalAlpha = 0.85;
+    tvCtx.fillStyle = "rgba(255,255,255,0.06)";
+  }
 
-function ensureTvOnSound() {
-  if (tvOnSoundPreload) return tvOnSoundPreload;
+  roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
+  tvCtx.fill();
 
-  tvOnSoundPreload = new Audio(TV_ON_SOUND_SRC);
-  tvOnSoundPreload.preload = "auto";
-  tvOnSoundPreload.crossOrigin = "anonymous";
-  tvOnSoundPreload.playsInline = true;
-  tvOnSoundPreload.setAttribute?.("webkit-playsinline", "");
-  tvOnSoundPreload.load();
+  tvCtx.strokeStyle = "rgba(255,255,255,0.25)";
+  tvCtx.lineWidth = 2;
+  roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
+  tvCtx.stroke();
 
-  return tvOnSoundPreload;
+  tvCtx.fillStyle = "#fff";
+  tvCtx.font = "46px Arial";
+  tvCtx.textAlign = "center";
+  tvCtx.textBaseline = "middle";
+  tvCtx.fillText("← back", backX + BACK.w * 0.5, backY + BACK.h * 0.52);
+
+  tvCtx.restore();
 }
 
-function ensureTvOffSound() {
-  if (tvOffSoundPreload) return tvOffSoundPreload;
+if (tvOn && tvUiState === "VIDEO") {
+  const BTN = getTvMenuBtn();
+  const bx = w - BTN.pad - BTN.w;
+  const by = BTN.pad;
 
-  tvOffSoundPreload = new Audio(TV_OFF_SOUND_SRC);
-  tvOffSoundPreload.preload = "auto";
-  tvOffSoundPreload.crossOrigin = "anonymous";
-  tvOffSoundPreload.playsInline = true;
-  tvOffSoundPreload.setAttribute?.("webkit-playsinline", "");
-  tvOffSoundPreload.load();
+  // ✅ 1) PAUSED overlay FIRST (so MENU can sit on top)
+  if (videoEl.paused && !tvCreditsOpen) {
+    tvCtx.save();
+    tvCtx.fillStyle = "rgba(0,0,0,0.35)";
+    tvCtx.fillRect(0, 0, w, h);
 
-  return tvOffSoundPreload;
-}
+    tvCtx.fillStyle = "#fff";
+    tvCtx.font = "bold 64px Arial";
+    tvCtx.textAlign = "center";
+    tvCtx.textBaseline = "middle";
+    tvCtx.fillText("PAUSED", w * 0.5, h * 0.5);
 
-function stopTvPowerSounds() {
-  if (tvOnSoundActive) {
-    try {
-      tvOnSoundActive.pause();
-      tvOnSoundActive.currentTime = 0;
-    } catch {}
-    tvOnSoundActive = null;
+    tvCtx.font = "32px Arial";
+    tvCtx.fillText("OK: Play/Pause    ◀/▶: Prev/Next (hold: ±10s)", w * 0.5, h * 0.5 + 80);
+    tvCtx.restore();
   }
 
-  if (tvOffSoundActive) {
-    try {
-      tvOffSoundActive.pause();
-      tvOffSoundActive.currentTime = 0;
-    } catch {}
-    tvOffSoundActive = null;
+  // ✅ 2) MENU button SECOND (drawn on top of overlay)
+  tvCtx.save();
+
+  if (menuHover) {
+    tvCtx.globalAlpha = 0.9;
+    tvCtx.fillStyle = "#222";
+    tvCtx.shadowColor = "rgba(255,255,255,0.5)";
+    tvCtx.shadowBlur = 25;
+  } else {
+    tvCtx.globalAlpha = 0.65;
+    tvCtx.fillStyle = "#000";
   }
-}
 
-function playTvOnSound() {
-  ensureTvOnSound();
-  stopTvPowerSounds();
+  roundRect(tvCtx, bx, by, BTN.w, BTN.h, 18);
+  tvCtx.fill();
+  tvCtx.restore();
 
-  try {
-    const s = new Audio(TV_ON_SOUND_SRC);
-    s.preload = "auto";
-    s.crossOrigin = "anonymous";
-    s.playsInline = true;
-    s.setAttribute?.("webkit-playsinline", "");
-    s.volume = 0.45;
-    s.currentTime = 0;
+  // border
+  tvCtx.save();
+  tvCtx.globalAlpha = 0.35;
+  tvCtx.strokeStyle = "#fff";
+  tvCtx.lineWidth = 3;
+  roundRect(tvCtx, bx, by, BTN.w, BTN.h, 18);
+  tvCtx.stroke();
+  tvCtx.restore();
 
-    tvOnSoundActive = s;
+  // text
+  tvCtx.save();
+  tvCtx.fillStyle = "#fff";
+  tvCtx.globalAlpha = 0.92;
+  tvCtx.font = "bold 46px Arial";
+  tvCtx.textAlign = "center";
+  tvCtx.textBaseline = "middle";
+  tvCtx.fillText("MENU", bx + BTN.w * 0.5, by + BTN.h * 0.52);
+  tvCtx.restore();
+}
 
-    const p = s.play();
-    if (p?.catch) {
-      p.catch((err) => {
-        console.warn("TV on sound play blocked:", err);
-      });
-    }
+drawTvVideoTransport(tvCtx, w, h, videoEl);
 
-    s.onended = () => {
-      if (tvOnSoundActive === s) tvOnSoundActive = null;
-    };
+applyTvPageTransitionOverlay();
 
-    console.log("🔊 TV on sound played");
-  } catch (err) {
-    console.warn("TV on sound play failed:", err);
-  }
+  tvTex.needsUpdate = true;
 }
 
-function playTvOffSound() {
-  ensureTvOffSound();
-  stopTvPowerSounds();
-
-  try {
-    const s = new Audio(TV_OFF_SOUND_SRC);
-    s.preload = "auto";
-    s.crossOrigin = "anonymous";
-    s.playsInline = true;
-    s.setAttribute?.("webkit-playsinline", "");
-    s.volume = 0.35;
-    s.currentTime = 0;
+// ============================================================
+// ✅ VIDEO TRANSPORT: seek bar + timecode + buffering
+// TV: thin bar under the lower-third (tap to seek), spinner while
+// the element reports waiting/stalled. Overlays get the same as DOM.
+// Remote ◀/▶: tap = prev/next item, hold = seek ±10s.
+// ============================================================
+const REMOTE_SEEK = {
+  holdMs: 380,     // press longer than this = seek instead of step
+  repeatMs: 450,
+  stepSec: 10,
+};
 
-    tvOffSoundActive = s;
+const bufferingVideos = new WeakSet();
 
-    const p = s.play();
-    if (p?.catch) {
-      p.catch((err) => {
-        console.warn("TV off sound play blocked:", err);
-      });
-    }
+function watchVideoBuffering(el, onChange) {
+  const set = (on) => {
+    if (on) bufferingVideos.add(el);
+    else bufferingVideos.delete(el);
+    onChange?.();
+  };
 
-    s.onended = () => {
-      if (tvOffSoundActive === s) tvOffSoundActive = null;
-    };
+  ["waiting", "stalled"].forEach((t) => el.addEventListener(t, () => set(true)));
+  ["playing", "canplay", "seeked", "pause", "emptied"].forEach((t) =>
+    el.addEventListener(t, () => set(false))
+  );
 
-    console.log("🔉 TV off sound played");
-  } catch (err) {
-    console.warn("TV off sound play failed:", err);
-  }
+  // stalled fetch recovered
+  el.addEventListener("progress", () => {
+    if (bufferingVideos.has(el) && el.readyState >= 3) set(false);
+  });
 }
 
-let smokerCoughSound = null;
-let smokerCoughTimeout = null;
-let smokerCoughUnlocked = false;
+function isVideoBuffering(el) {
+  return !!el && bufferingVideos.has(el) && !el.paused;
+}
 
-function ensureSmokerCoughSound() {
-  if (smokerCoughSound) return smokerCoughSound;
+function formatTimecode(sec) {
+  if (!Number.isFinite(sec) || sec < 0) return "0:00";
 
-  smokerCoughSound = new Audio("./assets/Audio/Smokers cough.mp3");
-  smokerCoughSound.preload = "auto";
-  smokerCoughSound.crossOrigin = "anonymous";
-  smokerCoughSound.playsInline = true;
-  smokerCoughSound.setAttribute?.("webkit-playsinline", "");
-  smokerCoughSound.load();
+  const s = Math.floor(sec % 60);
+  const m = Math.floor(sec / 60) % 60;
+  const hr = Math.floor(sec / 3600);
+  const ss = String(s).padStart(2, "0");
 
-  return smokerCoughSound;
+  return hr ? `${hr}:${String(m).padStart(2, "0")}:${ss}` : `${m}:${ss}`;
 }
 
-async function unlockSmokerCoughOnce() {
-  if (smokerCoughUnlocked) return;
-
-  ensureSmokerCoughSound();
-  smokerCoughUnlocked = true;
-  console.log("🔓 smoker cough prepared");
+// whichever <video> the TV is currently showing (null for photos / images / .glb);
+// on MUSIC now playing it's the speaker's <audio>, so seek bar + ◀/▶ hold work there too
+function getActiveTvVideoEl() {
+  if (!tvOn) return null;
+  if (tvUiState === "VIDEO") return videoReady ? videoEl : null;
+  if (tvUiState === "3D MODEL" && modelMediaType === "video") return modelReady ? modelVideoEl : null;
+  if (tvUiState === "MUSIC" && tvMusicView === "now") return tracks.length ? currentAudio() : null;
+  return null;
 }
 
-function playSmokerCoughSound() {
-  const base = ensureSmokerCoughSound();
+function seekTvVideoTo(t) {
+  const el = getActiveTvVideoEl();
+  if (!el || !Number.isFinite(el.duration) || el.duration <= 0) return false;
 
-  try {
-    const s = base.cloneNode(true);
-    s.preload = "auto";
-    s.crossOrigin = "anonymous";
-    s.playsInline = true;
-    s.setAttribute?.("webkit-playsinline", "");
-    s.volume = 0.45;
-    s.currentTime = 0;
+  el.currentTime = THREE.MathUtils.clamp(t, 0, Math.max(0, el.duration - 0.05));
+  redrawCurrentTvMedia();
+  return true;
+}
 
-    const p = s.play();
-    if (p?.catch) {
-      p.catch((err) => {
-        console.warn("Smoker cough play blocked:", err);
-      });
-    }
+function seekTvVideoBy(sec) {
+  const el = getActiveTvVideoEl();
+  if (!el) return false;
+  return seekTvVideoTo(el.currentTime + sec);
+}
 
-    console.log("😮‍💨 smoker cough played");
-  } catch (err) {
-    console.warn("Smoker cough play failed:", err);
-  }
+// ---------- TV drawing ----------
+function getTvSeekBar(w, h) {
+  const padX = isTouchDevice() ? w * 0.09 : w * 0.06;
+  return {
+    x: padX,
+    y: h - 30,
+    w: w - padX * 2,
+    h: 8,
+    hitPad: isTouchDevice() ? 44 : 28, // generous vertical tap area
+  };
 }
 
-function queueSmokerCough() {
-  if (smokerCoughTimeout) {
-    clearTimeout(smokerCoughTimeout);
-  }
+function drawTvBufferingSpinner(ctx, w, h) {
+  const a = (performance.now() / 1000) * Math.PI * 2;
 
-  smokerCoughTimeout = setTimeout(() => {
-    playSmokerCoughSound();
-    smokerCoughTimeout = null;
-  }, 9000);
-}
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineWidth = 10;
+  ctx.strokeStyle = "rgba(255,255,255,0.18)";
+  ctx.beginPath();
+  ctx.arc(w * 0.5, h * 0.5, 54, 0, Math.PI * 2);
+  ctx.stroke();
 
-let smokeBreatheSound = null;
-let smokeBreatheUnlocked = false;
+  ctx.strokeStyle = "rgba(255,255,255,0.9)";
+  ctx.beginPath();
+  ctx.arc(w * 0.5, h * 0.5, 54, a, a + Math.PI * 0.6);
+  ctx.stroke();
+  ctx.restore();
+}
 
-function ensureSmokeBreatheSound() {
-  if (smokeBreatheSound) return smokeBreatheSound;
+// called from drawVideoFrameToTv / drawModelFrameToTv (video only)
+function drawTvVideoTransport(ctx, w, h, el) {
+  if (!el || tvCreditsOpen) return;
 
-  smokeBreatheSound = new Audio("./assets/Audio/Smoke Breathe.m4a");
-  smokeBreatheSound.preload = "auto";
-  smokeBreatheSound.crossOrigin = "anonymous";
-  smokeBreatheSound.playsInline = true;
-  smokeBreatheSound.setAttribute?.("webkit-playsinline", "");
-  smokeBreatheSound.load();
+  if (isVideoBuffering(el)) drawTvBufferingSpinner(ctx, w, h);
 
-  return smokeBreatheSound;
-}
+  const dur = el.duration;
+  if (!Number.isFinite(dur) || dur <= 0) return;
 
-async function unlockSmokeBreatheOnce() {
-  if (smokeBreatheUnlocked) return;
+  const BAR = getTvSeekBar(w, h);
+  const p = THREE.MathUtils.clamp(el.currentTime / dur, 0, 1);
 
-  ensureSmokeBreatheSound();
-  smokeBreatheUnlocked = true;
-  console.log("🔓 smoke breathe prepared");
-}
+  ctx.save();
 
-function playSmokeBreatheSound() {
-  const base = ensureSmokeBreatheSound();
+  // buffered ranges
+  ctx.fillStyle = "rgba(255,255,255,0.18)";
+  roundRect(ctx, BAR.x, BAR.y, BAR.w, BAR.h, BAR.h * 0.5);
+  ctx.fill();
 
   try {
-    const s = base.cloneNode(true);
-    s.preload = "auto";
-    s.crossOrigin = "anonymous";
-    s.playsInline = true;
-    s.setAttribute?.("webkit-playsinline", "");
-    s.volume = 0.90;
-    s.currentTime = 0;
-
-    const p = s.play();
-    if (p?.catch) {
-      p.catch((err) => {
-        console.warn("Smoke breathe play blocked:", err);
-      });
+    const b = el.buffered;
+    ctx.fillStyle = "rgba(255,255,255,0.28)";
+    for (let i = 0; i < b.length; i++) {
+      const x0 = BAR.x + (b.start(i) / dur) * BAR.w;
+      const x1 = BAR.x + (b.end(i) / dur) * BAR.w;
+      ctx.fillRect(x0, BAR.y, Math.max(0, x1 - x0), BAR.h);
     }
+  } catch {}
 
-    console.log("💨 smoke breathe played");
-  } catch (err) {
-    console.warn("Smoke breathe play failed:", err);
-  }
-}
-
-let remoteButtonSound = null;
+  ctx.fillStyle = "#fff";
+  roundRect(ctx, BAR.x, BAR.y, Math.max(BAR.h, BAR.w * p), BAR.h, BAR.h * 0.5);
+  ctx.fill();
 
-function ensureRemoteButtonSound() {
-  if (remoteButtonSound) return remoteButtonSound;
+  ctx.beginPath();
+  ctx.arc(BAR.x + BAR.w * p, BAR.y + BAR.h * 0.5, 14, 0, Math.PI * 2);
+  ctx.fill();
 
-  remoteButtonSound = new Audio("./assets/Audio/Button sound.mp3");
-  remoteButtonSound.preload = "auto";
-  remoteButtonSound.crossOrigin = "anonymous";
-  remoteButtonSound.playsInline = true;
-  remoteButtonSound.setAttribute?.("webkit-playsinline", "");
-  remoteButtonSound.load();
+  // timecode (right, above the bar)
+  ctx.globalAlpha = 0.8;
+  ctx.font = "30px Arial";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "bottom";
+  ctx.fillText(`${formatTimecode(el.currentTime)} / ${formatTimecode(dur)}`, BAR.x + BAR.w, BAR.y - 16);
 
-  return remoteButtonSound;
+  ctx.restore();
 }
 
-function playRemoteButtonSound() {
-  const base = ensureRemoteButtonSound();
+// TV tap → seek when it lands on the bar (primary UV mapping only, so the
+// top strip with BACK/MENU never seeks on a flipped screen)
+function handleTvSeekBarTap(px, py, w, h) {
+  const el = getActiveTvVideoEl();
+  if (!el || tvCreditsOpen) return false;
 
-  try {
-    const s = base.cloneNode(true);
-    s.preload = "auto";
-    s.crossOrigin = "anonymous";
-    s.playsInline = true;
-    s.setAttribute?.("webkit-playsinline", "");
-    s.volume = 0.45; // adjust if needed
-    s.currentTime = 0;
+  const BAR = getTvSeekBar(w, h);
+  const inX = px >= BAR.x - 20 && px <= BAR.x + BAR.w + 20;
+  const inY = py >= BAR.y - BAR.hitPad && py <= BAR.y + BAR.h + BAR.hitPad;
+  if (!inX || !inY) return false;
 
-    const p = s.play();
-    if (p?.catch) {
-      p.catch((err) => {
-        console.warn("Button sound play blocked:", err);
-      });
-    }
+  const p = THREE.MathUtils.clamp((px - BAR.x) / BAR.w, 0, 1);
+  if (!seekTvVideoTo(p * el.duration)) return false;
 
-    console.log("🔘 remote button sound");
-  } catch (err) {
-    console.warn("Button sound failed:", err);
-  }
+  trackSceneClick("tv_seek_bar", { tv_ui_state: tvUiState, pct: Math.round(p * 100) });
+  return true;
 }
 
-function stopMusicBecauseUserLeft() {
-  // stop speaker music
-  for (const a of audioEls) {
-    try {
-      a.pause();
-      a.currentTime = 0;
-    } catch {}
-  }
+// ---------- remote ◀/▶ hold ----------
+let remoteSeekHold = null; // { dir, onTap, seeked, timer }
 
-  // stop background ambience
-  if (bgAudio) {
-    try {
-      bgAudio.pause();
-      bgAudio.currentTime = 0;
-    } catch {}
-  }
+function beginRemoteSeekHold(dir, onTap) {
+  endRemoteSeekHold(false);
 
-  // stop lamp ambience
-  if (lampAudio) {
-    try {
-      lampAudio.pause();
-      lampAudio.currentTime = 0;
-    } catch {}
-  }
+  const hold = { dir, onTap, seeked: false, timer: 0 };
 
-  // stop smoke chirp cycle
-  stopSmokeChirpCycle();
+  const tick = () => {
+    if (seekTvVideoBy(dir * REMOTE_SEEK.stepSec)) hold.seeked = true;
+    hold.timer = setTimeout(tick, REMOTE_SEEK.repeatMs);
+  };
 
-  isPlaying = false;
-  updateSpeakerHintText?.();
+  hold.timer = setTimeout(tick, REMOTE_SEEK.holdMs);
+  remoteSeekHold = hold;
 }
 
-function pauseAll() {
-  for (const a of audioEls) {
-    a.pause();
-    a.currentTime = 0;
-  }
-  isPlaying = false;
-}
+function endRemoteSeekHold(commit = true) {
+  const hold = remoteSeekHold;
+  if (!hold) return;
 
-async function playBackgroundAudio() {
-  if (!bgAudioEnabled) return;
+  remoteSeekHold = null;
+  clearTimeout(hold.timer);
 
-  const bg = ensureBackgroundAudio();
+  if (hold.seeked) {
+    trackSceneClick("remote_seek_hold", {
+      tv_ui_state: tvUiState,
+      direction: hold.dir > 0 ? "forward" : "back",
+    });
+    return;
+  }
 
-    try {
-    bg.loop = true;
-    bg.volume = isIOS ? 0.28 : 0.60;
-    bg.playsInline = true;
-    bg.setAttribute?.("webkit-playsinline", "");
+  if (commit) hold.onTap();
+}
 
-    if (bg.paused) {
-      await bg.play();
-      console.log("🌫️ Background ambience playing");
-    }
+window.addEventListener("pointerup", () => endRemoteSeekHold(true));
+window.addEventListener("pointercancel", () => endRemoteSeekHold(false));
+window.addEventListener("blur", () => endRemoteSeekHold(false));
 
-    bgAudioResumePending = false;
-  } catch (err) {
-    console.warn("Background ambience play blocked:", err);
-  }
+// ---------- overlays (DOM) ----------
+const overlayTransportStyle = document.createElement("style");
+overlayTransportStyle.innerHTML = `
+@keyframes overlaySpin {
+  from { transform: translate(-50%, -50%) rotate(0deg); }
+  to   { transform: translate(-50%, -50%) rotate(360deg); }
 }
+`;
+document.head.appendChild(overlayTransportStyle);
+
+function makeOverlayTransport(overlayEl, el, isActive = () => true) {
+  const spinner = document.createElement("div");
+  spinner.style.position = "absolute";
+  spinner.style.left = "50%";
+  spinner.style.top = "50%";
+  spinner.style.width = "54px";
+  spinner.style.height = "54px";
+  spinner.style.borderRadius = "50%";
+  spinner.style.border = "5px solid rgba(255,255,255,0.18)";
+  spinner.style.borderTopColor = "rgba(255,255,255,0.9)";
+  spinner.style.animation = "overlaySpin 0.9s linear infinite";
+  spinner.style.pointerEvents = "none";
+  spinner.style.display = "none";
+
+  const bar = document.createElement("div");
+  bar.style.position = "absolute";
+  bar.style.left = "50%";
+  bar.style.bottom = "calc(18px + env(safe-area-inset-bottom))";
+  bar.style.transform = "translateX(-50%)";
+  bar.style.width = "min(860px, 86vw)";
+  bar.style.display = "none";
+  bar.style.alignItems = "center";
+  bar.style.gap = "12px";
+  bar.style.padding = "8px 14px";
+  bar.style.borderRadius = "12px";
+  bar.style.background = "rgba(0,0,0,0.35)";
+  bar.style.backdropFilter = "blur(6px)";
+  bar.style.color = "#fff";
+  bar.style.font = "13px Arial";
+
+  const makeBtn = (label) => {
+    const b = document.createElement("button");
+    b.textContent = label;
+    b.style.border = "none";
+    b.style.background = "transparent";
+    b.style.color = "#fff";
+    b.style.fontSize = "18px";
+    b.style.cursor = "pointer";
+    b.style.padding = "0 4px";
+    return b;
+  };
 
-function playLampAudio() {
-  const base = ensureLampAudio();
-  if (!base) return;
+  const playBtn = makeBtn("▶");
+  const time = document.createElement("span");
+  time.style.whiteSpace = "nowrap";
+  time.style.opacity = "0.8";
+  time.style.fontVariantNumeric = "tabular-nums";
+
+  const seek = document.createElement("input");
+  seek.type = "range";
+  seek.min = "0";
+  seek.max = "1000";
+  seek.step = "1";
+  seek.value = "0";
+  seek.style.flex = "1";
+  seek.style.accentColor = "#fff";
+  seek.style.cursor = "pointer";
+
+  const fsBtn = makeBtn("⛶");
+
+  bar.append(playBtn, seek, time, fsBtn);
+  overlayEl.append(spinner, bar);
+
+  let scrubbing = false;
+
+  const refresh = () => {
+    const show = isActive() && el.style.display !== "none";
+    bar.style.display = show ? "flex" : "none";
+    spinner.style.display = show && isVideoBuffering(el) ? "block" : "none";
+    if (!show) return;
+
+    const dur = el.duration;
+    playBtn.textContent = el.paused ? "▶" : "❚❚";
+    time.textContent = `${formatTimecode(el.currentTime)} / ${formatTimecode(dur)}`;
+    if (!scrubbing && Number.isFinite(dur) && dur > 0) {
+      seek.value = String(Math.round((el.currentTime / dur) * 1000));
+    }
+  };
 
-  try {
-    const s = base.cloneNode(true);
-    s.preload = "auto";
-    s.crossOrigin = "anonymous";
-    s.loop = false;
-    s.playsInline = true;
-    s.setAttribute?.("webkit-playsinline", "");
-    applyLampAudioVolume(s);
-    s.currentTime = 0;
+  ["timeupdate", "durationchange", "loadedmetadata", "play", "pause", "loadstart", "emptied", "seeked"].forEach((t) =>
+    el.addEventListener(t, refresh)
+  );
+  watchVideoBuffering(el, refresh);
+
+  seek.addEventListener("pointerdown", () => (scrubbing = true));
+  seek.addEventListener("input", () => {
+    const dur = el.duration;
+    if (!Number.isFinite(dur) || dur <= 0) return;
+    el.currentTime = (Number(seek.value) / 1000) * dur;
+    time.textContent = `${formatTimecode(el.currentTime)} / ${formatTimecode(dur)}`;
+  });
+  seek.addEventListener("change", () => {
+    scrubbing = false;
+    trackSceneClick("overlay_seek_bar", { pct: Math.round(Number(seek.value) / 10) });
+  });
 
-    const p = s.play();
-    if (p?.catch) {
-      p.catch((err) => {
-        console.warn("Lamp sound play blocked:", err);
-      });
-    }
-  } catch (err) {
-    console.warn("Lamp sound play failed:", err);
-  }
-}
+  bar.addEventListener("click", (e) => e.stopPropagation());
 
-async function tryAutoStartBackgroundAudio() {
-  if (!bgAudioEnabled) return;
+  playBtn.addEventListener("click", () => {
+    if (el.paused) el.play().catch((err) => console.warn("Overlay play blocked:", err));
+    else el.pause();
+  });
 
-  const bg = ensureBackgroundAudio();
+  // no native controls → a click on the picture toggles play/pause
+  el.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (el.paused) el.play().catch(() => {});
+    else el.pause();
+  });
 
-  let startedAnything = false;
+  fsBtn.addEventListener("click", () => {
+    // native controls while fullscreen (the DOM bar can't follow the element)
+    el.controls = true;
+    if (el.requestFullscreen) el.requestFullscreen().catch(() => (el.controls = false));
+    else if (el.webkitEnterFullscreen) el.webkitEnterFullscreen();
+  });
 
-  try {
-    if (bg.paused) {
-      await bg.play();
-      console.log("🌫️ Background ambience autoplay started");
-      startedAnything = true;
-    }
-  } catch (err) {
-    console.warn("Background ambience autoplay blocked:", err);
-  }
+  const onFsExit = () => {
+    const fsEl = document.fullscreenElement || document.webkitFullscreenElement;
+    if (fsEl !== el) el.controls = false;
+  };
+  document.addEventListener("fullscreenchange", onFsExit);
+  document.addEventListener("webkitfullscreenchange", onFsExit);
+  el.addEventListener("webkitendfullscreen", () => (el.controls = false));
 
-  return startedAnything;
+  return refresh;
 }
 
-function pauseBackgroundAudio() {
-  if (!bgAudio) return;
-  bgAudio.pause();
+const refreshVideoOverlayTransport = makeOverlayTransport(videoOverlay, videoOverlayEl);
+const refreshModelOverlayTransport = makeOverlayTransport(
+  modelOverlay,
+  modelOverlayEl,
+  () => modelMediaType === "video"
+);
+
+// ✅ MODEL MEDIA TYPE HELPERS (put right above MODEL_PATHS)
+function isImageUrl(url = "") {
+  return /\.(png|jpe?g|webp|gif)$/i.test(url.split("?")[0]);
+}
+function isVideoUrl(url = "") {
+  return /\.(mp4|webm|mov|m4v|ogg)$/i.test(url.split("?")[0]);
+}
+function isGlbUrl(url = "") {
+  return /\.glb$/i.test(url.split("?")[0]);
 }
 
-ensureBackgroundAudio();
-ensureLampAudio();
-ensureSmokeChirpAudio();
-ensureTvOnSound();
-ensureTvOffSound();
+// ============================================================
+// 3D MODEL GALLERY (actually mp4s — same system as VIDEO) ✅
+// ============================================================
+const MODEL_PATHS = [
+  "./assets/3D Model/01-Gate.mp4",
+  "./assets/3D Model/02-Skateboard.mp4",
+  "./assets/3D Model/03-Skateboard-2.mp4",
+  "./assets/3D Model/04-UAP.mp4",
+  "./assets/3D Model/05-Morningstar.mp4",
+  "./assets/3D Model/06-Bat.mp4",
+  "./assets/3D Model/07-Chainsaw.mp4",
+  "./assets/3D Model/08-Granade1.mp4",
+  
+];
 
-document.addEventListener("visibilitychange", () => {
-  if (!isIOS) return;
-  if (!bgAudioEnabled) return;
+let modelIndex = 0;
 
-  if (!document.hidden) {
-    scheduleBackgroundAudioResume(150);
-  }
-});
+// ✅ we now support BOTH video + photo
+let modelVideoEl = null;          // <video>
+let modelImageEl = null;          // HTMLImageElement
+let modelMediaType = "video";     // "video" | "image" | "glb"
 
-window.addEventListener("pageshow", () => {
-  if (!isIOS) return;
-  if (!bgAudioEnabled) return;
+let modelReady = false;
+let modelPlaying = false;
+let modelWantsAutoPlay = false;
 
-  scheduleBackgroundAudioResume(150);
-});
+let currentModelUrl = null;       // track what is currently loaded
+let modelImageLoading = false;
 
 
-async function playCurrent() {
-  const a = currentAudio();
-  try {
-    await a.play(); // requires user gesture — click counts ✅
-    isPlaying = true;
-    console.log("▶️ Playing track:", trackIndex, tracks[trackIndex]);
-  } catch (err) {
-    console.warn("Audio play blocked:", err);
-  }
-}
+function ensureModelVideoEl() {
+  if (modelVideoEl) return;
 
-let bgAudioStartedOnce = false;
+  modelVideoEl = document.createElement("video");
+  modelVideoEl.crossOrigin = "anonymous";
+  modelVideoEl.preload = "metadata";
+  modelVideoEl.playsInline = true;
+  modelVideoEl.setAttribute("webkit-playsinline", "");
+  modelVideoEl.loop = true;
+  modelVideoEl.muted = isIOS ? false : false;
+  modelVideoEl.controls = false;
+  mixAudio(modelVideoEl, "video", undefined, { anchor: () => tvScreenMeshRef });
 
-async function startBackgroundAudioFromUserGesture() {
-  if (bgAudioStartedOnce) return;
-  if (!bgAudioEnabled) return;
-
-  const bg = ensureBackgroundAudio();
-  const lamp = ensureLampAudio();
-
-  let startedAnything = false;
+  modelVideoEl.addEventListener("loadeddata", async () => {
+    modelReady = true;
 
-    try {
-    bg.loop = true;
-    bg.volume = isIOS ? 0.28 : 0.60;
-    bg.playsInline = true;
-    bg.setAttribute?.("webkit-playsinline", "");
+    if (tvOn && tvUiState === "3D MODEL") drawModelToTv();
 
-    if (bg.paused) {
-      await bg.play();
-      console.log("🌫️ Background ambience started from early gesture");
-      startedAnything = true;
+    if (tvOn && tvUiState === "3D MODEL" && modelWantsAutoPlay && modelVideoEl.paused) {
+      try {
+        await playModel();
+        modelWantsAutoPlay = false;
+      } catch {}
     }
+  });
 
-    bgAudioResumePending = false;
-  } catch (err) {
-    console.warn("Background ambience early gesture start blocked:", err);
-  }
-}
-
-async function togglePlayPause() {
-  await unlockAudioOnce();
-
-  const a = currentAudio();
-  if (!isPlaying || a.paused) {
-    await playCurrent();
-  } else {
-    a.pause();
-    isPlaying = false;
-    console.log("⏸ Paused track:", trackIndex);
-  }
+  modelVideoEl.addEventListener("pause", () => (modelPlaying = false));
+  modelVideoEl.addEventListener("play", () => (modelPlaying = true));
 
-  updateSpeakerHintText?.();
+  watchVideoBuffering(modelVideoEl);
 }
 
+function ensureModelImageEl() {
+  if (modelImageEl) return;
 
-async function nextTrack(forcePlay = false) {
-  const wasPlaying = isPlaying || forcePlay;
+  modelImageEl = new Image();
+  modelImageEl.crossOrigin = "anonymous";
+}
 
-  const a = currentAudio();
-  a.pause();
-  a.currentTime = 0;
+function loadModelAt(index, { autoPlay = false } = {}) {
+  if (!tvOn) return;
+  if (tvUiState !== "3D MODEL") return;
 
-  trackIndex = (trackIndex + 1) % audioEls.length;
+  const key = (selectedSubcategory || "").toUpperCase();
+  const list = MODEL_CATEGORIES[key] || [];
 
-  if (wasPlaying) {
-    await playCurrent();
-  } else {
-    isPlaying = false;
+  if (!list.length) {
+    console.warn("❌ No 3D model media for:", selectedSubcategory, key);
+    clearTvScreen();
+    return;
   }
-}
-
-// TV state + animation
-let tvOn = false;
-let tvAnim = null; // { from: 0|1, to: 0|1, t0: seconds }
-let tvPower = 0; 
-
-let tvBootT0 = 0;
-let tvBooting = false; 
-let tvUIReady = false;
 
+  const n = list.length;
+  modelIndex = (index + n) % n;
 
-// ============================================================
-// ✅ iOS LANDSCAPE LOCK (pairs with index.html overlay)
-// ============================================================
-function isIOSDevice() {
-  return (
-    /iPad|iPhone|iPod/.test(navigator.userAgent) ||
-    (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1)
-  );
-}
+  const url = list[modelIndex];
+  currentModelUrl = url;
+  syncTvRoute();
 
-function isLandscapeNow() {
-  return window.matchMedia("(orientation: landscape)").matches;
-}
+  modelReady = false;
+  modelPlaying = false;
 
-function isIOSPortraitBlocked() {
-  return false;
-}
+  // show black while loading
+  clearTvScreen();
 
-function isInHierarchy(obj, target) {
-  let o = obj;
-  while (o) {
-    if (o === target) return true;
-    o = o.parent;
+  if (isGlbUrl(url)) {
+    loadModelGlb(url, { autoPlay });
+    return;
   }
-  return false;
-}
 
-function hitIsLamp(obj) {
-  let o = obj;
-  while (o) {
-    const n = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
+  // leaving a .glb → drop any load still in flight
+  modelViewerLoadToken++;
 
-    // match either mesh name or material name
-    if (n.includes("lamp") || mn.includes("lamp")) return true;
+  if (isImageUrl(url)) {
+    modelMediaType = "image";
+    ensureModelImageEl();
 
-    o = o.parent;
-  }
-  return false;
-}
+    if (modelVideoEl) {
+      try { modelVideoEl.pause(); } catch {}
+    }
+    modelPlaying = false;
 
-function hitIsDogTag(obj) {
-  let o = obj;
-  while (o) {
-    const n = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
+    modelImageLoading = true;
+    modelImageEl.onload = () => {
+  modelImageLoading = false;
+  modelReady = true;
+  drawModelToTv();
+  applyTvPageTransitionOverlay();
+};
 
-    if (n.includes("dog_tag1") || mn.includes("dog_tag1")) return true;
+    modelImageEl.onerror = (e) => {
+      modelImageLoading = false;
+      console.warn("❌ Model image failed to load:", url, e);
+    };
 
-    o = o.parent;
+    modelImageEl.src = url;
+    return;
   }
-  return false;
-}
 
-function hitIsDunkeheitAlbum(obj) {
-  let o = obj;
-  while (o) {
-    const n = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
+  // ---- VIDEO ----
+  modelMediaType = "video";
+  ensureModelVideoEl();
 
-    if (n.includes("dunkeheit_album") || mn.includes("dunkeheit_album")) return true;
+  try {
+    modelVideoEl.pause();
+    modelVideoEl.currentTime = 0;
+  } catch {}
 
-    o = o.parent;
-  }
-  return false;
+  modelVideoEl.src = url;
+  modelVideoEl.load();
+
+  if (autoPlay) playModel();
+  else pauseModel();
 }
 
-function hitIsAllDVD(obj) {
-  let o = obj;
-  while (o) {
-    const n = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
+async function playModel() {
+  if (!tvOn) return;
+  if (tvUiState !== "3D MODEL") return;
+  if (!modelVideoEl) return;
 
-    if (n.includes("all_dvd") || mn.includes("all_dvd")) return true;
+ try {
+  await modelVideoEl.play();
+  modelPlaying = true;
 
-    o = o.parent;
+  if (isIOS) {
+    playBackgroundAudio();
   }
-  return false;
+} catch (err) {
+  console.warn("3D Model play blocked (needs user gesture):", err);
+  modelPlaying = false;
+}
 }
 
-function hitIsDVDOnPlayer1(obj) {
-  let o = obj;
-  while (o) {
-    const n = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
-
-    if (
-      n.includes("dvd_on_player1") ||
-      mn.includes("dvd_on_player1")
-    ) return true;
-
-    o = o.parent;
-  }
-  return false;
+function pauseModel() {
+  if (modelMediaType !== "video") return; // ✅ ADD THIS LINE HERE
+  if (!modelVideoEl) return;
+  modelVideoEl.pause();
+  modelPlaying = false;
 }
 
-function hitIsBook4(obj) {
-  let o = obj;
-  while (o) {
-    const n = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
 
-    if (n.includes("book4") || mn.includes("book4")) return true;
 
-    o = o.parent;
+function stopModelCompletely() {
+  if (modelMediaType === "glb") {
+    modelViewerLoadToken++;
+    disposeModelViewerModel();
+    modelReady = false;
   }
-  return false;
-}
 
-function hitIsBoard2(obj) {
-  let o = obj;
-  while (o) {
-    const n = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
+  if (!modelVideoEl) return;
 
-    if (n.includes("board2") || mn.includes("board2")) return true;
+  modelVideoEl.pause();
+  modelPlaying = false;
 
-    o = o.parent;
+  try {
+    modelVideoEl.currentTime = 0;
+  } catch {}
+
+  modelReady = false;
+}
+
+function toggleModelPlayPause() {
+  if (modelMediaType === "glb") {
+    toggleModelViewerAutoRotate(); // OK on a .glb = spin / hold
+    return;
   }
-  return false;
+  if (modelMediaType !== "video") return; // ✅ ADD THIS LINE HERE
+  if (!modelVideoEl) return;
+  if (modelVideoEl.paused) playModel();
+  else pauseModel();
 }
 
-function hitIsDoor4(obj) {
-  let o = obj;
-  while (o) {
-    const n = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
 
-    if (n.includes("door4") || mn.includes("door4")) return true;
+function nextModel(delta) {
+  if (!tvOn) return;
+  if (tvUiState !== "3D MODEL") return;
 
-    o = o.parent;
-  }
-  return false;
+  const shouldPlay = modelPlaying && modelVideoEl && !modelVideoEl.paused;
+
+  loadModelAt(modelIndex + delta, { autoPlay: shouldPlay });
 }
 
-function getTvCanvasPxPyFromUv(uv) {
-  if (!uv) return null;
+function drawModelToTv() {
+  if (modelMediaType === "image") {
+    if (!modelImageEl || !modelReady) return;
+    drawPhotoToTv(modelImageEl); // reuse your existing cover-draw logic
+    return;
+  }
+
+  // video
+  drawModelFrameToTv();
+}
+
+function drawModelFrameToTv() {
+  if (modelMediaType !== "video" && modelMediaType !== "glb") return; // ✅ ADD THIS LINE (FIRST)
+
+  const isGlb = modelMediaType === "glb";
+  const src = isGlb ? renderModelViewerFrame() : modelVideoEl;
+  if (!src || !modelReady) return;
 
   const w = tvCanvas.width;
   const h = tvCanvas.height;
 
-  const rx = tvTex.repeat?.x ?? 1;
-  const ry = tvTex.repeat?.y ?? 1;
-  const ox = tvTex.offset?.x ?? 0;
-  const oy = tvTex.offset?.y ?? 0;
+  tvCtx.clearRect(0, 0, w, h);
+  tvCtx.fillStyle = "#000";
+  tvCtx.fillRect(0, 0, w, h);
 
-  // base UV (0..1)
-  let u = uv.x * rx + ox;
-  let v = uv.y * ry + oy;
+  const iw = (isGlb ? src.width : src.videoWidth) || 16;
+  const ih = (isGlb ? src.height : src.videoHeight) || 9;
 
-  // ✅ normalize in case repeat/offset push out of range
-  u = ((u % 1) + 1) % 1;
-  v = ((v % 1) + 1) % 1;
+  // ✅ COVER (same as PHOTO + VIDEO) — .glb uses contain so the model never crops
+  const scale = isGlb ? Math.min(w / iw, h / ih) : Math.max(w / iw, h / ih);
+  const overscan = isGlb ? 1 : 1.02;
+  const dw = iw * scale * overscan;
+  const dh = ih * scale * overscan;
+  const dx = (w - dw) * 0.5;
+  const dy = (h - dh) * 0.5;
 
-  v = 1 - v;
+  tvCtx.drawImage(src, dx, dy, dw, dh);
+  drawDesktopTvSideArrows(tvCtx, w, h);
+  drawTvItemInfo(tvCtx, w, h);
 
-  return { w, h, px: u * w, py: v * h };
-}
+  if (tvOn && (tvUiState === "PHOTO" || tvUiState === "3D MODEL")) {
+  const BACK = getTvBackBtn();
+  const backX = BACK.pad;
+  const backY = BACK.pad;
 
-function getTvTouchStartTargetFromUv(uv) {
-  const pos = getTvCanvasPxPyFromUv(uv);
-  if (!pos) {
-    return {
-      kind: "none",
-      menuIndex: menuIndex,
-      subcategoryIndex: subcategoryIndex,
-      socialId: null,
-    };
+  tvCtx.save();
+
+  if (backHover) {
+    tvCtx.globalAlpha = 1.0;
+    tvCtx.fillStyle = "rgba(255,255,255,0.06)";
+    tvCtx.shadowColor = "rgba(255,255,255,0.5)";
+    tvCtx.shadowBlur = 18;
+  } else {
+    tvCtx.globalAlpha = 0.85;
+    tvCtx.fillStyle = "rgba(255,255,255,0.06)";
   }
 
-  const { w, h, px, py } = pos;
+  roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
+  tvCtx.fill();
 
-  // ------------------------------------------
-  // MENU state
-  // ------------------------------------------
-  if (tvUiState === "MENU") {
-    // 1) real social hit from actual finger-down point
-    const socialHitA = getTvSocialHit(px, py, w, h);
-    const socialHitB = getTvSocialHit(px, h - py, w, h);
-    const socialHit = socialHitA || socialHitB;
+  tvCtx.strokeStyle = "rgba(255,255,255,0.25)";
+  tvCtx.lineWidth = 2;
+  roundRect(tvCtx, backX, backY, BACK.w, BACK.h, 14);
+  tvCtx.stroke();
 
-    if (socialHit) {
-      return {
-        kind: "social",
-        menuIndex: menuIndex,
-        subcategoryIndex: -1,
-        socialId: socialHit.id,
-      };
+  tvCtx.fillStyle = "#fff";
+  tvCtx.font = "46px Arial";
+  tvCtx.textAlign = "center";
+  tvCtx.textBaseline = "middle";
+  tvCtx.fillText("← back", backX + BACK.w * 0.5, backY + BACK.h * 0.52);
+
+  tvCtx.restore();
+}
+  
+  // ✅ MENU button (top-right)
+  if (tvOn && tvUiState === "3D MODEL") {
+    const BTN = getTvMenuBtn();
+    const bx = w - BTN.pad - BTN.w;
+    const by = BTN.pad;
+
+    tvCtx.save();
+
+    if (menuHover) {
+      tvCtx.globalAlpha = 0.9;
+      tvCtx.fillStyle = "#222";
+      tvCtx.shadowColor = "rgba(255,255,255,0.5)";
+      tvCtx.shadowBlur = 25;
+    } else {
+      tvCtx.globalAlpha = 0.65;
+      tvCtx.fillStyle = "#000";
     }
 
-    // 2) otherwise lock the actual menu row from touch position
-    const layout = getTvMenuLayout("MENU");
-    const startY = getMenuStartY(MENU_ITEMS.length, layout.listCenterY, layout.gapY);
-    const gapY = layout.gapY;
-    const n = MENU_ITEMS.length;
+    roundRect(tvCtx, bx, by, BTN.w, BTN.h, 18);
+    tvCtx.fill();
+    tvCtx.restore();
 
-    const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+    tvCtx.save();
+    tvCtx.globalAlpha = 0.35;
+    tvCtx.strokeStyle = "#fff";
+    tvCtx.lineWidth = 3;
+    roundRect(tvCtx, bx, by, BTN.w, BTN.h, 18);
+    tvCtx.stroke();
+    tvCtx.restore();
 
-    const idxA = clamp(Math.round((py - startY) / gapY), 0, n - 1);
-    const idxB = clamp(Math.round(((h - py) - startY) / gapY), 0, n - 1);
+    tvCtx.save();
+    tvCtx.fillStyle = "#fff";
+    tvCtx.globalAlpha = 0.92;
+    tvCtx.font = "bold 46px Arial";
+    tvCtx.textAlign = "center";
+    tvCtx.textBaseline = "middle";
+    tvCtx.fillText("MENU", bx + BTN.w * 0.5, by + BTN.h * 0.52);
+    tvCtx.restore();
+  }
 
-    const centerA = startY + idxA * gapY;
-    const centerB = startY + idxB * gapY;
+  // ✅ paused overlay (same UI as VIDEO)
+  if (!isGlb && modelVideoEl.paused && !tvCreditsOpen) {
+    tvCtx.save();
+    tvCtx.fillStyle = "rgba(0,0,0,0.35)";
+    tvCtx.fillRect(0, 0, w, h);
 
-    const distA = Math.abs(py - centerA);
-    const distB = Math.abs((h - py) - centerB);
+    tvCtx.fillStyle = "#fff";
+    tvCtx.font = "bold 64px Arial";
+    tvCtx.textAlign = "center";
+    tvCtx.textBaseline = "middle";
+    tvCtx.fillText("PAUSED", w * 0.5, h * 0.5);
 
-    const lockedMenuIndex = distA <= distB ? idxA : idxB;
+    tvCtx.font = "32px Arial";
+    tvCtx.fillText("OK: Play/Pause    ◀/▶: Prev/Next (hold: ±10s)", w * 0.5, h * 0.5 + 80);
+    tvCtx.restore();
+  }
 
-    return {
-      kind: "menu-item",
-      menuIndex: lockedMenuIndex,
-      subcategoryIndex: -1,
-      socialId: null,
-    };
+  // ✅ .glb with rotation held: lighter hint, model stays visible
+  if (isGlb && !modelViewerControls.autoRotate && !tvCreditsOpen) {
+    tvCtx.save();
+    tvCtx.globalAlpha = 0.85;
+    tvCtx.fillStyle = "#fff";
+    tvCtx.font = "32px Arial";
+    tvCtx.textAlign = "center";
+    tvCtx.textBaseline = "middle";
+    const BTN = getTvMenuBtn();
+    tvCtx.fillText("OK: Rotate    ▲/▼: Zoom    V: View", w * 0.5, BTN.pad + BTN.h * 0.52);
+    tvCtx.restore();
   }
 
-  // ------------------------------------------
-  // SUBCATEGORY state
-  // ------------------------------------------
-  if (tvUiState === "SUBCATEGORY_MENU") {
-    const items = SUBCATEGORY_ITEMS[tvParentCategory] || [];
-    const n = items.length;
+  if (!isGlb) drawTvVideoTransport(tvCtx, w, h, modelVideoEl);
 
-    if (!n) {
-      return {
-        kind: "none",
-        menuIndex: menuIndex,
-        subcategoryIndex: -1,
-        socialId: null,
-      };
-    }
+  applyTvPageTransitionOverlay();
 
-    const layout = getTvMenuLayout("SUBCATEGORY_MENU");
-    const startY = getMenuStartY(items.length, layout.listCenterY, layout.gapY);
-    const gapY = layout.gapY;
+  tvTex.needsUpdate = true;
+}
 
-    const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
 
-    const idxA = clamp(Math.round((py - startY) / gapY), 0, n - 1);
-    const idxB = clamp(Math.round(((h - py) - startY) / gapY), 0, n - 1);
+// ============================================================
+// ✅ GLB MODEL VIEWER (3D MODEL items whose src is a .glb)
+// One small offscreen renderer: drawn into the TV canvas, or moved
+// into the model overlay with orbit/zoom. mp4 turntables stay as the
+// fallback (content.json "fallback", or when the .glb won't load).
+// - content.json item (any "3D MODEL" subcategory):
+//   { "src": "./assets/3D Model/Objects/09-Objects.glb",
+//     "thumb": "./assets/3D Model/Objects/09-Objects.jpg",
+//     "fallback": "./assets/3D Model/Objects/09-Objects.mp4",
+//     "title": "Object 09" }
+//   "fallback" is optional but wanted: it plays when the .glb fails to
+//   load and is what the 2D fallback page shows
+// - no .glb items ship yet: the viewer stays idle until real models land
+// ============================================================
+const MODEL_VIEWER = {
+  tvWidth: 960,           // TV draws this 16:9 frame into the 1920x1080 canvas
+  tvHeight: 540,
+  fov: 35,
+  autoRotateSpeed: 1.6,
+  zoomStep: 0.82,         // remote ▲/▼ dolly factor
+  minDistance: 0.6,       // × model radius
+  maxDistance: 6,
+  overlayMaxDpr: 2,
+};
 
-    const centerA = startY + idxA * gapY;
-    const centerB = startY + idxB * gapY;
+const MODEL_VIEWER_SHADINGS = ["shaded", "matcap", "wireframe"];
 
-    const distA = Math.abs(py - centerA);
-    const distB = Math.abs((h - py) - centerB);
+let modelViewerRenderer = null;
+let modelViewerScene = null;
+let modelViewerCamera = null;
+let modelViewerControls = null;
+let modelViewerLoader = null;
 
-    const lockedSubIndex = distA <= distB ? idxA : idxB;
+let modelViewerRoot = null;        // gltf.scene currently shown
+let modelViewerUrl = null;
+let modelViewerLoadToken = 0;      // bumps on every new load / leave
+let modelViewerFailed = false;     // no WebGL for a second context → turntables only
+let modelViewerInOverlay = false;
 
-    return {
-      kind: "menu-item",
-      menuIndex: menuIndex,
-      subcategoryIndex: lockedSubIndex,
-      socialId: null,
-    };
-  }
+let modelViewerShading = "shaded"; // "shaded" | "matcap" | "wireframe"
+let modelViewerMatcapMat = null;
+let modelViewerWireMat = null;
 
-  return {
-    kind: "none",
-    menuIndex: menuIndex,
-    subcategoryIndex: subcategoryIndex,
-    socialId: null,
-  };
-}
+function ensureModelViewer() {
+  if (modelViewerRenderer) return true;
+  if (modelViewerFailed) return false;
 
-function handleIOSTvTap(uv) {
-  const pos = getTvCanvasPxPyFromUv(uv);
-  if (!pos) return false;
+  try {
+    modelViewerRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
+  } catch (err) {
+    console.warn("🧊 GLB viewer unavailable, using turntables:", err);
+    modelViewerFailed = true;
+    modelViewerRenderer = null;
+    return false;
+  }
 
-  const { w, h, px, py } = pos;
-  
-if (!tvOn) {
-  // ✅ this touch is only for powering on the TV
-  // pointerup must NOT also confirm/open the current menu item
-  tvTouchStartedWhileOff = true;
-  tvTouchDragSelectMoved = false;
+  modelViewerRenderer.setPixelRatio(1);
+  modelViewerRenderer.setSize(MODEL_VIEWER.tvWidth, MODEL_VIEWER.tvHeight, false);
+  modelViewerRenderer.outputColorSpace = THREE.SRGBColorSpace;
+  modelViewerRenderer.toneMapping = THREE.ACESFilmicToneMapping;
+  modelViewerRenderer.setClearColor(0x0a0a0a, 1);
 
-  playTvOnSound();
-  setTvPower(true);
-  showIosMenuControlsHintOnce();
-  return true;
-}
+  const el = modelViewerRenderer.domElement;
+  el.style.display = "block";
+  el.style.boxShadow = "0 20px 80px rgba(0,0,0,0.6)";
+  el.style.cursor = "grab";
 
- // MENU button area (top-right) works in all states that show it
-const BTN = getTvMenuBtn();   // ✅ ADD THIS
-const bx = w - BTN.pad - BTN.w;
-const by = BTN.pad;
+  modelViewerScene = new THREE.Scene();
+  modelViewerScene.add(new THREE.HemisphereLight(0xffffff, 0x1a1a1a, 1.3));
 
-const BACK = getTvBackBtn();
-const backX = BACK.pad;
-const backY = BACK.pad;
+  const key = new THREE.DirectionalLight(0xffffff, 2.2);
+  key.position.set(3, 4, 5);
+  modelViewerScene.add(key);
 
-  // ✅ Robust hit test: some meshes have V flipped, some don’t.
-  // We check BOTH possibilities so the MENU button is always clickable.
-  const pyA = py;           // current mapping (whatever getTvCanvasPxPyFromUv returned)
-  const pyB = h - py;       // alternate mapping (flipped vertically)
+  const rim = new THREE.DirectionalLight(0xffffff, 0.8);
+  rim.position.set(-4, 2, -3);
+  modelViewerScene.add(rim);
 
-const inMenuBtnA =
-  px >= bx && px <= bx + BTN.w &&
-  pyA >= by && pyA <= by + BTN.h;
+  modelViewerCamera = new THREE.PerspectiveCamera(
+    MODEL_VIEWER.fov,
+    MODEL_VIEWER.tvWidth / MODEL_VIEWER.tvHeight,
+    0.01,
+    1000
+  );
 
-const inMenuBtnB =
-  px >= bx && px <= bx + BTN.w &&
-  pyB >= by && pyB <= by + BTN.h;
+  // controls only take pointer input while the canvas sits in the overlay
+  modelViewerControls = new OrbitControls(modelViewerCamera, el);
+  modelViewerControls.enabled = false;
+  modelViewerControls.enablePan = false;
+  modelViewerControls.enableDamping = true;
+  modelViewerControls.dampingFactor = 0.08;
+  modelViewerControls.autoRotate = true;
+  modelViewerControls.autoRotateSpeed = MODEL_VIEWER.autoRotateSpeed;
 
-if (inMenuBtnA || inMenuBtnB) {
-  if (isIOSDevice()) tvIgnoreNextPointerUp = true;
-  goBackToTvMenu();
+  modelViewerControls.addEventListener("start", () => (el.style.cursor = "grabbing"));
+  modelViewerControls.addEventListener("end", () => (el.style.cursor = "grab"));
+
+  modelViewerLoader = new GLTFLoader();
   return true;
 }
 
-const inBackBtnA =
-  px >= backX && px <= backX + BACK.w &&
-  pyA >= backY && pyA <= backY + BACK.h;
-
-const inBackBtnB =
-  px >= backX && px <= backX + BACK.w &&
-  pyB >= backY && pyB <= backY + BACK.h;
+function loadModelGlb(url, { autoPlay = false } = {}) {
+  modelMediaType = "glb";
 
-// BACK only exists on non-top-level pages
-if (tvUiState !== "MENU" && (inBackBtnA || inBackBtnB)) {
-  if (isIOSDevice()) tvIgnoreNextPointerUp = true;
-  goBackOnePage();
-  return true;
-}
-
-  // ✅ Double-tap anywhere else = fullscreen overlay (when relevant)
-  const now = performance.now();
-  const isDoubleTap = (now - lastTvTapTime) < TV_DOUBLE_TAP_MS;
-  lastTvTapTime = now;
-
-  const x01 = px / w;  // 0..1
-  const y01 = pyA / h; // 0..1  ✅ use primary mapping, not raw py
-
-if (tvUiState === "MENU") {
-  // 1) direct hit on social tile
-  const socialHit = getTvSocialHit(px, pyA, w, h);
-
-  if (socialHit) {
-    if (isIOSDevice()) tvIgnoreNextPointerUp = true;
-    tvSocialHoverId = socialHit.id;
-    drawTvMenu();
-    activateTvSocialHit(socialHit);
-    return true;
+  if (modelVideoEl) {
+    try { modelVideoEl.pause(); } catch {}
   }
+  modelPlaying = false;
 
-  // 2) desktop fallback: if a social icon is currently highlighted, activate it
-  if (!isIOSDevice() && tvSocialHoverId) {
-    const hoveredSocial = TV_SOCIAL_ITEMS.find((item) => item.id === tvSocialHoverId);
-    if (hoveredSocial) {
-      activateTvSocialHit(hoveredSocial);
-      return true;
-    }
+  if (!ensureModelViewer()) {
+    loadModelTurntableFallback(url, { autoPlay });
+    return;
   }
 
-// 3) not a social click -> clear social hover and continue normal menu flow
-if (tvSocialHoverId !== null) {
-  tvSocialHoverId = null;
-  drawTvMenu();
-}
-
-  // 3) not a social click -> clear social hover and continue normal menu flow
-  if (tvSocialHoverId !== null) {
-    tvSocialHoverId = null;
-    drawTvMenu();
+  // same model again (e.g. overlay closed) → just redraw
+  if (modelViewerRoot && modelViewerUrl === url) {
+    modelReady = true;
+    drawModelToTv();
+    return;
   }
 
-  if (isIOSDevice()) return false;
+  disposeModelViewerModel();
 
-  confirmMenuSelection();
-  return true;
-}
+  const token = ++modelViewerLoadToken;
+  modelViewerUrl = url;
 
-if (tvUiState === "SUBCATEGORY_MENU") {
-  if (isIOSDevice()) return false;
+  modelViewerLoader.load(
+    url,
+    (gltf) => {
+      if (token !== modelViewerLoadToken) {
+        disposeModelViewerObject(gltf.scene);
+        return;
+      }
 
-  confirmMenuSelection();
-  return true;
-}
+      modelViewerRoot = gltf.scene;
+      modelViewerScene.add(modelViewerRoot);
 
-// ------------------------------------------------------------
-// ✅ PHOTO: left/right = prev/next
-// Double tap = fullscreen overlay (match VIDEO + 3D MODEL)
-// ------------------------------------------------------------
-if (tvUiState === "PHOTO") {
-  if (isDoubleTap) {
-    openPhotoOverlay(currentPhotoUrl);
-    return true;
-  }
+      applyModelViewerShading();
+      fitModelViewerCamera();
 
-  if (x01 < 0.33) {
-    nextPhoto(-1);
-    return true;
-  }
-  if (x01 > 0.66) {
-    nextPhoto(+1);
-    return true;
-  }
+      modelReady = true;
+      console.log("🧊 GLB model loaded:", url);
 
-  // center single tap: do nothing (or keep for future UI)
-  return true;
-}
+      if (tvOn && tvUiState === "3D MODEL") drawModelToTv();
+    },
+    undefined,
+    (err) => {
+      if (token !== modelViewerLoadToken) return;
 
-  // ------------------------------------------------------------
-  // ✅ VIDEO: left/right = prev/next, center = play/pause
-  // Double tap = fullscreen overlay
-  // ------------------------------------------------------------
-  if (tvUiState === "VIDEO") {
-    if (isDoubleTap) {
-      openVideoOverlay();
-      return true;
+      console.warn("❌ GLB model failed to load:", url, err);
+      modelViewerUrl = null;
+      loadModelTurntableFallback(url, { autoPlay });
     }
+  );
+}
 
-    if (x01 < 0.33) {
-      nextVideo(-1);
-      return true;
-    }
-    if (x01 > 0.66) {
-      nextVideo(+1);
-      return true;
-    }
+// turntable mp4 from content.json, played through the normal video path
+function loadModelTurntableFallback(url, { autoPlay = false } = {}) {
+  const fallback = getContentItem(url)?.fallback;
 
-    toggleVideoPlayPause();
-    drawVideoFrameToTv(); // refresh paused overlay text
-    return true;
+  if (!fallback) {
+    console.warn("❌ No turntable fallback for:", url);
+    modelMediaType = "video";
+    clearTvScreen();
+    return;
   }
 
-  // ------------------------------------------------------------
-  // ✅ 3D MODEL: left/right = prev/next, center = play/pause
-  // Double tap = fullscreen overlay
-  // ------------------------------------------------------------
-  if (tvUiState === "3D MODEL") {
-    if (isDoubleTap) {
-      openModelOverlay();
-      return true;
-    }
+  modelMediaType = "video";
+  ensureModelVideoEl();
 
-    if (x01 < 0.33) {
-      nextModel(-1);
-      return true;
-    }
-    if (x01 > 0.66) {
-      nextModel(+1);
-      return true;
-    }
+  try {
+    modelVideoEl.pause();
+    modelVideoEl.currentTime = 0;
+  } catch {}
 
-    toggleModelPlayPause();
-    drawModelFrameToTv();
-    return true;
+  modelVideoEl.src = fallback;
+  modelVideoEl.load();
+
+  if (modelOverlayOpen) {
+    detachModelViewerFromOverlay();
+    modelOverlayEl.style.display = "block";
+    modelOverlayEl.src = fallback;
+    modelOverlayEl.load();
+    modelOverlayEl.play().catch(() => {});
+    return;
   }
 
-  return false;
+  if (autoPlay) playModel();
 }
 
-const TIKTOK_PROFILE_URL = "https://www.tiktok.com/@___gambo___";
+function disposeModelViewerObject(obj) {
+  obj.traverse((o) => {
+    if (!o.isMesh) return;
 
-function getTikTokProfileUrl() {
-  return TIKTOK_PROFILE_URL;
+    o.geometry?.dispose();
+
+    const original = o.userData.viewerOriginalMaterial || o.material;
+    [].concat(original).forEach((m) => {
+      if (!m) return;
+      for (const k in m) {
+        if (m[k] && m[k].isTexture) m[k].dispose();
+      }
+      m.dispose();
+    });
+  });
 }
 
-const INSTAGRAM_PROFILE_URL = "https://www.instagram.com/g_a_m_b_o/";
+function disposeModelViewerModel() {
+  if (!modelViewerRoot) return;
 
-function getInstagramProfileUrl() {
-  return INSTAGRAM_PROFILE_URL;
-}
+  modelViewerScene.remove(modelViewerRoot);
+  disposeModelViewerObject(modelViewerRoot);
 
-function getContactProfileUrl() {
-  return INSTAGRAM_PROFILE_URL;
+  modelViewerRoot = null;
+  modelViewerUrl = null;
 }
 
-const YOUTUBE_PROFILE_URL = "https://www.youtube.com/@G.A.M.B.O";
+function fitModelViewerCamera() {
+  if (!modelViewerRoot) return;
 
-function getYoutubeProfileUrl() {
-  return YOUTUBE_PROFILE_URL;
-}
+  const box = new THREE.Box3().setFromObject(modelViewerRoot);
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const r = sphere.radius || 1;
 
-const CONTACT_EMAIL = "gamboproductions@gmail.com";
+  // center the model on the orbit target
+  modelViewerRoot.position.sub(sphere.center);
 
-function getContactMailtoUrl() {
-  return `mailto:${CONTACT_EMAIL}?subject=${encodeURIComponent("inquiry")}&body=${encodeURIComponent("yo GAMBO,\n\nim reaching out about...")}`;
+  const dist = (r / Math.sin(THREE.MathUtils.degToRad(MODEL_VIEWER.fov * 0.5))) * 1.08;
+
+  modelViewerCamera.near = r * 0.01;
+  modelViewerCamera.far = r * 100;
+  modelViewerCamera.position.set(0, r * 0.35, dist);
+  modelViewerCamera.updateProjectionMatrix();
+
+  modelViewerControls.target.set(0, 0, 0);
+  modelViewerControls.minDistance = r * MODEL_VIEWER.minDistance;
+  modelViewerControls.maxDistance = r * MODEL_VIEWER.maxDistance;
+  modelViewerControls.update();
 }
 
-function openExternal(url) {
-  if (!url) return false;
+function getModelViewerMatcap() {
+  if (modelViewerMatcapMat) return modelViewerMatcapMat;
 
-  try {
-    // ✅ Safari-friendly: create a real <a> and click it
-    const a = document.createElement("a");
-    a.href = url;
-    a.target = "_blank";
-    a.rel = "noopener noreferrer";
+  // soft studio ball, drawn once
+  const c = document.createElement("canvas");
+  c.width = 256;
+  c.height = 256;
+  const g = c.getContext("2d");
+
+  const grad = g.createRadialGradient(100, 86, 6, 128, 128, 128);
+  grad.addColorStop(0.0, "#ffffff");
+  grad.addColorStop(0.3, "#d6d0c6");
+  grad.addColorStop(0.75, "#57524c");
+  grad.addColorStop(1.0, "#121212");
+  g.fillStyle = grad;
+  g.fillRect(0, 0, 256, 256);
 
-    document.body.appendChild(a);
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
 
-    // ✅ a.click() works better than dispatchEvent on iOS Safari
-    a.click();
-    a.remove();
+  modelViewerMatcapMat = new THREE.MeshMatcapMaterial({ matcap: tex });
+  return modelViewerMatcapMat;
+}
 
-    return true;
-  } catch (e) {
-    console.warn("openExternal failed, falling back:", e);
+function getModelViewerWireMat() {
+  if (!modelViewerWireMat) {
+    modelViewerWireMat = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      wireframe: true,
+      transparent: true,
+      opacity: 0.75,
+    });
   }
-
-  // ✅ Always-works fallback (same tab)
-  window.location.assign(url);
-  return false;
+  return modelViewerWireMat;
 }
 
-function setTvPower(nextOn) {
-  log("setTvPower", nextOn, {
-    hasScreenMesh: !!tvScreenMeshRef,
-    hasScreenMat: !!tvScreenMatRef
+function applyModelViewerShading(mode = modelViewerShading) {
+  modelViewerShading = mode;
+  if (!modelViewerRoot) return;
+
+  modelViewerRoot.traverse((o) => {
+    if (!o.isMesh) return;
+
+    if (!o.userData.viewerOriginalMaterial) o.userData.viewerOriginalMaterial = o.material;
+
+    if (mode === "matcap") o.material = getModelViewerMatcap();
+    else if (mode === "wireframe") o.material = getModelViewerWireMat();
+    else o.material = o.userData.viewerOriginalMaterial;
   });
+}
 
-  const from = tvOn ? 1 : 0;
-  const to = nextOn ? 1 : 0;
-  if (from === to) return;
+function cycleModelViewerShading() {
+  if (modelMediaType !== "glb") return;
 
-  tvOn = nextOn;
+  const i = MODEL_VIEWER_SHADINGS.indexOf(modelViewerShading);
+  applyModelViewerShading(MODEL_VIEWER_SHADINGS[(i + 1) % MODEL_VIEWER_SHADINGS.length]);
+  refreshModelViewerBar();
 
-if (!tvOn) {
-  tvTouchActive = false;
-  tvTouchStartedWhileOff = false;
-  tvTouchPointerId = null;
+  if (tvOn && tvUiState === "3D MODEL" && modelReady) drawModelToTv();
 
-  // ✅ reset iOS remote pulse for the next power-on session
-  iosRemotePulseArmed = true;
-  iosPulseStarted = false;
-  iosNextPulseAtMs = 0;
-  stopIosRemotePulse();
+  trackSceneClick("model_viewer_shading", { shading: modelViewerShading });
 }
 
-if (!tvOn) {
-  stopVideoCompletely();
-  stopModelCompletely();
-  clearTvScreen();
-  applyTvTextureEnabled(false);
+function toggleModelViewerAutoRotate() {
+  if (!modelViewerControls) return;
 
-  if (tvScreenMatRef) {
-    tvScreenMatRef.emissiveIntensity = 0.0;
-    tvScreenMatRef.needsUpdate = true;
-  }
+  modelViewerControls.autoRotate = !modelViewerControls.autoRotate;
+  refreshModelViewerBar();
+}
 
-  grainOverlay.style.opacity = "0.02"; // softer grain when TV is off
-} else {
-  applyTvTextureEnabled(true);
+// remote ▲/▼ on the TV (the overlay uses wheel / pinch)
+function zoomModelViewer(dir) {
+  if (modelMediaType !== "glb" || !modelViewerRoot) return;
 
-  if (tvScreenMatRef) {
-    tvScreenMatRef.emissiveIntensity = 0.03;
-    tvScreenMatRef.needsUpdate = true;
-  }
+  const f = dir > 0 ? MODEL_VIEWER.zoomStep : 1 / MODEL_VIEWER.zoomStep;
+  const offset = modelViewerCamera.position.clone().sub(modelViewerControls.target);
+  const len = THREE.MathUtils.clamp(
+    offset.length() * f,
+    modelViewerControls.minDistance,
+    modelViewerControls.maxDistance
+  );
 
-  grainOverlay.style.opacity = "0.03"; // normal grain when TV is on
-}
+  offset.setLength(len);
+  modelViewerCamera.position.copy(modelViewerControls.target).add(offset);
+  modelViewerControls.update();
 
-    // when turning ON, reset blink and draw the menu immediately
- if (tvOn) {
-  blinkT0 = performance.now();
-  tvUiState = "MENU";
-  menuIndex = 0;
-  tvMenuHoverFlipV = null; // ✅ re-detect mapping for menu hover
+  if (tvOn && tvUiState === "3D MODEL" && modelReady) drawModelToTv();
+}
 
-  // ✅ start boot animation
-  tvBootT0 = performance.now();
-  tvBooting = true;
+// renders one frame and hands back the canvas for tvCtx.drawImage
+function renderModelViewerFrame() {
+  if (!modelViewerRenderer || !modelViewerRoot) return null;
 
-  drawTvMenu();
+  modelViewerRenderer.render(modelViewerScene, modelViewerCamera);
+  return modelViewerRenderer.domElement;
 }
 
-  tvAnim = { from, to, t0: performance.now() / 1000 };
+// called every frame from animate()
+function updateModelViewer(dt) {
+  if (modelMediaType !== "glb" || !modelViewerRoot) return;
 
-if (isIOSDevice()) {
-  if (tvOn) {
-    // TV ON: stop power pulse, start nav pulse
-    stopIosPowerPulse();
+  const onTv = tvOn && tvUiState === "3D MODEL" && !tvModelSuppressed;
+  if (!onTv && !modelViewerInOverlay) return;
 
-    iosPulseStarted = false;
-    iosNextPulseAtMs = 0;
-    startIosRemotePulse();
-  } else {
-    // TV OFF: stop nav pulse, restart power pulse
-    stopIosRemotePulse();
-    startIosPowerPulse();
-  }
-} else {
-  syncDesktopPulseWithTvState();
-}
+  modelViewerControls.update(dt);
 
+  // TV picks frames up at its own 12fps redraw; the overlay is live
+  if (modelViewerInOverlay) modelViewerRenderer.render(modelViewerScene, modelViewerCamera);
 }
 
-function updateTv() {
-  if (!tvScreenMeshRef || !tvAnim || !tvScreenMatRef) return;
+function sizeModelViewerForOverlay() {
+  if (!modelViewerRenderer) return;
 
-  const now = performance.now() / 1000;
-  const dt = now - tvAnim.t0;
+  const vv = window.visualViewport;
+  const vw = (vv ? vv.width : window.innerWidth);
+  const vh = (vv ? vv.height : window.innerHeight);
 
-  const DUR = 0.55;
-  let t = Math.min(dt / DUR, 1);
-  t = 1 - Math.pow(1 - t, 3); // easeOutCubic
+  const w = Math.floor(vw * 0.96);
+  const h = Math.floor(vh * 0.92);
 
-  const a = tvAnim.from + (tvAnim.to - tvAnim.from) * t;
-  tvPower = a;
+  modelViewerRenderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, MODEL_VIEWER.overlayMaxDpr));
+  modelViewerRenderer.setSize(w, h);
 
-  // ✅ CRT squeeze ONLY in Y (no X shrink = no side reveal / "sliding" illusion)
-  tvScreenMeshRef.scale.set(
-    tvScreenScale0.x,                           // keep width locked
-    tvScreenScale0.y * (0.985 + 0.015 * a),     // squeeze in Y only
-    tvScreenScale0.z
-  );
-
-  // emissive animation (OFF -> ON)
-  const offI = 0.0;
-  const onI = 0.7;
-
-  const pop = a * (1 - a) * 4;
-  let intensity = offI + (onI - offI) * a + 0.35 * pop;
-
-if (tvBooting) {
-  const dtBoot = (performance.now() - tvBootT0) / 1000;
-
-  if (dtBoot < 0.08) {
-    // quick flash
-    intensity += 2.2;
-  } 
-  else if (dtBoot < 0.23) {
-    // short fast flicker
-    intensity *= 0.85 + Math.random() * 0.3;
-  } 
-  else {
-    // boot done
-    tvBooting = false;
-  }
+  modelViewerCamera.aspect = w / h;
+  modelViewerCamera.updateProjectionMatrix();
 }
 
+function attachModelViewerToOverlay() {
+  if (!modelViewerRenderer) return;
 
-tvScreenMatRef.emissiveIntensity = intensity;
-
+  const el = modelViewerRenderer.domElement;
+  if (el.parentNode !== modelOverlayCenter) modelOverlayCenter.appendChild(el);
 
-  const baseOff = new THREE.Color(0x111111);  // off = dark
-  const baseOn  = new THREE.Color(0xd0d0d0);  // on  = bright (IMPORTANT)
-  tvScreenMatRef.color.lerpColors(baseOff, baseOn, a);
+  modelViewerInOverlay = true;
+  modelViewerControls.enabled = true;
+  sizeModelViewerForOverlay();
 
-  tvScreenMatRef.needsUpdate = true;
+  modelOverlayViewerBar.style.display = "flex";
+  refreshModelViewerBar();
+}
 
-  if (dt >= DUR) {
-    tvAnim = null;
-      tvScreenMeshRef.scale.copy(tvScreenScale0);
+function detachModelViewerFromOverlay() {
+  modelOverlayViewerBar.style.display = "none";
+  if (!modelViewerInOverlay) return;
 
+  modelViewerInOverlay = false;
+  modelViewerControls.enabled = false;
+  modelViewerRenderer.domElement.remove();
 
-    tvScreenMatRef.emissiveIntensity = tvOn ? onI : offI;
-    tvScreenMatRef.color.copy(tvOn ? baseOn : baseOff);
-    tvScreenMatRef.needsUpdate = true;
-    tvPower = tvOn ? 1 : 0;
-  }
+  // back to the TV frame size
+  modelViewerRenderer.setPixelRatio(1);
+  modelViewerRenderer.setSize(MODEL_VIEWER.tvWidth, MODEL_VIEWER.tvHeight, false);
+  modelViewerCamera.aspect = MODEL_VIEWER.tvWidth / MODEL_VIEWER.tvHeight;
+  modelViewerCamera.updateProjectionMatrix();
 }
 
+// TV UI HELPERS (clears screen + disables/enables texture)
+// PUT DIRECTLY UNDER drawTvMenu()
 // ============================================================
-// ✅ iOS TV MENU SWIPE STATE (EDIT 2)
-// ============================================================
-let tvTouchActive = false;
-let tvTouchStartX = 0;
-let tvTouchStartY = 0;
-let tvTouchStartT = 0;
+function clearTvScreen() {
+  const w = tvCanvas.width;
+  const h = tvCanvas.height;
 
-let tvTouchStartedWhileOff = false;   // ✅ prevents “auto-enter PHOTO” on power-on tap
-let tvTouchPointerId = null;          // ✅ for pointer capture
-let tvTouchDragSelectMoved = false;   // ✅ finger-drag changed TV selection
+  tvCtx.clearRect(0, 0, w, h);
+  tvCtx.fillStyle = "#000000";
+  tvCtx.fillRect(0, 0, w, h);
 
-// ✅ iOS touch intent lock
-// Lock the ACTUAL thing the user touched on the TV canvas.
-// Never trust stale tvSocialHoverId for activation.
-let tvTouchStartUiState = null;
-let tvTouchStartMenuIndex = -1;
-let tvTouchStartSubcategoryIndex = -1;
-let tvTouchStartTargetKind = "none";
-let tvTouchStartSocialId = null;
+  tvTex.needsUpdate = true;
+}
 
-// swipe tuning
-const TV_SWIPE_MIN_PX = 34;       // how far finger must move
-const TV_TAP_MAX_PX   = 12;       // below this = tap
-const TV_SWIPE_MAX_MS = 650;      // ignore slow drags
-// ------------------------------------------------------------
-// CLICK / DOUBLE-CLICK HANDLER (TV + SPEAKER)
-// ------------------------------------------------------------
-let lastClickTime = 0;
-const DOUBLE_CLICK_MS = 280;
+function applyTvTextureEnabled(enabled) {
+  if (!tvScreenMatRef) return;
 
-let lastTvTapTime = 0;
-const TV_DOUBLE_TAP_MS = 320;
-let pendingExternalUrl = null;
-let tvIgnoreNextPointerUp = false;
-let tvMenuHoverFlipV = null; // null until we detect correct orientation
+  tvScreenMatRef.map = enabled ? tvTex : null;
+  tvScreenMatRef.emissiveMap = enabled ? tvTex : null;
+  tvScreenMatRef.needsUpdate = true;
+}
 
 // ============================================================
-// ✅ DESKTOP REMOTE PULSE (match iOS behavior exactly)
-// TV OFF  -> Power pulses every ~3.6s with smooth fade
-// TV ON   -> OK/UP/DOWN/LEFT/RIGHT pulse TOGETHER every 8s
-//           and STOP permanently once user presses any of those buttons
+// ✅ AUDIO MIXER (Web Audio buses)
+// - every sound runs element → trim → bus (duck → level) → master
+// - buses: ambience (room tone), music (speaker playlist),
+//   sfx (lamp, TV power, smoke, remote), video (TV + overlay players)
+// - ambience + music duck while a TV / overlay video is audible
+// - master volume + mute: corner control, - / + / 0 keys, a11y panel;
+//   remembered with the room state
+// - the AudioContext is made on the first tap / click / key; sounds
+//   that started before that are moved into the graph then
+// - no Web Audio (or it fails): same levels through el.volume,
+//   cuts instead of fades, no positional audio
+// - iOS: the playlist stays outside the graph too (directBuses) —
+//   iOS suspends the AudioContext when the screen locks and a routed
+//   element goes silent with it; lock-screen playback needs it direct
 // ============================================================
+const AUDIO_MIX = {
+  buses: { ambience: 1, music: 1, sfx: 1, video: 1 },
+  directBuses: isIOS ? ["music"] : [], // el.volume / el.muted path even with Web Audio
+  // per-source levels (these used to be hardcoded .volume values)
+  trims: {
+    ambience: isIOS ? 0.28 : 0.60,
+    music: 1,
+    video: 1,
+    lamp: isIOS ? 0.12 : 0.22,
+    chirp: isIOS ? 0.12 : 0.08,
+    tvOn: 0.45,
+    tvOff: 0.35,
+    cough: 0.45,
+    breathe: 0.90,
+    button: 0.45,
+  },
+  duck: { ambience: 0.3, music: 0.25 }, // bus level while a video plays
+  duckAttackSec: 0.12,  // setTargetAtTime time constants
+  duckReleaseSec: 0.5,
+  fadeOutSec: 0.6,
+  fadeInSec: 0.35,
+  volumeStep: 0.1,
+};
 
-let desktopPowerPulseTimer = null;
-let desktopRemotePulseTimer = null;
-let desktopRemoteRippleTimers = [];
+let audioMixCtx = null;
+let audioMixMaster = null;
+let audioMixFailed = false;
+let audioMixVolume = 1;
+let audioMixMuted = false;
+let audioMixDucked = false;
 
-let desktopRemotePulseArmed = true; // ✅ true until user presses any remote btn while TV ON
+const audioMixBuses = {};        // name → { duck: GainNode, level: GainNode }
+const audioMixEls = new Map();   // <audio> / <video> → { bus, trim, direct, node, gain, panner, anchor, fadeTimer }
 
-function _setRemoteGlow(mesh, on, color) {
-  if (!mesh) return;
-  if (typeof setGlowTarget !== "function") return;
-  if (typeof color === "undefined") return;
-  setGlowTarget(mesh, on, color); // your updateGlow() should do the smoothing fade
-}
+function ensureAudioMixer() {
+  if (audioMixCtx || audioMixFailed) return audioMixCtx;
 
-// ---- POWER PULSE (TV OFF) ----
-function stopDesktopPowerPulse() {
-  if (desktopPowerPulseTimer) {
-    clearTimeout(desktopPowerPulseTimer);
-    desktopPowerPulseTimer = null;
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) {
+    audioMixFailed = true;
+    console.warn("🎚️ No Web Audio: mixing through element volume");
+    return null;
   }
-  _setRemoteGlow(powerButtonMeshRef, false, POWER_GLOW_COLOR);
-}
 
-function startDesktopPowerPulse() {
-  if (isIOSDevice()) return;
-  if (!powerButtonMeshRef) return;
+  // iOS: Web Audio otherwise follows the ring / silent switch, plain <audio> didn't
+  try {
+    if (navigator.audioSession) navigator.audioSession.type = "playback";
+  } catch {}
 
-  stopDesktopPowerPulse();
+  try {
+    audioMixCtx = new Ctx();
+    audioMixMaster = audioMixCtx.createGain();
+    audioMixMaster.connect(audioMixCtx.destination);
+
+    for (const [name, level] of Object.entries(AUDIO_MIX.buses)) {
+      const bus = { duck: audioMixCtx.createGain(), level: audioMixCtx.createGain() };
+      bus.level.gain.value = level;
+      bus.duck.connect(bus.level);
+      bus.level.connect(audioMixMaster);
+      audioMixBuses[name] = bus;
+    }
+  } catch (e) {
+    console.warn("🎚️ Audio mixer unavailable:", e);
+    audioMixCtx = null;
+    audioMixFailed = true;
+    return null;
+  }
 
-  // ✅ Match the iOS timing you liked
-  const onMs   = IOS_POWER_ON_MS;
-  const offMs  = IOS_POWER_OFF_MS;
-  const everyMs = onMs + offMs;
+  applyAudioMixMaster(true);
+  audioMixEls.forEach((entry, el) => connectAudioMixEl(el, entry));
+  updateAudioDucking(true);
 
-  const tick = () => {
-    if (tvOn) return;
+  console.log("🎚️ Audio mixer ready");
+  return audioMixCtx;
+}
 
-    _setRemoteGlow(powerButtonMeshRef, true, POWER_GLOW_COLOR);
+// iOS suspends the context after interruptions / backgrounding
+function resumeAudioMixer() {
+  if (!audioMixCtx || audioMixCtx.state === "running") return;
 
-    setTimeout(() => {
-      _setRemoteGlow(powerButtonMeshRef, false, POWER_GLOW_COLOR);
-    }, onMs);
+  audioMixCtx.resume().catch((e) => {
+    console.warn("🎚️ Audio mixer resume blocked:", e);
+  });
+}
 
-    desktopPowerPulseTimer = setTimeout(tick, everyMs);
-  };
+function connectAudioMixEl(el, entry) {
+  if (!audioMixCtx || entry.node || entry.direct) return;
 
-  tick();
+  try {
+    entry.node = audioMixCtx.createMediaElementSource(el);
+    entry.gain = audioMixCtx.createGain();
+    entry.gain.gain.value = entry.trim;
+    entry.node.connect(entry.gain);
+    connectAudioMixOutput(entry);
+
+    // the level lives in the graph now (iOS ignores el.volume anyway)
+    el.volume = 1;
+  } catch (e) {
+    console.warn("🎚️ Could not route audio into the mixer:", e);
+    entry.node = null;
+    entry.gain = null;
+  }
 }
 
-function stopDesktopRemoteOnPulse() {
-  if (desktopRemotePulseTimer) {
-    clearTimeout(desktopRemotePulseTimer);
-    desktopRemotePulseTimer = null;
-  }
+function dropAudioMixEl(el) {
+  const entry = audioMixEls.get(el);
+  if (!entry) return;
 
-  clearDesktopRemoteRippleTimers();
+  clearTimeout(entry.fadeTimer);
+  try {
+    entry.node?.disconnect();
+    entry.gain?.disconnect();
+    entry.panner?.disconnect();
+  } catch {}
 
-  _setRemoteGlow(okButtonMeshRef, false, REMOTE_GLOW_COLOR);
-  _setRemoteGlow(upArrowMeshRef, false, REMOTE_GLOW_COLOR);
-  _setRemoteGlow(downArrowMeshRef, false, REMOTE_GLOW_COLOR);
-  _setRemoteGlow(leftArrowMeshRef, false, REMOTE_GLOW_COLOR);
-  _setRemoteGlow(rightArrowMeshRef, false, REMOTE_GLOW_COLOR);
+  audioMixEls.delete(el);
 }
 
-function clearDesktopRemoteRippleTimers() {
-  for (const id of desktopRemoteRippleTimers) clearTimeout(id);
-  desktopRemoteRippleTimers.length = 0;
+function getAudioMixFallbackVolume(entry) {
+  const duck = audioMixDucked ? AUDIO_MIX.duck[entry.bus] ?? 1 : 1;
+  const master = audioMixMuted ? 0 : audioMixVolume;
+  return THREE.MathUtils.clamp(entry.trim * (AUDIO_MIX.buses[entry.bus] ?? 1) * duck * master, 0, 1);
 }
 
-function clearIOSRemoteRippleTimers() {
-  for (const id of iosRemoteRippleTimers) clearTimeout(id);
-  iosRemoteRippleTimers.length = 0;
+// iOS ignores el.volume: direct elements follow mute through el.muted
+function applyAudioMixFallbackEl(el, entry) {
+  el.volume = getAudioMixFallbackVolume(entry);
+  if (entry.direct) el.muted = audioMixMuted;
 }
 
-function forceAllRemoteNavGlowOff() {
-  setGlowTarget(okButtonMeshRef,    false, REMOTE_GLOW_COLOR);
-  setGlowTarget(upArrowMeshRef,     false, REMOTE_GLOW_COLOR);
-  setGlowTarget(downArrowMeshRef,   false, REMOTE_GLOW_COLOR);
-  setGlowTarget(leftArrowMeshRef,   false, REMOTE_GLOW_COLOR);
-  setGlowTarget(rightArrowMeshRef,  false, REMOTE_GLOW_COLOR);
+function applyAudioMixFallback() {
+  audioMixEls.forEach((entry, el) => {
+    if (!entry.gain) applyAudioMixFallbackEl(el, entry);
+  });
 }
 
-function startDesktopRemoteOnPulse() {
-  if (isIOSDevice()) return;
-  if (!desktopRemotePulseArmed) return;
+// put an element on a bus (first call) and back at its trim; call right before .play()
+// oneShot: cloned / throwaway sounds leave the mixer when they end
+// anchor: () => Object3D the sound comes from (see POSITIONAL AUDIO)
+function mixAudio(el, bus, trim = AUDIO_MIX.trims[bus] ?? 1, { oneShot = false, fadeIn = 0, anchor = null } = {}) {
+  if (!el) return el;
+
+  let entry = audioMixEls.get(el);
+  if (!entry) {
+    entry = {
+      bus,
+      trim,
+      direct: AUDIO_MIX.directBuses.includes(bus),
+      node: null,
+      gain: null,
+      panner: null,
+      anchor,
+      fadeTimer: null,
+    };
+    audioMixEls.set(el, entry);
 
-  if (!okButtonMeshRef && !upArrowMeshRef && !downArrowMeshRef && !leftArrowMeshRef && !rightArrowMeshRef) {
-    return;
+    if (oneShot) {
+      el.addEventListener("ended", () => dropAudioMixEl(el), { once: true });
+      el.addEventListener("error", () => dropAudioMixEl(el), { once: true });
+    }
+
+    if (bus === "video") {
+      ["play", "playing", "pause", "ended", "volumechange", "emptied"].forEach((type) =>
+        el.addEventListener(type, () => updateAudioDucking())
+      );
+    }
   }
 
-  stopDesktopRemoteOnPulse();
+  entry.trim = trim;
+  clearTimeout(entry.fadeTimer);
+  entry.fadeTimer = null;
 
-  const onMs = 2000;
-  const offMs = 3000;
-  const cycleMs = onMs + offMs;
-  const firstDelayMs = 250;
+  connectAudioMixEl(el, entry);
 
-  const pulseAll = () => {
-    if (!tvOn) return;
-    if (!desktopRemotePulseArmed) return;
+  if (entry.gain) {
+    const g = entry.gain.gain;
+    const now = audioMixCtx.currentTime;
 
-    clearDesktopRemoteRippleTimers();
+    g.cancelScheduledValues(now);
+    if (fadeIn > 0 && el.paused) {
+      g.setValueAtTime(0, now);
+      g.linearRampToValueAtTime(trim, now + fadeIn);
+    } else {
+      g.setValueAtTime(trim, now);
+    }
+  } else {
+    applyAudioMixFallbackEl(el, entry);
+  }
 
-    // center → outward ripple
-    _setRemoteGlow(okButtonMeshRef, true, REMOTE_GLOW_COLOR);
+  return el;
+}
 
-    desktopRemoteRippleTimers.push(setTimeout(() => {
-      if (!tvOn || !desktopRemotePulseArmed) return;
-      _setRemoteGlow(upArrowMeshRef, true, REMOTE_GLOW_COLOR);
-      _setRemoteGlow(downArrowMeshRef, true, REMOTE_GLOW_COLOR);
-    }, 80));
+// fade an element out, then run `then` (pause by default); straight cut without Web Audio
+function fadeOutAudio(el, sec = AUDIO_MIX.fadeOutSec, then = () => el.pause()) {
+  if (!el) return;
 
-    desktopRemoteRippleTimers.push(setTimeout(() => {
-      if (!tvOn || !desktopRemotePulseArmed) return;
-      _setRemoteGlow(leftArrowMeshRef, true, REMOTE_GLOW_COLOR);
-      _setRemoteGlow(rightArrowMeshRef, true, REMOTE_GLOW_COLOR);
-    }, 160));
+  const entry = audioMixEls.get(el);
+  const run = () => {
+    try {
+      then();
+    } catch (e) {
+      console.warn("🎚️ Fade-out follow-up failed:", e);
+    }
+  };
 
-    desktopRemoteRippleTimers.push(setTimeout(() => {
-      if (!desktopRemotePulseArmed) return;
+  if (!entry?.gain || sec <= 0 || el.paused || audioMixCtx.state !== "running") {
+    if (entry) clearTimeout(entry.fadeTimer);
+    run();
+    if (entry?.gain) entry.gain.gain.setValueAtTime(entry.trim, audioMixCtx.currentTime);
+    return;
+  }
 
-      _setRemoteGlow(okButtonMeshRef, false, REMOTE_GLOW_COLOR);
-      _setRemoteGlow(upArrowMeshRef, false, REMOTE_GLOW_COLOR);
-      _setRemoteGlow(downArrowMeshRef, false, REMOTE_GLOW_COLOR);
-      _setRemoteGlow(leftArrowMeshRef, false, REMOTE_GLOW_COLOR);
-      _setRemoteGlow(rightArrowMeshRef, false, REMOTE_GLOW_COLOR);
-    }, onMs));
+  clearTimeout(entry.fadeTimer);
 
-    desktopRemotePulseTimer = setTimeout(pulseAll, cycleMs);
-  };
+  const g = entry.gain.gain;
+  const now = audioMixCtx.currentTime;
+  g.cancelScheduledValues(now);
+  g.setValueAtTime(g.value, now);
+  g.linearRampToValueAtTime(0, now + sec);
 
-  desktopRemotePulseTimer = setTimeout(pulseAll, firstDelayMs);
+  entry.fadeTimer = setTimeout(() => {
+    entry.fadeTimer = null;
+    run();
+    g.cancelScheduledValues(audioMixCtx.currentTime);
+    g.setValueAtTime(entry.trim, audioMixCtx.currentTime);
+  }, sec * 1000);
 }
 
-function markDesktopRemoteUsed() {
-  if (isIOSDevice()) return;
-  if (!tvOn) return;
+function isAnyVideoAudible() {
+  for (const [el, entry] of audioMixEls) {
+    if (entry.bus === "video" && !el.paused && !el.ended && !el.muted && el.volume > 0) return true;
+  }
+  return false;
+}
 
-  desktopRemotePulseArmed = false;
+function updateAudioDucking(force = false) {
+  const duck = isAnyVideoAudible();
+  if (duck === audioMixDucked && !force) return;
 
-  if (desktopRemotePulseTimer) {
-    clearTimeout(desktopRemotePulseTimer);
-    desktopRemotePulseTimer = null;
+  const changed = duck !== audioMixDucked;
+  audioMixDucked = duck;
+
+  if (audioMixCtx) {
+    const now = audioMixCtx.currentTime;
+    for (const [name, bus] of Object.entries(audioMixBuses)) {
+      const target = duck ? AUDIO_MIX.duck[name] ?? 1 : 1;
+      bus.duck.gain.setTargetAtTime(target, now, duck ? AUDIO_MIX.duckAttackSec : AUDIO_MIX.duckReleaseSec);
+    }
   }
 
-  clearDesktopRemoteRippleTimers();
-  stopDesktopRemoteOnPulse();
+  // elements outside the graph (no Web Audio, directBuses)
+  applyAudioMixFallback();
+
+  if (changed) console.log(duck ? "🎚️ Ducking ambience + music under video" : "🎚️ Ducking released");
+}
+
+function applyAudioMixMaster(instant = false) {
+  const target = audioMixMuted ? 0 : audioMixVolume;
+
+  applyAudioMixFallback();
+  if (!audioMixCtx) return;
+
+  const g = audioMixMaster.gain;
+  const now = audioMixCtx.currentTime;
+  g.cancelScheduledValues(now);
+  if (instant) g.setValueAtTime(target, now);
+  else g.setTargetAtTime(target, now, 0.04);
+}
+
+function setAudioMasterVolume(v, { fromUser = false } = {}) {
+  audioMixVolume = THREE.MathUtils.clamp(Number(v) || 0, 0, 1);
+  if (fromUser && audioMixVolume > 0) audioMixMuted = false;
+
+  applyAudioMixMaster();
+  syncAudioMixUi();
+  if (fromUser) saveRoomStateSoon();
+}
+
+function setAudioMuted(muted, { fromUser = false } = {}) {
+  audioMixMuted = !!muted;
+
+  applyAudioMixMaster();
+  syncAudioMixUi();
+
+  if (fromUser) {
+    saveRoomStateSoon();
+    trackSceneClick("audio_mute_toggle", { muted: audioMixMuted });
+  }
+}
+
+function stepAudioMasterVolume(dir) {
+  const v = Math.round((audioMixVolume + dir * AUDIO_MIX.volumeStep) * 100) / 100;
+  setAudioMasterVolume(v, { fromUser: true });
+  trackSceneClick("audio_volume", { volume: Math.round(audioMixVolume * 100), source: "keyboard" });
+}
+
+// ---------- corner control (mute button + master slider) ----------
+const audioMixUi = document.createElement("div");
+audioMixUi.id = "audio-mixer";
+audioMixUi.style.position = "fixed";
+audioMixUi.style.left = "calc(14px + env(safe-area-inset-left, 0px))";
+audioMixUi.style.top = "calc(14px + env(safe-area-inset-top, 0px))";
+audioMixUi.style.display = "flex";
+audioMixUi.style.alignItems = "center";
+audioMixUi.style.gap = "8px";
+audioMixUi.style.padding = "6px 10px";
+audioMixUi.style.borderRadius = "999px";
+audioMixUi.style.background = "rgba(0,0,0,0.35)";
+audioMixUi.style.backdropFilter = "blur(6px)";
+audioMixUi.style.opacity = "0.6";
+audioMixUi.style.transition = "opacity 0.2s ease";
+audioMixUi.style.zIndex = "9998";
+
+const audioMixMuteBtn = document.createElement("button");
+audioMixMuteBtn.type = "button";
+audioMixMuteBtn.style.border = "0";
+audioMixMuteBtn.style.background = "transparent";
+audioMixMuteBtn.style.color = "#fff";
+audioMixMuteBtn.style.fontSize = isTouchDevice() ? "20px" : "16px";
+audioMixMuteBtn.style.lineHeight = "1";
+audioMixMuteBtn.style.padding = "2px";
+audioMixMuteBtn.style.cursor = "pointer";
+audioMixMuteBtn.setAttribute("aria-label", "Mute sound");
+audioMixMuteBtn.addEventListener("click", () => setAudioMuted(!audioMixMuted, { fromUser: true }));
+
+const audioMixSlider = document.createElement("input");
+audioMixSlider.type = "range";
+audioMixSlider.min = "0";
+audioMixSlider.max = "100";
+audioMixSlider.step = "1";
+audioMixSlider.setAttribute("aria-label", "Master volume");
+audioMixSlider.style.width = isTouchDevice() ? "96px" : "84px";
+audioMixSlider.style.accentColor = "#fff";
+audioMixSlider.style.cursor = "pointer";
+audioMixSlider.addEventListener("input", () => setAudioMasterVolume(audioMixSlider.value / 100, { fromUser: true }));
+audioMixSlider.addEventListener("change", () => {
+  trackSceneClick("audio_volume", { volume: Math.round(audioMixVolume * 100), source: "slider" });
+});
 
-  _setRemoteGlow(okButtonMeshRef, false, REMOTE_GLOW_COLOR);
-  _setRemoteGlow(upArrowMeshRef, false, REMOTE_GLOW_COLOR);
-  _setRemoteGlow(downArrowMeshRef, false, REMOTE_GLOW_COLOR);
-  _setRemoteGlow(leftArrowMeshRef, false, REMOTE_GLOW_COLOR);
-  _setRemoteGlow(rightArrowMeshRef, false, REMOTE_GLOW_COLOR);
-}
+audioMixUi.addEventListener("pointerenter", () => (audioMixUi.style.opacity = "1"));
+audioMixUi.addEventListener("pointerleave", () => (audioMixUi.style.opacity = "0.6"));
 
-function syncDesktopPulseWithTvState() {
-  if (isIOSDevice()) return;
+audioMixUi.append(audioMixMuteBtn, audioMixSlider);
+if (!fallbackPortfolioActive) document.body.appendChild(audioMixUi);
 
-  if (!tvOn) {
-    // reset only when TV turns OFF
-    desktopRemotePulseArmed = true;
-    stopDesktopRemoteOnPulse();
-    startDesktopPowerPulse();
-  } else {
-    stopDesktopPowerPulse();
+function syncAudioMixUi() {
+  const silent = audioMixMuted || audioMixVolume === 0;
 
-    if (desktopRemotePulseArmed) {
-      startDesktopRemoteOnPulse();
-    }
-  }
+  audioMixMuteBtn.textContent = silent ? "🔇" : audioMixVolume < 0.5 ? "🔉" : "🔊";
+  audioMixMuteBtn.setAttribute("aria-pressed", audioMixMuted ? "true" : "false");
+  audioMixSlider.value = String(Math.round((audioMixMuted ? 0 : audioMixVolume) * 100));
 }
 
-// ✅ DEBUG: draw a dot where the TV screen was clicked (UV->pixel)
-let tvTapDebug = { on: false, x: 0, y: 0, t: 0 };
+syncAudioMixUi();
+
+// first tap / click / key anywhere builds (or wakes) the graph
+["pointerdown", "touchend", "keydown"].forEach((type) =>
+  window.addEventListener(type, () => {
+    ensureAudioMixer();
+    resumeAudioMixer();
+  }, { capture: true, passive: true })
+);
+
+// overlay players exist from load; the TV ones join when they're made
+mixAudio(videoOverlayEl, "video");
+mixAudio(modelOverlayEl, "video");
 
 // ============================================================
-// POINTER -> NDC USING FIXED VIEWPORT (keeps raycast correct)
+// ✅ POSITIONAL AUDIO (mixer entries with an anchor)
+// - playlist → speaker, TV / .mp4 model video → TV screen,
+//   lamp click → lamp, cough + breathe → cigarette
+// - a PannerNode sits between the element's trim and its bus;
+//   the listener is the camera, so the iOS drag (or any camera
+//   move) turns the stereo image with it
+// - overlays, ambience, TV power + remote clicks stay flat, and so
+//   does the iOS playlist (AUDIO_MIX.directBuses)
+// - no Web Audio / no PannerNode → same sound, flat
 // ============================================================
-function setPointerFromEvent(e) {
-  const rect = renderer.domElement.getBoundingClientRect();
-  if (!viewW || !viewH) return false;
+const AUDIO_SPATIAL = {
+  enabled: true,
+  panningModel: isTouchDevice() ? "equalpower" : "HRTF", // HRTF is heavy on phones
+  refDistance: 24,   // ≈ camera → room: sources there keep their trim
+  rolloffFactor: 0.5,
+  maxDistance: 200,
+  smoothSec: 0.05,
+};
 
-  // mouse position in canvas pixels
-  const cx = e.clientX - rect.left;
-  const cy = e.clientY - rect.top;
+const audioSpatialTmpBox = new THREE.Box3();
+const audioSpatialTmpPos = new THREE.Vector3();
+const audioSpatialTmpFwd = new THREE.Vector3();
+const audioSpatialTmpUp = new THREE.Vector3();
 
-  // viewport-local 0..1
-  const vx = (cx - viewX) / viewW;
-  const vy = (cy - viewY) / viewH;
+function makeAudioPanner() {
+  try {
+    const p = audioMixCtx.createPanner();
+    p.panningModel = AUDIO_SPATIAL.panningModel;
+    p.distanceModel = "inverse";
+    p.refDistance = AUDIO_SPATIAL.refDistance;
+    p.rolloffFactor = AUDIO_SPATIAL.rolloffFactor;
+    p.maxDistance = AUDIO_SPATIAL.maxDistance;
+    return p;
+  } catch (e) {
+    console.warn("🔈 No PannerNode, playing flat:", e);
+    return null;
+  }
+}
 
-  // clicked in the black bars -> ignore
-  if (vx < 0 || vx > 1 || vy < 0 || vy > 1) return false;
+// trim → (panner →) bus
+function connectAudioMixOutput(entry) {
+  if (!entry.gain) return;
 
-  pointer.x = vx * 2 - 1;
-  pointer.y = -(vy * 2 - 1);
+  try {
+    entry.gain.disconnect();
+  } catch {}
 
-  return true;
-}
+  const bus = audioMixBuses[entry.bus].duck;
 
-function hitIsPicture1(obj) {
-  let o = obj;
-  while (o) {
-    const n  = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
-    const pn = (o.parent?.name || "").toLowerCase();
+  if (entry.anchor && AUDIO_SPATIAL.enabled) {
+    if (!entry.panner) entry.panner = makeAudioPanner();
 
-    // ✅ ONLY match Picture1 specifically (not generic "picture")
-    if (n.includes("picture1") || mn.includes("picture1") || pn.includes("picture1")) {
-      return true;
+    if (entry.panner) {
+      entry.gain.connect(entry.panner);
+      entry.panner.connect(bus);
+      placeAudioPanner(entry, true);
+      return;
     }
-
-    o = o.parent;
   }
-  return false;
+
+  entry.gain.connect(bus);
 }
 
-function hitIsDrawWall(obj) {
-  let o = obj;
-  while (o) {
-    const n  = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
-    const pn = (o.parent?.name || "").toLowerCase();
+function setAudioParamSmooth(param, value, instant) {
+  const now = audioMixCtx.currentTime;
+  if (instant) param.setValueAtTime(value, now);
+  else param.setTargetAtTime(value, now, AUDIO_SPATIAL.smoothSec);
+}
 
-    // replace these with your actual wall mesh / material / parent names
-    if (
-      n.includes("front_wall1") ||
-      mn.includes("front wall") ||
-      pn.includes("front_wall1") ||
-      n.includes("drawwall") ||
-      mn.includes("drawwall") ||
-      pn.includes("drawwall")
-    ) {
-      return true;
-    }
+// world-space center of the anchor; straight ahead of the camera until it has loaded
+function getAudioAnchorPosition(entry, out) {
+  const obj = entry.anchor?.();
 
-    o = o.parent;
+  if (obj) {
+    audioSpatialTmpBox.setFromObject(obj);
+    if (!audioSpatialTmpBox.isEmpty()) return audioSpatialTmpBox.getCenter(out);
+    return obj.getWorldPosition(out);
   }
-  return false;
-}
 
-function hitIsDragon(obj) {
-  if (!obj || !dragonHitRootRef) return false;
-  return isInHierarchy(obj, dragonHitRootRef);
+  camera.getWorldPosition(out);
+  camera.getWorldDirection(audioSpatialTmpFwd);
+  return out.addScaledVector(audioSpatialTmpFwd, AUDIO_SPATIAL.refDistance);
 }
 
-function playDragonOnce() {
-  if (!dragonMixer || !dragonAction || dragonIsPlaying) return;
-
-  dragonIsPlaying = true;
+function placeAudioPanner(entry, instant = false) {
+  const p = entry.panner;
+  if (!p) return;
 
-  dragonAction.reset();
-  dragonAction.enabled = true;
-  dragonAction.time = 0;
-  dragonAction.paused = false;
-  dragonAction.setLoop(THREE.LoopOnce, 1);
-  dragonAction.clampWhenFinished = true;
-  dragonAction.play();
+  const pos = getAudioAnchorPosition(entry, audioSpatialTmpPos);
 
-  console.log("🦎 Dragon animation started");
+  if (p.positionX) {
+    setAudioParamSmooth(p.positionX, pos.x, instant);
+    setAudioParamSmooth(p.positionY, pos.y, instant);
+    setAudioParamSmooth(p.positionZ, pos.z, instant);
+  } else {
+    p.setPosition(pos.x, pos.y, pos.z); // older Safari
+  }
 }
 
-async function onPointerDown(e) {
-  if (isIOSPortraitBlocked()) return;
+function placeAudioListener(instant = false) {
+  const L = audioMixCtx.listener;
 
-if (isIOSDevice()) {
-  nudgeIosRemotePulse();
-  forceResumeBackgroundAudioNow();
+  camera.getWorldPosition(audioSpatialTmpPos);
+  camera.getWorldDirection(audioSpatialTmpFwd);
+  audioSpatialTmpUp.copy(camera.up).applyQuaternion(camera.quaternion);
+
+  const pos = audioSpatialTmpPos;
+  const fwd = audioSpatialTmpFwd;
+  const up = audioSpatialTmpUp;
+
+  if (L.positionX) {
+    setAudioParamSmooth(L.positionX, pos.x, instant);
+    setAudioParamSmooth(L.positionY, pos.y, instant);
+    setAudioParamSmooth(L.positionZ, pos.z, instant);
+    setAudioParamSmooth(L.forwardX, fwd.x, instant);
+    setAudioParamSmooth(L.forwardY, fwd.y, instant);
+    setAudioParamSmooth(L.forwardZ, fwd.z, instant);
+    setAudioParamSmooth(L.upX, up.x, instant);
+    setAudioParamSmooth(L.upY, up.y, instant);
+    setAudioParamSmooth(L.upZ, up.z, instant);
+  } else {
+    L.setPosition(pos.x, pos.y, pos.z);
+    L.setOrientation(fwd.x, fwd.y, fwd.z, up.x, up.y, up.z);
+  }
 }
 
-  if (!setPointerFromEvent(e)) return; // ✅ ignore clicks in black bars
-  raycaster.setFromCamera(pointer, camera);
+// animate(): listener follows the camera, playing anchored sounds follow their mesh
+function updateAudioSpatial() {
+  if (!audioMixCtx || !AUDIO_SPATIAL.enabled || audioMixCtx.state !== "running") return;
 
-let hits = [];
+  placeAudioListener();
 
-if (interactivesRootRef) {
-  hits = hits.concat(raycaster.intersectObject(interactivesRootRef, true));
+  audioMixEls.forEach((entry, el) => {
+    if (entry.panner && !el.paused) placeAudioPanner(entry);
+  });
 }
 
-// ✅ check the speaker early WITHOUT making the whole world block drag
-const speakerHits = speakerMeshRef
-  ? raycaster.intersectObject(speakerMeshRef, true)
-  : [];
-
 // ============================================================
-// ✅ iOS horizontal camera drag start
-// - only when touch begins on NON-interactive scene space
+// ✅ MUSIC ANALYSIS (beat / onset → speaker, lamp, dust)
+// - AnalyserNode tapped off the music bus (after ducking, before
+//   master volume: muting keeps the room dancing)
+// - level: bass envelope; beat: spectral-flux onset against a
+//   running average, decays between hits
+// - iOS playlist is outside the graph (AUDIO_MIX.directBuses), so
+//   it never reaches the analyser and keeps the sine
+// - no mixer / nothing heard for a while → getMusicReactive()
+//   returns null and everything goes back to the sine pulse
 // ============================================================
-if (
-  isIOSDevice() &&
-  IOS_CAM_DRAG.enabled &&
-  !overlayOpen &&
-  !videoOverlayOpen &&
-  !modelOverlayOpen
-) {
-  const touchingInteractive =
-    isInteractiveHitForIOSCameraDrag(hits) || speakerHits.length > 0;
-
-  if (!touchingInteractive) {
-    iosCamDragActive = true;
-    iosCamDragPointerId = e.pointerId;
-    iosCamDragStartClientX = e.clientX;
-    iosCamDragStartOffsetX = iosCamUserOffsetXTarget;
-    iosCamDragged = false;
-    setIOSInteractionQuality(true);
-  }
-}
+const AUDIO_REACTIVE = {
+  enabled: true,
+  sensitivity: 1,       // > 1 catches softer hits, < 1 only the big ones
+  fftSize: 2048,
+  smoothing: 0.5,       // analyser's own time smoothing
+  bassHz: [40, 160],    // band the level follows
+  fluxHz: [40, 4000],   // band the onset detector watches (kick → snare)
+  fluxHistory: 45,      // frames the running average covers (~0.75s @ 60fps)
+  threshold: 1.45,      // flux / average needed for a beat (÷ sensitivity)
+  fluxFloor: 0.004,     // ignore onsets in near silence (÷ sensitivity)
+  minBeatGapSec: 0.22,
+  beatDecay: 7,         // per second
+  levelAttack: 0.5,
+  levelRelease: 0.08,
+  silentAfterSec: 2,    // no signal this long → sine fallback
+  speaker: { level: 0.65, beat: 0.55 },  // mix into the 0..1 cone wave
+  lamp: { level: 0.05, beat: 0.10 },     // intensity multiplier on top of 1
+  dust: { wander: 3.0, maxV: 1.6 },      // × at a full beat
+};
 
-// ✅ now collect the rest of the world hits normally
-hits = hits.concat(raycaster.intersectObject(anchor, true));
+let musicAnalyser = null;
+let musicAnalysisFailed = false;
+let musicAnalysisBins = null;
+let musicAnalysisPrev = null;
+let musicBassRange = [0, 0];
+let musicFluxRange = [0, 0];
 
-// ✅ choose the closest hit overall
-hits.sort((a, b) => a.distance - b.distance);
+const musicFluxHistory = new Float32Array(AUDIO_REACTIVE.fluxHistory);
+let musicFluxIndex = 0;
+let musicFluxCount = 0;
 
-if (!hits.length) return;
+let musicLevel = 0;
+let musicBeat = 0;
+let musicLastBeatAt = 0;
+let musicHeardAt = 0;
 
-console.log("HITS:", hits.slice(0, 6).map(h => ({
-  name: h.object.name,
-  mat: h.object.material?.name,
-  dist: h.distance.toFixed(3)
-})));
+function getMusicBinRange([lo, hi]) {
+  const hzPerBin = audioMixCtx.sampleRate / AUDIO_REACTIVE.fftSize;
+  const last = musicAnalyser.frequencyBinCount - 1;
+  const a = Math.max(1, Math.min(last, Math.floor(lo / hzPerBin)));
+  const b = Math.max(a, Math.min(last, Math.ceil(hi / hzPerBin)));
+  return [a, b];
+}
 
-if (overlayOpen || videoOverlayOpen || modelOverlayOpen) return;
+function ensureMusicAnalyser() {
+  if (musicAnalyser || musicAnalysisFailed) return musicAnalyser;
+  if (!audioMixCtx || !audioMixBuses.music) return null;
 
-// ✅ Pick the actual hit object once
-const tvHitInfo =
-  (tvScreenMeshRef && hits.length)
-    ? hits.find(h => isInHierarchy(h.object, tvScreenMeshRef))
-    : null;
+  try {
+    musicAnalyser = audioMixCtx.createAnalyser();
+    musicAnalyser.fftSize = AUDIO_REACTIVE.fftSize;
+    musicAnalyser.smoothingTimeConstant = AUDIO_REACTIVE.smoothing;
+    audioMixBuses.music.level.connect(musicAnalyser);
+  } catch (e) {
+    console.warn("🥁 Music analysis unavailable, speaker keeps the sine:", e);
+    musicAnalyser = null;
+    musicAnalysisFailed = true;
+    return null;
+  }
 
-const hitInfo = tvHitInfo ?? hits[0];
-const hit = hitInfo.object;
+  musicAnalysisBins = new Uint8Array(musicAnalyser.frequencyBinCount);
+  musicAnalysisPrev = new Uint8Array(musicAnalyser.frequencyBinCount);
+  musicBassRange = getMusicBinRange(AUDIO_REACTIVE.bassHz);
+  musicFluxRange = getMusicBinRange(AUDIO_REACTIVE.fluxHz);
 
-if (hitIsDragon(hit)) {
-  playDragonOnce();
-  return;
+  console.log("🥁 Music analysis ready");
+  return musicAnalyser;
 }
 
-const cigaretteHit = hits.find(h => cigaretteRoot && isInHierarchy(h.object, cigaretteRoot));
+function isMusicAudible() {
+  const a = currentAudio();
+  return !!(a && !a.paused && !a.ended && isPlaying);
+}
 
-if (cigaretteHit) {
-  console.log("🚬 cigarette hit:", cigaretteHit.object.name);
+// animate(): every frame, so short onsets aren't missed on throttled FX tiers
+function updateMusicAnalysis(dt) {
+  if (!AUDIO_REACTIVE.enabled || !audioMixCtx) return;
+  if (!ensureMusicAnalyser()) return;
 
-  trackSceneClick("cigarette_click", {
-    object_name: cigaretteHit.object.name || "unknown",
-  });
+  musicBeat *= Math.exp(-AUDIO_REACTIVE.beatDecay * dt);
 
-  await unlockSmokeBreatheOnce();
-  await unlockSmokerCoughOnce();
+  if (audioMixCtx.state !== "running" || !isMusicAudible()) {
+    musicLevel *= 0.9;
+    return;
+  }
 
-  playCigaretteAnimation();
-  playSmokeTipAnimation();
-  playSmokeBreatheSound();
-  queueSmokerCough();
+  const bins = musicAnalysisBins;
+  const prev = musicAnalysisPrev;
+  musicAnalyser.getByteFrequencyData(bins);
 
-  return;
-}
+  let bass = 0;
+  for (let i = musicBassRange[0]; i <= musicBassRange[1]; i++) bass += bins[i];
+  bass /= (musicBassRange[1] - musicBassRange[0] + 1) * 255;
 
-// ✅ Picture1 click/tap (check ALL hits, not just closest)
-const picHit = hits.find(h => hitIsPicture1(h.object));
-if (picHit) {
-  trackSceneClick("picture1_change_click", {
-    object_name: picHit.object.name || "unknown",
-    interaction_type: "picture_cycle",
-    picture_index_before: picture1TexIndex,
-    picture_index_after: picture1TexIndex + 1,
-  });
+  let flux = 0;
+  for (let i = musicFluxRange[0]; i <= musicFluxRange[1]; i++) {
+    const d = bins[i] - prev[i];
+    if (d > 0) flux += d;
+  }
+  flux /= (musicFluxRange[1] - musicFluxRange[0] + 1) * 255;
+  prev.set(bins);
 
-  console.log("🖼 Picture1 hit:", picHit.object.name);
-  setPicture1Texture(picture1TexIndex + 1);
-  return;
-}
+  const t = performance.now() / 1000;
+  if (bass > 0.01 || flux > 0) musicHeardAt = t;
 
-const socialTikTokHit = hits.find(
-  h => socialTikTokMeshRef && isInHierarchy(h.object, socialTikTokMeshRef)
-);
+  const k = bass > musicLevel ? AUDIO_REACTIVE.levelAttack : AUDIO_REACTIVE.levelRelease;
+  musicLevel += (bass - musicLevel) * k;
 
-if (socialTikTokHit) {
-  console.log("🎵 TikTok button hit:", socialTikTokHit.object.name);
+  // onset: flux well above its recent average
+  let avg = 0;
+  for (let i = 0; i < musicFluxCount; i++) avg += musicFluxHistory[i];
+  avg = musicFluxCount ? avg / musicFluxCount : 0;
 
-  trackSceneClick("tiktok_click", {
-    object_name: socialTikTokHit.object.name || "unknown",
-  });
+  const sens = Math.max(0.05, AUDIO_REACTIVE.sensitivity);
 
-  setPressAxisFromHit(socialTikTokMeshRef, socialTikTokHit);
-  setPressTarget(socialTikTokMeshRef, true);
+  if (
+    musicFluxCount >= 8 &&
+    flux > avg * (AUDIO_REACTIVE.threshold / sens) &&
+    flux > AUDIO_REACTIVE.fluxFloor / sens &&
+    t - musicLastBeatAt > AUDIO_REACTIVE.minBeatGapSec
+  ) {
+    musicBeat = 1;
+    musicLastBeatAt = t;
+  }
 
-  pendingExternalUrl = getTikTokProfileUrl();
-  return;
+  musicFluxHistory[musicFluxIndex] = flux;
+  musicFluxIndex = (musicFluxIndex + 1) % musicFluxHistory.length;
+  musicFluxCount = Math.min(musicFluxCount + 1, musicFluxHistory.length);
 }
 
-const socialContactHit = hits.find(
-  h => socialContactMeshRef && isInHierarchy(h.object, socialContactMeshRef)
-);
+// { level, beat } (both 0..1) while analysed music is playing, otherwise null
+function getMusicReactive() {
+  if (!musicAnalyser || !musicHeardAt || !isMusicAudible()) return null;
+  if (performance.now() / 1000 - musicHeardAt > AUDIO_REACTIVE.silentAfterSec) return null;
 
-if (socialContactHit) {
-  console.log("📇 Contact button hit:", socialContactHit.object.name);
+  return { level: musicLevel, beat: musicBeat };
+}
 
-  trackSceneClick("contact_click", {
-    object_name: socialContactHit.object.name || "unknown",
-  });
+let trackIndex = 0;
+let isPlaying = false;
 
-  setPressAxisFromHit(socialContactMeshRef, socialContactHit);
-  setPressTarget(socialContactMeshRef, true);
+// 🔓 ADD THIS BLOCK RIGHT HERE
+let audioUnlocked = false;
 
-  pendingExternalUrl = getContactProfileUrl();
-  return;
-}
+let bgAudio = null;
+let bgAudioEnabled = true;
 
-const socialYoutubeHit = hits.find(
-  h => socialYoutubeMeshRef && isInHierarchy(h.object, socialYoutubeMeshRef)
-);
+let bgAudioResumePending = false;
+let bgAudioResumeTimer = null;
 
-if (socialYoutubeHit) {
-  console.log("▶️ Youtube button hit:", socialYoutubeHit.object.name);
+async function unlockAudioOnce() {
+  if (audioUnlocked) return;
 
-  trackSceneClick("youtube_click", {
-    object_name: socialYoutubeHit.object.name || "unknown",
-  });
+  const a = currentAudio();
 
-  setPressAxisFromHit(socialYoutubeMeshRef, socialYoutubeHit);
-  setPressTarget(socialYoutubeMeshRef, true);
+  try {
+    a.muted = true;
+    await a.play();
+    a.pause();
+    a.currentTime = 0;
+    a.muted = false;
+    applyAudioMixFallback(); // direct (iOS) playlist: back to the mute setting
 
-  pendingExternalUrl = getYoutubeProfileUrl();
-  return;
+    audioUnlocked = true;
+    console.log("🔓 Speaker audio unlocked");
+  } catch (e) {
+    console.warn("Speaker audio unlock failed:", e);
+    audioUnlocked = false;
+  }
 }
 
-const socialInstagramHit = hits.find(
-  h => socialInstagramMeshRef && isInHierarchy(h.object, socialInstagramMeshRef)
-);
+let audioEls = [];
+let playlistLazyLoadStarted = false;
 
-if (socialInstagramHit) {
-  console.log("📸 Instagram button hit:", socialInstagramHit.object.name);
+function buildPlaylistAudio() {
+  if (audioEls.length) return audioEls;
 
-  trackSceneClick("instagram_click", {
-    object_name: socialInstagramHit.object.name || "unknown",
+  audioEls = tracks.map((src) => {
+    const a = new Audio(src);
+    a.preload = "metadata";
+    a.crossOrigin = "anonymous";
+    return mixAudio(a, "music", undefined, { anchor: () => speakerMeshRef });
   });
 
-  setPressAxisFromHit(socialInstagramMeshRef, socialInstagramHit);
-  setPressTarget(socialInstagramMeshRef, true);
-
-  pendingExternalUrl = getContactMailtoUrl();
-  return;
-}
+  // ✅ AUTO-NEXT when a song finishes
+  audioEls.forEach((a, i) => {
+    a.addEventListener("ended", () => {
+      if (i !== trackIndex) return;
+      if (!isPlaying) return;
 
-console.log("POINTERDOWN HIT:", hit.name);
+      console.log("⏭ Track ended → auto next");
+      nextTrack();
+    });
 
-// ✅ iOS: only pulse the remote hint when you actually touched the remote,
-// not when you touched the TV screen.
-let hitIsTv = false;
-if (tvScreenMeshRef && isInHierarchy(hit, tvScreenMeshRef)) hitIsTv = true;
+    // 💾 remembered for the next visit (see VISITOR STATE)
+    a.addEventListener("timeupdate", () => {
+      if (i !== trackIndex || a.paused) return;
+      rememberRoomTrackTime(i, a.currentTime);
+    });
 
-// (optional but recommended) also don't pulse if you hit the speaker (or other interactives)
-let hitIsRemoteBtn = false;
-if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) hitIsRemoteBtn = true;
-if (upArrowMeshRef && isInHierarchy(hit, upArrowMeshRef)) hitIsRemoteBtn = true;
-if (downArrowMeshRef && isInHierarchy(hit, downArrowMeshRef)) hitIsRemoteBtn = true;
-if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) hitIsRemoteBtn = true;
-if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) hitIsRemoteBtn = true;
-if (powerButtonMeshRef && isInHierarchy(hit, powerButtonMeshRef)) hitIsRemoteBtn = true;
+    // 📱 lock screen / media keys (see MEDIA SESSION)
+    for (const type of ["play", "pause", "ended", "loadedmetadata", "seeked", "ratechange"]) {
+      a.addEventListener(type, () => {
+        if (i === trackIndex) syncMediaSession();
+      });
+    }
+  });
 
-if (isIOSDevice() && hitIsRemoteBtn) {
-  nudgeIosRemotePulse();
+  return audioEls;
 }
 
-// ============================================================
-// ✅ TV SCREEN HIT: handle TV FIRST and BLOCK remote glow/press
-// (MUST be before any remote press/glow logic)
-// ============================================================
-if (tvScreenMeshRef && isInHierarchy(hit, tvScreenMeshRef)) {
-  // kill any “stuck” glow/press instantly
-   // ✅ Only do the hard "clear everything" on TOUCH.
-  // Desktop hover hints should stay responsive.
-  if (e.pointerType === "touch") {
-    clearAllButtonGlows();
-    clearAllButtonPresses();
-    setHoverKey(null);
-  }
+function startLazyPlaylistLoad() {
+  if (playlistLazyLoadStarted) return;
+  playlistLazyLoadStarted = true;
 
-  // ✅ if you have a "remote pulse" timer/state, cancel it here too
-// (only add this if you actually have these vars/functions)
-if (typeof stopIosRemotePulse === "function") stopIosRemotePulse();
+  // start after scene is entered
+  setTimeout(() => {
+    buildPlaylistAudio();
+    console.log("🎵 Playlist lazy load started");
+  }, 1000);
+}
 
-  if (isIOSDevice()) {
-  tvTouchActive = true;
-  tvTouchStartX = e.clientX;
-  tvTouchStartY = e.clientY;
-  tvTouchStartT = performance.now();
-  tvTouchPointerId = e.pointerId;
-  tvTouchDragSelectMoved = false;
+function currentAudio() {
+  if (!audioEls.length) buildPlaylistAudio();
+  return audioEls[trackIndex];
+}
 
-// ✅ LOCK THE CURRENTLY HIGHLIGHTED SELECTION.
-// Do NOT recompute from touch-down UV.
-// The user should open what is already highlighted on screen.
-tvTouchStartUiState = tvUiState;
-tvTouchStartMenuIndex = menuIndex;
-tvTouchStartSubcategoryIndex = subcategoryIndex;
+// content.json title, or the file name for untitled tracks
+function getTrackTitle(i) {
+  const src = tracks[i];
+  if (!src) return "";
 
-if (tvUiState === "MENU" && tvSocialHoverId) {
-  tvTouchStartTargetKind = "social";
-  tvTouchStartSocialId = tvSocialHoverId;
-} else {
-  tvTouchStartTargetKind = "menu-item";
-  tvTouchStartSocialId = null;
-}
+  const title = getContentItem(src)?.title;
+  if (title) return title;
 
-try { renderer.domElement.setPointerCapture(e.pointerId); } catch {}
+  return decodeURIComponent(src.split("/").pop().replace(/\.[^.]+$/, ""));
 }
 
-const uv = tvHitInfo?.uv;
+// seconds, or null until that track's metadata has loaded
+function getTrackDuration(i) {
+  const a = audioEls[i];
+  return a && Number.isFinite(a.duration) && a.duration > 0 ? a.duration : null;
+}
 
-// ✅ DESKTOP / MOUSE / TRACKPAD
-// iOS uses the locked-touch flow below.
-// Desktop should immediately confirm the CURRENT highlighted selection.
-if (!isIOSDevice()) {
-  // TV OFF -> clicking the TV powers it on
-  if (!tvOn) {
-    if (uv) {
-      handleIOSTvTap(uv);
-    } else {
-      playTvOnSound();
-      setTvPower(true);
-    }
-    return;
-  }
+function ensureBackgroundAudio() {
+  if (bgAudio) return bgAudio;
 
-  // TV ON -> top chrome buttons still work
-  if (uv && handleTvChromeButtonTapFromUv(uv)) {
-    return;
-  }
+  bgAudio = new Audio("./assets/Audio/Background-sound11.mp3");
+  bgAudio.preload = "metadata";
+  bgAudio.crossOrigin = "anonymous";
+  bgAudio.loop = true;
+  mixAudio(bgAudio, "ambience"); // ✅ lower on iOS only (AUDIO_MIX.trims)
+  bgAudio.playsInline = true;
+    bgAudio.setAttribute?.("webkit-playsinline", "");
 
-  // TV ON -> in menu/subcategory, click should open the highlighted item
-  if (tvUiState === "MENU" || tvUiState === "SUBCATEGORY_MENU") {
-    if (tvUiState === "MENU" && tvSocialHoverId) {
-      const selectedSocial = TV_SOCIAL_ITEMS.find(
-        (item) => item.id === tvSocialHoverId
-      );
+  bgAudio.addEventListener("pause", () => {
+    if (!bgAudioEnabled) return;
+    if (!isIOS) return;
+    if (document.hidden) return;
 
-      if (selectedSocial) {
-        activateTvSocialHit(selectedSocial);
-        return;
-      }
-    }
+    bgAudioResumePending = true;
+    scheduleBackgroundAudioResume(120);
+  });
 
-    confirmMenuSelection();
-    return;
-  }
+  bgAudio.addEventListener("ended", () => {
+    if (!bgAudioEnabled) return;
+    if (!isIOS) return;
 
-  // TV ON -> content states keep using the existing direct TV tap logic
-  if (
-    uv &&
-    (tvUiState === "PHOTO" ||
-     tvUiState === "VIDEO" ||
-     tvUiState === "3D MODEL")
-  ) {
-    handleIOSTvTap(uv);
-    return;
-  }
+    bgAudioResumePending = true;
+    scheduleBackgroundAudioResume(0);
+  });
 
-  return;
+  return bgAudio;
 }
 
-// ✅ TV OFF -> touch powers on
-if (!tvOn) {
-  if (uv) {
-    handleIOSTvTap(uv);
-  } else {
-    tvTouchStartedWhileOff = true;
-    tvTouchDragSelectMoved = false;
-    playTvOnSound();
-    setTvPower(true);
-    showIosMenuControlsHintOnce();
-  }
-  return; // 🔒 stop here
-}
+function scheduleBackgroundAudioResume(delay = 0) {
+  if (!bgAudioEnabled) return;
+  if (!isIOS) return;
 
-// ✅ TV ON -> BACK / MENU buttons still work immediately
-if (uv && handleTvChromeButtonTapFromUv(uv)) {
-  return; // 🔒 stop here
-}
+  bgAudioResumePending = true;
 
-// ✅ TV ON -> CONTENT VIEWER states must still use direct tap logic
-// Restore left/right navigation, center tap actions, and double-tap fullscreen.
-if (
-  uv &&
-  (tvUiState === "PHOTO" ||
-   tvUiState === "VIDEO" ||
-   tvUiState === "3D MODEL")
-) {
-  handleIOSTvTap(uv);
-  return; // 🔒 stop here
-}
+  if (bgAudioResumeTimer) {
+    clearTimeout(bgAudioResumeTimer);
+    bgAudioResumeTimer = null;
+  }
 
-// ✅ TV ON -> only MENU and SUBCATEGORY_MENU use locked-highlight confirmation
-tvTouchStartUiState = tvUiState;
-tvTouchStartMenuIndex = menuIndex;
-tvTouchStartSubcategoryIndex = subcategoryIndex;
+  bgAudioResumeTimer = setTimeout(async () => {
+    bgAudioResumeTimer = null;
 
-if (tvUiState === "MENU" && tvSocialHoverId) {
-  tvTouchStartTargetKind = "social";
-  tvTouchStartSocialId = tvSocialHoverId;
-} else {
-  tvTouchStartTargetKind = "menu-item";
-  tvTouchStartSocialId = null;
-}
+    const bg = ensureBackgroundAudio();
+    if (!bg) return;
+    if (!bgAudioResumePending) return;
 
-try { renderer.domElement.setPointerCapture(e.pointerId); } catch {}
+    try {
+      bg.loop = true;
+      mixAudio(bg, "ambience");
+      bg.playsInline = true;
+      bg.setAttribute?.("webkit-playsinline", "");
+      resumeAudioMixer();
 
-return; // 🔒 stop here
+      if (bg.paused) {
+        await bg.play();
+        console.log("🌫️ Background ambience resumed");
 
-  return; // 🔒 CRITICAL: nothing below runs
-}
+        // the ambience may have claimed the lock screen: the playlist's state wins
+        syncMediaSession(true);
+      }
 
-if (hitIsLamp(hit)) {
-  playLampAudio();
+      bgAudioResumePending = false;
+    } catch (err) {
+      console.warn("Background ambience resume blocked:", err);
+    }
+  }, delay);
+}
 
-  lampMood = (lampMood + 1) % 2; // 0<->1
+async function forceResumeBackgroundAudioNow() {
+  if (!bgAudioEnabled) return;
 
-  // turn NV on immediately, no delayed blue transition
-  setNightVision(lampMood === 1);
+  const bg = ensureBackgroundAudio();
+  if (!bg) return;
 
-  applyLampMood(lampMood);
-  updateLampHintText();
+  try {
+    bg.loop = true;
+    mixAudio(bg, "ambience");
+    bg.playsInline = true;
+    bg.setAttribute?.("webkit-playsinline", "");
+    resumeAudioMixer();
 
-  // ✅ show Grim only in lampMood 1, hide in lampMood 0
-  setGrimVisible(lampMood === 1);
+    if (bg.paused) {
+      await bg.play();
+      console.log("🌫️ Background ambience forced resume");
+      syncMediaSession(true);
+    }
 
-  return;
+    bgAudioResumePending = false;
+  } catch (err) {
+    console.warn("Background ambience forced resume blocked:", err);
+  }
 }
 
-// ✅ Dunkeheit Album click -> open playlist (Safari-safe: open on pointerup)
-if (hitIsDunkeheitAlbum(hit)) {
-  const url = "https://open.spotify.com/playlist/29St0Hbsl7aWEyq7LBV4O6";
+let lampAudio = null;
 
-  trackSceneClick("dunkeheit_album_click", {
-    object_name: hit.name || "unknown",
-    target_label: "dunkeheit_album",
-    target_type: "external_link",
-  });
+let smokeChirpAudio = null;
+let smokeChirpStartTimeout = null;
+let smokeChirpInterval = null;
 
-  console.log("💿 Dunkeheit_Album hit — queued for pointerup:", url);
-  pendingExternalUrl = url;
-  return;
+// clones played by playLampAudio() are one-shots; the preloaded base stays
+function applyLampAudioVolume(a) {
+  if (!a) return;
+  mixAudio(a, "sfx", AUDIO_MIX.trims.lamp, { oneShot: a !== lampAudio, anchor: () => lampMeshRef });
 }
 
-// ✅ ALL DVD click -> open Gummo link (Safari-safe: open on pointerup)
-if (hitIsAllDVD(hit)) {
-  const url = "https://tapemotion.com/en/watch/18415?gummo=";
+function ensureLampAudio() {
+  if (lampAudio) {
+    applyLampAudioVolume(lampAudio);
+    return lampAudio;
+  }
 
-  trackSceneClick("all_dvd_click", {
-    object_name: hit.name || "unknown",
-    target_label: "all_dvd",
-    target_type: "external_link",
-  });
+  lampAudio = new Audio("./assets/Audio/Lamp-Turnon_01.mp3");
+  lampAudio.preload = "auto";
+  lampAudio.crossOrigin = "anonymous";
+  lampAudio.loop = false;
+  lampAudio.playsInline = true;
+  lampAudio.setAttribute?.("webkit-playsinline", "");
+  applyLampAudioVolume(lampAudio);
+  lampAudio.load();
 
-  console.log("📀 All_DVD hit — queued for pointerup:", url);
-  pendingExternalUrl = url;
-  return;
+  return lampAudio;
 }
 
-// ✅ DVD on Player 1 click -> open Decline of Western Civilization (Safari-safe: open on pointerup)
-if (hitIsDVDOnPlayer1(hit)) {
-  const url = "https://tapemotion.com/en/watch/21137?the-decline-of-western-civilization=";
+function ensureSmokeChirpAudio() {
+  if (smokeChirpAudio) return smokeChirpAudio;
 
-  trackSceneClick("dvd_on_player1_click", {
-    object_name: hit.name || "unknown",
-    target_label: "dvd_on_player1",
-    target_type: "external_link",
-  });
+  smokeChirpAudio = new Audio("./assets/Audio/Smoke-Chirp.mp3");
+  smokeChirpAudio.preload = "auto";
+  smokeChirpAudio.crossOrigin = "anonymous";
+  smokeChirpAudio.loop = false;
+  smokeChirpAudio.playsInline = true;
+  smokeChirpAudio.setAttribute?.("webkit-playsinline", "");
+  mixAudio(smokeChirpAudio, "sfx", AUDIO_MIX.trims.chirp);
+  smokeChirpAudio.load();
 
-  console.log("💿 DVD_on_Player1 hit — queued for pointerup:", url);
-  pendingExternalUrl = url;
-  return;
+  return smokeChirpAudio;
 }
 
-// ✅ Book4 click -> open book link (Safari-safe: open on pointerup)
-if (hitIsBook4(hit)) {
-  const url = "https://welib.org/md5/0516e985137dba6cae48c7e5a0eeb57d";
+function playSmokeChirp() {
+  const a = ensureSmokeChirpAudio();
+  if (!a) return;
 
-  trackSceneClick("book4_click", {
-    object_name: hit.name || "unknown",
-    target_type: "external_link",
-    target_label: "book4",
-    target_url: url,
-  });
+  try {
+    a.pause();
+    a.currentTime = 0;
 
-  console.log("📖 Book4 hit — queued for pointerup:", url);
-  pendingExternalUrl = url;
-  return;
+    const p = a.play();
+    if (p?.catch) {
+      p.catch((err) => {
+        console.warn("Smoke chirp play blocked:", err);
+      });
+    }
+  } catch (err) {
+    console.warn("Smoke chirp failed:", err);
+  }
 }
 
-function hitIsPicture1(obj) {
-  let o = obj;
-  while (o) {
-    const n = (o.name || "").toLowerCase();
-    const mn = (o.material?.name || "").toLowerCase();
-    const pn = (o.parent?.name || "").toLowerCase();
+function stopSmokeChirpCycle() {
+  if (smokeChirpStartTimeout) {
+    clearTimeout(smokeChirpStartTimeout);
+    smokeChirpStartTimeout = null;
+  }
 
-    // ✅ match picture plane OR frame OR parent group
-    if (
-      n.includes("picture1") || mn.includes("picture1") || pn.includes("picture1") ||
-      n.includes("picture") || mn.includes("picture")  || pn.includes("picture")
-    ) return true;
+  if (smokeChirpInterval) {
+    clearInterval(smokeChirpInterval);
+    smokeChirpInterval = null;
+  }
 
-    o = o.parent;
+  if (smokeChirpAudio) {
+    try {
+      smokeChirpAudio.pause();
+      smokeChirpAudio.currentTime = 0;
+    } catch {}
   }
-  return false;
 }
 
-  log("🖱️ HIT:", hit.name, "layer:", hit.layers.mask, "parent:", hit.parent?.name);
-log("💡 lampMeshRef:", lampMeshRef?.name, "layer:", lampMeshRef?.layers?.mask);
+function startSmokeChirpCycle() {
+  // prevent duplicates
+  stopSmokeChirpCycle();
 
+  // first chirp after 15s in scene
+  smokeChirpStartTimeout = setTimeout(() => {
+    playSmokeChirp();
 
-   // ✅ Press animation target ON (only for the button you clicked)
-if (powerButtonMeshRef && isInHierarchy(hit, powerButtonMeshRef)) {
-  setPressAxisFromHit(powerButtonMeshRef, hitInfo);
-  setPressTarget(powerButtonMeshRef, true);
+    // then every 30s forever
+    smokeChirpInterval = setInterval(() => {
+      playSmokeChirp();
+    }, 75000);
+  }, 15000);
 }
 
-if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) {
-  if (isIOSDevice() && e.pointerType === "touch") {
-    iosSoloGlow(okButtonMeshRef);
-    markIosRemoteUsed();
-  }
-  markDesktopRemoteUsed();
-  setPressAxisFromHit(okButtonMeshRef, hitInfo);
-  setPressTarget(okButtonMeshRef, true);
-}
+const TV_ON_SOUND_SRC = "./assets/Audio/Tv On Sound1-01.mp3";
+const TV_OFF_SOUND_SRC = "./assets/Audio/Tv Off Sound-01.mp3";
 
-if (upArrowMeshRef && isInHierarchy(hit, upArrowMeshRef)) {
-  if (isIOSDevice() && e.pointerType === "touch") {
-    iosSoloGlow(upArrowMeshRef);
-    markIosRemoteUsed();
-  }
-  markDesktopRemoteUsed();
-  setPressAxisFromHit(upArrowMeshRef, hitInfo);
-  setPressTarget(upArrowMeshRef, true);
-}
+let tvOnSoundPreload = null;
+let tvOffSoundPreload = null;
 
-if (downArrowMeshRef && isInHierarchy(hit, downArrowMeshRef)) {
-  if (isIOSDevice() && e.pointerType === "touch") {
-    iosSoloGlow(downArrowMeshRef);
-    markIosRemoteUsed();
-  }
-  markDesktopRemoteUsed();
-  setPressAxisFromHit(downArrowMeshRef, hitInfo);
-  setPressTarget(downArrowMeshRef, true);
+let tvOnSoundActive = null;
+let tvOffSoundActive = null;
+
+function ensureTvOnSound() {
+  if (tvOnSoundPreload) return tvOnSoundPreload;
+
+  tvOnSoundPreload = new Audio(TV_ON_SOUND_SRC);
+  tvOnSoundPreload.preload = "auto";
+  tvOnSoundPreload.crossOrigin = "anonymous";
+  tvOnSoundPreload.playsInline = true;
+  tvOnSoundPreload.setAttribute?.("webkit-playsinline", "");
+  tvOnSoundPreload.load();
+
+  return tvOnSoundPreload;
 }
 
-if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
-  if (isIOSDevice() && e.pointerType === "touch") {
-    iosSoloGlow(leftArrowMeshRef);
-    markIosRemoteUsed();
-  }
+function ensureTvOffSound() {
+  if (tvOffSoundPreload) return tvOffSoundPreload;
 
-  markDesktopRemoteUsed();
-  setPressAxisFromHit(leftArrowMeshRef, hitInfo);
-  setPressTarget(leftArrowMeshRef, true);
+  tvOffSoundPreload = new Audio(TV_OFF_SOUND_SRC);
+  tvOffSoundPreload.preload = "auto";
+  tvOffSoundPreload.crossOrigin = "anonymous";
+  tvOffSoundPreload.playsInline = true;
+  tvOffSoundPreload.setAttribute?.("webkit-playsinline", "");
+  tvOffSoundPreload.load();
+
+  return tvOffSoundPreload;
 }
 
-if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
-  if (isIOSDevice() && e.pointerType === "touch") {
-    iosSoloGlow(rightArrowMeshRef);
-    markIosRemoteUsed();
+function stopTvPowerSounds() {
+  if (tvOnSoundActive) {
+    try {
+      tvOnSoundActive.pause();
+      tvOnSoundActive.currentTime = 0;
+    } catch {}
+    tvOnSoundActive = null;
+  }
+
+  if (tvOffSoundActive) {
+    try {
+      tvOffSoundActive.pause();
+      tvOffSoundActive.currentTime = 0;
+    } catch {}
+    tvOffSoundActive = null;
   }
-  markDesktopRemoteUsed();
-  setPressAxisFromHit(rightArrowMeshRef, hitInfo);
-  setPressTarget(rightArrowMeshRef, true);
 }
 
-// --------------------------------------------------
-// TV POWER BUTTON
-// --------------------------------------------------
-if (powerButtonMeshRef && isInHierarchy(hit, powerButtonMeshRef)) {
-  console.log("📺 TV Power pressed:", hit.name);
+function playTvOnSound() {
+  ensureTvOnSound();
+  stopTvPowerSounds();
 
-  const turningOn = !tvOn;
+  try {
+    const s = new Audio(TV_ON_SOUND_SRC);
+    s.preload = "auto";
+    s.crossOrigin = "anonymous";
+    s.playsInline = true;
+    s.setAttribute?.("webkit-playsinline", "");
+    mixAudio(s, "sfx", AUDIO_MIX.trims.tvOn, { oneShot: true });
+    s.currentTime = 0;
 
-  trackSceneClick("power_button_click", {
-    tv_state_before: tvOn ? "on" : "off",
-    tv_state_after: turningOn ? "on" : "off",
-    object_name: hit.name || "unknown",
-  });
+    tvOnSoundActive = s;
 
-  if (turningOn) {
-    // 🔊 TV ON
-    playTvOnSound();
-  } else {
-    // 🔉 TV OFF
-    playTvOffSound();
-  }
+    const p = s.play();
+    if (p?.catch) {
+      p.catch((err) => {
+        console.warn("TV on sound play blocked:", err);
+      });
+    }
 
-  setTvPower(turningOn);
+    s.onended = () => {
+      if (tvOnSoundActive === s) tvOnSoundActive = null;
+    };
 
-  if (turningOn) {
-    showIosMenuControlsHintOnce();
+    console.log("🔊 TV on sound played");
+  } catch (err) {
+    console.warn("TV on sound play failed:", err);
   }
-
-  return;
 }
 
-// REMOTE MENU BUTTONS (UP / DOWN / OK)
-// --------------------------------------------------
-if (tvOn && (tvUiState === "MENU" || tvUiState === "SUBCATEGORY_MENU")) {
-  if (downArrowMeshRef && isInHierarchy(hit, downArrowMeshRef)) {
-    trackSceneClick("remote_down_click", {
-      tv_ui_state: tvUiState,
-      object_name: hit.name || "unknown",
-    });
+function playTvOffSound() {
+  ensureTvOffSound();
+  stopTvPowerSounds();
 
-    playRemoteButtonSound();
-    console.log("⬇️ Down arrow pressed");
-    moveMenuSelection(+1);
-    return;
-  }
-
-  if (upArrowMeshRef && isInHierarchy(hit, upArrowMeshRef)) {
-    trackSceneClick("remote_up_click", {
-      tv_ui_state: tvUiState,
-      object_name: hit.name || "unknown",
-    });
+  try {
+    const s = new Audio(TV_OFF_SOUND_SRC);
+    s.preload = "auto";
+    s.crossOrigin = "anonymous";
+    s.playsInline = true;
+    s.setAttribute?.("webkit-playsinline", "");
+    mixAudio(s, "sfx", AUDIO_MIX.trims.tvOff, { oneShot: true });
+    s.currentTime = 0;
 
-    playRemoteButtonSound();
-    console.log("⬆️ Up/Top arrow pressed");
-    moveMenuSelection(-1);
-    return;
-  }
+    tvOffSoundActive = s;
 
-  // LEFT / RIGHT now move across socials when a social icon is selected
-  if (tvUiState === "MENU" && leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
-    const socialIndex = getTvSocialIndexFromHover();
-    if (socialIndex !== -1) {
-      trackSceneClick("remote_left_click", {
-        tv_ui_state: tvUiState,
-        object_name: hit.name || "unknown",
+    const p = s.play();
+    if (p?.catch) {
+      p.catch((err) => {
+        console.warn("TV off sound play blocked:", err);
       });
-
-      playRemoteButtonSound();
-      console.log("⬅️ Left arrow pressed → previous social");
-      moveTvSocialSelection(-1);
-      return;
     }
-  }
 
-  if (tvUiState === "MENU" && rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
-    const socialIndex = getTvSocialIndexFromHover();
-    if (socialIndex !== -1) {
-      trackSceneClick("remote_right_click", {
-        tv_ui_state: tvUiState,
-        object_name: hit.name || "unknown",
-      });
+    s.onended = () => {
+      if (tvOffSoundActive === s) tvOffSoundActive = null;
+    };
 
-      playRemoteButtonSound();
-      console.log("➡️ Right arrow pressed → next social");
-      moveTvSocialSelection(+1);
-      return;
-    }
+    console.log("🔉 TV off sound played");
+  } catch (err) {
+    console.warn("TV off sound play failed:", err);
   }
+}
 
-  if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) {
-    trackSceneClick("remote_ok_click", {
-      tv_ui_state: tvUiState,
-      object_name: hit.name || "unknown",
-    });
+let smokerCoughSound = null;
+let smokerCoughTimeout = null;
+let smokerCoughUnlocked = false;
 
-    playRemoteButtonSound();
-    console.log("🆗 OK pressed");
-    confirmMenuSelection();
-    return;
-  }
+function getCigaretteAudioAnchor() {
+  return cigaretteMeshRef || cigaretteRoot;
 }
 
-// PHOTO MODE (LEFT / RIGHT to change photos)
-// --------------------------------------------------
-if (tvOn && tvUiState === "PHOTO") {
-  if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
-    trackSceneClick("remote_right_click", {
-      tv_ui_state: tvUiState,
-      object_name: hit.name || "unknown",
-    });
-
-    playRemoteButtonSound();
-    console.log("➡️ Right arrow pressed → next photo");
-    nextPhoto(+1);
-    return;
-  }
+function ensureSmokerCoughSound() {
+  if (smokerCoughSound) return smokerCoughSound;
 
-  if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
-    trackSceneClick("remote_left_click", {
-      tv_ui_state: tvUiState,
-      object_name: hit.name || "unknown",
-    });
+  smokerCoughSound = new Audio("./assets/Audio/Smokers cough.mp3");
+  smokerCoughSound.preload = "auto";
+  smokerCoughSound.crossOrigin = "anonymous";
+  smokerCoughSound.playsInline = true;
+  smokerCoughSound.setAttribute?.("webkit-playsinline", "");
+  smokerCoughSound.load();
 
-    playRemoteButtonSound();
-    console.log("⬅️ Left arrow pressed → previous photo");
-    nextPhoto(-1);
-    return;
-  }
+  return smokerCoughSound;
 }
 
-// VIDEO MODE (OK = play/pause, LEFT/RIGHT = prev/next)
-// --------------------------------------------------
-if (tvOn && tvUiState === "VIDEO") {
-  if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) {
-    trackSceneClick("remote_ok_click", {
-      tv_ui_state: tvUiState,
-      object_name: hit.name || "unknown",
-    });
+async function unlockSmokerCoughOnce() {
+  if (smokerCoughUnlocked) return;
 
-    playRemoteButtonSound();
-    console.log("🆗 OK pressed → toggle play/pause");
-    toggleVideoPlayPause();
-    drawVideoFrameToTv(); // ✅ refresh overlay text immediately
-    return;
-  }
+  ensureSmokerCoughSound();
+  smokerCoughUnlocked = true;
+  console.log("🔓 smoker cough prepared");
+}
 
-  if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
-    trackSceneClick("remote_right_click", {
-      tv_ui_state: tvUiState,
-      object_name: hit.name || "unknown",
-    });
+function playSmokerCoughSound() {
+  const base = ensureSmokerCoughSound();
 
-    playRemoteButtonSound();
-    console.log("➡️ Right arrow pressed → next video");
-    nextVideo(+1);
-    return;
-  }
+  try {
+    const s = base.cloneNode(true);
+    s.preload = "auto";
+    s.crossOrigin = "anonymous";
+    s.playsInline = true;
+    s.setAttribute?.("webkit-playsinline", "");
+    mixAudio(s, "sfx", AUDIO_MIX.trims.cough, { oneShot: true, anchor: getCigaretteAudioAnchor });
+    s.currentTime = 0;
 
-  if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
-    trackSceneClick("remote_left_click", {
-      tv_ui_state: tvUiState,
-      object_name: hit.name || "unknown",
-    });
+    const p = s.play();
+    if (p?.catch) {
+      p.catch((err) => {
+        console.warn("Smoker cough play blocked:", err);
+      });
+    }
 
-    playRemoteButtonSound();
-    console.log("⬅️ Left arrow pressed → previous video");
-    nextVideo(-1);
-    return;
+    console.log("😮‍💨 smoker cough played");
+  } catch (err) {
+    console.warn("Smoker cough play failed:", err);
   }
 }
 
-// 3D MODEL MODE (OK = play/pause, LEFT/RIGHT = prev/next)
-// --------------------------------------------------
-if (tvOn && tvUiState === "3D MODEL") {
-  if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) {
-    playRemoteButtonSound();
-    console.log("🆗 OK pressed → toggle model play/pause");
-    toggleModelPlayPause();
-    drawModelFrameToTv(); // refresh paused overlay text immediately
-    return;
-  }
-
-  if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
-    playRemoteButtonSound();
-    console.log("➡️ Right arrow pressed → next 3D model mp4");
-    nextModel(+1);
-    return;
+function queueSmokerCough() {
+  if (smokerCoughTimeout) {
+    clearTimeout(smokerCoughTimeout);
   }
 
-  if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
-    playRemoteButtonSound();
-    console.log("⬅️ Left arrow pressed → previous 3D model mp4");
-    nextModel(-1);
-    return;
-  }
+  smokerCoughTimeout = setTimeout(() => {
+    playSmokerCoughSound();
+    smokerCoughTimeout = null;
+  }, 9000);
 }
 
-// --------------------------------------------------
-// BLUETOOTH SPEAKER
-// --------------------------------------------------
-if (speakerMeshRef && isInHierarchy(hit, speakerMeshRef)) {
-  const now = performance.now();
-  const isDouble = now - lastClickTime < DOUBLE_CLICK_MS;
-  lastClickTime = now;
+let smokeBreatheSound = null;
+let smokeBreatheUnlocked = false;
 
-  trackSceneClick("speaker_click", {
-    click_type: isDouble ? "double" : "single",
-    object_name: hit.name || "unknown",
-  });
+function ensureSmokeBreatheSound() {
+  if (smokeBreatheSound) return smokeBreatheSound;
 
-  // 🔓 make sure audio is unlocked on the same user click
-  await unlockAudioOnce();
+  smokeBreatheSound = new Audio("./assets/Audio/Smoke Breathe.m4a");
+  smokeBreatheSound.preload = "auto";
+  smokeBreatheSound.crossOrigin = "anonymous";
+  smokeBreatheSound.playsInline = true;
+  smokeBreatheSound.setAttribute?.("webkit-playsinline", "");
+  smokeBreatheSound.load();
 
-    speakerPulseKick = 0.35;
+  return smokeBreatheSound;
+}
 
-  if (isDouble) {
-    console.log("🔁 Speaker double click → next song");
-    await nextTrack(true); // force play
-  } else {
-    console.log("▶️/⏸ Speaker click → play / pause");
-    await togglePlayPause();
-  }
+async function unlockSmokeBreatheOnce() {
+  if (smokeBreatheUnlocked) return;
 
-  return;
+  ensureSmokeBreatheSound();
+  smokeBreatheUnlocked = true;
+  console.log("🔓 smoke breathe prepared");
 }
 
-}
+function playSmokeBreatheSound() {
+  const base = ensureSmokeBreatheSound();
 
-// ============================================================
-// ✅ POINTER UP (EDIT 2): detect swipe vs tap on TV screen (iOS)
-// Paste this OUTSIDE onPointerDown, directly after it ends.
-// ============================================================
-async function onPointerUp(e) {
-  // ✅ end iOS horizontal camera drag first
-if (
-  isIOSDevice() &&
-  IOS_CAM_DRAG.enabled &&
-  iosCamDragActive &&
-  e.pointerId === iosCamDragPointerId
-) {
-  iosCamDragActive = false;
-  iosCamDragPointerId = null;
+  try {
+    const s = base.cloneNode(true);
+    s.preload = "auto";
+    s.crossOrigin = "anonymous";
+    s.playsInline = true;
+    s.setAttribute?.("webkit-playsinline", "");
+    mixAudio(s, "sfx", AUDIO_MIX.trims.breathe, { oneShot: true, anchor: getCigaretteAudioAnchor });
+    s.currentTime = 0;
 
-  clearTimeout(iosQualityRestoreTimer);
-  iosQualityRestoreTimer = setTimeout(() => {
-    setIOSInteractionQuality(false);
-  }, 50);
+    const p = s.play();
+    if (p?.catch) {
+      p.catch((err) => {
+        console.warn("Smoke breathe play blocked:", err);
+      });
+    }
 
-  // if it was a camera drag, do not also treat it like a tap
-  // BUT if a TV touch gesture is active, let the TV swipe logic handle it
-  if (iosCamDragged && !tvTouchActive) {
-    iosCamDragged = false;
-    clearAllButtonPresses();
-    return;
-  }
+    console.log("💨 smoke breathe played");
+  } catch (err) {
+    console.warn("Smoke breathe play failed:", err);
   }
+}
 
-  if (!tvTouchActive) return;
-    // consume any camera-drag flag now that this gesture belongs to the TV UI
-  iosCamDragged = false;
-  tvTouchActive = false;
+let remoteButtonSound = null;
 
-  // ✅ If we just tapped the MENU button on iOS, ignore this pointerup
-if (tvIgnoreNextPointerUp) {
-  tvIgnoreNextPointerUp = false;
-  return;
+function ensureRemoteButtonSound() {
+  if (remoteButtonSound) return remoteButtonSound;
+
+  remoteButtonSound = new Audio("./assets/Audio/Button sound.mp3");
+  remoteButtonSound.preload = "auto";
+  remoteButtonSound.crossOrigin = "anonymous";
+  remoteButtonSound.playsInline = true;
+  remoteButtonSound.setAttribute?.("webkit-playsinline", "");
+  remoteButtonSound.load();
+
+  return remoteButtonSound;
 }
 
+function playRemoteButtonSound() {
+  const base = ensureRemoteButtonSound();
+
   try {
-    if (tvTouchPointerId != null)
-      renderer.domElement.releasePointerCapture(tvTouchPointerId);
-  } catch {}
-  tvTouchPointerId = null;
+    const s = base.cloneNode(true);
+    s.preload = "auto";
+    s.crossOrigin = "anonymous";
+    s.playsInline = true;
+    s.setAttribute?.("webkit-playsinline", "");
+    mixAudio(s, "sfx", AUDIO_MIX.trims.button, { oneShot: true });
+    s.currentTime = 0;
 
-  // ignore if overlays are open
-  if (overlayOpen || videoOverlayOpen || modelOverlayOpen) return;
+    const p = s.play();
+    if (p?.catch) {
+      p.catch((err) => {
+        console.warn("Button sound play blocked:", err);
+      });
+    }
 
-  // only applies while TV is ON and in MENU
-if (!tvOn) return;
-if (tvUiState !== "MENU" && tvUiState !== "SUBCATEGORY_MENU") return;
+    console.log("🔘 remote button sound");
+  } catch (err) {
+    console.warn("Button sound failed:", err);
+  }
+}
 
-  const dx = e.clientX - tvTouchStartX;
-  const dy = e.clientY - tvTouchStartY;
+// music: false keeps the speaker playlist going (page hidden = lock screen
+// or background tab, controlled from there, see MEDIA SESSION)
+function stopRoomSoundsBecauseUserLeft({ music = true } = {}) {
+  // fade out, unless the page is already hidden (its timers may never fire)
+  const sec = document.hidden ? 0 : AUDIO_MIX.fadeOutSec;
+  const stop = (a) => fadeOutAudio(a, sec, () => {
+    a.pause();
+    a.currentTime = 0;
+  });
 
-  const adx = Math.abs(dx);
-  const ady = Math.abs(dy);
+  // stop speaker music
+  if (music) {
+    audioEls.forEach(stop);
+    isPlaying = false;
+    updateSpeakerHintText();
+  }
 
-  const dtMs = performance.now() - tvTouchStartT;
+  // stop background ambience
+  if (bgAudio) stop(bgAudio);
 
-  const isTap =
-    adx <= TV_TAP_MAX_PX &&
-    ady <= TV_TAP_MAX_PX;
-    
+  // stop lamp ambience
+  if (lampAudio) stop(lampAudio);
 
-  const isSwipe =
-    dtMs <= TV_SWIPE_MAX_MS &&
-    (adx >= TV_SWIPE_MIN_PX || ady >= TV_SWIPE_MIN_PX);
+  // stop smoke chirp cycle
+  stopSmokeChirpCycle();
+}
 
-      // ✅ If finger-drag already changed the highlighted TV selection,
-  // releasing should NOT open anything. User will tap next to confirm.
-  if (tvTouchDragSelectMoved) {
-    tvTouchDragSelectMoved = false;
-    return;
+function pauseAll() {
+  for (const a of audioEls) {
+    fadeOutAudio(a, AUDIO_MIX.fadeOutSec, () => {
+      a.pause();
+      a.currentTime = 0;
+    });
   }
+  isPlaying = false;
+}
 
-      // ✅ Swipe changes MENU selection
-  if (isSwipe) {
-    const socialIndex =
-      tvUiState === "MENU" ? getTvSocialIndexFromHover() : -1;
+async function playBackgroundAudio() {
+  if (!bgAudioEnabled) return;
 
-    // --------------------------------------------------
-    // ✅ If we're already on the social row:
-    // - horizontal swipe moves across socials
-    // - vertical swipe up goes back to 3D MODEL
-    // - vertical swipe down does nothing
-    // --------------------------------------------------
-    if (socialIndex !== -1) {
-      // horizontal intent: give x movement priority once on social row
-      if (adx >= 18) {
-        if (dx > 0) selectTvSocialByIndex(socialIndex + 1);
-        else        selectTvSocialByIndex(socialIndex - 1);
-        return;
-      }
+  const bg = ensureBackgroundAudio();
 
-      // vertical up returns to main menu selection
-      if (dy < 0) {
-        moveMenuSelection(-1);
-        return;
-      }
+    try {
+    bg.loop = true;
+    mixAudio(bg, "ambience", undefined, { fadeIn: AUDIO_MIX.fadeInSec });
+    bg.playsInline = true;
+    bg.setAttribute?.("webkit-playsinline", "");
 
-      // vertical down while already on socials = no-op
-      return;
+    if (bg.paused) {
+      await bg.play();
+      console.log("🌫️ Background ambience playing");
     }
 
-    // --------------------------------------------------
-    // Otherwise keep existing menu/subcategory swipe behavior
-    // --------------------------------------------------
-    if (adx > ady) {
-      // left/right swipe
-      if (dx > 0) moveMenuSelection(+1);
-      else        moveMenuSelection(-1);
-    } else {
-      // up/down swipe
-      if (dy > 0) moveMenuSelection(+1);
-      else        moveMenuSelection(-1);
-    }
-    return;
+    bgAudioResumePending = false;
+  } catch (err) {
+    console.warn("Background ambience play blocked:", err);
   }
+}
 
-if (isTap) {
-  // ✅ If this touch started when TV was OFF, ignore this first pointerup.
-  // This prevents “tap to power on” from instantly entering PHOTO.
-  if (tvTouchStartedWhileOff) {
-    tvTouchStartedWhileOff = false;
-    return;
-  }
+function playLampAudio() {
+  const base = ensureLampAudio();
+  if (!base) return;
 
-  // ✅ iOS uses the LOCKED selection from touch-start
-  if (isIOSDevice()) {
-    confirmLockedTvTouchSelection();
-    return;
+  try {
+    const s = base.cloneNode(true);
+    s.preload = "auto";
+    s.crossOrigin = "anonymous";
+    s.loop = false;
+    s.playsInline = true;
+    s.setAttribute?.("webkit-playsinline", "");
+    applyLampAudioVolume(s);
+    s.currentTime = 0;
+
+    const p = s.play();
+    if (p?.catch) {
+      p.catch((err) => {
+        console.warn("Lamp sound play blocked:", err);
+      });
+    }
+  } catch (err) {
+    console.warn("Lamp sound play failed:", err);
   }
+}
 
-  // desktop / fallback behavior
-  if (tvUiState === "MENU" && tvSocialHoverId) {
-    const selectedSocial = TV_SOCIAL_ITEMS.find(
-      (item) => item.id === tvSocialHoverId
-    );
+async function tryAutoStartBackgroundAudio() {
+  if (!bgAudioEnabled) return;
 
-    if (selectedSocial) {
-      activateTvSocialHit(selectedSocial);
-      return;
+  const bg = ensureBackgroundAudio();
+
+  let startedAnything = false;
+
+  try {
+    if (bg.paused) {
+      await bg.play();
+      console.log("🌫️ Background ambience autoplay started");
+      startedAnything = true;
     }
+  } catch (err) {
+    console.warn("Background ambience autoplay blocked:", err);
   }
 
-  confirmMenuSelection();
-  return;
+  return startedAnything;
 }
 
+function pauseBackgroundAudio() {
+  if (!bgAudio) return;
+  bgAudio.pause();
 }
 
-// ============================================================
-// ✅ POINTER CANCEL SAFETY (EDIT 2)
-// ============================================================
-function onPointerCancel() {
-  tvTouchActive = false;
-  tvTouchDragSelectMoved = false;
-
-    tvTouchStartUiState = null;
-  tvTouchStartMenuIndex = -1;
-  tvTouchStartSubcategoryIndex = -1;
-  tvTouchStartTargetKind = "none";
-  tvTouchStartSocialId = null;
-  tvTouchStartedWhileOff = false;
-  tvTouchPointerId = null;
+ensureBackgroundAudio();
+ensureLampAudio();
+ensureSmokeChirpAudio();
+ensureTvOnSound();
+ensureTvOffSound();
 
-  iosCamDragActive = false;
-  iosCamDragPointerId = null;
-  iosCamDragged = false;
+document.addEventListener("visibilitychange", () => {
+  if (!isIOS) return;
+  if (!bgAudioEnabled) return;
 
-  clearTimeout(iosQualityRestoreTimer);
-iosQualityRestoreTimer = setTimeout(() => {
-  setIOSInteractionQuality(false);
-}, 250);
+  if (!document.hidden) {
+    scheduleBackgroundAudioResume(150);
+  }
+});
 
-  setHoverKey(null);
-  clearAllButtonGlows();
-  clearAllButtonPresses();
-}
+window.addEventListener("pageshow", () => {
+  if (!isIOS) return;
+  if (!bgAudioEnabled) return;
 
-// ============================================================
-// ✅ POINTER EVENTS (EDIT 2): hook down/up/cancel to canvas
-// ============================================================
-renderer.domElement.addEventListener("pointerdown", onPointerDown);
-renderer.domElement.addEventListener("pointerup", onPointerUp);
-renderer.domElement.addEventListener("pointerleave", onPointerCancel);
-renderer.domElement.addEventListener("pointercancel", onPointerCancel);
+  scheduleBackgroundAudioResume(150);
+});
 
-startIosRemotePulse();
 
-// ============================================================
-// ✅ iOS: STOP MUSIC when user leaves Safari / tab goes inactive
-// ============================================================
-if (isIOSDevice()) {
-  // 1) Tab/app goes background (most reliable)
-  document.addEventListener("visibilitychange", () => {
-    if (document.hidden) stopMusicBecauseUserLeft();
-  });
-
-  // 2) Safari navigates away / app switcher / close tab
-  window.addEventListener("pagehide", () => {
-    stopMusicBecauseUserLeft();
-  });
-
-  // 3) Extra safety: when window loses focus
-  window.addEventListener("blur", () => {
-    stopMusicBecauseUserLeft();
-  });
+async function playCurrent() {
+  const a = currentAudio();
+  applyRoomTrackResume(a);
+  mixAudio(a, "music", undefined, { fadeIn: AUDIO_MIX.fadeInSec });
+  try {
+    await a.play(); // requires user gesture — click counts ✅
+    isPlaying = true;
+    console.log("▶️ Playing track:", trackIndex, tracks[trackIndex]);
+  } catch (err) {
+    console.warn("Audio play blocked:", err);
+  }
 }
 
-renderer.domElement.addEventListener("pointerup", () => {
-  // ✅ If something was queued on pointerdown, open it now
-  if (pendingExternalUrl) {
-    const url = pendingExternalUrl;
-    pendingExternalUrl = null;
-
-    console.log("✅ pointerup — opening queued URL:", url);
-    openExternal(url);
+let bgAudioStartedOnce = false;
 
-    clearAllButtonPresses();
-    return;
-  }
+async function startBackgroundAudioFromUserGesture() {
+  if (bgAudioStartedOnce) return;
+  if (!bgAudioEnabled) return;
 
-  clearAllButtonPresses();
-}, { passive: true });
+  const bg = ensureBackgroundAudio();
+  const lamp = ensureLampAudio();
 
-window.addEventListener("pointercancel", () => {
-  clearAllButtonPresses();
-});
+  let startedAnything = false;
 
-renderer.domElement.addEventListener("pointermove", (e) => {
-  if (!isIOSDevice()) return;
-  if (!IOS_CAM_DRAG.enabled) return;
-  if (!iosCamDragActive) return;
-  if (e.pointerId !== iosCamDragPointerId) return;
-  if (tvTouchActive) return; // ✅ TV drag-select owns this gesture
-  if (overlayOpen || videoOverlayOpen || modelOverlayOpen) return;
-  if (isIOSPortraitBlocked()) return;
+    try {
+    bg.loop = true;
+    mixAudio(bg, "ambience", undefined, { fadeIn: AUDIO_MIX.fadeInSec });
+    bg.playsInline = true;
+    bg.setAttribute?.("webkit-playsinline", "");
 
-  const dx = e.clientX - iosCamDragStartClientX;
+    if (bg.paused) {
+      await bg.play();
+      console.log("🌫️ Background ambience started from early gesture");
+      startedAnything = true;
+    }
 
-  if (Math.abs(dx) > 4) {
-    iosCamDragged = true;
+    bgAudioResumePending = false;
+  } catch (err) {
+    console.warn("Background ambience early gesture start blocked:", err);
   }
+}
 
-const nextOffset =
-  iosCamDragStartOffsetX - dx * IOS_CAM_DRAG.pxToWorld;
+async function togglePlayPause() {
+  if (!tracks.length) return;
+  await unlockAudioOnce();
 
-  iosCamUserOffsetXTarget = THREE.MathUtils.clamp(
-    nextOffset,
-    IOS_CAM_DRAG.minOffsetX,
-    IOS_CAM_DRAG.maxOffsetX
-  );
-}, { passive: true });
+  const a = currentAudio();
+  if (!isPlaying || a.paused) {
+    await playCurrent();
+  } else {
+    // no fade while hidden (lock screen): its timer may never fire
+    fadeOutAudio(a, document.hidden ? 0 : AUDIO_MIX.fadeInSec);
+    isPlaying = false;
+    console.log("⏸ Paused track:", trackIndex);
+  }
 
-renderer.domElement.addEventListener("pointermove", (e) => {
-  if (!isIOSDevice()) return;
-  if (!tvTouchActive) return;
-  if (e.pointerId !== tvTouchPointerId) return;
-  if (!tvOn) return;
-  if (tvUiState !== "MENU" && tvUiState !== "SUBCATEGORY_MENU") return;
-  if (overlayOpen || videoOverlayOpen || modelOverlayOpen) return;
-  if (isIOSPortraitBlocked()) return;
+  updateSpeakerHintText();
+  saveRoomStateSoon();
+}
 
-  if (!setPointerFromEvent(e)) return;
 
-  raycaster.setFromCamera(pointer, camera);
+// jump to any playlist entry (wraps); keeps playing if the music already was
+async function selectTrack(index, forcePlay = false) {
+  if (!tracks.length) return;
+  const wasPlaying = isPlaying || forcePlay;
 
-  let hits = [];
-  if (interactivesRootRef) {
-    hits = raycaster.intersectObject(interactivesRootRef, true);
-  }
-  if (!hits.length) {
-    hits = raycaster.intersectObject(anchor, true);
-  }
-  if (!hits.length) return;
+  const a = currentAudio();
+  a.pause();
+  a.currentTime = 0;
 
-  const tvHit =
-    tvScreenMeshRef
-      ? hits.find(h => isInHierarchy(h.object, tvScreenMeshRef))
-      : null;
+  const n = audioEls.length;
+  trackIndex = ((index % n) + n) % n;
 
-  if (!tvHit || !tvHit.uv) return;
+  rememberRoomTrackTime(trackIndex, 0);
+  saveRoomStateSoon();
+  syncTvMusicTrack();
+  syncMediaSession();
 
-  const pos = getTvCanvasPxPyFromUv(tvHit.uv);
-  if (!pos) return;
+  if (wasPlaying) {
+    await playCurrent();
+  } else {
+    isPlaying = false;
+  }
+}
 
-  const moved = updateIOSTvDragSelectionFromCanvasPos(
-    pos.px,
-    pos.py,
-    pos.w,
-    pos.h
-  );
+async function nextTrack(forcePlay = false) {
+  return selectTrack(trackIndex + 1, forcePlay);
+}
 
-  if (moved) {
-    tvTouchDragSelectMoved = true;
-    iosCamDragged = false; // ✅ this gesture is a TV selection drag, not camera drag
-  }
-}, { passive: true });
+async function prevTrack(forcePlay = false) {
+  return selectTrack(trackIndex - 1, forcePlay);
+}
 
 // ============================================================
-// HOVER DETECTION (TV fullscreen hint + Speaker play hint)
+// ✅ MEDIA SESSION (lock screen + headphone / keyboard media keys)
+// - metadata per track: content.json title, optional "artist" /
+//   "artwork" on a playlist entry, GAMBO + logo otherwise
+// - play / pause / next / previous / seekto drive the speaker
+//   playlist through the same functions the remote uses
+// - playbackState follows the playlist elements, and is put back
+//   after the iOS ambience resume (another element starting can
+//   take over the lock screen)
 // ============================================================
+const MEDIA_SESSION = {
+  artist: "GAMBO",
+  album: "GAMBO",
+  artwork: "./assets/Loading Page/Black-logo.png",
+};
 
-renderer.domElement.addEventListener("pointermove", (e) => {
-  if (isIOSPortraitBlocked()) return;
+const hasMediaSession = "mediaSession" in navigator && typeof MediaMetadata !== "undefined";
+let mediaSessionTrack = -1;
 
-  if (iosCamDragActive) {
-    setHoverKey(null);
-    clearAllButtonGlows();
-    clearAllButtonPresses();
-    return;
-  }
+function getTrackMediaMetadata(i) {
+  const item = getContentItem(tracks[i]);
+  const artwork = item?.artwork || MEDIA_SESSION.artwork;
 
-  if (overlayOpen || videoOverlayOpen || modelOverlayOpen) {
-    setHoverKey(null);
-    clearAllButtonGlows();
-    clearAllButtonPresses();
-    return;
+  return new MediaMetadata({
+    title: getTrackTitle(i),
+    artist: item?.artist || MEDIA_SESSION.artist,
+    album: MEDIA_SESSION.album,
+    artwork: [{ src: new URL(artwork, location.href).href }],
+  });
+}
+
+function syncMediaSessionPosition() {
+  const a = audioEls[trackIndex];
+  const duration = getTrackDuration(trackIndex);
+  if (!a || !duration || !navigator.mediaSession.setPositionState) return;
+
+  try {
+    navigator.mediaSession.setPositionState({
+      duration,
+      playbackRate: a.playbackRate || 1,
+      position: Math.min(a.currentTime, duration),
+    });
+  } catch (e) {
+    console.warn("📱 Media session position rejected:", e);
   }
+}
 
+// force: set the metadata again even if the track hasn't changed
+function syncMediaSession(force = false) {
+  if (!hasMediaSession || !tracks.length) return;
 
-  if (!setPointerFromEvent(e)) {
-    setHoverKey(null);
-    clearAllButtonGlows();
-    clearAllButtonPresses();
-    return;
+  const ms = navigator.mediaSession;
+
+  if (force || mediaSessionTrack !== trackIndex) {
+    try {
+      ms.metadata = getTrackMediaMetadata(trackIndex);
+      mediaSessionTrack = trackIndex;
+    } catch (e) {
+      console.warn("📱 Media session metadata failed:", e);
+    }
   }
 
-  raycaster.setFromCamera(pointer, camera);
+  const a = audioEls[trackIndex];
+  ms.playbackState = !a ? "none" : a.paused || a.ended ? "paused" : "playing";
 
-  let hits = [];
-if (interactivesRootRef) {
-  hits = raycaster.intersectObject(interactivesRootRef, true);
-}
-if (!hits.length) {
-  hits = raycaster.intersectObject(anchor, true);
+  syncMediaSessionPosition();
 }
-if (!hits.length) {
-  setHoverKey(null);
-  clearAllButtonGlows();
-  clearAllButtonPresses();
-  return;
+
+function isPlaylistPlaying() {
+  const a = audioEls[trackIndex];
+  return !!(a && !a.paused && isPlaying);
 }
 
-// ✅ Picture1 hover must check ALL hits (frame/glass may be closer)
-const picHoverHit = hits.find(h => hitIsPicture1(h.object));
-const hoveringPicture1AllHits = !!picHoverHit;
+function setupMediaSession() {
+  if (!hasMediaSession) return;
 
-// ✅ Prefer TV hit for hover too (prevents remote glow while over TV)
-const tvHoverHit =
-  (tvScreenMeshRef && hits.length)
-    ? hits.find(h => isInHierarchy(h.object, tvScreenMeshRef))
-    : null;
+  const handlers = {
+    play: () => {
+      if (!isPlaylistPlaying()) togglePlayPause();
+    },
+    pause: () => {
+      if (isPlaylistPlaying()) togglePlayPause();
+    },
+    nexttrack: () => nextTrack(),
+    previoustrack: () => prevTrack(),
+    seekto: (details) => {
+      const a = currentAudio();
+      if (!a || !Number.isFinite(details.seekTime)) return;
 
-const hit = (tvHoverHit ?? hits[0]).object;
+      if (details.fastSeek && a.fastSeek) a.fastSeek(details.seekTime);
+      else a.currentTime = details.seekTime;
 
-const socialTikTokHoverHit = hits.find(
-  h => socialTikTokMeshRef && isInHierarchy(h.object, socialTikTokMeshRef)
-);
+      rememberRoomTrackTime(trackIndex, a.currentTime);
+      syncMediaSessionPosition();
+    },
+  };
 
-if (socialTikTokHoverHit) {
-  setHoverKey("tiktok");
-  clearAllButtonGlows();
-  clearAllButtonPresses();
-  setGlowTarget(socialTikTokMeshRef, true, REMOTE_GLOW_COLOR);
-  return;
+  for (const [action, fn] of Object.entries(handlers)) {
+    try {
+      navigator.mediaSession.setActionHandler(action, (details) => {
+        trackSceneClick("media_session", { media_action: action });
+        fn(details);
+      });
+    } catch {
+      console.warn("📱 Media session action not supported:", action);
+    }
+  }
+
+  console.log("📱 Media session ready");
 }
 
-const socialInstagramHoverHit = hits.find(
-  h => socialInstagramMeshRef && isInHierarchy(h.object, socialInstagramMeshRef)
-);
+setupMediaSession();
 
-if (socialInstagramHoverHit) {
-  setHoverKey("instagram");
-  clearAllButtonGlows();
-  clearAllButtonPresses();
-  setGlowTarget(socialInstagramMeshRef, true, REMOTE_GLOW_COLOR);
-  return;
-}
+// TV state + animation
+let tvOn = false;
+let tvAnim = null; // { from: 0|1, to: 0|1, t0: seconds }
+let tvPower = 0; 
 
-const socialContactHoverHit = hits.find(
-  h => socialContactMeshRef && isInHierarchy(h.object, socialContactMeshRef)
-);
+let tvBootT0 = 0;
+let tvBooting = false; 
+let tvUIReady = false;
 
-if (socialContactHoverHit) {
-  setHoverKey("contact");
-  clearAllButtonGlows();
-  clearAllButtonPresses();
-  setGlowTarget(socialContactMeshRef, true, REMOTE_GLOW_COLOR);
-  return;
+
+// ============================================================
+// ✅ iOS LANDSCAPE LOCK (pairs with index.html overlay)
+// ============================================================
+function isIOSDevice() {
+  return (
+    /iPad|iPhone|iPod/.test(navigator.userAgent) ||
+    (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1)
+  );
 }
 
-const socialYoutubeHoverHit = hits.find(
-  h => socialYoutubeMeshRef && isInHierarchy(h.object, socialYoutubeMeshRef)
-);
+function isTouchDevice() {
+  return isTouch;
+}
 
-if (socialYoutubeHoverHit) {
-  setHoverKey("youtube");
-  clearAllButtonGlows();
-  clearAllButtonPresses();
-  setGlowTarget(socialYoutubeMeshRef, true, REMOTE_GLOW_COLOR);
-  return;
+function isLandscapeNow() {
+  return window.matchMedia("(orientation: landscape)").matches;
 }
 
-// ✅ if we are no longer hovering a social button, force their glow OFF immediately
-setGlowTarget(socialTikTokMeshRef, false, REMOTE_GLOW_COLOR);
-setGlowTarget(socialInstagramMeshRef, false, REMOTE_GLOW_COLOR);
-setGlowTarget(socialContactMeshRef, false, REMOTE_GLOW_COLOR);
-setGlowTarget(socialYoutubeMeshRef, false, REMOTE_GLOW_COLOR);
-
-// ============================================================
-// ✅ DESKTOP: hover over MENU rows to change selection (flawless)
-// Only runs for mouse, only while tvUiState === "MENU"
-// Uses the TV hit UV (NOT hits[0]) and locks V flip once detected.
-// ============================================================
-if (
-  tvOn &&
-  tvUiState === "MENU" &&
-  e.pointerType === "mouse" &&
-  tvScreenMeshRef &&
-  tvHoverHit &&
-  tvHoverHit.uv
-) {
-  const uv = tvHoverHit.uv;
-
-  const w = tvCanvas.width;
-  const h = tvCanvas.height;
-
-  let u = uv.x * (tvTex.repeat?.x ?? 1) + (tvTex.offset?.x ?? 0);
-  let v = uv.y * (tvTex.repeat?.y ?? 1) + (tvTex.offset?.y ?? 0);
+function isIOSPortraitBlocked() {
+  return false;
+}
 
-  u = ((u % 1) + 1) % 1;
-  v = ((v % 1) + 1) % 1;
+function isInHierarchy(obj, target) {
+  let o = obj;
+  while (o) {
+    if (o === target) return true;
+    o = o.parent;
+  }
+  return false;
+}
 
-  const px = u * w;
-  const py = v * h;
+function hitIsLamp(obj) {
+  let o = obj;
+  while (o) {
+    const n = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
 
-  const socialHit = getTvSocialHit(px, py, w, h);
+    // match either mesh name or material name
+    if (n.includes("lamp") || mn.includes("lamp")) return true;
 
-  // ----------------------------------------------------------
-  // social icon hovered
-  // ----------------------------------------------------------
-  if (socialHit) {
-    if (tvSocialHoverId !== socialHit.id) {
-      tvSocialHoverId = socialHit.id;
-      blinkT0 = performance.now();
-      drawTvMenu();
-    }
-    return;
+    o = o.parent;
   }
+  return false;
+}
 
-  // ----------------------------------------------------------
-  // no social icon hovered anymore
-  // ----------------------------------------------------------
-  let needsRedraw = false;
+function hitIsDogTag(obj) {
+  let o = obj;
+  while (o) {
+    const n = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
 
-  if (tvSocialHoverId !== null) {
-    tvSocialHoverId = null;
-    needsRedraw = true;
-  }
+    if (n.includes("dog_tag1") || mn.includes("dog_tag1")) return true;
 
-  const layout = getTvMenuLayout("MENU");
-  const startY = getMenuStartY(MENU_ITEMS.length, layout.listCenterY, layout.gapY);
-  const gapY = layout.gapY;
-  const n = MENU_ITEMS.length;
+    o = o.parent;
+  }
+  return false;
+}
 
-  const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
-  const idx = clamp(Math.round((py - startY) / gapY), 0, n - 1);
+function hitIsDunkeheitAlbum(obj) {
+  let o = obj;
+  while (o) {
+    const n = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
 
-  if (idx !== menuIndex) {
-    menuIndex = idx;
-    blinkT0 = performance.now();
-    needsRedraw = true;
-  }
+    if (n.includes("dunkeheit_album") || mn.includes("dunkeheit_album")) return true;
 
-  if (needsRedraw) {
-    drawTvMenu();
+    o = o.parent;
   }
+  return false;
 }
 
-// ============================================================
-// ✅ DESKTOP: hover over SUBCATEGORY rows (stable)
-// ============================================================
-if (
-  tvOn &&
-  tvUiState === "SUBCATEGORY_MENU" &&
-  e.pointerType === "mouse" &&
-  tvScreenMeshRef &&
-  tvHoverHit &&
-  tvHoverHit.uv
-) {
-  const uv = tvHoverHit.uv;
+function hitIsAllDVD(obj) {
+  let o = obj;
+  while (o) {
+    const n = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
 
-  const w = tvCanvas.width;
-  const h = tvCanvas.height;
+    if (n.includes("all_dvd") || mn.includes("all_dvd")) return true;
 
-  let u = uv.x * (tvTex.repeat?.x ?? 1) + (tvTex.offset?.x ?? 0);
-  let v = uv.y * (tvTex.repeat?.y ?? 1) + (tvTex.offset?.y ?? 0);
+    o = o.parent;
+  }
+  return false;
+}
 
-  u = ((u % 1) + 1) % 1;
-  v = ((v % 1) + 1) % 1;
+function hitIsDVDOnPlayer1(obj) {
+  let o = obj;
+  while (o) {
+    const n = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
 
-  const pyA = v * h;
-  const pyB = (1 - v) * h;
+    if (
+      n.includes("dvd_on_player1") ||
+      mn.includes("dvd_on_player1")
+    ) return true;
 
-  // MUST exactly match drawTvSubcategoryMenu()
-  const items = SUBCATEGORY_ITEMS[tvParentCategory] || [];
-const layout = getTvMenuLayout("SUBCATEGORY_MENU");
-const startY = getMenuStartY(items.length, layout.listCenterY, layout.gapY);
-const gapY = layout.gapY;
+    o = o.parent;
+  }
+  return false;
+}
 
-  const n = items.length;
-  if (!n) return;
+function hitIsBook4(obj) {
+  let o = obj;
+  while (o) {
+    const n = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
 
-  const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+    if (n.includes("book4") || mn.includes("book4")) return true;
 
-  const idxA = clamp(Math.round((pyA - startY) / gapY), 0, n - 1);
-  const idxB = clamp(Math.round((pyB - startY) / gapY), 0, n - 1);
+    o = o.parent;
+  }
+  return false;
+}
 
-  const centerA = startY + idxA * gapY;
-  const centerB = startY + idxB * gapY;
+function hitIsBoard2(obj) {
+  let o = obj;
+  while (o) {
+    const n = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
 
-  const distA = Math.abs(pyA - centerA);
-  const distB = Math.abs(pyB - centerB);
+    if (n.includes("board2") || mn.includes("board2")) return true;
 
-  if (tvSubcategoryHoverFlipV == null) {
-    tvSubcategoryHoverFlipV = distB < distA;
+    o = o.parent;
   }
+  return false;
+}
 
-  const py =
-  (tvParentCategory === "VIDEO" || tvParentCategory === "3D MODEL")
-    ? (tvSubcategoryHoverFlipV ? pyA : pyB)
-    : (tvSubcategoryHoverFlipV ? pyB : pyA);
-  const idx = clamp(Math.round((py - startY) / gapY), 0, n - 1);
+function hitIsDoor4(obj) {
+  let o = obj;
+  while (o) {
+    const n = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
 
-  if (idx !== subcategoryIndex) {
-    subcategoryIndex = idx;
-    blinkT0 = performance.now();
-    drawTvSubcategoryMenu();
+    if (n.includes("door4") || mn.includes("door4")) return true;
+
+    o = o.parent;
   }
+  return false;
 }
 
-// ============================================================
-// ✅ DESKTOP: hover over media-page side arrows (CORRECT SPOT)
-// ============================================================
-tvLeftArrowHover = false;
-tvRightArrowHover = false;
-
-if (
-  tvOn &&
-  (tvUiState === "PHOTO" || tvUiState === "VIDEO" || tvUiState === "3D MODEL") &&
-  e.pointerType === "mouse" &&
-  tvScreenMeshRef &&
-  tvHoverHit &&
-  tvHoverHit.uv
-) {
-  const uv = tvHoverHit.uv;
+function getTvCanvasPxPyFromUv(uv) {
+  if (!uv) return null;
 
   const w = tvCanvas.width;
   const h = tvCanvas.height;
 
-  let u = uv.x * (tvTex.repeat?.x ?? 1) + (tvTex.offset?.x ?? 0);
-  let v = uv.y * (tvTex.repeat?.y ?? 1) + (tvTex.offset?.y ?? 0);
+  const rx = tvTex.repeat?.x ?? 1;
+  const ry = tvTex.repeat?.y ?? 1;
+  const ox = tvTex.offset?.x ?? 0;
+  const oy = tvTex.offset?.y ?? 0;
+
+  // base UV (0..1)
+  let u = uv.x * rx + ox;
+  let v = uv.y * ry + oy;
 
+  // ✅ normalize in case repeat/offset push out of range
   u = ((u % 1) + 1) % 1;
   v = ((v % 1) + 1) % 1;
 
-  const px = u * w;
-  const pyA = v * h;
-  const pyB = (1 - v) * h;
-
-  const leftArrowX = w * 0.05;
-  const rightArrowX = w * 0.95;
-  const arrowY = h * 0.52;
-
-  const hitHalfW = 28;
-  const hitHalfH = 44;
+  v = 1 - v;
 
-  const overLeftA =
-    Math.abs(px - leftArrowX) <= hitHalfW &&
-    Math.abs(pyA - arrowY) <= hitHalfH;
+  return { w, h, px: u * w, py: v * h };
+}
 
-  const overLeftB =
-    Math.abs(px - leftArrowX) <= hitHalfW &&
-    Math.abs(pyB - arrowY) <= hitHalfH;
+function getTvTouchStartTargetFromUv(uv) {
+  const pos = getTvCanvasPxPyFromUv(uv);
+  if (!pos) {
+    return {
+      kind: "none",
+      menuIndex: menuIndex,
+      subcategoryIndex: subcategoryIndex,
+      socialId: null,
+    };
+  }
 
-  const overRightA =
-    Math.abs(px - rightArrowX) <= hitHalfW &&
-    Math.abs(pyA - arrowY) <= hitHalfH;
+  const { w, h, px, py } = pos;
 
-  const overRightB =
-    Math.abs(px - rightArrowX) <= hitHalfW &&
-    Math.abs(pyB - arrowY) <= hitHalfH;
+  // ------------------------------------------
+  // MENU state
+  // ------------------------------------------
+  if (tvUiState === "MENU") {
+    // 1) real social hit from actual finger-down point
+    const socialHitA = getTvSocialHit(px, py, w, h);
+    const socialHitB = getTvSocialHit(px, h - py, w, h);
+    const socialHit = socialHitA || socialHitB;
 
-  if (overLeftA || overLeftB) {
-    tvLeftArrowHover = true;
-  } else if (overRightA || overRightB) {
-    tvRightArrowHover = true;
-  }
+    if (socialHit) {
+      return {
+        kind: "social",
+        menuIndex: menuIndex,
+        subcategoryIndex: -1,
+        socialId: socialHit.id,
+      };
+    }
 
-  // ⭐ FORCE REDRAW (THIS is what you were asking about)
-  if (tvUiState === "PHOTO" && photoImage) {
-    drawPhotoToTv(photoImage);
-  }
-  else if (tvUiState === "VIDEO" && videoReady && !tvVideoSuppressed) {
-    drawVideoFrameToTv();
-  }
-  else if (tvUiState === "3D MODEL" && modelReady && !tvModelSuppressed) {
-    drawModelToTv();
-  }
-}
+    // 2) otherwise lock the actual menu row from touch position
+    const layout = getTvMenuLayout("MENU");
+    const startY = getMenuStartY(MENU_ITEMS.length, layout.listCenterY, layout.gapY);
+    const gapY = layout.gapY;
+    const n = MENU_ITEMS.length;
 
-const hoveringTvScreen = !!(tvScreenMeshRef && isInHierarchy(hit, tvScreenMeshRef));
+    const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
 
-let hoveringTv = false;
-let hoveringSpeaker = false;
-let hoveringPower = false;
-let hoveringCigarette = false;
-let hoveringOk = false;
-let hoveringUp = false;
-let hoveringDown = false;
-let hoveringLeft = false;
-let hoveringRight = false;
-let hoveringLamp = false;
-let hoveringAllDvd = false;
-let hoveringDvdPlayer1 = false;
-let hoveringBook4 = false;
-let hoveringDogTag1 = false;
-let hoveringDunkeheitAlbum = false;
-let hoveringBoard2 = false;
-let hoveringDoor4 = false;
-let hoveringPicture1 = false;
-let hoveringWall = false; 
+    const idxA = clamp(Math.round((py - startY) / gapY), 0, n - 1);
+    const idxB = clamp(Math.round(((h - py) - startY) / gapY), 0, n - 1);
 
-  if (hitIsLamp(hit)) hoveringLamp = true;
-  if (hitIsAllDVD(hit)) hoveringAllDvd = true;
-  if (hitIsDVDOnPlayer1(hit)) hoveringDvdPlayer1 = true;
-  if (hitIsBook4(hit)) hoveringBook4 = true;
-  if (hitIsDunkeheitAlbum(hit)) hoveringDunkeheitAlbum = true;
-  if (hitIsDoor4(hit)) hoveringDoor4 = true;
-  if (hoveringPicture1AllHits) hoveringPicture1 = true;
-  if (hitIsDrawWall(hit)) hoveringWall = true;
+    const centerA = startY + idxA * gapY;
+    const centerB = startY + idxB * gapY;
 
-  // ✅ CRITICAL: TV hover must not allow remote glow at all
-if (hoveringTvScreen) {
-  hoveringPower = false;
-  hoveringOk = false;
-  hoveringUp = false;
-  hoveringDown = false;
-  hoveringLeft = false;
-  hoveringRight = false;
+    const distA = Math.abs(py - centerA);
+    const distB = Math.abs((h - py) - centerB);
 
-  // optional: hard kill glows instantly
-  clearAllButtonGlows();
-  clearAllButtonPresses();
-}
+    const lockedMenuIndex = distA <= distB ? idxA : idxB;
 
-if (tvScreenMeshRef && isInHierarchy(hit, tvScreenMeshRef)) {
-  hoveringTv = true;
-}
+    return {
+      kind: "menu-item",
+      menuIndex: lockedMenuIndex,
+      subcategoryIndex: -1,
+      socialId: null,
+    };
+  }
 
- // ---------------------------------------------
-// MENU hover detection (robust)
-// ---------------------------------------------
- const prevMenuHover = menuHover;
-const prevBackHover = backHover;
-menuHover = false;
-backHover = false;
+  // ------------------------------------------
+  // SUBCATEGORY state
+  // ------------------------------------------
+  if (tvUiState === "SUBCATEGORY_MENU") {
+    const items = SUBCATEGORY_ITEMS[tvParentCategory] || [];
+    const n = items.length;
 
-if (
-  tvOn &&
-  (
-    tvUiState === "PHOTO" ||
-    tvUiState === "VIDEO" ||
-    tvUiState === "3D MODEL" ||
-    tvUiState === "SUBCATEGORY_MENU"
-  ) &&
-  tvScreenMeshRef &&
-  isInHierarchy(hit, tvScreenMeshRef) &&
-  (tvHoverHit ?? hits[0]).uv
-) {
-  const uv = (tvHoverHit ?? hits[0]).uv;
+    if (!n) {
+      return {
+        kind: "none",
+        menuIndex: menuIndex,
+        subcategoryIndex: -1,
+        socialId: null,
+      };
+    }
 
-  const w = tvCanvas.width;
-  const h = tvCanvas.height;
+    const layout = getTvMenuLayout("SUBCATEGORY_MENU");
+    const startY = getMenuStartY(items.length, layout.listCenterY, layout.gapY);
+    const gapY = layout.gapY;
 
-  let u = uv.x * (tvTex.repeat?.x ?? 1) + (tvTex.offset?.x ?? 0);
-  let v = uv.y * (tvTex.repeat?.y ?? 1) + (tvTex.offset?.y ?? 0);
+    const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
 
-  u = ((u % 1) + 1) % 1;
-  v = ((v % 1) + 1) % 1;
+    const idxA = clamp(Math.round((py - startY) / gapY), 0, n - 1);
+    const idxB = clamp(Math.round(((h - py) - startY) / gapY), 0, n - 1);
 
-  const px = u * w;
-  const pyA = v * h;
-  const pyB = (1 - v) * h;
+    const centerA = startY + idxA * gapY;
+    const centerB = startY + idxB * gapY;
 
-  const BTN = getTvMenuBtn();
-  const bx = w - BTN.pad - BTN.w;
-  const by = BTN.pad;
+    const distA = Math.abs(py - centerA);
+    const distB = Math.abs((h - py) - centerB);
 
-  const inBtnA = px >= bx && px <= bx + BTN.w && pyA >= by && pyA <= by + BTN.h;
-  const inBtnB = px >= bx && px <= bx + BTN.w && pyB >= by && pyB <= by + BTN.h;
+    const lockedSubIndex = distA <= distB ? idxA : idxB;
 
-  menuHover = (inBtnA || inBtnB);
+    return {
+      kind: "menu-item",
+      menuIndex: menuIndex,
+      subcategoryIndex: lockedSubIndex,
+      socialId: null,
+    };
+  }
 
-  const BACK = getTvBackBtn();
+  return {
+    kind: "none",
+    menuIndex: menuIndex,
+    subcategoryIndex: subcategoryIndex,
+    socialId: null,
+  };
+}
+
+function handleIOSTvTap(uv) {
+  const pos = getTvCanvasPxPyFromUv(uv);
+  if (!pos) return false;
+
+  const { w, h, px, py } = pos;
+  
+if (!tvOn) {
+  // ✅ this touch is only for powering on the TV
+  // pointerup must NOT also confirm/open the current menu item
+  tvTouchStartedWhileOff = true;
+  tvTouchDragSelectMoved = false;
+
+  playTvOnSound();
+  setTvPower(true);
+  showIosMenuControlsHintOnce();
+  return true;
+}
+
+ // MENU button area (top-right) works in all states that show it
+const BTN = getTvMenuBtn();   // ✅ ADD THIS
+const bx = w - BTN.pad - BTN.w;
+const by = BTN.pad;
+
+const BACK = getTvBackBtn();
 const backX = BACK.pad;
 const backY = BACK.pad;
 
-const inBackA =
+  // ✅ Robust hit test: some meshes have V flipped, some don’t.
+  // We check BOTH possibilities so the MENU button is always clickable.
+  const pyA = py;           // current mapping (whatever getTvCanvasPxPyFromUv returned)
+  const pyB = h - py;       // alternate mapping (flipped vertically)
+
+const inMenuBtnA =
+  px >= bx && px <= bx + BTN.w &&
+  pyA >= by && pyA <= by + BTN.h;
+
+const inMenuBtnB =
+  px >= bx && px <= bx + BTN.w &&
+  pyB >= by && pyB <= by + BTN.h;
+
+if (inMenuBtnA || inMenuBtnB) {
+  if (isTouchDevice()) tvIgnoreNextPointerUp = true;
+  goBackToTvMenu();
+  return true;
+}
+
+const inBackBtnA =
   px >= backX && px <= backX + BACK.w &&
   pyA >= backY && pyA <= backY + BACK.h;
 
-const inBackB =
+const inBackBtnB =
   px >= backX && px <= backX + BACK.w &&
   pyB >= backY && pyB <= backY + BACK.h;
 
-backHover = tvUiState !== "MENU" && (inBackA || inBackB);
+// BACK only exists on non-top-level pages
+if (tvUiState !== "MENU" && (inBackBtnA || inBackBtnB)) {
+  if (isTouchDevice()) tvIgnoreNextPointerUp = true;
+  goBackOnePage();
+  return true;
 }
 
-if (menuHover !== prevMenuHover || backHover !== prevBackHover) {
-  if (tvOn && tvUiState === "SUBCATEGORY_MENU") {
-    drawTvSubcategoryMenu();
-  } else if (tvOn && tvUiState === "PHOTO" && photoImage) {
-    drawPhotoToTv(photoImage);
-  } else if (tvOn && tvUiState === "3D MODEL" && modelMediaType === "image" && modelImageEl && modelReady) {
-    drawPhotoToTv(modelImageEl);
-  }
-  // VIDEO + 3D video redraw continuously, so no need here
+if (isTvInfoBtnHit(px, py, w, h)) {
+  if (isTouchDevice()) tvIgnoreNextPointerUp = true;
+  toggleTvCredits();
+  return true;
 }
 
-  // Speaker hint (anytime speaker exists)
-  if (speakerMeshRef && isInHierarchy(hit, speakerMeshRef)) {
-    hoveringSpeaker = true;
-  }
+  // ✅ Double-tap anywhere else = fullscreen overlay (when relevant)
+  const now = performance.now();
+  const isDoubleTap = (now - lastTvTapTime) < TV_DOUBLE_TAP_MS;
+  lastTvTapTime = now;
 
-  // Cigarette hover hint
-if (cigaretteRoot && isInHierarchy(hit, cigaretteRoot)) {
-  hoveringCigarette = true;
-}
+  const x01 = px / w;  // 0..1
+  const y01 = pyA / h; // 0..1  ✅ use primary mapping, not raw py
 
-    // Power hint (anytime power button exists)
-  if (powerButtonMeshRef && isInHierarchy(hit, powerButtonMeshRef)) {
-    hoveringPower = true;
-  }
+if (tvUiState === "MENU") {
+  // 1) direct hit on social tile
+  const socialHit = getTvSocialHit(px, pyA, w, h);
 
-    // Remote button hints (only when TV is ON)
-  if (tvOn) {
+  if (socialHit) {
+    if (isTouchDevice()) tvIgnoreNextPointerUp = true;
+    tvSocialHoverId = socialHit.id;
+    drawTvMenu();
+    activateTvSocialHit(socialHit);
+    return true;
+  }
+
+  // 2) desktop fallback: if a social icon is currently highlighted, activate it
+  if (!isTouchDevice() && tvSocialHoverId) {
+    const hoveredSocial = TV_SOCIAL_ITEMS.find((item) => item.id === tvSocialHoverId);
+    if (hoveredSocial) {
+      activateTvSocialHit(hoveredSocial);
+      return true;
+    }
+  }
+
+// 3) not a social click -> clear social hover and continue normal menu flow
+if (tvSocialHoverId !== null) {
+  tvSocialHoverId = null;
+  drawTvMenu();
+}
+
+  // 3) not a social click -> clear social hover and continue normal menu flow
+  if (tvSocialHoverId !== null) {
+    tvSocialHoverId = null;
+    drawTvMenu();
+  }
+
+  if (isTouchDevice()) return false;
+
+  confirmMenuSelection();
+  return true;
+}
+
+if (tvUiState === "SUBCATEGORY_MENU") {
+  if (isTouchDevice()) return false;
+
+  confirmMenuSelection();
+  return true;
+}
+
+if (tvUiState === "MUSIC") {
+  return handleTvMusicTap(px, pyA, w, h);
+}
+
+// ------------------------------------------------------------
+// ✅ PHOTO: left/right = prev/next
+// Double tap = fullscreen overlay (match VIDEO + 3D MODEL)
+// ------------------------------------------------------------
+if (tvUiState === "PHOTO") {
+  if (isDoubleTap) {
+    openPhotoOverlay(currentPhotoUrl);
+    return true;
+  }
+
+  if (x01 < 0.33) {
+    nextPhoto(-1);
+    return true;
+  }
+  if (x01 > 0.66) {
+    nextPhoto(+1);
+    return true;
+  }
+
+  // center single tap: do nothing (or keep for future UI)
+  return true;
+}
+
+  // ------------------------------------------------------------
+  // ✅ VIDEO: left/right = prev/next, center = play/pause
+  // Double tap = fullscreen overlay
+  // ------------------------------------------------------------
+  if (tvUiState === "VIDEO") {
+    if (isDoubleTap) {
+      openVideoOverlay();
+      return true;
+    }
+
+    if (x01 < 0.33) {
+      nextVideo(-1);
+      return true;
+    }
+    if (x01 > 0.66) {
+      nextVideo(+1);
+      return true;
+    }
+
+    toggleVideoPlayPause();
+    drawVideoFrameToTv(); // refresh paused overlay text
+    return true;
+  }
+
+  // ------------------------------------------------------------
+  // ✅ 3D MODEL: left/right = prev/next, center = play/pause
+  // Double tap = fullscreen overlay
+  // ------------------------------------------------------------
+  if (tvUiState === "3D MODEL") {
+    if (isDoubleTap) {
+      openModelOverlay();
+      return true;
+    }
+
+    if (x01 < 0.33) {
+      nextModel(-1);
+      return true;
+    }
+    if (x01 > 0.66) {
+      nextModel(+1);
+      return true;
+    }
+
+    toggleModelPlayPause();
+    drawModelFrameToTv();
+    return true;
+  }
+
+  return false;
+}
+
+function openExternal(url) {
+  if (!url) return false;
+
+  try {
+    // ✅ Safari-friendly: create a real <a> and click it
+    const a = document.createElement("a");
+    a.href = url;
+    a.target = "_blank";
+    a.rel = "noopener noreferrer";
+
+    document.body.appendChild(a);
+
+    // ✅ a.click() works better than dispatchEvent on iOS Safari
+    a.click();
+    a.remove();
+
+    return true;
+  } catch (e) {
+    console.warn("openExternal failed, falling back:", e);
+  }
+
+  // ✅ Always-works fallback (same tab)
+  window.location.assign(url);
+  return false;
+}
+
+function setTvPower(nextOn) {
+  log("setTvPower", nextOn, {
+    hasScreenMesh: !!tvScreenMeshRef,
+    hasScreenMat: !!tvScreenMatRef
+  });
+
+  const from = tvOn ? 1 : 0;
+  const to = nextOn ? 1 : 0;
+  if (from === to) return;
+
+  tvOn = nextOn;
+
+if (!tvOn) {
+  tvTouchActive = false;
+  tvTouchStartedWhileOff = false;
+  tvTouchPointerId = null;
+
+  // ✅ reset iOS remote pulse for the next power-on session
+  iosRemotePulseArmed = true;
+  iosPulseStarted = false;
+  iosNextPulseAtMs = 0;
+  stopIosRemotePulse();
+}
+
+if (!tvOn) {
+  stopVideoCompletely();
+  stopModelCompletely();
+  clearTvScreen();
+  applyTvTextureEnabled(false);
+
+  if (tvScreenMatRef) {
+    tvScreenMatRef.emissiveIntensity = 0.0;
+    tvScreenMatRef.needsUpdate = true;
+  }
+
+  grainOverlay.style.opacity = "0.02"; // softer grain when TV is off
+} else {
+  applyTvTextureEnabled(true);
+
+  if (tvScreenMatRef) {
+    tvScreenMatRef.emissiveIntensity = 0.03;
+    tvScreenMatRef.needsUpdate = true;
+  }
+
+  grainOverlay.style.opacity = "0.03"; // normal grain when TV is on
+}
+
+    // when turning ON, reset blink and draw the menu immediately
+ if (tvOn) {
+  blinkT0 = performance.now();
+  tvUiState = "MENU";
+  menuIndex = 0;
+  tvMenuHoverFlipV = null; // ✅ re-detect mapping for menu hover
+
+  // ✅ start boot animation (no flash / flicker in reduced motion)
+  tvBootT0 = performance.now();
+  tvBooting = !reducedMotion;
+
+  drawTvMenu();
+}
+
+  tvAnim = { from, to, t0: performance.now() / 1000 };
+
+if (isTouchDevice()) {
+  if (tvOn) {
+    // TV ON: stop power pulse, start nav pulse
+    stopIosPowerPulse();
+
+    iosPulseStarted = false;
+    iosNextPulseAtMs = 0;
+    startIosRemotePulse();
+  } else {
+    // TV OFF: stop nav pulse, restart power pulse
+    stopIosRemotePulse();
+    startIosPowerPulse();
+  }
+} else {
+  syncDesktopPulseWithTvState();
+}
+
+  syncTvRoute();
+}
+
+function updateTv() {
+  if (!tvScreenMeshRef || !tvAnim || !tvScreenMatRef) return;
+
+  const now = performance.now() / 1000;
+  const dt = now - tvAnim.t0;
+
+  const DUR = reducedMotion ? 0 : 0.55; // reduced motion: straight to on/off
+  let t = DUR ? Math.min(dt / DUR, 1) : 1;
+  t = 1 - Math.pow(1 - t, 3); // easeOutCubic
+
+  const a = tvAnim.from + (tvAnim.to - tvAnim.from) * t;
+  tvPower = a;
+
+  // ✅ CRT squeeze ONLY in Y (no X shrink = no side reveal / "sliding" illusion)
+  tvScreenMeshRef.scale.set(
+    tvScreenScale0.x,                           // keep width locked
+    tvScreenScale0.y * (0.985 + 0.015 * a),     // squeeze in Y only
+    tvScreenScale0.z
+  );
+
+  // emissive animation (OFF -> ON)
+  const offI = 0.0;
+  const onI = 0.7;
+
+  const pop = a * (1 - a) * 4;
+  let intensity = offI + (onI - offI) * a + 0.35 * pop;
+
+if (tvBooting) {
+  const dtBoot = (performance.now() - tvBootT0) / 1000;
+
+  if (dtBoot < 0.08) {
+    // quick flash
+    intensity += 2.2;
+  } 
+  else if (dtBoot < 0.23) {
+    // short fast flicker
+    intensity *= 0.85 + Math.random() * 0.3;
+  } 
+  else {
+    // boot done
+    tvBooting = false;
+  }
+}
+
+
+tvScreenMatRef.emissiveIntensity = intensity;
+
+
+  const baseOff = new THREE.Color(0x111111);  // off = dark
+  const baseOn  = new THREE.Color(0xd0d0d0);  // on  = bright (IMPORTANT)
+  tvScreenMatRef.color.lerpColors(baseOff, baseOn, a);
+
+  tvScreenMatRef.needsUpdate = true;
+
+  if (dt >= DUR) {
+    tvAnim = null;
+      tvScreenMeshRef.scale.copy(tvScreenScale0);
+
+
+    tvScreenMatRef.emissiveIntensity = tvOn ? onI : offI;
+    tvScreenMatRef.color.copy(tvOn ? baseOn : baseOff);
+    tvScreenMatRef.needsUpdate = true;
+    tvPower = tvOn ? 1 : 0;
+  }
+}
+
+// ============================================================
+// ✅ iOS TV MENU SWIPE STATE (EDIT 2)
+// ============================================================
+let tvTouchActive = false;
+let tvTouchStartX = 0;
+let tvTouchStartY = 0;
+let tvTouchStartT = 0;
+
+let tvTouchStartedWhileOff = false;   // ✅ prevents “auto-enter PHOTO” on power-on tap
+let tvTouchPointerId = null;          // ✅ for pointer capture
+let tvTouchDragSelectMoved = false;   // ✅ finger-drag changed TV selection
+
+// ✅ iOS touch intent lock
+// Lock the ACTUAL thing the user touched on the TV canvas.
+// Never trust stale tvSocialHoverId for activation.
+let tvTouchStartUiState = null;
+let tvTouchStartMenuIndex = -1;
+let tvTouchStartSubcategoryIndex = -1;
+let tvTouchStartTargetKind = "none";
+let tvTouchStartSocialId = null;
+
+// swipe tuning
+const TV_SWIPE_MIN_PX = 34;       // how far finger must move
+const TV_TAP_MAX_PX   = 12;       // below this = tap
+const TV_SWIPE_MAX_MS = 650;      // ignore slow drags
+// ------------------------------------------------------------
+// CLICK / DOUBLE-CLICK HANDLER (TV + SPEAKER)
+// ------------------------------------------------------------
+let lastClickTime = 0;
+const DOUBLE_CLICK_MS = 280;
+
+let lastTvTapTime = 0;
+const TV_DOUBLE_TAP_MS = 320;
+let pendingExternalUrl = null;
+let tvIgnoreNextPointerUp = false;
+let tvMenuHoverFlipV = null; // null until we detect correct orientation
+
+// ============================================================
+// ✅ DESKTOP REMOTE PULSE (match iOS behavior exactly)
+// TV OFF  -> Power pulses every ~3.6s with smooth fade
+// TV ON   -> OK/UP/DOWN/LEFT/RIGHT pulse TOGETHER every 8s
+//           and STOP permanently once user presses any of those buttons
+// ============================================================
+
+let desktopPowerPulseTimer = null;
+let desktopRemotePulseTimer = null;
+let desktopRemoteRippleTimers = [];
+
+let desktopRemotePulseArmed = true; // ✅ true until user presses any remote btn while TV ON
+
+function _setRemoteGlow(mesh, on, color) {
+  if (!mesh) return;
+  if (typeof setGlowTarget !== "function") return;
+  if (typeof color === "undefined") return;
+  setGlowTarget(mesh, on, color); // your updateGlow() should do the smoothing fade
+}
+
+// ---- POWER PULSE (TV OFF) ----
+function stopDesktopPowerPulse() {
+  if (desktopPowerPulseTimer) {
+    clearTimeout(desktopPowerPulseTimer);
+    desktopPowerPulseTimer = null;
+  }
+  _setRemoteGlow(powerButtonMeshRef, false, POWER_GLOW_COLOR);
+}
+
+function startDesktopPowerPulse() {
+  if (isTouchDevice()) return;
+  if (!powerButtonMeshRef) return;
+
+  stopDesktopPowerPulse();
+
+  // reduced motion: steady glow instead of blinking
+  if (reducedMotion) {
+    if (!tvOn) _setRemoteGlow(powerButtonMeshRef, true, POWER_GLOW_COLOR);
+    return;
+  }
+
+  // ✅ Match the iOS timing you liked
+  const onMs   = IOS_POWER_ON_MS;
+  const offMs  = IOS_POWER_OFF_MS;
+  const everyMs = onMs + offMs;
+
+  const tick = () => {
+    if (tvOn) return;
+
+    _setRemoteGlow(powerButtonMeshRef, true, POWER_GLOW_COLOR);
+
+    setTimeout(() => {
+      _setRemoteGlow(powerButtonMeshRef, false, POWER_GLOW_COLOR);
+    }, onMs);
+
+    desktopPowerPulseTimer = setTimeout(tick, everyMs);
+  };
+
+  tick();
+}
+
+function stopDesktopRemoteOnPulse() {
+  if (desktopRemotePulseTimer) {
+    clearTimeout(desktopRemotePulseTimer);
+    desktopRemotePulseTimer = null;
+  }
+
+  clearDesktopRemoteRippleTimers();
+
+  _setRemoteGlow(okButtonMeshRef, false, REMOTE_GLOW_COLOR);
+  _setRemoteGlow(upArrowMeshRef, false, REMOTE_GLOW_COLOR);
+  _setRemoteGlow(downArrowMeshRef, false, REMOTE_GLOW_COLOR);
+  _setRemoteGlow(leftArrowMeshRef, false, REMOTE_GLOW_COLOR);
+  _setRemoteGlow(rightArrowMeshRef, false, REMOTE_GLOW_COLOR);
+}
+
+function clearDesktopRemoteRippleTimers() {
+  for (const id of desktopRemoteRippleTimers) clearTimeout(id);
+  desktopRemoteRippleTimers.length = 0;
+}
+
+function clearIOSRemoteRippleTimers() {
+  for (const id of iosRemoteRippleTimers) clearTimeout(id);
+  iosRemoteRippleTimers.length = 0;
+}
+
+function forceAllRemoteNavGlowOff() {
+  setGlowTarget(okButtonMeshRef,    false, REMOTE_GLOW_COLOR);
+  setGlowTarget(upArrowMeshRef,     false, REMOTE_GLOW_COLOR);
+  setGlowTarget(downArrowMeshRef,   false, REMOTE_GLOW_COLOR);
+  setGlowTarget(leftArrowMeshRef,   false, REMOTE_GLOW_COLOR);
+  setGlowTarget(rightArrowMeshRef,  false, REMOTE_GLOW_COLOR);
+}
+
+function startDesktopRemoteOnPulse() {
+  if (isTouchDevice()) return;
+  if (!desktopRemotePulseArmed) return;
+
+  if (!okButtonMeshRef && !upArrowMeshRef && !downArrowMeshRef && !leftArrowMeshRef && !rightArrowMeshRef) {
+    return;
+  }
+
+  stopDesktopRemoteOnPulse();
+  if (reducedMotion) return;
+
+  const onMs = 2000;
+  const offMs = 3000;
+  const cycleMs = onMs + offMs;
+  const firstDelayMs = 250;
+
+  const pulseAll = () => {
+    if (!tvOn) return;
+    if (!desktopRemotePulseArmed) return;
+
+    clearDesktopRemoteRippleTimers();
+
+    // center → outward ripple
+    _setRemoteGlow(okButtonMeshRef, true, REMOTE_GLOW_COLOR);
+
+    desktopRemoteRippleTimers.push(setTimeout(() => {
+      if (!tvOn || !desktopRemotePulseArmed) return;
+      _setRemoteGlow(upArrowMeshRef, true, REMOTE_GLOW_COLOR);
+      _setRemoteGlow(downArrowMeshRef, true, REMOTE_GLOW_COLOR);
+    }, 80));
+
+    desktopRemoteRippleTimers.push(setTimeout(() => {
+      if (!tvOn || !desktopRemotePulseArmed) return;
+      _setRemoteGlow(leftArrowMeshRef, true, REMOTE_GLOW_COLOR);
+      _setRemoteGlow(rightArrowMeshRef, true, REMOTE_GLOW_COLOR);
+    }, 160));
+
+    desktopRemoteRippleTimers.push(setTimeout(() => {
+      if (!desktopRemotePulseArmed) return;
+
+      _setRemoteGlow(okButtonMeshRef, false, REMOTE_GLOW_COLOR);
+      _setRemoteGlow(upArrowMeshRef, false, REMOTE_GLOW_COLOR);
+      _setRemoteGlow(downArrowMeshRef, false, REMOTE_GLOW_COLOR);
+      _setRemoteGlow(leftArrowMeshRef, false, REMOTE_GLOW_COLOR);
+      _setRemoteGlow(rightArrowMeshRef, false, REMOTE_GLOW_COLOR);
+    }, onMs));
+
+    desktopRemotePulseTimer = setTimeout(pulseAll, cycleMs);
+  };
+
+  desktopRemotePulseTimer = setTimeout(pulseAll, firstDelayMs);
+}
+
+function markDesktopRemoteUsed() {
+  if (isTouchDevice()) return;
+  if (!tvOn) return;
+
+  desktopRemotePulseArmed = false;
+
+  if (desktopRemotePulseTimer) {
+    clearTimeout(desktopRemotePulseTimer);
+    desktopRemotePulseTimer = null;
+  }
+
+  clearDesktopRemoteRippleTimers();
+  stopDesktopRemoteOnPulse();
+
+  _setRemoteGlow(okButtonMeshRef, false, REMOTE_GLOW_COLOR);
+  _setRemoteGlow(upArrowMeshRef, false, REMOTE_GLOW_COLOR);
+  _setRemoteGlow(downArrowMeshRef, false, REMOTE_GLOW_COLOR);
+  _setRemoteGlow(leftArrowMeshRef, false, REMOTE_GLOW_COLOR);
+  _setRemoteGlow(rightArrowMeshRef, false, REMOTE_GLOW_COLOR);
+}
+
+function syncDesktopPulseWithTvState() {
+  if (isTouchDevice()) return;
+
+  if (!tvOn) {
+    // reset only when TV turns OFF
+    desktopRemotePulseArmed = true;
+    stopDesktopRemoteOnPulse();
+    startDesktopPowerPulse();
+  } else {
+    stopDesktopPowerPulse();
+
+    if (desktopRemotePulseArmed) {
+      startDesktopRemoteOnPulse();
+    }
+  }
+}
+
+// ✅ DEBUG: draw a dot where the TV screen was clicked (UV->pixel)
+let tvTapDebug = { on: false, x: 0, y: 0, t: 0 };
+
+// ============================================================
+// POINTER -> NDC USING FIXED VIEWPORT (keeps raycast correct)
+// ============================================================
+function setPointerFromEvent(e) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  if (!viewW || !viewH) return false;
+
+  // mouse position in canvas pixels
+  const cx = e.clientX - rect.left;
+  const cy = e.clientY - rect.top;
+
+  // viewport-local 0..1
+  const vx = (cx - viewX) / viewW;
+  const vy = (cy - viewY) / viewH;
+
+  // clicked in the black bars -> ignore
+  if (vx < 0 || vx > 1 || vy < 0 || vy > 1) return false;
+
+  pointer.x = vx * 2 - 1;
+  pointer.y = -(vy * 2 - 1);
+
+  return true;
+}
+
+function hitIsPicture1(obj) {
+  let o = obj;
+  while (o) {
+    const n  = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
+    const pn = (o.parent?.name || "").toLowerCase();
+
+    // ✅ ONLY match Picture1 specifically (not generic "picture")
+    if (n.includes("picture1") || mn.includes("picture1") || pn.includes("picture1")) {
+      return true;
+    }
+
+    o = o.parent;
+  }
+  return false;
+}
+
+function hitIsDrawWall(obj) {
+  let o = obj;
+  while (o) {
+    const n  = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
+    const pn = (o.parent?.name || "").toLowerCase();
+
+    // replace these with your actual wall mesh / material / parent names
+    if (
+      n.includes("front_wall1") ||
+      mn.includes("front wall") ||
+      pn.includes("front_wall1") ||
+      n.includes("drawwall") ||
+      mn.includes("drawwall") ||
+      pn.includes("drawwall")
+    ) {
+      return true;
+    }
+
+    o = o.parent;
+  }
+  return false;
+}
+
+function hitIsDragon(obj) {
+  if (!obj || !dragonHitRootRef) return false;
+  return isInHierarchy(obj, dragonHitRootRef);
+}
+
+function playDragonOnce() {
+  if (!dragonMixer || !dragonAction || dragonIsPlaying) return;
+
+  dragonIsPlaying = true;
+
+  dragonAction.reset();
+  dragonAction.enabled = true;
+  dragonAction.time = 0;
+  dragonAction.paused = false;
+  dragonAction.setLoop(THREE.LoopOnce, 1);
+  dragonAction.clampWhenFinished = true;
+  dragonAction.play();
+
+  console.log("🦎 Dragon animation started");
+}
+
+async function onPointerDown(e) {
+  if (isIOSPortraitBlocked()) return;
+
+if (isTouchDevice()) {
+  nudgeIosRemotePulse();
+  forceResumeBackgroundAudioNow();
+}
+
+  if (!setPointerFromEvent(e)) return; // ✅ ignore clicks in black bars
+  raycaster.setFromCamera(pointer, camera);
+
+let hits = [];
+
+if (interactivesRootRef) {
+  hits = hits.concat(raycaster.intersectObject(interactivesRootRef, true));
+}
+
+// ✅ check the speaker early WITHOUT making the whole world block drag
+const speakerHits = speakerMeshRef
+  ? raycaster.intersectObject(speakerMeshRef, true)
+  : [];
+
+// ============================================================
+// ✅ iOS horizontal camera drag start
+// - only when touch begins on NON-interactive scene space
+// ============================================================
+if (
+  isTouchDevice() &&
+  IOS_CAM_DRAG.enabled &&
+  !overlayOpen &&
+  !videoOverlayOpen &&
+  !modelOverlayOpen
+) {
+  const touchingInteractive =
+    isInteractiveHitForIOSCameraDrag(hits) || speakerHits.length > 0;
+
+  if (!touchingInteractive) {
+    iosCamDragActive = true;
+    iosCamDragPointerId = e.pointerId;
+    iosCamDragStartClientX = e.clientX;
+    iosCamDragStartOffsetX = iosCamUserOffsetXTarget;
+    iosCamDragged = false;
+    setIOSInteractionQuality(true);
+  }
+}
+
+// ✅ now collect the rest of the world hits normally
+hits = hits.concat(raycaster.intersectObject(anchor, true));
+
+// ✅ choose the closest hit overall
+hits.sort((a, b) => a.distance - b.distance);
+
+if (!hits.length) return;
+
+console.log("HITS:", hits.slice(0, 6).map(h => ({
+  name: h.object.name,
+  mat: h.object.material?.name,
+  dist: h.distance.toFixed(3)
+})));
+
+if (overlayOpen || videoOverlayOpen || modelOverlayOpen) return;
+
+// ✅ Pick the actual hit object once
+const tvHitInfo =
+  (tvScreenMeshRef && hits.length)
+    ? hits.find(h => isInHierarchy(h.object, tvScreenMeshRef))
+    : null;
+
+const hitInfo = tvHitInfo ?? hits[0];
+const hit = hitInfo.object;
+
+if (hitIsDragon(hit)) {
+  playDragonOnce();
+  return;
+}
+
+const cigaretteHit = hits.find(h => cigaretteRoot && isInHierarchy(h.object, cigaretteRoot));
+
+if (cigaretteHit) {
+  console.log("🚬 cigarette hit:", cigaretteHit.object.name);
+
+  trackSceneClick("cigarette_click", {
+    object_name: cigaretteHit.object.name || "unknown",
+  });
+
+  await unlockSmokeBreatheOnce();
+  await unlockSmokerCoughOnce();
+
+  playCigaretteAnimation();
+  playSmokeTipAnimation();
+  playSmokeBreatheSound();
+  queueSmokerCough();
+
+  return;
+}
+
+// ✅ Picture1 click/tap (check ALL hits, not just closest)
+const picHit = hits.find(h => hitIsPicture1(h.object));
+if (picHit) {
+  trackSceneClick("picture1_change_click", {
+    object_name: picHit.object.name || "unknown",
+    interaction_type: "picture_cycle",
+    picture_index_before: picture1TexIndex,
+    picture_index_after: picture1TexIndex + 1,
+  });
+
+  console.log("🖼 Picture1 hit:", picHit.object.name);
+  setPicture1Texture(picture1TexIndex + 1);
+  return;
+}
+
+const socialTikTokHit = hits.find(
+  h => socialTikTokMeshRef && isInHierarchy(h.object, socialTikTokMeshRef)
+);
+
+if (socialTikTokHit) {
+  console.log("🎵 TikTok button hit:", socialTikTokHit.object.name);
+
+  trackSceneClick("tiktok_click", {
+    object_name: socialTikTokHit.object.name || "unknown",
+  });
+
+  setPressAxisFromHit(socialTikTokMeshRef, socialTikTokHit);
+  setPressTarget(socialTikTokMeshRef, true);
+
+  pendingExternalUrl = getTikTokProfileUrl();
+  return;
+}
+
+const socialContactHit = hits.find(
+  h => socialContactMeshRef && isInHierarchy(h.object, socialContactMeshRef)
+);
+
+if (socialContactHit) {
+  console.log("📇 Contact button hit:", socialContactHit.object.name);
+
+  trackSceneClick("contact_click", {
+    object_name: socialContactHit.object.name || "unknown",
+  });
+
+  setPressAxisFromHit(socialContactMeshRef, socialContactHit);
+  setPressTarget(socialContactMeshRef, true);
+
+  pendingExternalUrl = getContactProfileUrl();
+  return;
+}
+
+const socialYoutubeHit = hits.find(
+  h => socialYoutubeMeshRef && isInHierarchy(h.object, socialYoutubeMeshRef)
+);
+
+if (socialYoutubeHit) {
+  console.log("▶️ Youtube button hit:", socialYoutubeHit.object.name);
+
+  trackSceneClick("youtube_click", {
+    object_name: socialYoutubeHit.object.name || "unknown",
+  });
+
+  setPressAxisFromHit(socialYoutubeMeshRef, socialYoutubeHit);
+  setPressTarget(socialYoutubeMeshRef, true);
+
+  pendingExternalUrl = getYoutubeProfileUrl();
+  return;
+}
+
+const socialInstagramHit = hits.find(
+  h => socialInstagramMeshRef && isInHierarchy(h.object, socialInstagramMeshRef)
+);
+
+if (socialInstagramHit) {
+  console.log("📸 Instagram button hit:", socialInstagramHit.object.name);
+
+  trackSceneClick("instagram_click", {
+    object_name: socialInstagramHit.object.name || "unknown",
+  });
+
+  setPressAxisFromHit(socialInstagramMeshRef, socialInstagramHit);
+  setPressTarget(socialInstagramMeshRef, true);
+
+  pendingExternalUrl = getContactMailtoUrl();
+  return;
+}
+
+console.log("POINTERDOWN HIT:", hit.name);
+
+// ✅ iOS: only pulse the remote hint when you actually touched the remote,
+// not when you touched the TV screen.
+let hitIsTv = false;
+if (tvScreenMeshRef && isInHierarchy(hit, tvScreenMeshRef)) hitIsTv = true;
+
+// (optional but recommended) also don't pulse if you hit the speaker (or other interactives)
+let hitIsRemoteBtn = false;
+if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) hitIsRemoteBtn = true;
+if (upArrowMeshRef && isInHierarchy(hit, upArrowMeshRef)) hitIsRemoteBtn = true;
+if (downArrowMeshRef && isInHierarchy(hit, downArrowMeshRef)) hitIsRemoteBtn = true;
+if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) hitIsRemoteBtn = true;
+if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) hitIsRemoteBtn = true;
+if (powerButtonMeshRef && isInHierarchy(hit, powerButtonMeshRef)) hitIsRemoteBtn = true;
+
+if (isTouchDevice() && hitIsRemoteBtn) {
+  nudgeIosRemotePulse();
+}
+
+// ============================================================
+// ✅ TV SCREEN HIT: handle TV FIRST and BLOCK remote glow/press
+// (MUST be before any remote press/glow logic)
+// ============================================================
+if (tvScreenMeshRef && isInHierarchy(hit, tvScreenMeshRef)) {
+  // kill any “stuck” glow/press instantly
+   // ✅ Only do the hard "clear everything" on TOUCH.
+  // Desktop hover hints should stay responsive.
+  if (e.pointerType === "touch") {
+    clearAllButtonGlows();
+    clearAllButtonPresses();
+    setHoverKey(null);
+  }
+
+  // ✅ if you have a "remote pulse" timer/state, cancel it here too
+// (only add this if you actually have these vars/functions)
+if (typeof stopIosRemotePulse === "function") stopIosRemotePulse();
+
+  if (isTouchDevice()) {
+  tvTouchActive = true;
+  tvTouchStartX = e.clientX;
+  tvTouchStartY = e.clientY;
+  tvTouchStartT = performance.now();
+  tvTouchPointerId = e.pointerId;
+  tvTouchDragSelectMoved = false;
+
+// ✅ LOCK THE CURRENTLY HIGHLIGHTED SELECTION.
+// Do NOT recompute from touch-down UV.
+// The user should open what is already highlighted on screen.
+tvTouchStartUiState = tvUiState;
+tvTouchStartMenuIndex = menuIndex;
+tvTouchStartSubcategoryIndex = subcategoryIndex;
+
+if (tvUiState === "MENU" && tvSocialHoverId) {
+  tvTouchStartTargetKind = "social";
+  tvTouchStartSocialId = tvSocialHoverId;
+} else {
+  tvTouchStartTargetKind = "menu-item";
+  tvTouchStartSocialId = null;
+}
+
+try { renderer.domElement.setPointerCapture(e.pointerId); } catch {}
+}
+
+const uv = tvHitInfo?.uv;
+
+// ✅ DESKTOP / MOUSE / TRACKPAD
+// iOS uses the locked-touch flow below.
+// Desktop should immediately confirm the CURRENT highlighted selection.
+if (!isTouchDevice()) {
+  // TV OFF -> clicking the TV powers it on
+  if (!tvOn) {
+    if (uv) {
+      handleIOSTvTap(uv);
+    } else {
+      playTvOnSound();
+      setTvPower(true);
+    }
+    return;
+  }
+
+  // TV ON -> top chrome buttons still work
+  if (uv && handleTvChromeButtonTapFromUv(uv)) {
+    return;
+  }
+
+  // TV ON -> in menu/subcategory, click should open the highlighted item
+  if (tvUiState === "MENU" || tvUiState === "SUBCATEGORY_MENU") {
+    if (tvUiState === "MENU" && tvSocialHoverId) {
+      const selectedSocial = TV_SOCIAL_ITEMS.find(
+        (item) => item.id === tvSocialHoverId
+      );
+
+      if (selectedSocial) {
+        activateTvSocialHit(selectedSocial);
+        return;
+      }
+    }
+
+    confirmMenuSelection();
+    return;
+  }
+
+  // TV ON -> content states keep using the existing direct TV tap logic
+  if (
+    uv &&
+    (tvUiState === "PHOTO" ||
+     tvUiState === "VIDEO" ||
+     tvUiState === "3D MODEL" ||
+     tvUiState === "MUSIC")
+  ) {
+    handleIOSTvTap(uv);
+    return;
+  }
+
+  return;
+}
+
+// ✅ TV OFF -> touch powers on
+if (!tvOn) {
+  if (uv) {
+    handleIOSTvTap(uv);
+  } else {
+    tvTouchStartedWhileOff = true;
+    tvTouchDragSelectMoved = false;
+    playTvOnSound();
+    setTvPower(true);
+    showIosMenuControlsHintOnce();
+  }
+  return; // 🔒 stop here
+}
+
+// ✅ TV ON -> BACK / MENU buttons still work immediately
+if (uv && handleTvChromeButtonTapFromUv(uv)) {
+  return; // 🔒 stop here
+}
+
+// ✅ TV ON -> CONTENT VIEWER states must still use direct tap logic
+// Restore left/right navigation, center tap actions, and double-tap fullscreen.
+// MUSIC rows only remember the touched row here; pointerup plays or scrolls.
+if (
+  uv &&
+  (tvUiState === "PHOTO" ||
+   tvUiState === "VIDEO" ||
+   tvUiState === "3D MODEL" ||
+   tvUiState === "MUSIC")
+) {
+  handleIOSTvTap(uv);
+  return; // 🔒 stop here
+}
+
+// ✅ TV ON -> only MENU and SUBCATEGORY_MENU use locked-highlight confirmation
+tvTouchStartUiState = tvUiState;
+tvTouchStartMenuIndex = menuIndex;
+tvTouchStartSubcategoryIndex = subcategoryIndex;
+
+if (tvUiState === "MENU" && tvSocialHoverId) {
+  tvTouchStartTargetKind = "social";
+  tvTouchStartSocialId = tvSocialHoverId;
+} else {
+  tvTouchStartTargetKind = "menu-item";
+  tvTouchStartSocialId = null;
+}
+
+try { renderer.domElement.setPointerCapture(e.pointerId); } catch {}
+
+return; // 🔒 stop here
+
+  return; // 🔒 CRITICAL: nothing below runs
+}
+
+if (hitIsLamp(hit)) {
+  playLampAudio();
+
+  lampMood = (lampMood + 1) % 2; // 0<->1
+
+  // turn NV on immediately, no delayed blue transition
+  setNightVision(lampMood === 1);
+
+  applyLampMood(lampMood);
+  updateLampHintText();
+  saveRoomStateSoon();
+
+  // ✅ show Grim only in lampMood 1, hide in lampMood 0
+  setGrimVisible(lampMood === 1);
+
+  return;
+}
+
+// ✅ Dunkeheit Album click -> open playlist (Safari-safe: open on pointerup)
+if (hitIsDunkeheitAlbum(hit)) {
+  const url = "https://open.spotify.com/playlist/29St0Hbsl7aWEyq7LBV4O6";
+
+  trackSceneClick("dunkeheit_album_click", {
+    object_name: hit.name || "unknown",
+    target_label: "dunkeheit_album",
+    target_type: "external_link",
+  });
+
+  console.log("💿 Dunkeheit_Album hit — queued for pointerup:", url);
+  pendingExternalUrl = url;
+  return;
+}
+
+// ✅ ALL DVD click -> open Gummo link (Safari-safe: open on pointerup)
+if (hitIsAllDVD(hit)) {
+  const url = "https://tapemotion.com/en/watch/18415?gummo=";
+
+  trackSceneClick("all_dvd_click", {
+    object_name: hit.name || "unknown",
+    target_label: "all_dvd",
+    target_type: "external_link",
+  });
+
+  console.log("📀 All_DVD hit — queued for pointerup:", url);
+  pendingExternalUrl = url;
+  return;
+}
+
+// ✅ DVD on Player 1 click -> open Decline of Western Civilization (Safari-safe: open on pointerup)
+if (hitIsDVDOnPlayer1(hit)) {
+  const url = "https://tapemotion.com/en/watch/21137?the-decline-of-western-civilization=";
+
+  trackSceneClick("dvd_on_player1_click", {
+    object_name: hit.name || "unknown",
+    target_label: "dvd_on_player1",
+    target_type: "external_link",
+  });
+
+  console.log("💿 DVD_on_Player1 hit — queued for pointerup:", url);
+  pendingExternalUrl = url;
+  return;
+}
+
+// ✅ Book4 click -> open book link (Safari-safe: open on pointerup)
+if (hitIsBook4(hit)) {
+  const url = "https://welib.org/md5/0516e985137dba6cae48c7e5a0eeb57d";
+
+  trackSceneClick("book4_click", {
+    object_name: hit.name || "unknown",
+    target_type: "external_link",
+    target_label: "book4",
+    target_url: url,
+  });
+
+  console.log("📖 Book4 hit — queued for pointerup:", url);
+  pendingExternalUrl = url;
+  return;
+}
+
+function hitIsPicture1(obj) {
+  let o = obj;
+  while (o) {
+    const n = (o.name || "").toLowerCase();
+    const mn = (o.material?.name || "").toLowerCase();
+    const pn = (o.parent?.name || "").toLowerCase();
+
+    // ✅ match picture plane OR frame OR parent group
+    if (
+      n.includes("picture1") || mn.includes("picture1") || pn.includes("picture1") ||
+      n.includes("picture") || mn.includes("picture")  || pn.includes("picture")
+    ) return true;
+
+    o = o.parent;
+  }
+  return false;
+}
+
+  log("🖱️ HIT:", hit.name, "layer:", hit.layers.mask, "parent:", hit.parent?.name);
+log("💡 lampMeshRef:", lampMeshRef?.name, "layer:", lampMeshRef?.layers?.mask);
+
+
+   // ✅ Press animation target ON (only for the button you clicked)
+if (powerButtonMeshRef && isInHierarchy(hit, powerButtonMeshRef)) {
+  setPressAxisFromHit(powerButtonMeshRef, hitInfo);
+  setPressTarget(powerButtonMeshRef, true);
+}
+
+if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) {
+  if (isTouchDevice() && e.pointerType === "touch") {
+    iosSoloGlow(okButtonMeshRef);
+    markIosRemoteUsed();
+  }
+  markDesktopRemoteUsed();
+  setPressAxisFromHit(okButtonMeshRef, hitInfo);
+  setPressTarget(okButtonMeshRef, true);
+}
+
+if (upArrowMeshRef && isInHierarchy(hit, upArrowMeshRef)) {
+  if (isTouchDevice() && e.pointerType === "touch") {
+    iosSoloGlow(upArrowMeshRef);
+    markIosRemoteUsed();
+  }
+  markDesktopRemoteUsed();
+  setPressAxisFromHit(upArrowMeshRef, hitInfo);
+  setPressTarget(upArrowMeshRef, true);
+}
+
+if (downArrowMeshRef && isInHierarchy(hit, downArrowMeshRef)) {
+  if (isTouchDevice() && e.pointerType === "touch") {
+    iosSoloGlow(downArrowMeshRef);
+    markIosRemoteUsed();
+  }
+  markDesktopRemoteUsed();
+  setPressAxisFromHit(downArrowMeshRef, hitInfo);
+  setPressTarget(downArrowMeshRef, true);
+}
+
+if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
+  if (isTouchDevice() && e.pointerType === "touch") {
+    iosSoloGlow(leftArrowMeshRef);
+    markIosRemoteUsed();
+  }
+
+  markDesktopRemoteUsed();
+  setPressAxisFromHit(leftArrowMeshRef, hitInfo);
+  setPressTarget(leftArrowMeshRef, true);
+}
+
+if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
+  if (isTouchDevice() && e.pointerType === "touch") {
+    iosSoloGlow(rightArrowMeshRef);
+    markIosRemoteUsed();
+  }
+  markDesktopRemoteUsed();
+  setPressAxisFromHit(rightArrowMeshRef, hitInfo);
+  setPressTarget(rightArrowMeshRef, true);
+}
+
+// --------------------------------------------------
+// TV POWER BUTTON
+// --------------------------------------------------
+if (powerButtonMeshRef && isInHierarchy(hit, powerButtonMeshRef)) {
+  console.log("📺 TV Power pressed:", hit.name);
+
+  const turningOn = !tvOn;
+
+  trackSceneClick("power_button_click", {
+    tv_state_before: tvOn ? "on" : "off",
+    tv_state_after: turningOn ? "on" : "off",
+    object_name: hit.name || "unknown",
+  });
+
+  if (turningOn) {
+    // 🔊 TV ON
+    playTvOnSound();
+  } else {
+    // 🔉 TV OFF
+    playTvOffSound();
+  }
+
+  setTvPower(turningOn);
+
+  if (turningOn) {
+    showIosMenuControlsHintOnce();
+  }
+
+  return;
+}
+
+// REMOTE MENU BUTTONS (UP / DOWN / OK)
+// --------------------------------------------------
+if (tvOn && (tvUiState === "MENU" || tvUiState === "SUBCATEGORY_MENU")) {
+  if (downArrowMeshRef && isInHierarchy(hit, downArrowMeshRef)) {
+    trackSceneClick("remote_down_click", {
+      tv_ui_state: tvUiState,
+      object_name: hit.name || "unknown",
+    });
+
+    playRemoteButtonSound();
+    console.log("⬇️ Down arrow pressed");
+    moveMenuSelection(+1);
+    return;
+  }
+
+  if (upArrowMeshRef && isInHierarchy(hit, upArrowMeshRef)) {
+    trackSceneClick("remote_up_click", {
+      tv_ui_state: tvUiState,
+      object_name: hit.name || "unknown",
+    });
+
+    playRemoteButtonSound();
+    console.log("⬆️ Up/Top arrow pressed");
+    moveMenuSelection(-1);
+    return;
+  }
+
+  // LEFT / RIGHT now move across socials when a social icon is selected
+  if (tvUiState === "MENU" && leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
+    const socialIndex = getTvSocialIndexFromHover();
+    if (socialIndex !== -1) {
+      trackSceneClick("remote_left_click", {
+        tv_ui_state: tvUiState,
+        object_name: hit.name || "unknown",
+      });
+
+      playRemoteButtonSound();
+      console.log("⬅️ Left arrow pressed → previous social");
+      moveTvSocialSelection(-1);
+      return;
+    }
+  }
+
+  if (tvUiState === "MENU" && rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
+    const socialIndex = getTvSocialIndexFromHover();
+    if (socialIndex !== -1) {
+      trackSceneClick("remote_right_click", {
+        tv_ui_state: tvUiState,
+        object_name: hit.name || "unknown",
+      });
+
+      playRemoteButtonSound();
+      console.log("➡️ Right arrow pressed → next social");
+      moveTvSocialSelection(+1);
+      return;
+    }
+  }
+
+  if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) {
+    trackSceneClick("remote_ok_click", {
+      tv_ui_state: tvUiState,
+      object_name: hit.name || "unknown",
+    });
+
+    playRemoteButtonSound();
+    console.log("🆗 OK pressed");
+    confirmMenuSelection();
+    return;
+  }
+}
+
+// PHOTO MODE (LEFT / RIGHT to change photos)
+// --------------------------------------------------
+if (tvOn && tvUiState === "PHOTO") {
+  if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
+    trackSceneClick("remote_right_click", {
+      tv_ui_state: tvUiState,
+      object_name: hit.name || "unknown",
+    });
+
+    playRemoteButtonSound();
+    console.log("➡️ Right arrow pressed → next photo");
+    nextPhoto(+1);
+    return;
+  }
+
+  if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
+    trackSceneClick("remote_left_click", {
+      tv_ui_state: tvUiState,
+      object_name: hit.name || "unknown",
+    });
+
+    playRemoteButtonSound();
+    console.log("⬅️ Left arrow pressed → previous photo");
+    nextPhoto(-1);
+    return;
+  }
+}
+
+// VIDEO MODE (OK = play/pause, LEFT/RIGHT = prev/next)
+// --------------------------------------------------
+if (tvOn && tvUiState === "VIDEO") {
+  if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) {
+    trackSceneClick("remote_ok_click", {
+      tv_ui_state: tvUiState,
+      object_name: hit.name || "unknown",
+    });
+
+    playRemoteButtonSound();
+    console.log("🆗 OK pressed → toggle play/pause");
+    toggleVideoPlayPause();
+    drawVideoFrameToTv(); // ✅ refresh overlay text immediately
+    return;
+  }
+
+  if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
+    trackSceneClick("remote_right_click", {
+      tv_ui_state: tvUiState,
+      object_name: hit.name || "unknown",
+    });
+
+    playRemoteButtonSound();
+    console.log("➡️ Right arrow pressed → next video (hold: seek +10s)");
+    beginRemoteSeekHold(+1, () => nextVideo(+1));
+    return;
+  }
+
+  if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
+    trackSceneClick("remote_left_click", {
+      tv_ui_state: tvUiState,
+      object_name: hit.name || "unknown",
+    });
+
+    playRemoteButtonSound();
+    console.log("⬅️ Left arrow pressed → previous video (hold: seek -10s)");
+    beginRemoteSeekHold(-1, () => nextVideo(-1));
+    return;
+  }
+}
+
+// 3D MODEL MODE (OK = play/pause, LEFT/RIGHT = prev/next)
+// --------------------------------------------------
+if (tvOn && tvUiState === "3D MODEL") {
+  if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) {
+    playRemoteButtonSound();
+    console.log("🆗 OK pressed → toggle model play/pause");
+    toggleModelPlayPause();
+    drawModelFrameToTv(); // refresh paused overlay text immediately
+    return;
+  }
+
+  if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) {
+    playRemoteButtonSound();
+    console.log("➡️ Right arrow pressed → next 3D model mp4 (hold: seek +10s)");
+    beginRemoteSeekHold(+1, () => nextModel(+1));
+    return;
+  }
+
+  if (leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef)) {
+    playRemoteButtonSound();
+    console.log("⬅️ Left arrow pressed → previous 3D model mp4 (hold: seek -10s)");
+    beginRemoteSeekHold(-1, () => nextModel(-1));
+    return;
+  }
+
+  // .glb only: UP/DOWN = zoom
+  if (modelMediaType === "glb" && upArrowMeshRef && isInHierarchy(hit, upArrowMeshRef)) {
+    playRemoteButtonSound();
+    console.log("⬆️ Up arrow pressed → zoom in on model");
+    zoomModelViewer(+1);
+    return;
+  }
+
+  if (modelMediaType === "glb" && downArrowMeshRef && isInHierarchy(hit, downArrowMeshRef)) {
+    playRemoteButtonSound();
+    console.log("⬇️ Down arrow pressed → zoom out of model");
+    zoomModelViewer(-1);
+    return;
+  }
+}
+
+// MUSIC (UP/DOWN = playlist rows, OK = play / pause,
+// LEFT/RIGHT on now playing = prev/next track, hold = seek)
+// --------------------------------------------------
+if (tvOn && tvUiState === "MUSIC") {
+  const remoteKey =
+    okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef) ? "ok" :
+    upArrowMeshRef && isInHierarchy(hit, upArrowMeshRef) ? "up" :
+    downArrowMeshRef && isInHierarchy(hit, downArrowMeshRef) ? "down" :
+    leftArrowMeshRef && isInHierarchy(hit, leftArrowMeshRef) ? "left" :
+    rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef) ? "right" :
+    null;
+
+  if (remoteKey) {
+    trackSceneClick(`remote_${remoteKey}_click`, {
+      tv_ui_state: tvUiState,
+      object_name: hit.name || "unknown",
+    });
+
+    playRemoteButtonSound();
+    console.log("🎵 Remote on MUSIC:", remoteKey);
+
+    if (remoteKey === "ok") confirmTvMusicSelection();
+    else if (remoteKey === "up") moveTvMusicSelection(-1);
+    else if (remoteKey === "down") moveTvMusicSelection(+1);
+    else beginTvMusicSeekHold(remoteKey === "right" ? +1 : -1);
+    return;
+  }
+}
+
+// --------------------------------------------------
+// BLUETOOTH SPEAKER
+// --------------------------------------------------
+if (speakerMeshRef && isInHierarchy(hit, speakerMeshRef)) {
+  const now = performance.now();
+  const isDouble = now - lastClickTime < DOUBLE_CLICK_MS;
+  lastClickTime = now;
+
+  trackSceneClick("speaker_click", {
+    click_type: isDouble ? "double" : "single",
+    object_name: hit.name || "unknown",
+  });
+
+  // 🔓 make sure audio is unlocked on the same user click
+  await unlockAudioOnce();
+
+    speakerPulseKick = 0.35;
+
+  if (isDouble) {
+    console.log("🔁 Speaker double click → next song");
+    await nextTrack(true); // force play
+  } else {
+    console.log("▶️/⏸ Speaker click → play / pause");
+    await togglePlayPause();
+  }
+
+  return;
+}
+
+}
+
+// ============================================================
+// ✅ POINTER UP (EDIT 2): detect swipe vs tap on TV screen (iOS)
+// Paste this OUTSIDE onPointerDown, directly after it ends.
+// ============================================================
+async function onPointerUp(e) {
+  // ✅ end iOS horizontal camera drag first
+if (
+  isTouchDevice() &&
+  IOS_CAM_DRAG.enabled &&
+  iosCamDragActive &&
+  e.pointerId === iosCamDragPointerId
+) {
+  iosCamDragActive = false;
+  iosCamDragPointerId = null;
+
+  clearTimeout(iosQualityRestoreTimer);
+  iosQualityRestoreTimer = setTimeout(() => {
+    setIOSInteractionQuality(false);
+  }, 50);
+
+  // if it was a camera drag, do not also treat it like a tap
+  // BUT if a TV touch gesture is active, let the TV swipe logic handle it
+  if (iosCamDragged && !tvTouchActive) {
+    iosCamDragged = false;
+    clearAllButtonPresses();
+    return;
+  }
+  }
+
+  if (!tvTouchActive) return;
+    // consume any camera-drag flag now that this gesture belongs to the TV UI
+  iosCamDragged = false;
+  tvTouchActive = false;
+
+  // ✅ If we just tapped the MENU button on iOS, ignore this pointerup
+if (tvIgnoreNextPointerUp) {
+  tvIgnoreNextPointerUp = false;
+  return;
+}
+
+  try {
+    if (tvTouchPointerId != null)
+      renderer.domElement.releasePointerCapture(tvTouchPointerId);
+  } catch {}
+  tvTouchPointerId = null;
+
+  // ignore if overlays are open
+  if (overlayOpen || videoOverlayOpen || modelOverlayOpen) return;
+
+  // only applies while TV is ON and in MENU
+if (!tvOn) return;
+if (tvUiState !== "MENU" && tvUiState !== "SUBCATEGORY_MENU" && tvUiState !== "MUSIC") return;
+
+  const dx = e.clientX - tvTouchStartX;
+  const dy = e.clientY - tvTouchStartY;
+
+  const adx = Math.abs(dx);
+  const ady = Math.abs(dy);
+
+  const dtMs = performance.now() - tvTouchStartT;
+
+  const isTap =
+    adx <= TV_TAP_MAX_PX &&
+    ady <= TV_TAP_MAX_PX;
+    
+
+  const isSwipe =
+    dtMs <= TV_SWIPE_MAX_MS &&
+    (adx >= TV_SWIPE_MIN_PX || ady >= TV_SWIPE_MIN_PX);
+
+  // ✅ MUSIC list: vertical swipe scrolls, tap plays the touched row
+  if (tvUiState === "MUSIC") {
+    finishTvMusicTouch(isTap, isSwipe && ady > adx ? dy : 0);
+    return;
+  }
+
+      // ✅ If finger-drag already changed the highlighted TV selection,
+  // releasing should NOT open anything. User will tap next to confirm.
+  if (tvTouchDragSelectMoved) {
+    tvTouchDragSelectMoved = false;
+    return;
+  }
+
+      // ✅ Swipe changes MENU selection
+  if (isSwipe) {
+    const socialIndex =
+      tvUiState === "MENU" ? getTvSocialIndexFromHover() : -1;
+
+    // --------------------------------------------------
+    // ✅ If we're already on the social row:
+    // - horizontal swipe moves across socials
+    // - vertical swipe up goes back to 3D MODEL
+    // - vertical swipe down does nothing
+    // --------------------------------------------------
+    if (socialIndex !== -1) {
+      // horizontal intent: give x movement priority once on social row
+      if (adx >= 18) {
+        if (dx > 0) selectTvSocialByIndex(socialIndex + 1);
+        else        selectTvSocialByIndex(socialIndex - 1);
+        return;
+      }
+
+      // vertical up returns to main menu selection
+      if (dy < 0) {
+        moveMenuSelection(-1);
+        return;
+      }
+
+      // vertical down while already on socials = no-op
+      return;
+    }
+
+    // --------------------------------------------------
+    // Otherwise keep existing menu/subcategory swipe behavior
+    // --------------------------------------------------
+    if (adx > ady) {
+      // left/right swipe
+      if (dx > 0) moveMenuSelection(+1);
+      else        moveMenuSelection(-1);
+    } else {
+      // up/down swipe
+      if (dy > 0) moveMenuSelection(+1);
+      else        moveMenuSelection(-1);
+    }
+    return;
+  }
+
+if (isTap) {
+  // ✅ If this touch started when TV was OFF, ignore this first pointerup.
+  // This prevents “tap to power on” from instantly entering PHOTO.
+  if (tvTouchStartedWhileOff) {
+    tvTouchStartedWhileOff = false;
+    return;
+  }
+
+  // ✅ iOS uses the LOCKED selection from touch-start
+  if (isTouchDevice()) {
+    confirmLockedTvTouchSelection();
+    return;
+  }
+
+  // desktop / fallback behavior
+  if (tvUiState === "MENU" && tvSocialHoverId) {
+    const selectedSocial = TV_SOCIAL_ITEMS.find(
+      (item) => item.id === tvSocialHoverId
+    );
+
+    if (selectedSocial) {
+      activateTvSocialHit(selectedSocial);
+      return;
+    }
+  }
+
+  confirmMenuSelection();
+  return;
+}
+
+}
+
+// ============================================================
+// ✅ POINTER CANCEL SAFETY (EDIT 2)
+// ============================================================
+function onPointerCancel() {
+  tvTouchActive = false;
+  tvTouchDragSelectMoved = false;
+
+    tvTouchStartUiState = null;
+  tvTouchStartMenuIndex = -1;
+  tvTouchStartSubcategoryIndex = -1;
+  tvTouchStartTargetKind = "none";
+  tvTouchStartSocialId = null;
+  tvTouchStartedWhileOff = false;
+  tvTouchPointerId = null;
+
+  iosCamDragActive = false;
+  iosCamDragPointerId = null;
+  iosCamDragged = false;
+
+  clearTimeout(iosQualityRestoreTimer);
+iosQualityRestoreTimer = setTimeout(() => {
+  setIOSInteractionQuality(false);
+}, 250);
+
+  setHoverKey(null);
+  clearAllButtonGlows();
+  clearAllButtonPresses();
+}
+
+// ============================================================
+// ✅ POINTER EVENTS (EDIT 2): hook down/up/cancel to canvas
+// ============================================================
+renderer.domElement.addEventListener("pointerdown", onPointerDown);
+renderer.domElement.addEventListener("pointerup", onPointerUp);
+renderer.domElement.addEventListener("pointerleave", onPointerCancel);
+renderer.domElement.addEventListener("pointercancel", onPointerCancel);
+
+startIosRemotePulse();
+
+// ============================================================
+// ✅ TOUCH: STOP ROOM SOUNDS when user leaves the browser / tab goes inactive
+// - ambience, lamp + chirp always stop
+// - the playlist only carries on while the page is hidden (lock screen,
+//   see MEDIA SESSION); blur / pagehide stop it like before
+// ============================================================
+const TOUCH_LEAVE_BLUR_MS = 400; // locking blurs first, then hides the page
+
+let touchLeaveBlurTimer = null;
+
+if (isTouchDevice()) {
+  // 1) Tab/app goes background / screen locks (most reliable)
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden) return;
+    clearTimeout(touchLeaveBlurTimer);
+    touchLeaveBlurTimer = null;
+    stopRoomSoundsBecauseUserLeft({ music: false });
+  });
+
+  // 2) Safari navigates away / app switcher / close tab
+  window.addEventListener("pagehide", () => {
+    stopRoomSoundsBecauseUserLeft();
+  });
+
+  // 3) Extra safety: when window loses focus (but stays visible)
+  window.addEventListener("blur", () => {
+    clearTimeout(touchLeaveBlurTimer);
+    touchLeaveBlurTimer = setTimeout(() => {
+      touchLeaveBlurTimer = null;
+      if (!document.hidden) stopRoomSoundsBecauseUserLeft();
+    }, TOUCH_LEAVE_BLUR_MS);
+  });
+}
+
+renderer.domElement.addEventListener("pointerup", () => {
+  // ✅ If something was queued on pointerdown, open it now
+  if (pendingExternalUrl) {
+    const url = pendingExternalUrl;
+    pendingExternalUrl = null;
+
+    console.log("✅ pointerup — opening queued URL:", url);
+    openExternal(url);
+
+    clearAllButtonPresses();
+    return;
+  }
+
+  clearAllButtonPresses();
+}, { passive: true });
+
+window.addEventListener("pointercancel", () => {
+  clearAllButtonPresses();
+});
+
+renderer.domElement.addEventListener("pointermove", (e) => {
+  if (!isTouchDevice()) return;
+  if (!IOS_CAM_DRAG.enabled) return;
+  if (!iosCamDragActive) return;
+  if (e.pointerId !== iosCamDragPointerId) return;
+  if (tvTouchActive) return; // ✅ TV drag-select owns this gesture
+  if (overlayOpen || videoOverlayOpen || modelOverlayOpen) return;
+  if (isIOSPortraitBlocked()) return;
+
+  const dx = e.clientX - iosCamDragStartClientX;
+
+  if (Math.abs(dx) > 4) {
+    iosCamDragged = true;
+  }
+
+const nextOffset =
+  iosCamDragStartOffsetX - dx * IOS_CAM_DRAG.pxToWorld;
+
+  iosCamUserOffsetXTarget = THREE.MathUtils.clamp(
+    nextOffset,
+    IOS_CAM_DRAG.minOffsetX,
+    IOS_CAM_DRAG.maxOffsetX
+  );
+}, { passive: true });
+
+renderer.domElement.addEventListener("pointermove", (e) => {
+  if (!isTouchDevice()) return;
+  if (!tvTouchActive) return;
+  if (e.pointerId !== tvTouchPointerId) return;
+  if (!tvOn) return;
+  if (tvUiState !== "MENU" && tvUiState !== "SUBCATEGORY_MENU") return;
+  if (overlayOpen || videoOverlayOpen || modelOverlayOpen) return;
+  if (isIOSPortraitBlocked()) return;
+
+  if (!setPointerFromEvent(e)) return;
+
+  raycaster.setFromCamera(pointer, camera);
+
+  let hits = [];
+  if (interactivesRootRef) {
+    hits = raycaster.intersectObject(interactivesRootRef, true);
+  }
+  if (!hits.length) {
+    hits = raycaster.intersectObject(anchor, true);
+  }
+  if (!hits.length) return;
+
+  const tvHit =
+    tvScreenMeshRef
+      ? hits.find(h => isInHierarchy(h.object, tvScreenMeshRef))
+      : null;
+
+  if (!tvHit || !tvHit.uv) return;
+
+  const pos = getTvCanvasPxPyFromUv(tvHit.uv);
+  if (!pos) return;
+
+  const moved = updateIOSTvDragSelectionFromCanvasPos(
+    pos.px,
+    pos.py,
+    pos.w,
+    pos.h
+  );
+
+  if (moved) {
+    tvTouchDragSelectMoved = true;
+    iosCamDragged = false; // ✅ this gesture is a TV selection drag, not camera drag
+  }
+}, { passive: true });
+
+// ============================================================
+// HOVER DETECTION (TV fullscreen hint + Speaker play hint)
+// ============================================================
+
+renderer.domElement.addEventListener("pointermove", (e) => {
+  if (isIOSPortraitBlocked()) return;
+
+  if (iosCamDragActive) {
+    setHoverKey(null);
+    clearAllButtonGlows();
+    clearAllButtonPresses();
+    return;
+  }
+
+  if (overlayOpen || videoOverlayOpen || modelOverlayOpen) {
+    setHoverKey(null);
+    clearAllButtonGlows();
+    clearAllButtonPresses();
+    return;
+  }
+
+
+  if (!setPointerFromEvent(e)) {
+    setHoverKey(null);
+    clearAllButtonGlows();
+    clearAllButtonPresses();
+    return;
+  }
+
+  raycaster.setFromCamera(pointer, camera);
+
+  let hits = [];
+if (interactivesRootRef) {
+  hits = raycaster.intersectObject(interactivesRootRef, true);
+}
+if (!hits.length) {
+  hits = raycaster.intersectObject(anchor, true);
+}
+if (!hits.length) {
+  setHoverKey(null);
+  clearAllButtonGlows();
+  clearAllButtonPresses();
+  return;
+}
+
+// ✅ Picture1 hover must check ALL hits (frame/glass may be closer)
+const picHoverHit = hits.find(h => hitIsPicture1(h.object));
+const hoveringPicture1AllHits = !!picHoverHit;
+
+// ✅ Prefer TV hit for hover too (prevents remote glow while over TV)
+const tvHoverHit =
+  (tvScreenMeshRef && hits.length)
+    ? hits.find(h => isInHierarchy(h.object, tvScreenMeshRef))
+    : null;
+
+const hit = (tvHoverHit ?? hits[0]).object;
+
+const socialTikTokHoverHit = hits.find(
+  h => socialTikTokMeshRef && isInHierarchy(h.object, socialTikTokMeshRef)
+);
+
+if (socialTikTokHoverHit) {
+  setHoverKey("tiktok");
+  clearAllButtonGlows();
+  clearAllButtonPresses();
+  setGlowTarget(socialTikTokMeshRef, true, REMOTE_GLOW_COLOR);
+  return;
+}
+
+const socialInstagramHoverHit = hits.find(
+  h => socialInstagramMeshRef && isInHierarchy(h.object, socialInstagramMeshRef)
+);
+
+if (socialInstagramHoverHit) {
+  setHoverKey("instagram");
+  clearAllButtonGlows();
+  clearAllButtonPresses();
+  setGlowTarget(socialInstagramMeshRef, true, REMOTE_GLOW_COLOR);
+  return;
+}
+
+const socialContactHoverHit = hits.find(
+  h => socialContactMeshRef && isInHierarchy(h.object, socialContactMeshRef)
+);
+
+if (socialContactHoverHit) {
+  setHoverKey("contact");
+  clearAllButtonGlows();
+  clearAllButtonPresses();
+  setGlowTarget(socialContactMeshRef, true, REMOTE_GLOW_COLOR);
+  return;
+}
+
+const socialYoutubeHoverHit = hits.find(
+  h => socialYoutubeMeshRef && isInHierarchy(h.object, socialYoutubeMeshRef)
+);
+
+if (socialYoutubeHoverHit) {
+  setHoverKey("youtube");
+  clearAllButtonGlows();
+  clearAllButtonPresses();
+  setGlowTarget(socialYoutubeMeshRef, true, REMOTE_GLOW_COLOR);
+  return;
+}
+
+// ✅ if we are no longer hovering a social button, force their glow OFF immediately
+setGlowTarget(socialTikTokMeshRef, false, REMOTE_GLOW_COLOR);
+setGlowTarget(socialInstagramMeshRef, false, REMOTE_GLOW_COLOR);
+setGlowTarget(socialContactMeshRef, false, REMOTE_GLOW_COLOR);
+setGlowTarget(socialYoutubeMeshRef, false, REMOTE_GLOW_COLOR);
+
+// ============================================================
+// ✅ DESKTOP: hover over MENU rows to change selection (flawless)
+// Only runs for mouse, only while tvUiState === "MENU"
+// Uses the TV hit UV (NOT hits[0]) and locks V flip once detected.
+// ============================================================
+if (
+  tvOn &&
+  tvUiState === "MENU" &&
+  e.pointerType === "mouse" &&
+  tvScreenMeshRef &&
+  tvHoverHit &&
+  tvHoverHit.uv
+) {
+  const uv = tvHoverHit.uv;
+
+  const w = tvCanvas.width;
+  const h = tvCanvas.height;
+
+  let u = uv.x * (tvTex.repeat?.x ?? 1) + (tvTex.offset?.x ?? 0);
+  let v = uv.y * (tvTex.repeat?.y ?? 1) + (tvTex.offset?.y ?? 0);
+
+  u = ((u % 1) + 1) % 1;
+  v = ((v % 1) + 1) % 1;
+
+  const px = u * w;
+  const py = v * h;
+
+  const socialHit = getTvSocialHit(px, py, w, h);
+
+  // ----------------------------------------------------------
+  // social icon hovered
+  // ----------------------------------------------------------
+  if (socialHit) {
+    if (tvSocialHoverId !== socialHit.id) {
+      tvSocialHoverId = socialHit.id;
+      blinkT0 = performance.now();
+      drawTvMenu();
+    }
+    return;
+  }
+
+  // ----------------------------------------------------------
+  // no social icon hovered anymore
+  // ----------------------------------------------------------
+  let needsRedraw = false;
+
+  if (tvSocialHoverId !== null) {
+    tvSocialHoverId = null;
+    needsRedraw = true;
+  }
+
+  const layout = getTvMenuLayout("MENU");
+  const startY = getMenuStartY(MENU_ITEMS.length, layout.listCenterY, layout.gapY);
+  const gapY = layout.gapY;
+  const n = MENU_ITEMS.length;
+
+  const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+  const idx = clamp(Math.round((py - startY) / gapY), 0, n - 1);
+
+  if (idx !== menuIndex) {
+    menuIndex = idx;
+    blinkT0 = performance.now();
+    needsRedraw = true;
+  }
+
+  if (needsRedraw) {
+    drawTvMenu();
+  }
+}
+
+// ============================================================
+// ✅ DESKTOP: hover over SUBCATEGORY rows (stable)
+// ============================================================
+if (
+  tvOn &&
+  tvUiState === "SUBCATEGORY_MENU" &&
+  e.pointerType === "mouse" &&
+  tvScreenMeshRef &&
+  tvHoverHit &&
+  tvHoverHit.uv
+) {
+  const uv = tvHoverHit.uv;
+
+  const w = tvCanvas.width;
+  const h = tvCanvas.height;
+
+  let u = uv.x * (tvTex.repeat?.x ?? 1) + (tvTex.offset?.x ?? 0);
+  let v = uv.y * (tvTex.repeat?.y ?? 1) + (tvTex.offset?.y ?? 0);
+
+  u = ((u % 1) + 1) % 1;
+  v = ((v % 1) + 1) % 1;
+
+  const pyA = v * h;
+  const pyB = (1 - v) * h;
+
+  // MUST exactly match drawTvSubcategoryMenu()
+  const items = SUBCATEGORY_ITEMS[tvParentCategory] || [];
+const layout = getTvMenuLayout("SUBCATEGORY_MENU");
+const startY = getMenuStartY(items.length, layout.listCenterY, layout.gapY);
+const gapY = layout.gapY;
+
+  const n = items.length;
+  if (!n) return;
+
+  const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+
+  const idxA = clamp(Math.round((pyA - startY) / gapY), 0, n - 1);
+  const idxB = clamp(Math.round((pyB - startY) / gapY), 0, n - 1);
+
+  const centerA = startY + idxA * gapY;
+  const centerB = startY + idxB * gapY;
+
+  const distA = Math.abs(pyA - centerA);
+  const distB = Math.abs(pyB - centerB);
+
+  if (tvSubcategoryHoverFlipV == null) {
+    tvSubcategoryHoverFlipV = distB < distA;
+  }
+
+  const py =
+  (tvParentCategory === "VIDEO" || tvParentCategory === "3D MODEL")
+    ? (tvSubcategoryHoverFlipV ? pyA : pyB)
+    : (tvSubcategoryHoverFlipV ? pyB : pyA);
+  const idx = clamp(Math.round((py - startY) / gapY), 0, n - 1);
+
+  if (idx !== subcategoryIndex) {
+    subcategoryIndex = idx;
+    blinkT0 = performance.now();
+    drawTvSubcategoryMenu();
+  }
+}
+
+// ============================================================
+// ✅ DESKTOP: hover over MUSIC playlist rows
+// (same UV mapping as the click, so hover and click agree)
+// ============================================================
+if (
+  tvOn &&
+  tvUiState === "MUSIC" &&
+  tvMusicView === "list" &&
+  e.pointerType === "mouse" &&
+  tvHoverHit &&
+  tvHoverHit.uv
+) {
+  const pos = getTvCanvasPxPyFromUv(tvHoverHit.uv);
+  const row = pos ? getTvMusicRowAt(pos.px, pos.py, pos.w, pos.h) : -1;
+
+  if (row !== -1 && row !== tvMusicIndex) {
+    tvMusicIndex = row;
+    drawTvMusic();
+  }
+}
+
+// ============================================================
+// ✅ DESKTOP: hover over media-page side arrows (CORRECT SPOT)
+// ============================================================
+tvLeftArrowHover = false;
+tvRightArrowHover = false;
+
+if (
+  tvOn &&
+  (tvUiState === "PHOTO" || tvUiState === "VIDEO" || tvUiState === "3D MODEL") &&
+  e.pointerType === "mouse" &&
+  tvScreenMeshRef &&
+  tvHoverHit &&
+  tvHoverHit.uv
+) {
+  const uv = tvHoverHit.uv;
+
+  const w = tvCanvas.width;
+  const h = tvCanvas.height;
+
+  let u = uv.x * (tvTex.repeat?.x ?? 1) + (tvTex.offset?.x ?? 0);
+  let v = uv.y * (tvTex.repeat?.y ?? 1) + (tvTex.offset?.y ?? 0);
+
+  u = ((u % 1) + 1) % 1;
+  v = ((v % 1) + 1) % 1;
+
+  const px = u * w;
+  const pyA = v * h;
+  const pyB = (1 - v) * h;
+
+  const leftArrowX = w * 0.05;
+  const rightArrowX = w * 0.95;
+  const arrowY = h * 0.52;
+
+  const hitHalfW = 28;
+  const hitHalfH = 44;
+
+  const overLeftA =
+    Math.abs(px - leftArrowX) <= hitHalfW &&
+    Math.abs(pyA - arrowY) <= hitHalfH;
+
+  const overLeftB =
+    Math.abs(px - leftArrowX) <= hitHalfW &&
+    Math.abs(pyB - arrowY) <= hitHalfH;
+
+  const overRightA =
+    Math.abs(px - rightArrowX) <= hitHalfW &&
+    Math.abs(pyA - arrowY) <= hitHalfH;
+
+  const overRightB =
+    Math.abs(px - rightArrowX) <= hitHalfW &&
+    Math.abs(pyB - arrowY) <= hitHalfH;
+
+  if (overLeftA || overLeftB) {
+    tvLeftArrowHover = true;
+  } else if (overRightA || overRightB) {
+    tvRightArrowHover = true;
+  }
+
+  // ⭐ FORCE REDRAW (THIS is what you were asking about)
+  if (tvUiState === "PHOTO" && photoImage) {
+    drawPhotoToTv(photoImage);
+  }
+  else if (tvUiState === "VIDEO" && videoReady && !tvVideoSuppressed) {
+    drawVideoFrameToTv();
+  }
+  else if (tvUiState === "3D MODEL" && modelReady && !tvModelSuppressed) {
+    drawModelToTv();
+  }
+}
+
+const hoveringTvScreen = !!(tvScreenMeshRef && isInHierarchy(hit, tvScreenMeshRef));
+
+let hoveringTv = false;
+let hoveringSpeaker = false;
+let hoveringPower = false;
+let hoveringCigarette = false;
+let hoveringOk = false;
+let hoveringUp = false;
+let hoveringDown = false;
+let hoveringLeft = false;
+let hoveringRight = false;
+let hoveringLamp = false;
+let hoveringAllDvd = false;
+let hoveringDvdPlayer1 = false;
+let hoveringBook4 = false;
+let hoveringDogTag1 = false;
+let hoveringDunkeheitAlbum = false;
+let hoveringBoard2 = false;
+let hoveringDoor4 = false;
+let hoveringPicture1 = false;
+let hoveringWall = false; 
+
+  if (hitIsLamp(hit)) hoveringLamp = true;
+  if (hitIsAllDVD(hit)) hoveringAllDvd = true;
+  if (hitIsDVDOnPlayer1(hit)) hoveringDvdPlayer1 = true;
+  if (hitIsBook4(hit)) hoveringBook4 = true;
+  if (hitIsDunkeheitAlbum(hit)) hoveringDunkeheitAlbum = true;
+  if (hitIsDoor4(hit)) hoveringDoor4 = true;
+  if (hoveringPicture1AllHits) hoveringPicture1 = true;
+  if (hitIsDrawWall(hit)) hoveringWall = true;
+
+  // ✅ CRITICAL: TV hover must not allow remote glow at all
+if (hoveringTvScreen) {
+  hoveringPower = false;
+  hoveringOk = false;
+  hoveringUp = false;
+  hoveringDown = false;
+  hoveringLeft = false;
+  hoveringRight = false;
+
+  // optional: hard kill glows instantly
+  clearAllButtonGlows();
+  clearAllButtonPresses();
+}
+
+if (tvScreenMeshRef && isInHierarchy(hit, tvScreenMeshRef)) {
+  hoveringTv = true;
+}
+
+ // ---------------------------------------------
+// MENU hover detection (robust)
+// ---------------------------------------------
+ const prevMenuHover = menuHover;
+const prevBackHover = backHover;
+const prevInfoHover = infoHover;
+menuHover = false;
+backHover = false;
+infoHover = false;
+
+if (
+  tvOn &&
+  (
+    tvUiState === "PHOTO" ||
+    tvUiState === "VIDEO" ||
+    tvUiState === "3D MODEL" ||
+    tvUiState === "SUBCATEGORY_MENU"
+  ) &&
+  tvScreenMeshRef &&
+  isInHierarchy(hit, tvScreenMeshRef) &&
+  (tvHoverHit ?? hits[0]).uv
+) {
+  const uv = (tvHoverHit ?? hits[0]).uv;
+
+  const w = tvCanvas.width;
+  const h = tvCanvas.height;
+
+  let u = uv.x * (tvTex.repeat?.x ?? 1) + (tvTex.offset?.x ?? 0);
+  let v = uv.y * (tvTex.repeat?.y ?? 1) + (tvTex.offset?.y ?? 0);
+
+  u = ((u % 1) + 1) % 1;
+  v = ((v % 1) + 1) % 1;
+
+  const px = u * w;
+  const pyA = v * h;
+  const pyB = (1 - v) * h;
+
+  const BTN = getTvMenuBtn();
+  const bx = w - BTN.pad - BTN.w;
+  const by = BTN.pad;
+
+  const inBtnA = px >= bx && px <= bx + BTN.w && pyA >= by && pyA <= by + BTN.h;
+  const inBtnB = px >= bx && px <= bx + BTN.w && pyB >= by && pyB <= by + BTN.h;
+
+  menuHover = (inBtnA || inBtnB);
+
+  const BACK = getTvBackBtn();
+const backX = BACK.pad;
+const backY = BACK.pad;
+
+const inBackA =
+  px >= backX && px <= backX + BACK.w &&
+  pyA >= backY && pyA <= backY + BACK.h;
+
+const inBackB =
+  px >= backX && px <= backX + BACK.w &&
+  pyB >= backY && pyB <= backY + BACK.h;
+
+backHover = tvUiState !== "MENU" && (inBackA || inBackB);
+
+infoHover = isTvInfoBtnHit(px, pyA, w, h);
+}
+
+if (menuHover !== prevMenuHover || backHover !== prevBackHover || infoHover !== prevInfoHover) {
+  if (tvOn && tvUiState === "SUBCATEGORY_MENU") {
+    drawTvSubcategoryMenu();
+  } else if (tvOn && tvUiState === "PHOTO" && photoImage) {
+    drawPhotoToTv(photoImage);
+  } else if (tvOn && tvUiState === "3D MODEL" && modelMediaType === "image" && modelImageEl && modelReady) {
+    drawPhotoToTv(modelImageEl);
+  }
+  // VIDEO + 3D video redraw continuously, so no need here
+}
+
+  // Speaker hint (anytime speaker exists)
+  if (speakerMeshRef && isInHierarchy(hit, speakerMeshRef)) {
+    hoveringSpeaker = true;
+  }
+
+  // Cigarette hover hint
+if (cigaretteRoot && isInHierarchy(hit, cigaretteRoot)) {
+  hoveringCigarette = true;
+}
+
+    // Power hint (anytime power button exists)
+  if (powerButtonMeshRef && isInHierarchy(hit, powerButtonMeshRef)) {
+    hoveringPower = true;
+  }
+
+    // Remote button hints (only when TV is ON)
+  if (tvOn) {
     if (okButtonMeshRef && isInHierarchy(hit, okButtonMeshRef)) hoveringOk = true;
     if (upArrowMeshRef && isInHierarchy(hit, upArrowMeshRef)) hoveringUp = true;
     if (downArrowMeshRef && isInHierarchy(hit, downArrowMeshRef)) hoveringDown = true;
@@ -10211,2514 +14329,4822 @@ if (cigaretteRoot && isInHierarchy(hit, cigaretteRoot)) {
     if (rightArrowMeshRef && isInHierarchy(hit, rightArrowMeshRef)) hoveringRight = true;
   }
 
-  // ------------------------------------------------------------
-  // ✅ NEW: Decide ONE hover key (priority order), then auto-hide it
-  // ------------------------------------------------------------
-  let nextKey = null;
+  // ------------------------------------------------------------
+  // ✅ NEW: Decide ONE hover key (priority order), then auto-hide it
+  // ------------------------------------------------------------
+  let nextKey = null;
+
+  if (hoveringCigarette) nextKey = "smoke";
+  if (hoveringSpeaker) nextKey = "speaker";
+  else if (hoveringPower) nextKey = "power";
+  else if (hoveringLamp) nextKey = "lamp";
+  else if (hoveringAllDvd) nextKey = "alldvd";
+  else if (hoveringDvdPlayer1) nextKey = "dvdplayer1";
+  else if (hoveringBook4) nextKey = "book4";
+  else if (hoveringDunkeheitAlbum) nextKey = "dogtag1";
+  else if (hoveringDoor4) nextKey = "door4";
+  else if (hoveringPicture1) nextKey = "picture1";
+  else if (hoveringWall) nextKey = "wall";
+  else if (hoveringOk) nextKey = "ok";
+  else if (hoveringUp) nextKey = "up";
+  else if (hoveringDown) nextKey = "down";
+  else if (hoveringLeft) nextKey = "left";
+  else if (hoveringRight) nextKey = "right";
+  else if (hoveringTv) nextKey = "tv";
+
+    // ------------------------------------------------------------
+  // ✅ HOVER GLOW targets (does not affect your hint logic)
+  // ------------------------------------------------------------
+  setGlowTarget(powerButtonMeshRef, hoveringPower, POWER_GLOW_COLOR);
+
+  setGlowTarget(okButtonMeshRef,    hoveringOk,   REMOTE_GLOW_COLOR);
+  setGlowTarget(upArrowMeshRef,     hoveringUp,   REMOTE_GLOW_COLOR);
+  setGlowTarget(downArrowMeshRef,   hoveringDown, REMOTE_GLOW_COLOR);
+  setGlowTarget(leftArrowMeshRef,   hoveringLeft, REMOTE_GLOW_COLOR);
+  setGlowTarget(rightArrowMeshRef,  hoveringRight,REMOTE_GLOW_COLOR);
+
+  setHoverKey(nextKey);
+});
+
+// ✅ if cursor leaves the canvas, clear hover + force all glows off
+renderer.domElement.addEventListener("pointerleave", () => {
+
+clearAllButtonPresses();
+
+  setHoverKey(null);
+
+  setGlowTarget(powerButtonMeshRef, false, POWER_GLOW_COLOR);
+  setGlowTarget(okButtonMeshRef,    false, REMOTE_GLOW_COLOR);
+  setGlowTarget(upArrowMeshRef,     false, REMOTE_GLOW_COLOR);
+  setGlowTarget(downArrowMeshRef,   false, REMOTE_GLOW_COLOR);
+  setGlowTarget(leftArrowMeshRef,   false, REMOTE_GLOW_COLOR);
+  setGlowTarget(rightArrowMeshRef,  false, REMOTE_GLOW_COLOR);
+});
+
+    
+function setupNightLights(maxDim) {
+  // --- main warm lamp key (rect area) ---
+  const lampKey = new THREE.RectAreaLight(
+  0xffffff, // temporary
+  18,
+  maxDim * 0.12,
+  maxDim * 0.18
+);
+
+// 🔧 Desaturate lamp color 15%
+lampKey.color.setHex(0xffe2c6);
+lampKey.color.offsetHSL(0, -0.15, 0);
+
+  lampKey.position.set(maxDim * 0.27, maxDim * 0.03, maxDim * 0.14);
+  lampKey.lookAt(maxDim * 0.05, maxDim * -0.10, 0);
+  scene.add(lampKey);
+
+  // --- shadow caster (warm spotlight) ---
+  const lampShadow = new THREE.SpotLight(0xffe2c6, 75);
+  lampShadow.position.copy(lampKey.position);
+  lampShadow.target.position.set(maxDim * 0.05, maxDim * -0.12, 0);
+
+  lampShadow.angle = Math.PI / 5.5;
+  lampShadow.penumbra = 0.95;
+  lampShadow.decay = 2;
+  lampShadow.distance = maxDim *0.9;
+
+  lampShadow.castShadow = true;
+  lampShadow.userData.baseShadowMapSize = isIOS ? 2048 : 4096;
+  applyShadowMapQuality(lampShadow); // capped by the quality tier
+  lampShadow.shadow.radius = 6;
+  lampShadow.shadow.bias = -0.00004;
+  lampShadow.shadow.normalBias = 0.02;
+
+  scene.add(lampShadow);
+  scene.add(lampShadow.target);
+
+  // --- RIGHT SIDE PUSH (general warm push) ---
+  const rightPush = new THREE.SpotLight(
+    0xffc07a,
+    160,
+    maxDim * 4.0,
+    Math.PI / 9,
+    0.95,
+    2
+  );
+
+// NEW: keep rightPush tight so it doesn't wash the whole room
+rightPush.intensity = 0;
+rightPush.distance = maxDim * 1.2;
+rightPush.angle = Math.PI / 14;
+rightPush.penumbra = 0.8;
+
+
+  rightPush.castShadow = true;
+  rightPush.shadow.bias = -0.00003;
+  rightPush.shadow.normalBias = 0.02;
+  rightPush.position.set(maxDim * 0.55, maxDim * 0.25, maxDim * 0.30);
+  rightPush.target.position.set(maxDim * 0.10, maxDim * -0.10, 0);
+  scene.add(rightPush);
+  scene.add(rightPush.target);
+
+ const pinRight = new THREE.PointLight(0xffd2a1, 2500, maxDim * 1.2, 2);
+pinRight.position.set(maxDim * 0.60, maxDim * 0.18, maxDim * 0.35);
+pinRight.castShadow = false;
+
+// NEW: make pin light affect ONLY objects on LAYER_PIN
+pinRight.layers.set(LAYER_PIN);
+
+scene.add(pinRight);
+
+  // --- TV/cool fill (Layer 2 only) ---
+  const tvFill = new THREE.RectAreaLight(
+    0xd9ecff,
+    0.55,
+    maxDim * 0.28,
+    maxDim * 0.18
+  );
+  tvFill.position.set(maxDim * -0.02, maxDim * -0.03, maxDim * 0.16);
+  tvFill.lookAt(0, maxDim * -0.10, 0);
+  tvFill.layers.set(LAYER_ACCENT);
+  scene.add(tvFill);
+
+  // --- remote boost (Layer 2 only) ---
+  const remoteBoost = new THREE.SpotLight(0xfff1df, isIOS ? 95 : 45);
+  remoteBoost.angle = Math.PI / 10;
+  remoteBoost.penumbra = 1.0;
+  remoteBoost.decay = 2;
+  remoteBoost.distance = maxDim * 3.0; // IMPORTANT: more reach
+  remoteBoost.castShadow = false;
+  remoteBoost.layers.set(LAYER_ACCENT);
+  scene.add(remoteBoost);
+  scene.add(remoteBoost.target);
+
+  // --- skateboard accent (Layer 2 only) ---
+  const skateAccent = new THREE.SpotLight(0xffe6c6, 140);
+  skateAccent.angle = Math.PI / 7;
+  skateAccent.penumbra = 1.0;
+  skateAccent.decay = 2;
+  skateAccent.distance = maxDim * 4.0; // IMPORTANT: more reach
+  skateAccent.castShadow = false;
+  skateAccent.layers.set(LAYER_ACCENT);
+  scene.add(skateAccent);
+  scene.add(skateAccent.target);
+
+  const underShelfUp = new THREE.SpotLight(0xffd6a1, 350);
+
+  underShelfUp.angle = Math.PI / 7;
+  underShelfUp.penumbra = 0.8;
+  underShelfUp.decay = 2;
+  underShelfUp.distance = maxDim * 1.2;
+
+  underShelfUp.castShadow = true;
+  underShelfUp.userData.baseShadowMapSize = isIOS ? 1024 : 2048;
+  applyShadowMapQuality(underShelfUp);
+  underShelfUp.shadow.bias = -0.00003;
+  underShelfUp.shadow.normalBias = 0.02;
+
+  scene.add(underShelfUp);
+  scene.add(underShelfUp.target);
+
+  // ============================================================
+// ✅ SHELF CAVITY FILL (adds depth separation)
+// ============================================================
+const shelfFill = new THREE.RectAreaLight(
+  0xd9ecff,
+  isIOS ? 0.5 : 0.35,
+  maxDim * 0.55,
+  maxDim * 0.22
+);
+
+// place it inside/near the shelf cavity, aimed outward
+shelfFill.position.set(maxDim * -0.06, maxDim * 0.10, maxDim * 0.10);
+shelfFill.lookAt(maxDim * -0.02, maxDim * 0.06, maxDim * -0.10);
+
+// ✅ only affect your accent layer so it doesn't wash walls
+shelfFill.layers.set(LAYER_ACCENT);
+scene.add(shelfFill);
+
+  return { lampKey, lampShadow, rightPush, pinRight, tvFill, remoteBoost, skateAccent, underShelfUp, shelfFill };
+}
+
+// ============================================================
+// ✅ TV MENU INDEX + iOS GESTURE HELPERS
+// ============================================================
+const TV_TABS = ["PHOTO", "VIDEO", "3D MODEL"];
+let tvMenuIndex = 0; // 0=PHOTO,1=VIDEO,2=3D MODEL
+
+function setTvMenuIndex(i) {
+  const n = TV_TABS.length;
+  tvMenuIndex = ((i % n) + n) % n;
+  // redraw highlight immediately if menu is showing
+  if (tvOn && tvUiState === "MENU") drawTvMenu();
+}
+
+function enterCurrentTvTab() {
+  const next = TV_TABS[tvMenuIndex];
+  tvUiState = next;
+
+  // kick off lazy loads using your existing logic
+  if (tvUiState === "PHOTO") {
+    if (!photoImage && !photoLoading) loadPhotoAt(photoIndex);
+  }
+  // VIDEO + 3D MODEL already handled in your animate redraw logic
+}
+
+function turnOnTvToMenu() {
+  tvOn = true;
+  tvUiState = "MENU";
+  drawTvMenu();
+}
+
+// ============================================================
+// TEXTURE + MATERIALS
+// ============================================================
+const tl = new THREE.TextureLoader();
+const texCache = new Map();
+const maxAniso =
+  MOBILE_PROFILE.maxAniso ?? (renderer.capabilities.getMaxAnisotropy?.() ?? 1);
+
+function loadTexture(path, { srgb = false } = {}) {
+  const key = `${path}__${srgb ? "srgb" : "lin"}`;
+  if (texCache.has(key)) return texCache.get(key);
+
+  const __endTex = __beginAsset(path);
+
+const t = tl.load(
+  path,
+  () => __endTex(),
+  undefined,
+  () => __endTex()
+);
+
+  t.flipY = false;
+  if (srgb) t.colorSpace = THREE.SRGBColorSpace;
+
+  t.anisotropy = maxAniso;
+  t.minFilter = THREE.LinearMipmapLinearFilter;
+  t.magFilter = THREE.LinearFilter;
+
+  texCache.set(key, t);
+  return t;
+}
+
+function loadSRGB(path) {
+  return loadTexture(path, { srgb: true });
+}
+function loadLinear(path) {
+  return loadTexture(path, { srgb: false });
+}
+
+function makePBR({ albedo, normal, roughness, metalness, ao }, opts = {}) {
+  return new THREE.MeshStandardMaterial({
+    map: albedo ? loadSRGB(albedo) : null,
+    normalMap: normal ? loadLinear(normal) : null,
+    roughnessMap: roughness ? loadLinear(roughness) : null,
+    metalnessMap: metalness ? loadLinear(metalness) : null,
+    aoMap: ao ? loadLinear(ao) : null,
+    roughness: opts.roughness ?? 1.0,
+    metalness: opts.metalness ?? 0.0,
+    side: THREE.DoubleSide,
+  });
+}
+
+// ✅ ADD THIS DIRECTLY UNDER makePBR()
+function makeTransparentPBR({ albedo, normal }, opts = {}) {
+  const alphaTex = albedo ? loadLinear(albedo) : null; // use PNG alpha
+
+  return new THREE.MeshStandardMaterial({
+    map: albedo ? loadSRGB(albedo) : null,
+    normalMap: normal ? loadLinear(normal) : null,
+
+    transparent: true,        // ✅ REQUIRED
+    alphaMap: alphaTex,       // ✅ READS alpha from your PNG
+    opacity: opts.opacity ?? 1.0,
+    depthWrite: false,        // ✅ helps transparency sort issues
+
+    roughness: opts.roughness ?? 0.05,
+    metalness: opts.metalness ?? 0.0,
+    side: THREE.DoubleSide,
+  });
+}
+
+
+function darkenMaterial(
+  mat,
+  { env = 0.0, rough = 1.0, colorMul = 0.85 } = {}
+) {
+  if (!mat) return mat;
+
+  if ("envMapIntensity" in mat) mat.envMapIntensity = env;
+  if ("roughness" in mat) mat.roughness = Math.min(mat.roughness ?? 1.0, rough);
+  if (mat.color) mat.color.multiplyScalar(colorMul);
+
+  mat.needsUpdate = true;
+  return mat;
+}
+
+function tuneStaticSceneMaterial(mat, meshName = "") {
+  if (!mat) return mat;
+
+  const n = String(meshName || "").toLowerCase();
+
+  // clone so edits stay isolated
+  mat = mat.clone();
+
+  // base response: reduce flat environment wash
+  if ("envMapIntensity" in mat) mat.envMapIntensity = 0.02;
+
+  if ("metalness" in mat) {
+    mat.metalness = Math.min(mat.metalness ?? 0.0, 0.08);
+  }
+
+  if ("roughness" in mat) {
+    mat.roughness = Math.max(mat.roughness ?? 1.0, 0.72);
+  }
+
+  if (mat.color) {
+    mat.color = mat.color.clone();
+    mat.color.multiplyScalar(0.92);
+  }
+
+  // walls
+  if (n.includes("wall")) {
+    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.01;
+    if ("roughness" in mat) mat.roughness = Math.max(mat.roughness ?? 1.0, 0.88);
+    if (mat.color) mat.color.multiplyScalar(1.04);
+  }
+
+  // wood / shelves / cabinet
+  if (n.includes("cab") || n.includes("wood") || n.includes("shelf")) {
+    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.015;
+    if ("roughness" in mat) mat.roughness = Math.max(mat.roughness ?? 1.0, 0.82);
+    if (mat.color) mat.color.multiplyScalar(0.96);
+  }
+
+  // TV
+  if (n.includes("tv")) {
+    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.035;
+    if ("roughness" in mat) mat.roughness = Math.max(0.45, Math.min(mat.roughness ?? 1.0, 0.78));
+    if ("metalness" in mat) mat.metalness = Math.min(mat.metalness ?? 0.0, 0.18);
+  }
+
+  // cloth / blanket / bed
+  if (
+    n.includes("blanket") ||
+    n.includes("bed") ||
+    n.includes("cloth") ||
+    n.includes("fabric")
+  ) {
+    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.0;
+    if ("roughness" in mat) mat.roughness = Math.max(mat.roughness ?? 1.0, 0.95);
+    if ("metalness" in mat) mat.metalness = 0.0;
+  }
+
+  // remote
+ if (n.includes("remote")) {
+  if ("envMapIntensity" in mat) mat.envMapIntensity = 0.0;
+  if ("roughness" in mat) mat.roughness = 1.0;
+  if ("metalness" in mat) mat.metalness = 0.0;
+}
+
+  // small metal accents / frames / knobs
+  if (
+    n.includes("frame") ||
+    n.includes("metal") ||
+    n.includes("handle") ||
+    n.includes("knob")
+  ) {
+    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.05;
+    if ("roughness" in mat) mat.roughness = Math.max(0.35, Math.min(mat.roughness ?? 1.0, 0.68));
+    if ("metalness" in mat) mat.metalness = Math.min(Math.max(mat.metalness ?? 0.0, 0.10), 0.30);
+  }
+
+  mat.needsUpdate = true;
+  return mat;
+}
+
+const fallbackMat = new THREE.MeshStandardMaterial({
+  color: 0xffffff,
+  roughness: 0.8,
+  metalness: 0.0,
+  side: THREE.DoubleSide,
+});
+
+// 3 example materials (replace mesh names + paths with yours)
+const materials = {
+
+  cabnet: makePBR(
+    {
+      albedo: "./assets/Textures/TV Stand/TV Stand Albeto3.jpg",
+      normal: "./assets/Textures/Main Cabnet/Main Cabnet Normal.jpg",
+      //ao:"./assets/Textures/Main Cabnet/Main Cabnet AO.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0 }
+  ),
+
+  //MAIN OBJECTS
+pasted_remote: (() => {
+  const mat = makePBR(
+    {
+      albedo: "./assets/Textures/Remote/Main object/Remote Albeto.jpg",
+    },
+    { roughness: 0.9, metalness: 0.0 }
+  );
+
+  // slight brightness lift so it stays readable against the bed
+  mat.color.multiplyScalar(0.75);
+
+  mat.color.lerp(new THREE.Color(0xaaa39a), 0.08);
+
+  return mat;
+})(),
+
+ TV_Box2: makePBR({
+    albedo: "./assets/Textures/TV Box/TV Box Albeto.jpg",
+    },
+    { roughness: 0.5, metalness: 0.0}
+),
+
+TV_stand: makePBR({
+    albedo: "./assets/Textures/TV Stand/TV Stand Albeto3.jpg",
+    ao: "./assets/Textures/TV Stand/TV Stand AO.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+    //ALL DVD's
+
+  All_DVD: (() => {
+  const m = makePBR(
+    {
+      albedo: "./assets/Textures/DVD's/All DVD albeto.jpg",
+    },
+    { metalness: 0.0, roughness: 0.78 }
+  );
+
+  m.color.multiplyScalar(1.22);
+  m.color.lerp(new THREE.Color(0xffffff), 0.08);
+  m.envMapIntensity = 0.55;
+
+  return m;
+})(),
+
+    DVD_on_Player1: makePBR(
+    {
+      albedo: "./assets/Textures/DVD's/Dec of West/DVD5 Albeto.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+    DVD_on_Player2: makePBR(
+    {
+      albedo: "./assets/Textures/DVD's/DVD 22 Akira/DVD22 Albeto.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+//Cigarettes
+
+ Cig2: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig2 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig3: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig3 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig4: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig4 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig5: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig5 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig6: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig6 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig7: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig7 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig8: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig8 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig9: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig9 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig10: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig10 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig11: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig11 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig12: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig12 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Cig13: makePBR({
+    albedo: "./assets/Textures/Cigarettes/Cig13 Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+front_wall1: (() => {
+  const m = makePBR(
+    {
+      albedo: "./assets/Textures/Walls/Front Wall/Front Wall12 Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 0.94 }
+  );
+
+  m.color.multiplyScalar(1.04);
+  m.color.lerp(new THREE.Color(0xffffff), 0.015);
+  m.envMapIntensity = 0.05;
+
+  return m;
+})(),
+
+    front_wall2: makePBR(
+    {
+      albedo: "./assets/Textures/Walls/Front Wall/Front Wall10 Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 2.0 }
+  ),
+
+  Left_wall1: makePBR(
+    {
+      albedo: "./assets/Textures/Walls/Left Wall/Left Wall Albeto.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+  Floor1: makePBR(
+    {
+      albedo: "./assets/Textures/Floor/Floor Albedo2.jpg",
+    },
+    { metalness: 0.0, roughness: 1.0 }
+  ),
+
+Door4: (() => {
+  const m = makePBR(
+    {
+      albedo: "./assets/Textures/new door/New Door Albedo1.jpg",
+      normal: "./assets/Textures/new door/New Door Normal1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0 }
+  );
+
+  m.color.setHex(0xeee6d6);
+  m.color.multiplyScalar(1.03);
+  m.color.b *= 1.4;
+
+  return m;
+})(),
+
+
+    //DECORATIVE ELEMENTS
+  Cardboard_Box: makePBR(
+    {
+      albedo: "./assets/Textures/Cardboard Box/Cardboard Box Albeto.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+  Mask1: makePBR(
+    {
+      albedo: "./assets/Textures/Mask/Mask Albeto1.jpg",
+    },
+    { metalness: 0.0, roughness: 1.0 }
+  ),
+
+  Book4: makePBR(
+    {
+      albedo: "./assets/Textures/Books/Book2 Albeto1.jpg",
+    },
+    { metalness: 0.0, roughness: 1.0 }
+  ),
+
+  Book3: makePBR(
+    {
+      albedo: "./assets/Textures/Books/Book1 Albeto1.jpg",
+    },
+    { metalness: 0.0, roughness: 1.0 }
+  ),
+
+ AXE3: makePBR({
+    albedo: "./assets/Textures/AXE/AXE Albeto2.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Digi_Cam2: makePBR({
+    albedo: "./assets/Textures/Digi Cam/Digi Cam Albeto1.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+ Dunkeheit_Album: (() => {
+  const m = makePBR(
+    {
+      albedo: "./assets/Textures/Album/Album Albedo2.jpg",
+    },
+    { roughness: 0.72, metalness: 0.0 }
+  );
+
+  m.color.multiplyScalar(1.22);
+  m.color.lerp(new THREE.Color(0xffffff), 0.06);
+  m.envMapIntensity = 0.55;
+
+  return m;
+})(),
+
+ Sony_Handicam1: makePBR({
+    albedo: "./assets/Textures/Sony Handicam/Sony Handicam Albeto2.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+ Top_of_thailand_box: makePBR({
+    albedo: "./assets/Textures/Thailand Box/Thailand Box Albeto2.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Thailand_box: makePBR({
+    albedo: "./assets/Textures/Thailand Box/Thailand Box Albeto2.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Headphones1: makePBR({
+    albedo: "./assets/Textures/Headphones/Headphones Albeto.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+ Tank4: makePBR({
+    albedo: "./assets/Textures/Tank/Tank Albeto.jpg",
+    },
+    { roughness: 0.3, metalness: 0.0}
+),
+
+ DvD_player: makePBR({
+    albedo: "./assets/Textures/DVD Player/DVD Player Albeto.jpg",
+    },
+    { roughness: 0.5, metalness: 0.0}
+),
+
+ Dusty_Beer_2: makePBR({
+    albedo: "./assets/Textures/Dusty Beer Bottle/Dusty Beer Bottle Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+Dusty_Beer_1: makePBR({
+    albedo: "./assets/Textures/Dusty Beer Bottle/Dusty Beer Bottle Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+power_box: makePBR({
+    albedo: "./assets/Textures/Power Box/Power Box Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+Power_Box_Cables: makePBR({
+    albedo: "./assets/Textures/Power Box/Power Box Cable Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+ash_tray: makePBR({
+    albedo: "./assets/Textures/Ash Tray/Ash Tray Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.5}
+),
+
+Glass_Cup3: makeTransparentPBR({
+    albedo: "./assets/Textures/Glass/Glass Cup Albedo.png",
+    },
+    { roughness: 0.0, metalness: 0.0, opacity: 0.1,}
+),
+
+Glass_Cup4: makeTransparentPBR({
+    albedo: "./assets/Textures/Glass/Glass Cup Albedo.png",
+    },
+    { roughness: 0.0, metalness: 0.0, opacity: 0.1,}
+),
+
+Cabnet_Laches: makePBR({
+    albedo: "./assets/Textures/Cabnet Laches/Cabnet Laches Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+Dog_Tag1: makePBR({
+    albedo: "./assets/Textures/Dog Tag Necklace/Dog Tag Albeto1.jpg",
+    },
+    { roughness: 0.2, metalness: 0.0}
+),
+
+Washer: makePBR({
+    albedo: "./assets/Textures/Dog Tag Necklace/Washer Albeto1.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+Chain: makePBR({
+    albedo: "./assets/Textures/Dog Tag Necklace/Chain Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.01}
+),
+
+All_Cartridges: makePBR({
+    albedo: "./assets/Textures/Cartridges/Cartridges Albedo.jpg",
+    },
+    { roughness: 0.8, metalness: 0.0}
+),
+
+Bed1: (() => {
+  const mat = makePBR(
+    {
+      albedo: "./assets/Textures/Bed/Bed Albedo2.jpg",
+    },
+    { roughness: 0.92, metalness: 0.0 }
+  );
+
+  mat.color.multiplyScalar(1.08);
+  mat.color.lerp(new THREE.Color(0xffffff), 0.025);
+  mat.envMapIntensity = 0.1;
+
+  return mat;
+})(),
+
+  // SKETCHBOOK
+  Sheets_Spine: makePBR(
+    {
+      albedo: "./assets/Textures/Sketchbook/Everything else.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0 }
+  ),
+
+Top_Sheet: makePBR(
+  {
+    albedo: "./assets/Textures/Sketchbook/Top Page11.jpg",
+  },
+  {
+    roughness: 1.0,        // already good (max matte)
+    metalness: 0.0,
+    color: 0xb0b0b0,       // keep your darker tone
+    envMapIntensity: 0.04  // 🔥 THIS is the big one
+  }
+),
+
+Frame: makePBR({
+    albedo: "./assets/Textures/Frame/Frame Albedo1.jpg",
+ 
+    },
+    { roughness: 1.0, metalness: 0.5}
+),
+
+ Bug_1: makePBR(
+    {
+      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+  Bug_2: makePBR(
+    {
+      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+  Bug_3: makePBR(
+    {
+      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+  Bug_4: makePBR(
+    {
+      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+  Bug_5: makePBR(
+    {
+      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+  Bug_6: makePBR(
+    {
+      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+  Bug_7: makePBR(
+    {
+      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+  Bug_8: makePBR(
+    {
+      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
+    },
+    { metalness: 0.0, roughness: 0.0 }
+  ),
+
+cabnet_hinge3: (() => {
+
+  // 1️⃣ Create the material
+  const m = makePBR(
+    {
+      albedo: "./assets/Textures/Hinge/Hinge Albeto1.jpg",
+    },
+    { roughness: 0.9, metalness: 0.2}
+  );
+
+  // 2️⃣ DARKEN IT HERE 👇 (THIS is where multiplyScalar goes)
+  m.color.multiplyScalar(0.37);
+
+  // 3️⃣ Optional: subtle reflection
+  m.envMapIntensity = 0.10;
+
+  // 4️⃣ Return finished material
+  return m;
+
+})(),
+
+cabnet_hinge4: (() => {
+
+  // 1️⃣ Create the material
+  const m = makePBR(
+    {
+      albedo: "./assets/Textures/Hinge/Hinge Albeto1.jpg",
+    },
+    { roughness: 0.9, metalness: 0.2 }
+  );
+
+  // 2️⃣ DARKEN IT HERE 👇 (THIS is where multiplyScalar goes)
+  m.color.multiplyScalar(0.37);
+
+  // 3️⃣ Optional: subtle reflection
+  m.envMapIntensity = 0.10;
+
+  // 4️⃣ Return finished material
+  return m;
+
+})(),
+
+cabnet_hinge5: (() => {
+
+  // 1️⃣ Create the material
+  const m = makePBR(
+    {
+      albedo: "./assets/Textures/Hinge/Hinge Albeto1.jpg",
+    },
+    { roughness: 0.9, metalness: 0.2 }
+  );
+
+  // 2️⃣ DARKEN IT HERE 👇 (THIS is where multiplyScalar goes)
+  m.color.multiplyScalar(0.2);
+
+  // 3️⃣ Optional: subtle reflection
+  m.envMapIntensity = 0.05;
+
+  // 4️⃣ Return finished material
+  return m;
+
+})(),
+
+
+Green_Beer_Bottle1: makePBR({
+    albedo: "./assets/Textures/Green Bottle/Green bottle Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+White_VCR_Cable: makePBR({
+    albedo: "./assets/Textures/VCR Cords/White VCR Albeto.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+Red_VCR_Cable: makePBR({
+    albedo: "./assets/Textures/VCR Cords/Red VCR Albeto.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+Yellow_VCR_Cable: makePBR({
+    albedo: "./assets/Textures/VCR Cords/Yellow VCR Albeto.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+Black_VCR_Cable: makePBR({
+    albedo: "./assets/Textures/VCR Cords/Black VCR Cable Albeto.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+Blade: makePBR({
+    albedo: "./assets/Textures/Knife/Knife Albeto1.jpg",
+    },
+    { roughness: 0.3, metalness: 0.1}
+),
+
+Handle: makePBR({
+    albedo: "./assets/Textures/Knife/Knife Handle Albeto.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+Board2: makePBR({
+    albedo: "./assets/Textures/Skateboard/Board Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.2}
+),
+
+Grinding_Treck2: makePBR({
+    albedo: "./assets/Textures/Skateboard/Treck Grinder Albeto2.jpg",
+    },
+    { roughness: 1.0, metalness: 0.5}
+),
+
+Grinding_Teck1: makePBR({
+    albedo: "./assets/Textures/Skateboard/Treck Grinder Albeto2.jpg",
+    },
+    { roughness: 1.0, metalness: 0.5}
+),
+
+Right_Wheel2: makePBR({
+    albedo: "./assets/Textures/Skateboard/Right Wheel Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+Right_Wheel1: makePBR({
+    albedo: "./assets/Textures/Skateboard/Right Wheel Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+Left_Wheel: makePBR({
+    albedo: "./assets/Textures/Skateboard/Left Wheel Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+Left_Wheel1: makePBR({
+    albedo: "./assets/Textures/Skateboard/Left Wheel Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.0}
+),
+
+Top_of_Treck: makePBR({
+    albedo: "./assets/Textures/Skateboard/Top of Treck Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.5}
+),
+
+Top_of_Treck1: makePBR({
+    albedo: "./assets/Textures/Skateboard/Top of Treck Albeto1.jpg",
+    },
+    { roughness: 1.0, metalness: 0.5}
+),
+
+Picture1: (() => {
+  const m = makePBR(
+    { albedo: "./assets/Textures/Picture/01_Picture1.jpg" },
+    { roughness: 0.95, metalness: 0.0 }
+  );
+
+  // ✅ stop reflections from washing it out / killing contrast
+  m.envMapIntensity = 0.0;
+
+  // ✅ bring “life” back without making it neon
+  m.emissive = new THREE.Color(0xffffff);
+  m.emissiveIntensity = 0.07; // 🔥 tweak 0.15–0.35
+
+  return m;
+})(),
+
+Picture_Frame: makePBR({
+    albedo: "./assets/Textures/Picture/Picture Frame Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+Lamp1: (() => {
+  const m = makePBR(
+    { albedo: "./assets/Textures/Lamp/Lamp Albeto.jpg" },
+    { roughness: 1.0, metalness: 0.0 }
+  );
+
+  // emission glow BUT texture stays visible
+  m.emissive = new THREE.Color(0xffb45a);      // warm glow color
+  m.emissiveIntensity = 2.0;                  // keep low so texture still shows
+  m.emissive.offsetHSL(0, -0.07, 0);
+  m.emissiveMap = m.map;                       // uses the lamp texture as the glow pattern
+  m.toneMapped = true;
+  return m;
+})(),
+
+
+Treck_Screw4: makePBR({
+    albedo: "./assets/Textures/Skateboard/Treck screw.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0}
+),
+
+Shoelase: makePBR({
+    albedo: "./assets/Textures/Shoelace/Shoelace Albeto.jpg",
+    },
+    { roughness: 0.2, metalness: 0.0}
+),
+
+//INTERACTIVE MATERIALS
+
+BluetoothSpeaker: (() => {
+  const m = makePBR(
+    {
+      albedo: "./assets/Textures/Speaker/Speaker Albeto7.jpg",
+    },
+    { roughness: 0.72, metalness: 0.05 }
+  );
+
+  m.color.multiplyScalar(1.0);
+  m.color.lerp(new THREE.Color(0xffffff), 0.035);
+  m.envMapIntensity = 0.05;
+
+  return m;
+})(),
+
+  Left_Button_Remote: makePBR(
+{
+      albedo: "./assets/Textures/Remote/Left Arrow Button/Left Arrow Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.2 }
+  ),
+
+ Ok_Button_Remote2: makePBR(
+{
+      albedo: "./assets/Textures/Remote/Ok Button/Ok Button Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0 }
+  ),
+
+   Right_Button_Remote: makePBR(
+{
+      albedo: "./assets/Textures/Remote/Right Button/Right Arrow Albeto.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0 }
+  ),
+
+  Power_Button_Remote: makePBR(
+{
+      albedo: "./assets/Textures/Remote/Power Button/Power Button Albeto1.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0 }
+  ),
+
+     Down_Arrow_Button: makePBR(
+{
+      albedo: "./assets/Textures/Remote/Down Arrow Button/Down Arrow Button Albedo.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0 }
+  ),
+
+    Top_Arrow_Button: makePBR(
+{
+      albedo: "./assets/Textures/Remote/Top Arrow Button/Top Arrow Button Albedo.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0 }
+  ),
+
+   TV_Screen: makePBR(
+{
+      albedo: "./assets/Textures/TV Screen/TV Screen Albeto.jpg",
+      normal: "./assets/Textures/TV Screen/TV Screen Normal.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0 }
+  ),
+
+     Food_Bowl: makePBR(
+{
+      albedo: "./assets/Textures/Food/Food albedo1.jpg",
+    },
+    { roughness: 0.2, metalness: 0.0 }
+  ),
+  
+     Foot: makePBR(
+{
+      albedo: "./assets/Textures/Foot/Foot albedo.jpg",
+    },
+    { roughness: 0.9, metalness: 0.0 }
+  ),
+
+       Toe_Nail: makePBR(
+{
+      albedo: "./assets/Textures/Foot/Toe albedo.jpg",
+    },
+    { roughness: 0.3, metalness: 0.0 }
+  ),
+  
+       Garbage_Bag: makePBR(
+{
+      albedo: "./assets/Textures/Garbage/Garbage albedo1.jpg",
+    },
+    { roughness: 0.0, metalness: 0.0 }
+  ),
+  
+       Grim_reaper: makePBR(
+{
+      albedo: "./assets/Textures/Angel/Angel albedo",
+      normal: "./assets/Textures/Angel/Angel Normal.jpg",
+    },
+    { roughness: 0.5, metalness: 0.0 }
+  ),
+  
+       Rag1: makePBR(
+{
+      albedo: "./assets/Textures/Rag/Dirty Rag Albedo2.jpg",
+    },
+    { roughness: 0.3, metalness: 0.0 }
+  ),
+
+       Underwear2: makePBR(
+{
+      albedo: "./assets/Textures/Underwear/Underwear2.jpg",
+    },
+    { roughness: 0.2, metalness: 0.0 }
+  ),
+
+  
+};
+
+materials.cabnet.color.setScalar(0.65);
+materials.TV_stand.color.setScalar(0.75);
+
+const cigaretteFilterMat = makePBR(
+  {
+    albedo: "./assets/Textures/New Cigarette Folder/Cig Filter Albeto.jpg",
+  },
+  { roughness: 1.0, metalness: 0.0 }
+);
+
+const cigaretteTobaccoMat = makePBR(
+  {
+    albedo: "./assets/Textures/New Cigarette Folder/Cig Tobacco Albeto.jpg",
+  },
+  { roughness: 1.0, metalness: 0.0 }
+);
+
+function makeBurnBandTexture(size = 256) {
+  const c = document.createElement("canvas");
+  c.width = size;
+  c.height = size;
+  const ctx = c.getContext("2d");
+
+  // base horizontal band
+ const g = ctx.createLinearGradient(0, 0, size, 0);
+g.addColorStop(0.00, "rgba(0,0,0,0.0)");
+g.addColorStop(0.10, "rgba(20,0,0,0.05)");
+g.addColorStop(0.24, "rgba(60,0,0,0.16)");
+g.addColorStop(0.36, "rgba(110,0,0,0.34)");
+g.addColorStop(0.45, "rgba(165,10,0,0.62)");
+g.addColorStop(0.49, "rgba(235,70,12,0.88)");
+g.addColorStop(0.505, "rgba(255,150,45,0.78)");
+g.addColorStop(0.525, "rgba(255,210,120,0.22)");
+g.addColorStop(0.56, "rgba(150,8,0,0.58)");
+g.addColorStop(0.70, "rgba(55,0,0,0.18)");
+g.addColorStop(1.00, "rgba(0,0,0,0.0)");
+
+  ctx.clearRect(0, 0, size, size);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, size, size);
+
+  for (let y = 0; y < size; y++) {
+  const breakChance = Math.random();
+
+  // 🔥 kill parts of the ring (dead ash sections)
+if (breakChance > 0.995)   {
+    ctx.fillStyle = `rgba(0,0,0,${0.35 + Math.random() * 0.4})`;
+    ctx.fillRect(0, y, size, 1);
+    continue;
+  }
+
+  // 🔥 dim uneven areas
+  if (breakChance > 0.985) {
+    ctx.fillStyle = `rgba(0,0,0,${0.15 + Math.random() * 0.25})`;
+    ctx.fillRect(0, y, size, 1);
+  }
+
+  // 🔥 rare hot bright streaks
+  if (Math.random() > 0.92) {
+    ctx.fillStyle = `rgba(255,200,120,${0.12 + Math.random() * 0.18})`;
+    ctx.fillRect(size * (0.45 + Math.random() * 0.1), y, 6, 1);
+  }
+}
+
+  // add a few brighter hot streaks / flecks
+for (let i = 0; i < 14; i++) {
+  const x = size * (0.44 + Math.random() * 0.12);
+  const y = Math.random() * size;
+  const w = 4 + Math.random() * 10;
+  const h = 1 + Math.random() * 3;
+
+  const isHot = Math.random() > 0.72;
+
+ctx.fillStyle = isHot
+  ? `rgba(255,240,170,${0.55 + Math.random() * 0.30})`
+  : `rgba(255,90,20,${0.30 + Math.random() * 0.25})`;
+
+  ctx.fillRect(x, y, w, h);
+}
+
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.flipY = false;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+const ashGlowTex = makeBurnBandTexture();
+
+function makeEmberHaloTexture(size = 256) {
+  const c = document.createElement("canvas");
+  c.width = c.height = size;
+  const ctx = c.getContext("2d");
+
+  const g = ctx.createRadialGradient(
+    size * 0.5, size * 0.5, size * 0.18,
+    size * 0.5, size * 0.5, size * 0.5
+  );
+
+g.addColorStop(0.00, "rgba(0,0,0,0.0)");
+g.addColorStop(0.18, "rgba(80,0,0,0.20)");
+g.addColorStop(0.34, "rgba(180,20,0,0.75)");
+g.addColorStop(0.46, "rgba(255,90,20,1.0)");
+g.addColorStop(0.50, "rgba(255,220,140,1.0)");
+g.addColorStop(0.54, "rgba(255,90,20,1.0)");
+g.addColorStop(0.68, "rgba(180,20,0,0.70)");
+g.addColorStop(0.84, "rgba(80,0,0,0.18)");
+g.addColorStop(1.00, "rgba(0,0,0,0.0)");
+
+  ctx.clearRect(0, 0, size, size);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, size, size);
+
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.flipY = false;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+const emberHaloTex = makeEmberHaloTexture();
+
+function makeSmokeSpriteTexture(size = 128) {
+  const c = document.createElement("canvas");
+  c.width = c.height = size;
+  const ctx = c.getContext("2d");
+
+  ctx.clearRect(0, 0, size, size);
+
+  // build a soft irregular cloud out of overlapping blobs
+  for (let i = 0; i < 14; i++) {
+    const x = size * (0.28 + Math.random() * 0.44);
+    const y = size * (0.18 + Math.random() * 0.64);
+
+    const rx = size * (0.10 + Math.random() * 0.16);
+    const ry = size * (0.06 + Math.random() * 0.14);
+
+    const a = 0.035 + Math.random() * 0.05;
+
+    const g = ctx.createRadialGradient(x, y, 0, x, y, Math.max(rx, ry));
+    g.addColorStop(0.00, `rgba(255,255,255,${a})`);
+    g.addColorStop(0.45, `rgba(235,235,235,${a * 0.7})`);
+    g.addColorStop(1.00, "rgba(0,0,0,0.0)");
+
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate((Math.random() - 0.5) * 1.2);
+    ctx.scale(rx / Math.max(rx, ry), ry / Math.max(rx, ry));
+    ctx.translate(-x, -y);
+
+    ctx.fillStyle = g;
+    ctx.fillRect(x - Math.max(rx, ry), y - Math.max(rx, ry), Math.max(rx, ry) * 2, Math.max(rx, ry) * 2);
+    ctx.restore();
+  }
+
+  // lightly erase the center so it doesn't look like a perfect puff stamp
+  for (let i = 0; i < 6; i++) {
+    const x = size * (0.35 + Math.random() * 0.30);
+    const y = size * (0.25 + Math.random() * 0.50);
+    const r = size * (0.05 + Math.random() * 0.08);
+
+    const cut = ctx.createRadialGradient(x, y, 0, x, y, r);
+    cut.addColorStop(0.00, "rgba(0,0,0,0.06)");
+    cut.addColorStop(1.00, "rgba(0,0,0,0.0)");
+
+    ctx.fillStyle = cut;
+    ctx.fillRect(x - r, y - r, r * 2, r * 2);
+  }
+
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.flipY = false;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+const cigaretteSmokeTex = makeSmokeSpriteTexture();
+
+function getSafeRoomMaxDim() {
+  return Number.isFinite(roomMaxDim) && roomMaxDim > 0 ? roomMaxDim : 10;
+}
+
+function getSmokeScaleUnit() {
+  return Math.max(0.001, getSafeRoomMaxDim() * 0.01);
+}
+
+function getSmokeOffsetUnit() {
+  return Math.max(0.001, getSafeRoomMaxDim() * 0.003);
+}
+
+function ensureSmokeWorldRoot() {
+  if (smokeWorldRoot) return smokeWorldRoot;
+
+  smokeWorldRoot = new THREE.Group();
+  smokeWorldRoot.name = "SmokeWorldRoot";
+  scene.add(smokeWorldRoot);
+
+  return smokeWorldRoot;
+}
+
+function buildFrontWallDrawPlane() {
+  if (wallDrawPlaneRef) return wallDrawPlaneRef;
+
+  wallDrawCanvas = document.createElement("canvas");
+  wallDrawCanvas.width = WALL_DRAW_SIZE;
+  wallDrawCanvas.height = WALL_DRAW_SIZE;
+
+  wallDrawCtx = wallDrawCanvas.getContext("2d");
+  wallDrawCtx.clearRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+  wallDrawCtx.fillStyle = "rgba(0,0,0,0)";
+wallDrawCtx.fillRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+
+  wallDrawTex = new THREE.CanvasTexture(wallDrawCanvas);
+  wallDrawTex.colorSpace = THREE.SRGBColorSpace;
+  wallDrawTex.flipY = true;
+  wallDrawTex.needsUpdate = true;
+
+const wallDrawMat = new THREE.MeshBasicMaterial({
+  map: wallDrawTex,
+  transparent: true,
+  opacity: 1.0,
+  depthTest: true,
+  depthWrite: false,
+  side: THREE.DoubleSide
+});
+
+  const wallDrawGeo = new THREE.PlaneGeometry(1, 1);
+  wallDrawPlaneRef = new THREE.Mesh(wallDrawGeo, wallDrawMat);
+  wallDrawPlaneRef.name = "WallDrawPlane";
+  wallDrawPlaneRef.renderOrder = 0;
+
+  // start disabled so it does NOT block existing interactions
+  wallDrawPlaneRef.raycast = () => {};
+
+  scene.add(wallDrawPlaneRef);
+  registerFrontWallSurface();
+  return wallDrawPlaneRef;
+}
+
+function placeFrontWallDrawPlane(maxDim) {
+  if (!wallDrawPlaneRef) return;
+
+ wallDrawPlaneRef.position.set(
+  maxDim * 0.28,   // X
+  maxDim * -0.17,  // Y
+  maxDim * -0.482   // Z
+);
+
+  wallDrawPlaneRef.rotation.set(0, -0.015, 0);
+
+  wallDrawPlaneRef.scale.set(
+    maxDim * 0.38,    // width
+    maxDim * 0.77,    // height
+    1
+  );
+
+  wallDrawPlaneRef.updateMatrixWorld(true);
+}
+
+function setWallDrawMode(on) {
+  drawMode = on;
+  updateWallToolbarVisibility();
+
+  if (!wallDrawPlaneRef) return;
+
+  if (drawMode) {
+    delete wallDrawPlaneRef.raycast;
+  } else {
+    wallDrawPlaneRef.raycast = () => {};
+    if (isWallDrawing) wallRecEnd();
+    isWallDrawing = false;
+    hasLastWallDrawUv = false;
+    commitWallStroke();
+  }
+}
+
+function toggleWallTool() {
+  // E flips between the eraser and whichever spray tool was last in use
+  setWallTool(wallTool === "eraser" ? wallLastSprayTool : "eraser");
+}
+
+function cycleWallMarkerColor() {
+  if (wallReplay) return;
+  wallMarkerColorIndex = (wallMarkerColorIndex + 1) % WALL_MARKER_COLORS.length;
+  wallMarkerColor = WALL_MARKER_COLORS[wallMarkerColorIndex];
+  console.log(`Wall marker color is now: ${wallMarkerColor}`);
+  syncWallToolbar();
+}
+
+function hexToRgba(hex, alpha) {
+  const h = hex.replace("#", "");
+  const r = parseInt(h.substring(0, 2), 16);
+  const g = parseInt(h.substring(2, 4), 16);
+  const b = parseInt(h.substring(4, 6), 16);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+function hexToRgbObject(hex) {
+  const h = hex.replace("#", "");
+  return {
+    r: parseInt(h.substring(0, 2), 16),
+    g: parseInt(h.substring(2, 4), 16),
+    b: parseInt(h.substring(4, 6), 16),
+  };
+}
+
+function rgbaFromRgbObject(rgb, alpha) {
+  return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${alpha})`;
+}
+
+function getWallPaintRgb(hex) {
+  const h = hex.toUpperCase();
+
+  // white: make it wall-dirty, not digital white
+  if (h === "#FFFFFF") {
+    return { r: 198, g: 190, b: 178 };
+  }
+
+  // black: slightly warm charcoal
+  if (h === "#000000") {
+    return { r: 22, g: 18, b: 16 };
+  }
+
+  // red: darker, dried spray-paint red
+  if (h === "#6D120D") {
+    return { r: 90, g: 18, b: 16 };
+  }
+
+  // blue: much less neon / less clean
+  if (h === "#5D7A91") {
+    return { r: 86, g: 111, b: 126 };
+  }
+
+  // orange: less bright, more dusty
+  if (h === "#E57B36") {
+    return { r: 188, g: 112, b: 58 };
+  }
+
+  // pink: muted pastel, less synthetic
+  if (h === "#B396B7") {
+    return { r: 157, g: 132, b: 162 };
+  }
+
+  // green: darker, dirtier green
+  if (h === "#2A6231") {
+    return { r: 40, g: 84, b: 47 };
+  }
+
+  const rgb = hexToRgbObject(hex);
+
+  return {
+    r: Math.round(rgb.r * 0.82),
+    g: Math.round(rgb.g * 0.80),
+    b: Math.round(rgb.b * 0.78),
+  };
+}
+
+function wallHash2D(x, y) {
+  const s = Math.sin(x * 127.1 + y * 311.7) * 43758.5453123;
+  return s - Math.floor(s);
+}
+
+// seeded per stroke so a recorded stroke replays dab-for-dab (see WALL TIMELAPSE)
+let wallRandomState = (Math.random() * 4294967296) >>> 0;
+
+function seedWallRandom(seed) {
+  wallRandomState = seed >>> 0;
+}
+
+// mulberry32
+function wallRandom() {
+  wallRandomState = (wallRandomState + 0x6D2B79F5) >>> 0;
+  let t = wallRandomState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function wallNoise2D(x, y) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = x0 + 1;
+  const y1 = y0 + 1;
+
+  const sx = x - x0;
+  const sy = y - y0;
+
+  const n00 = wallHash2D(x0, y0);
+  const n10 = wallHash2D(x1, y0);
+  const n01 = wallHash2D(x0, y1);
+  const n11 = wallHash2D(x1, y1);
+
+  const ix0 = n00 + (n10 - n00) * sx;
+  const ix1 = n01 + (n11 - n01) * sx;
+
+  return ix0 + (ix1 - ix0) * sy;
+}
+
+function getWallSurfaceAlpha(x, y) {
+  // small grain
+  const grain = wallNoise2D(x * 0.18, y * 0.18);
+
+  // bigger plaster breakup
+  const plaster = wallNoise2D(x * 0.045, y * 0.045);
+
+  // faint streaking / wall unevenness
+  const streak = wallNoise2D(x * 0.015, y * 0.09);
+
+  let a = 0.78 + grain * 0.16 + plaster * 0.12 + streak * 0.08;
+
+  // clamp
+  if (a < 0.58) a = 0.58;
+  if (a > 1.0) a = 1.0;
+
+  return a;
+}
+
+// size = nozzle (toolbar) × cap; bigger nozzles spread wider and use more dabs
+function sprayDot(x, y, pressure = 1, size = 1) {
+  if (!wallDrawCtx) return;
+
+  const paintRgb = getWallPaintRgb(wallMarkerColor);
+  const opacity = wallPaintOpacity;
+
+  const p = Math.max(1, pressure);
+  const area = size * size;
+const coreCount = Math.round(WALL_SPRAY_CORE_DABS * (0.9 + (p - 1) * 0.55) * area);
+const edgeCount = Math.round(WALL_SPRAY_EDGE_DABS * (0.9 + (p - 1) * 0.45) * area);
+const coreJitter = WALL_SPRAY_JITTER * (0.95 + (p - 1) * 0.55) * size;
+const edgeJitter = WALL_SPRAY_EDGE_JITTER * (0.95 + (p - 1) * 0.60) * size;
+const radiusScale = (1.0 + (p - 1) * 0.55) * Math.sqrt(size);
+const holeScale = (1.0 + (p - 1) * 0.35) * Math.sqrt(size);
+
+  wallDrawCtx.save();
+  wallDrawCtx.globalCompositeOperation = "source-over";
+
+  // --------------------------------------------------
+  // PASS 1: main body of paint
+  // --------------------------------------------------
+  for (let i = 0; i < coreCount; i++) {
+    const angle = wallRandom() * Math.PI * 2;
+    const dist = Math.pow(wallRandom(), 2.35) * coreJitter;
+
+    const dx = Math.cos(angle) * dist;
+    const dy = Math.sin(angle) * dist;
+
+    const px = x + dx;
+    const py = y + dy;
+
+  const r =
+  (WALL_SPRAY_DOT_MIN +
+    wallRandom() * (WALL_SPRAY_DOT_MAX - WALL_SPRAY_DOT_MIN)) *
+  (0.85 + wallRandom() * 0.35) *
+  radiusScale;
+
+    const baseAlpha =
+      WALL_PAINT_ALPHA_MIN +
+      wallRandom() * (WALL_PAINT_ALPHA_MAX - WALL_PAINT_ALPHA_MIN);
+
+    const wallAlpha = getWallSurfaceAlpha(px, py);
+    const alpha = baseAlpha * wallAlpha * opacity;
+
+    wallDrawCtx.fillStyle = rgbaFromRgbObject(paintRgb, alpha);
+    wallDrawCtx.beginPath();
+    wallDrawCtx.arc(px, py, r, 0, Math.PI * 2);
+    wallDrawCtx.fill();
+  }
+
+  // --------------------------------------------------
+  // PASS 2: subtle edge dust
+  // --------------------------------------------------
+ for (let i = 0; i < edgeCount; i++) {
+    const angle = wallRandom() * Math.PI * 2;
+
+    const dist =
+  coreJitter +
+  wallRandom() * (edgeJitter - coreJitter);
+
+    const dx = Math.cos(angle) * dist;
+    const dy = Math.sin(angle) * dist;
+
+    const px = x + dx;
+    const py = y + dy;
+
+    const r = (0.25 + wallRandom() * 0.55) * radiusScale;
+    const wallAlpha = getWallSurfaceAlpha(px, py);
+    const alpha = (0.008 + wallRandom() * 0.012) * wallAlpha * 0.9 * opacity;
+
+    wallDrawCtx.fillStyle = rgbaFromRgbObject(paintRgb, alpha);
+    wallDrawCtx.beginPath();
+    wallDrawCtx.arc(px, py, r, 0, Math.PI * 2);
+    wallDrawCtx.fill();
+  }
+
+  // --------------------------------------------------
+  // PASS 3: minimal distressed breakup
+  // --------------------------------------------------
+  for (let i = 0; i < 10 * area; i++) {
+    if (wallRandom() > WALL_SPRAY_HOLE_CHANCE) continue;
+
+    const angle = wallRandom() * Math.PI * 2;
+    const dist = Math.pow(wallRandom(), 2.2) * coreJitter;
+
+    const dx = Math.cos(angle) * dist;
+    const dy = Math.sin(angle) * dist;
+
+    const px = x + dx;
+    const py = y + dy;
+
+    const r = (0.18 + wallRandom() * 0.30) * holeScale;
+
+    wallDrawCtx.globalCompositeOperation = "destination-out";
+    wallDrawCtx.beginPath();
+    wallDrawCtx.arc(px, py, r, 0, Math.PI * 2);
+    wallDrawCtx.fill();
+    wallDrawCtx.globalCompositeOperation = "source-over";
+  }
+
+  wallDrawCtx.restore();
+}
+
+function drawOnWallAtUV(uv) {
+  if (!wallDrawCtx || !wallDrawTex) return;
+
+  const x = uv.x * WALL_DRAW_SIZE;
+  const y = (1.0 - uv.y) * WALL_DRAW_SIZE;
+
+  markWallDirty(x, y, getWallSpraySize());
+  wallDrawCtx.save();
+
+  if (wallTool === "eraser") {
+    wallDrawCtx.globalCompositeOperation = "destination-out";
+    wallDrawCtx.beginPath();
+    wallDrawCtx.arc(x, y, WALL_ERASER_RADIUS * wallNozzle * wallSurfaceSizeScale, 0, Math.PI * 2);
+    wallDrawCtx.fill();
+  } else {
+  sprayDot(x, y, wallDrawPressure, getWallSpraySize());
+  if (wallTool === "drip") chargeWallDrip(x, y, wallDrawPressure);
+}
+
+  wallDrawCtx.restore();
+  wallDrawTex.needsUpdate = true;
+}
+
+function drawWallLineUV(uvA, uvB) {
+  if (!wallDrawCtx || !wallDrawTex) return;
+  if (isWallUvJump(uvA, uvB)) {
+    drawOnWallAtUV(uvB);
+    return;
+  }
+
+  const x1 = uvA.x * WALL_DRAW_SIZE;
+  const y1 = (1.0 - uvA.y) * WALL_DRAW_SIZE;
+  const x2 = uvB.x * WALL_DRAW_SIZE;
+  const y2 = (1.0 - uvB.y) * WALL_DRAW_SIZE;
 
-  if (hoveringCigarette) nextKey = "smoke";
-  if (hoveringSpeaker) nextKey = "speaker";
-  else if (hoveringPower) nextKey = "power";
-  else if (hoveringLamp) nextKey = "lamp";
-  else if (hoveringAllDvd) nextKey = "alldvd";
-  else if (hoveringDvdPlayer1) nextKey = "dvdplayer1";
-  else if (hoveringBook4) nextKey = "book4";
-  else if (hoveringDunkeheitAlbum) nextKey = "dogtag1";
-  else if (hoveringDoor4) nextKey = "door4";
-  else if (hoveringPicture1) nextKey = "picture1";
-  else if (hoveringWall) nextKey = "wall";
-  else if (hoveringOk) nextKey = "ok";
-  else if (hoveringUp) nextKey = "up";
-  else if (hoveringDown) nextKey = "down";
-  else if (hoveringLeft) nextKey = "left";
-  else if (hoveringRight) nextKey = "right";
-  else if (hoveringTv) nextKey = "tv";
+  const size = getWallSpraySize();
+  markWallDirty(x1, y1, size);
+  markWallDirty(x2, y2, size);
+  wallDrawCtx.save();
 
-    // ------------------------------------------------------------
-  // ✅ HOVER GLOW targets (does not affect your hint logic)
-  // ------------------------------------------------------------
-  setGlowTarget(powerButtonMeshRef, hoveringPower, POWER_GLOW_COLOR);
+  if (wallTool === "eraser") {
+    wallDrawCtx.globalCompositeOperation = "destination-out";
+    wallDrawCtx.lineCap = "round";
+    wallDrawCtx.lineJoin = "round";
+    wallDrawCtx.lineWidth = WALL_ERASER_LINE_WIDTH * wallNozzle * wallSurfaceSizeScale;
 
-  setGlowTarget(okButtonMeshRef,    hoveringOk,   REMOTE_GLOW_COLOR);
-  setGlowTarget(upArrowMeshRef,     hoveringUp,   REMOTE_GLOW_COLOR);
-  setGlowTarget(downArrowMeshRef,   hoveringDown, REMOTE_GLOW_COLOR);
-  setGlowTarget(leftArrowMeshRef,   hoveringLeft, REMOTE_GLOW_COLOR);
-  setGlowTarget(rightArrowMeshRef,  hoveringRight,REMOTE_GLOW_COLOR);
+    wallDrawCtx.beginPath();
+    wallDrawCtx.moveTo(x1, y1);
+    wallDrawCtx.lineTo(x2, y2);
+    wallDrawCtx.stroke();
+  } else {
+   const pressure = wallDrawPressure || WALL_PRESSURE_MIN;
+const dx = x2 - x1;
+const dy = y2 - y1;
+const dist = Math.hypot(dx, dy);
 
-  setHoverKey(nextKey);
-});
+const spacing = (0.8 + wallRandom() * 0.3) * size / Math.max(1, pressure * 0.75);
+const steps = Math.max(1, Math.ceil(dist / spacing));
 
-// ✅ if cursor leaves the canvas, clear hover + force all glows off
-renderer.domElement.addEventListener("pointerleave", () => {
+for (let i = 0; i <= steps; i++) {
+  const t = i / steps;
+  const x = x1 + dx * t;
+  const y = y1 + dy * t;
+  sprayDot(x, y, pressure, size);
+  if (wallTool === "drip") chargeWallDrip(x, y, pressure);
+}
+  }
 
-clearAllButtonPresses();
+  wallDrawCtx.restore();
+  wallDrawTex.needsUpdate = true;
+}
 
-  setHoverKey(null);
+function clearWallDrawing() {
+  if (!wallDrawCtx || !wallDrawTex) return;
+  if (wallReplay && !wallReplayApplying) return; // timelapse owns the wall
 
-  setGlowTarget(powerButtonMeshRef, false, POWER_GLOW_COLOR);
-  setGlowTarget(okButtonMeshRef,    false, REMOTE_GLOW_COLOR);
-  setGlowTarget(upArrowMeshRef,     false, REMOTE_GLOW_COLOR);
-  setGlowTarget(downArrowMeshRef,   false, REMOTE_GLOW_COLOR);
-  setGlowTarget(leftArrowMeshRef,   false, REMOTE_GLOW_COLOR);
-  setGlowTarget(rightArrowMeshRef,  false, REMOTE_GLOW_COLOR);
-});
+  // shared wall: your strokes go for everyone, the echoed state paints the rest back
+  if (!wallReplayApplying && isWallSyncOnline()) wallSyncRemoveOwn(wallRec.strokes, { echo: true });
 
-    
-function setupNightLights(maxDim) {
-  // --- main warm lamp key (rect area) ---
-  const lampKey = new THREE.RectAreaLight(
-  0xffffff, // temporary
-  18,
-  maxDim * 0.12,
-  maxDim * 0.18
-);
+  recordWallClear(); // undoable + recorded
 
-// 🔧 Desaturate lamp color 15%
-lampKey.color.setHex(0xffe2c6);
-lampKey.color.offsetHSL(0, -0.15, 0);
+  // every painted surface goes, not just the one in use
+  for (const surf of wallSurfaces.values()) {
+    surf.ctx.clearRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+    surf.ctx.fillStyle = "rgba(0,0,0,0)";
+    surf.ctx.fillRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+    surf.tex.needsUpdate = true;
+  }
+}
 
-  lampKey.position.set(maxDim * 0.27, maxDim * 0.03, maxDim * 0.14);
-  lampKey.lookAt(maxDim * 0.05, maxDim * -0.10, 0);
-  scene.add(lampKey);
+// ============================================================
+// ✅ WALL UNDO / REDO
+// - one history step per stroke (pointer down → up) or wall clear
+// - steps keep only the changed rectangle (before + after pixels);
+//   a second canvas mirrors the wall as it was before the stroke
+// - bounded by step count AND bytes, tighter on touch so iOS
+//   doesn't run out of canvas memory — oldest steps go first
+// - desktop: Ctrl/⌘+Z undo, Ctrl/⌘+Shift+Z redo
+// - touch: two-finger tap undo, three-finger tap redo
+// ============================================================
+const WALL_HISTORY = {
+  maxSteps: isTouch ? 24 : 60,
+  maxBytes: (isTouch ? 16 : 64) * 1024 * 1024,
+  dirtyPad: 24,   // × nozzle size; covers spray edge dust at full pressure + eraser radius
+};
 
-  // --- shadow caster (warm spotlight) ---
-  const lampShadow = new THREE.SpotLight(0xffe2c6, 75);
-  lampShadow.position.copy(lampKey.position);
-  lampShadow.target.position.set(maxDim * 0.05, maxDim * -0.12, 0);
+let wallHistoryBaseCanvas = null;
+let wallHistoryBaseCtx = null;
+let wallUndoStack = [];
+let wallRedoStack = [];
+let wallHistoryBytes = 0;
+let wallStrokeDirty = null; // { x0, y0, x1, y1 } in canvas px while a stroke paints
 
-  lampShadow.angle = Math.PI / 5.5;
-  lampShadow.penumbra = 0.95;
-  lampShadow.decay = 2;
-  lampShadow.distance = maxDim *0.9;
+function ensureWallHistoryBase() {
+  if (wallHistoryBaseCtx) return wallHistoryBaseCtx;
+  if (!wallDrawCanvas) return null;
 
-  lampShadow.castShadow = true;
-  lampShadow.shadow.mapSize.set(isIOS ? 2048 : 4096, isIOS ? 2048 : 4096);
-  lampShadow.shadow.radius = 6;
-  lampShadow.shadow.bias = -0.00004;
-  lampShadow.shadow.normalBias = 0.02;
+  wallHistoryBaseCanvas = document.createElement("canvas");
+  wallHistoryBaseCanvas.width = WALL_DRAW_SIZE;
+  wallHistoryBaseCanvas.height = WALL_DRAW_SIZE;
 
-  scene.add(lampShadow);
-  scene.add(lampShadow.target);
+  wallHistoryBaseCtx = wallHistoryBaseCanvas.getContext("2d", { willReadFrequently: true });
+  wallHistoryBaseCtx.drawImage(wallDrawCanvas, 0, 0);
 
-  // --- RIGHT SIDE PUSH (general warm push) ---
-  const rightPush = new THREE.SpotLight(
-    0xffc07a,
-    160,
-    maxDim * 4.0,
-    Math.PI / 9,
-    0.95,
-    2
-  );
+  if (wallActiveSurface) {
+    wallActiveSurface.baseCanvas = wallHistoryBaseCanvas;
+    wallActiveSurface.baseCtx = wallHistoryBaseCtx;
+  }
+  return wallHistoryBaseCtx;
+}
 
-// NEW: keep rightPush tight so it doesn't wash the whole room
-rightPush.intensity = 0;
-rightPush.distance = maxDim * 1.2;
-rightPush.angle = Math.PI / 14;
-rightPush.penumbra = 0.8;
+function markWallDirty(x, y, size = 1) {
+  // the base has to exist before the first pixel of a stroke lands
+  if (!ensureWallHistoryBase()) return;
+  if (wallActiveSurface) wallActiveSurface.painted = true;
 
+  const p = WALL_HISTORY.dirtyPad * Math.max(1, size);
 
-  rightPush.castShadow = true;
-  rightPush.shadow.bias = -0.00003;
-  rightPush.shadow.normalBias = 0.02;
-  rightPush.position.set(maxDim * 0.55, maxDim * 0.25, maxDim * 0.30);
-  rightPush.target.position.set(maxDim * 0.10, maxDim * -0.10, 0);
-  scene.add(rightPush);
-  scene.add(rightPush.target);
+  if (!wallStrokeDirty) {
+    wallStrokeDirty = { x0: x - p, y0: y - p, x1: x + p, y1: y + p };
+    return;
+  }
 
- const pinRight = new THREE.PointLight(0xffd2a1, 2500, maxDim * 1.2, 2);
-pinRight.position.set(maxDim * 0.60, maxDim * 0.18, maxDim * 0.35);
-pinRight.castShadow = false;
+  wallStrokeDirty.x0 = Math.min(wallStrokeDirty.x0, x - p);
+  wallStrokeDirty.y0 = Math.min(wallStrokeDirty.y0, y - p);
+  wallStrokeDirty.x1 = Math.max(wallStrokeDirty.x1, x + p);
+  wallStrokeDirty.y1 = Math.max(wallStrokeDirty.y1, y + p);
+}
 
-// NEW: make pin light affect ONLY objects on LAYER_PIN
-pinRight.layers.set(LAYER_PIN);
+function getWallDirtyRect() {
+  if (!wallStrokeDirty) return null;
 
-scene.add(pinRight);
+  const x = Math.max(0, Math.floor(wallStrokeDirty.x0));
+  const y = Math.max(0, Math.floor(wallStrokeDirty.y0));
+  const w = Math.min(WALL_DRAW_SIZE, Math.ceil(wallStrokeDirty.x1)) - x;
+  const h = Math.min(WALL_DRAW_SIZE, Math.ceil(wallStrokeDirty.y1)) - y;
 
-  // --- TV/cool fill (Layer 2 only) ---
-  const tvFill = new THREE.RectAreaLight(
-    0xd9ecff,
-    0.55,
-    maxDim * 0.28,
-    maxDim * 0.18
-  );
-  tvFill.position.set(maxDim * -0.02, maxDim * -0.03, maxDim * 0.16);
-  tvFill.lookAt(0, maxDim * -0.10, 0);
-  tvFill.layers.set(LAYER_ACCENT);
-  scene.add(tvFill);
+  if (w <= 0 || h <= 0) return null;
+  return { x, y, w, h };
+}
 
-  // --- remote boost (Layer 2 only) ---
-  const remoteBoost = new THREE.SpotLight(0xfff1df, isIOS ? 95 : 45);
-  remoteBoost.angle = Math.PI / 10;
-  remoteBoost.penumbra = 1.0;
-  remoteBoost.decay = 2;
-  remoteBoost.distance = maxDim * 3.0; // IMPORTANT: more reach
-  remoteBoost.castShadow = false;
-  remoteBoost.layers.set(LAYER_ACCENT);
-  scene.add(remoteBoost);
-  scene.add(remoteBoost.target);
+function getWallHistoryEntryBytes(entry) {
+  if (entry.layers) return entry.layers.reduce((n, l) => n + l.before.data.length, 0);
+  return (entry.before?.data.length || 0) + (entry.after?.data.length || 0);
+}
 
-  // --- skateboard accent (Layer 2 only) ---
-  const skateAccent = new THREE.SpotLight(0xffe6c6, 140);
-  skateAccent.angle = Math.PI / 7;
-  skateAccent.penumbra = 1.0;
-  skateAccent.decay = 2;
-  skateAccent.distance = maxDim * 4.0; // IMPORTANT: more reach
-  skateAccent.castShadow = false;
-  skateAccent.layers.set(LAYER_ACCENT);
-  scene.add(skateAccent);
-  scene.add(skateAccent.target);
+function dropWallRedo() {
+  for (const entry of wallRedoStack) wallHistoryBytes -= getWallHistoryEntryBytes(entry);
+  wallRedoStack = [];
+}
 
-  const underShelfUp = new THREE.SpotLight(0xffd6a1, 350);
+function pushWallHistory(entry) {
+  dropWallRedo();
 
-  underShelfUp.angle = Math.PI / 7;
-  underShelfUp.penumbra = 0.8;
-  underShelfUp.decay = 2;
-  underShelfUp.distance = maxDim * 1.2;
+  wallUndoStack.push(entry);
+  wallHistoryBytes += getWallHistoryEntryBytes(entry);
 
-  underShelfUp.castShadow = true;
-  underShelfUp.shadow.mapSize.set(isIOS ? 1024 : 2048, isIOS ? 1024 : 2048);
-  underShelfUp.shadow.bias = -0.00003;
-  underShelfUp.shadow.normalBias = 0.02;
+  // always keep the newest step, even if it's bigger than the budget
+  while (
+    wallUndoStack.length > 1 &&
+    (wallUndoStack.length > WALL_HISTORY.maxSteps || wallHistoryBytes > WALL_HISTORY.maxBytes)
+  ) {
+    wallHistoryBytes -= getWallHistoryEntryBytes(wallUndoStack.shift());
+  }
+}
 
-  scene.add(underShelfUp);
-  scene.add(underShelfUp.target);
+// called from endWallDraw() — turns the painted rectangle into one step
+// (drips still running keep the stroke open; updateWallDrips commits it,
+// a new stroke forces it so the two don't share one undo step)
+function commitWallStroke({ force = false } = {}) {
+  if (wallDrips.length && !force) return;
 
-  // ============================================================
-// ✅ SHELF CAVITY FILL (adds depth separation)
-// ============================================================
-const shelfFill = new THREE.RectAreaLight(
-  0xd9ecff,
-  isIOS ? 0.5 : 0.35,
-  maxDim * 0.55,
-  maxDim * 0.22
-);
+  const rect = getWallDirtyRect();
+  wallStrokeDirty = null;
 
-// place it inside/near the shelf cavity, aimed outward
-shelfFill.position.set(maxDim * -0.06, maxDim * 0.10, maxDim * 0.10);
-shelfFill.lookAt(maxDim * -0.02, maxDim * 0.06, maxDim * -0.10);
+  if (!rect || !wallDrawCtx || !wallHistoryBaseCtx) return;
 
-// ✅ only affect your accent layer so it doesn't wash walls
-shelfFill.layers.set(LAYER_ACCENT);
-scene.add(shelfFill);
+  const before = wallHistoryBaseCtx.getImageData(rect.x, rect.y, rect.w, rect.h);
+  const after = wallDrawCtx.getImageData(rect.x, rect.y, rect.w, rect.h);
 
-  return { lampKey, lampShadow, rightPush, pinRight, tvFill, remoteBoost, skateAccent, underShelfUp, shelfFill };
+  pushWallHistory({
+    kind: "stroke",
+    surf: wallActiveSurface,
+    x: rect.x,
+    y: rect.y,
+    before,
+    after,
+    recCount: takeWallRecPending(),
+  });
+  wallHistoryBaseCtx.putImageData(after, rect.x, rect.y);
 }
 
-// ============================================================
-// ✅ TV MENU INDEX + iOS GESTURE HELPERS
-// ============================================================
-const TV_TABS = ["PHOTO", "VIDEO", "3D MODEL"];
-let tvMenuIndex = 0; // 0=PHOTO,1=VIDEO,2=3D MODEL
+// put back what the open stroke painted (line guide redraws use this too)
+function restoreWallStrokePixels() {
+  const rect = getWallDirtyRect();
+  wallStrokeDirty = null;
 
-function setTvMenuIndex(i) {
-  const n = TV_TABS.length;
-  tvMenuIndex = ((i % n) + n) % n;
-  // redraw highlight immediately if menu is showing
-  if (tvOn && tvUiState === "MENU") drawTvMenu();
+  if (!rect || !wallDrawCtx || !wallDrawTex || !wallHistoryBaseCtx) return;
+
+  wallDrawCtx.putImageData(
+    wallHistoryBaseCtx.getImageData(rect.x, rect.y, rect.w, rect.h),
+    rect.x,
+    rect.y
+  );
+  wallDrawTex.needsUpdate = true;
+}
+
+// throw away what the current stroke painted (a multi-finger tap starts with one finger down)
+function cancelWallStroke() {
+  wallDrips.length = 0;
+  restoreWallStrokePixels();
+  wallRecCancel();
+}
+
+// called from clearWallDrawing() before the canvases are wiped
+// (one step for every painted surface)
+function recordWallClear() {
+  wallDrips.length = 0;
+  commitWallStroke();
+
+  if (!ensureWallHistoryBase()) return;
+
+  wallRecClear();
+
+  const layers = [];
+  for (const surf of wallSurfaces.values()) {
+    if (!surf.painted || !surf.baseCtx) continue;
+
+    layers.push({ surf, before: surf.baseCtx.getImageData(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE) });
+    surf.baseCtx.clearRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+    surf.painted = false;
+  }
+
+  pushWallHistory({ kind: "clear", layers, recCount: takeWallRecPending() });
+}
+
+function putWallHistoryPixels(entry, useAfter) {
+  if (entry.kind === "clear") {
+    for (const { surf, before } of entry.layers) {
+      for (const ctx of [surf.ctx, surf.baseCtx]) {
+        if (useAfter) ctx.clearRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+        else ctx.putImageData(before, 0, 0);
+      }
+
+      surf.painted = !useAfter;
+      surf.tex.needsUpdate = true;
+    }
+    return;
+  }
+
+  activateWallSurface(entry.surf);
+
+  const ctxs = [wallDrawCtx, wallHistoryBaseCtx];
+
+  for (const ctx of ctxs) {
+    ctx.putImageData(useAfter ? entry.after : entry.before, entry.x, entry.y);
+  }
+
+  wallDrawTex.needsUpdate = true;
 }
 
-function enterCurrentTvTab() {
-  const next = TV_TABS[tvMenuIndex];
-  tvUiState = next;
+function undoWallStroke() {
+  if (!wallDrawCtx || !wallDrawTex) return false;
+  if (wallReplay) return false;
 
-  // kick off lazy loads using your existing logic
-  if (tvUiState === "PHOTO") {
-    if (!photoImage && !photoLoading) loadPhotoAt(photoIndex);
-  }
-  // VIDEO + 3D MODEL already handled in your animate redraw logic
+  // Ctrl+Z mid-stroke: close it first so that's what gets undone
+  wallDrips.length = 0;
+  if (isWallDrawing) endWallDraw();
+  else commitWallStroke();
+
+  const entry = wallUndoStack.pop();
+  if (!entry) return false;
+
+  putWallHistoryPixels(entry, false);
+  wallRedoStack.push(entry);
+
+  // the timelapse forgets the undone strokes too (they ride along for redo)
+  entry.recStrokes = wallRec.strokes.splice(wallRec.strokes.length - (entry.recCount || 0));
+  wallSyncRemoveOwn(entry.recStrokes);
+  repaintWallSyncHistory(entry);
+
+  console.log(`↩️ Wall undo (${wallUndoStack.length} left)`);
+  trackSceneClick("front_wall_undo", { kind: entry.kind, steps_left: wallUndoStack.length });
+  return true;
 }
 
-function turnOnTvToMenu() {
-  tvOn = true;
-  tvUiState = "MENU";
-  drawTvMenu();
+function redoWallStroke() {
+  if (!wallDrawCtx || !wallDrawTex) return false;
+  if (wallReplay) return false;
+  if (isWallDrawing) return false; // a new stroke is about to drop the redo steps anyway
+
+  const entry = wallRedoStack.pop();
+  if (!entry) return false;
+
+  putWallHistoryPixels(entry, true);
+  wallUndoStack.push(entry);
+  wallRec.strokes.push(...(entry.recStrokes || []));
+  wallSyncAddOwn(entry.recStrokes || []);
+  repaintWallSyncHistory(entry);
+  entry.recStrokes = null;
+
+  console.log(`↪️ Wall redo (${wallRedoStack.length} left)`);
+  trackSceneClick("front_wall_redo", { kind: entry.kind, steps_left: wallRedoStack.length });
+  return true;
 }
 
 // ============================================================
-// TEXTURE + MATERIALS
+// ✅ WALL EXPORT (PNG download / share)
+// - "wall only": the draw canvas, stretched to the wall's real aspect
+// - "with room": one fresh frame from the scene camera, cropped to
+//   the wall plane (paint + plaster + lamp light as you see it)
+// - optional GAMBO watermark (Loading Page logo)
+// - desktop downloads, touch uses the Web Share sheet when it can
 // ============================================================
-const tl = new THREE.TextureLoader();
-const texCache = new Map();
-const maxAniso =
-  MOBILE_PROFILE.maxAniso ?? (renderer.capabilities.getMaxAnisotropy?.() ?? 1);
+const WALL_EXPORT = {
+  fileName: "gambo-wall",
+  watermarkSrc: "./assets/Loading Page/Black-logo.png",
+  watermarkWidth: 0.18,   // of the image width
+  watermarkAlpha: 0.55,
+  watermarkMargin: 0.035,
+  roomCropPad: 0.06,      // extra room around the wall in "with room"
+  roomMinCropPx: 48,      // smaller than this on screen → wall only
+};
 
-function loadTexture(path, { srgb = false } = {}) {
-  const key = `${path}__${srgb ? "srgb" : "lin"}`;
-  if (texCache.has(key)) return texCache.get(key);
+let wallExportWatermark = true;
+let wallExportBusy = false;
+let wallExportWatermarkImg = null; // Promise<HTMLImageElement|null>
 
-  const __endTex = __beginAsset(path);
+function loadWallExportWatermark() {
+  if (wallExportWatermarkImg) return wallExportWatermarkImg;
 
-const t = tl.load(
-  path,
-  () => __endTex(),
-  undefined,
-  () => __endTex()
-);
+  wallExportWatermarkImg = new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => {
+      console.warn("🖼 Wall export watermark failed to load:", WALL_EXPORT.watermarkSrc);
+      resolve(null);
+    };
+    img.src = WALL_EXPORT.watermarkSrc;
+  });
 
-  t.flipY = false;
-  if (srgb) t.colorSpace = THREE.SRGBColorSpace;
+  return wallExportWatermarkImg;
+}
 
-  t.anisotropy = maxAniso;
-  t.minFilter = THREE.LinearMipmapLinearFilter;
-  t.magFilter = THREE.LinearFilter;
+function makeWallOnlyExportCanvas() {
+  const sx = Math.abs(wallDrawPlaneRef.scale.x) || 1;
+  const sy = Math.abs(wallDrawPlaneRef.scale.y) || 1;
 
-  texCache.set(key, t);
-  return t;
-}
+  // the square draw canvas is stretched over a tall plane in the room
+  const out = document.createElement("canvas");
+  out.width = Math.round(WALL_DRAW_SIZE * Math.min(1, sx / sy));
+  out.height = Math.round(WALL_DRAW_SIZE * Math.min(1, sy / sx));
 
-function loadSRGB(path) {
-  return loadTexture(path, { srgb: true });
-}
-function loadLinear(path) {
-  return loadTexture(path, { srgb: false });
+  out.getContext("2d").drawImage(wallFrontSurface?.canvas || wallDrawCanvas, 0, 0, out.width, out.height);
+  return out;
 }
 
-function makePBR({ albedo, normal, roughness, metalness, ao }, opts = {}) {
-  return new THREE.MeshStandardMaterial({
-    map: albedo ? loadSRGB(albedo) : null,
-    normalMap: normal ? loadLinear(normal) : null,
-    roughnessMap: roughness ? loadLinear(roughness) : null,
-    metalnessMap: metalness ? loadLinear(metalness) : null,
-    aoMap: ao ? loadLinear(ao) : null,
-    roughness: opts.roughness ?? 1.0,
-    metalness: opts.metalness ?? 0.0,
-    side: THREE.DoubleSide,
-  });
-}
+function makeWallRoomExportCanvas() {
+  const el = renderer.domElement;
 
-// ✅ ADD THIS DIRECTLY UNDER makePBR()
-function makeTransparentPBR({ albedo, normal }, opts = {}) {
-  const alphaTex = albedo ? loadLinear(albedo) : null; // use PNG alpha
+  // project the plane corners to drawing-buffer pixels
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  const v = new THREE.Vector3();
 
-  return new THREE.MeshStandardMaterial({
-    map: albedo ? loadSRGB(albedo) : null,
-    normalMap: normal ? loadLinear(normal) : null,
+  wallDrawPlaneRef.updateMatrixWorld(true);
+  for (const [cx, cy] of [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]]) {
+    v.set(cx, cy, 0).applyMatrix4(wallDrawPlaneRef.matrixWorld).project(camera);
+    const px = (v.x * 0.5 + 0.5) * el.width;
+    const py = (1 - (v.y * 0.5 + 0.5)) * el.height;
+    x0 = Math.min(x0, px); x1 = Math.max(x1, px);
+    y0 = Math.min(y0, py); y1 = Math.max(y1, py);
+  }
 
-    transparent: true,        // ✅ REQUIRED
-    alphaMap: alphaTex,       // ✅ READS alpha from your PNG
-    opacity: opts.opacity ?? 1.0,
-    depthWrite: false,        // ✅ helps transparency sort issues
+  const pad = Math.max(x1 - x0, y1 - y0) * WALL_EXPORT.roomCropPad;
+  x0 = Math.max(0, Math.floor(x0 - pad));
+  y0 = Math.max(0, Math.floor(y0 - pad));
+  x1 = Math.min(el.width, Math.ceil(x1 + pad));
+  y1 = Math.min(el.height, Math.ceil(y1 + pad));
 
-    roughness: opts.roughness ?? 0.05,
-    metalness: opts.metalness ?? 0.0,
-    side: THREE.DoubleSide,
-  });
-}
+  const w = x1 - x0;
+  const h = y1 - y0;
+  if (w < WALL_EXPORT.roomMinCropPx || h < WALL_EXPORT.roomMinCropPx) return null;
 
+  // no preserveDrawingBuffer: render and copy in the same task
+  renderer.render(scene, camera);
 
-function darkenMaterial(
-  mat,
-  { env = 0.0, rough = 1.0, colorMul = 0.85 } = {}
-) {
-  if (!mat) return mat;
+  const out = document.createElement("canvas");
+  out.width = w;
+  out.height = h;
+  out.getContext("2d").drawImage(el, x0, y0, w, h, 0, 0, w, h);
+  return out;
+}
 
-  if ("envMapIntensity" in mat) mat.envMapIntensity = env;
-  if ("roughness" in mat) mat.roughness = Math.min(mat.roughness ?? 1.0, rough);
-  if (mat.color) mat.color.multiplyScalar(colorMul);
+async function drawWallExportWatermark(out) {
+  const img = await loadWallExportWatermark();
+  if (!img || !img.naturalWidth) return;
 
-  mat.needsUpdate = true;
-  return mat;
+  const ctx = out.getContext("2d");
+  const w = out.width * WALL_EXPORT.watermarkWidth;
+  const h = w * (img.naturalHeight / img.naturalWidth);
+  const m = out.width * WALL_EXPORT.watermarkMargin;
+
+  ctx.save();
+  ctx.globalAlpha = WALL_EXPORT.watermarkAlpha;
+  ctx.drawImage(img, out.width - w - m, out.height - h - m, w, h);
+  ctx.restore();
 }
 
-function tuneStaticSceneMaterial(mat, meshName = "") {
-  if (!mat) return mat;
+function downloadWallExport(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 4000);
+}
 
-  const n = String(meshName || "").toLowerCase();
+async function exportWallImage({ withRoom = false } = {}) {
+  if (wallExportBusy) return;
+  if (!wallDrawCanvas || !wallDrawPlaneRef) return;
 
-  // clone so edits stay isolated
-  mat = mat.clone();
+  wallExportBusy = true;
 
-  // base response: reduce flat environment wash
-  if ("envMapIntensity" in mat) mat.envMapIntensity = 0.02;
+  try {
+    if (isWallDrawing) endWallDraw();
 
-  if ("metalness" in mat) {
-    mat.metalness = Math.min(mat.metalness ?? 0.0, 0.08);
-  }
+    let out = withRoom ? makeWallRoomExportCanvas() : null;
+    if (withRoom && !out) console.warn("🖼 Wall is off screen — exporting the wall only");
 
-  if ("roughness" in mat) {
-    mat.roughness = Math.max(mat.roughness ?? 1.0, 0.72);
-  }
+    const mode = out ? "room" : "wall";
+    if (!out) out = makeWallOnlyExportCanvas();
 
-  if (mat.color) {
-    mat.color = mat.color.clone();
-    mat.color.multiplyScalar(0.92);
-  }
+    if (wallExportWatermark) await drawWallExportWatermark(out);
 
-  // walls
-  if (n.includes("wall")) {
-    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.01;
-    if ("roughness" in mat) mat.roughness = Math.max(mat.roughness ?? 1.0, 0.88);
-    if (mat.color) mat.color.multiplyScalar(1.04);
-  }
+    const blob = await new Promise((resolve) => out.toBlob(resolve, "image/png"));
+    if (!blob) throw new Error("toBlob returned nothing");
 
-  // wood / shelves / cabinet
-  if (n.includes("cab") || n.includes("wood") || n.includes("shelf")) {
-    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.015;
-    if ("roughness" in mat) mat.roughness = Math.max(mat.roughness ?? 1.0, 0.82);
-    if (mat.color) mat.color.multiplyScalar(0.96);
-  }
+    const name = `${WALL_EXPORT.fileName}-${new Date().toISOString().slice(0, 10)}.png`;
+    const file = typeof File === "function" ? new File([blob], name, { type: "image/png" }) : null;
 
-  // TV
-  if (n.includes("tv")) {
-    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.035;
-    if ("roughness" in mat) mat.roughness = Math.max(0.45, Math.min(mat.roughness ?? 1.0, 0.78));
-    if ("metalness" in mat) mat.metalness = Math.min(mat.metalness ?? 0.0, 0.18);
-  }
+    let method = "download";
 
-  // cloth / blanket / bed
-  if (
-    n.includes("blanket") ||
-    n.includes("bed") ||
-    n.includes("cloth") ||
-    n.includes("fabric")
-  ) {
-    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.0;
-    if ("roughness" in mat) mat.roughness = Math.max(mat.roughness ?? 1.0, 0.95);
-    if ("metalness" in mat) mat.metalness = 0.0;
-  }
+    if (isTouchDevice() && file && navigator.canShare?.({ files: [file] })) {
+      method = "share";
+      try {
+        await navigator.share({ files: [file], title: "GAMBO wall" });
+      } catch (e) {
+        if (e?.name === "AbortError") {
+          method = "share_cancelled";
+        } else {
+          // e.g. NotAllowedError once the tap's activation ran out during the awaits above
+          console.warn("🖼 Share failed — downloading instead:", e);
+          method = "download";
+          downloadWallExport(blob, name);
+        }
+      }
+    } else {
+      downloadWallExport(blob, name);
+    }
 
-  // remote
- if (n.includes("remote")) {
-  if ("envMapIntensity" in mat) mat.envMapIntensity = 0.0;
-  if ("roughness" in mat) mat.roughness = 1.0;
-  if ("metalness" in mat) mat.metalness = 0.0;
-}
+    console.log("🖼 Wall exported:", mode, method, `${out.width}×${out.height}`);
+    trackSceneClick("front_wall_export", {
+      export_mode: mode,
+      export_method: method,
+      watermark: wallExportWatermark,
+      width: out.width,
+      height: out.height,
+    });
+  } catch (e) {
+    console.warn("🖼 Wall export failed:", e);
+  } finally {
+    wallExportBusy = false;
+  }
+}
+
+// small picker: wall only / with room + watermark toggle
+let wallExportOpen = false;
+
+const wallExportOverlay = document.createElement("div");
+wallExportOverlay.style.position = "fixed";
+wallExportOverlay.style.inset = "0";
+wallExportOverlay.style.display = "none";
+wallExportOverlay.style.alignItems = "center";
+wallExportOverlay.style.justifyContent = "center";
+wallExportOverlay.style.background = "rgba(0,0,0,0.55)";
+wallExportOverlay.style.zIndex = "9999";
+wallExportOverlay.style.userSelect = "none";
+
+const wallExportPanel = document.createElement("div");
+wallExportPanel.setAttribute("role", "dialog");
+wallExportPanel.setAttribute("aria-label", "Save wall");
+wallExportPanel.style.minWidth = "min(300px, 86vw)";
+wallExportPanel.style.padding = "20px 24px";
+wallExportPanel.style.borderRadius = "14px";
+wallExportPanel.style.border = "1px solid rgba(255,255,255,0.18)";
+wallExportPanel.style.background = "rgba(0,0,0,0.78)";
+wallExportPanel.style.backdropFilter = "blur(8px)";
+wallExportPanel.style.color = "#fff";
+wallExportPanel.style.fontFamily = "Arial, sans-serif";
+wallExportPanel.style.fontSize = "14px";
+wallExportPanel.style.display = "flex";
+wallExportPanel.style.flexDirection = "column";
+wallExportPanel.style.gap = "10px";
+
+const wallExportTitle = document.createElement("div");
+wallExportTitle.textContent = "SAVE WALL";
+wallExportTitle.style.fontWeight = "bold";
+wallExportTitle.style.letterSpacing = "0.14em";
+wallExportTitle.style.marginBottom = "4px";
+wallExportPanel.appendChild(wallExportTitle);
+
+function makeWallExportButton(label, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  btn.style.padding = "8px 14px";
+  btn.style.borderRadius = "8px";
+  btn.style.border = "1px solid rgba(255,255,255,0.3)";
+  btn.style.background = "transparent";
+  btn.style.color = "#fff";
+  btn.style.font = "inherit";
+  btn.style.textAlign = "left";
+  btn.style.cursor = "pointer";
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+wallExportPanel.appendChild(makeWallExportButton("Wall only", () => {
+  setWallExportOpen(false);
+  exportWallImage({ withRoom: false });
+}));
+
+wallExportPanel.appendChild(makeWallExportButton("With the room", () => {
+  setWallExportOpen(false);
+  exportWallImage({ withRoom: true });
+}));
+
+const wallExportWatermarkLabel = document.createElement("label");
+wallExportWatermarkLabel.style.display = "flex";
+wallExportWatermarkLabel.style.alignItems = "center";
+wallExportWatermarkLabel.style.gap = "8px";
+wallExportWatermarkLabel.style.marginTop = "4px";
+wallExportWatermarkLabel.style.opacity = "0.78";
+wallExportWatermarkLabel.style.cursor = "pointer";
+
+const wallExportWatermarkBox = document.createElement("input");
+wallExportWatermarkBox.type = "checkbox";
+wallExportWatermarkBox.checked = wallExportWatermark;
+wallExportWatermarkBox.addEventListener("change", () => {
+  wallExportWatermark = wallExportWatermarkBox.checked;
+});
 
-  // small metal accents / frames / knobs
-  if (
-    n.includes("frame") ||
-    n.includes("metal") ||
-    n.includes("handle") ||
-    n.includes("knob")
-  ) {
-    if ("envMapIntensity" in mat) mat.envMapIntensity = 0.05;
-    if ("roughness" in mat) mat.roughness = Math.max(0.35, Math.min(mat.roughness ?? 1.0, 0.68));
-    if ("metalness" in mat) mat.metalness = Math.min(Math.max(mat.metalness ?? 0.0, 0.10), 0.30);
-  }
+wallExportWatermarkLabel.append(wallExportWatermarkBox, document.createTextNode("GAMBO watermark"));
+wallExportPanel.appendChild(wallExportWatermarkLabel);
 
-  mat.needsUpdate = true;
-  return mat;
-}
+wallExportOverlay.appendChild(wallExportPanel);
+document.body.appendChild(wallExportOverlay);
 
-const fallbackMat = new THREE.MeshStandardMaterial({
-  color: 0xffffff,
-  roughness: 0.8,
-  metalness: 0.0,
-  side: THREE.DoubleSide,
+wallExportOverlay.addEventListener("click", (e) => {
+  if (e.target === wallExportOverlay) setWallExportOpen(false);
 });
 
-// 3 example materials (replace mesh names + paths with yours)
-const materials = {
+function setWallExportOpen(open) {
+  wallExportOpen = !!open;
+  wallExportOverlay.style.display = wallExportOpen ? "flex" : "none";
 
-  cabnet: makePBR(
-    {
-      albedo: "./assets/Textures/TV Stand/TV Stand Albeto3.jpg",
-      normal: "./assets/Textures/Main Cabnet/Main Cabnet Normal.jpg",
-      //ao:"./assets/Textures/Main Cabnet/Main Cabnet AO.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0 }
-  ),
+  if (wallExportOpen) {
+    loadWallExportWatermark();
+    if (isWallDrawing) endWallDraw();
+  }
+}
 
-  //MAIN OBJECTS
-pasted_remote: (() => {
-  const mat = makePBR(
-    {
-      albedo: "./assets/Textures/Remote/Main object/Remote Albeto.jpg",
-    },
-    { roughness: 0.9, metalness: 0.0 }
-  );
+function buildCigaretteSmoke(emitterParent) {
+  if (!emitterParent) {
+    console.warn("buildCigaretteSmoke: emitterParent missing");
+    return;
+  }
 
-  // slight brightness lift so it stays readable against the bed
-  mat.color.multiplyScalar(0.75);
+  const worldRoot = ensureSmokeWorldRoot();
 
-  mat.color.lerp(new THREE.Color(0xaaa39a), 0.08);
+  if (cigaretteSmokePoints) {
+    cigaretteSmokePoints.removeFromParent();
+    cigaretteSmokeGeo?.dispose?.();
+    cigaretteSmokeMat?.dispose?.();
+    cigaretteSmokeGeo = null;
+    cigaretteSmokeMat = null;
+    cigaretteSmokePoints = null;
+    cigaretteSmokeData.length = 0;
+  }
 
-  return mat;
-})(),
+  cigaretteSmokeGeo = new THREE.BufferGeometry();
+  const positions = new Float32Array(CIG_SMOKE_COUNT * 3);
 
- TV_Box2: makePBR({
-    albedo: "./assets/Textures/TV Box/TV Box Albeto.jpg",
-    },
-    { roughness: 0.5, metalness: 0.0}
-),
+  cigaretteSmokeData.length = 0;
 
-TV_stand: makePBR({
-    albedo: "./assets/Textures/TV Stand/TV Stand Albeto3.jpg",
-    ao: "./assets/Textures/TV Stand/TV Stand AO.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  // IMPORTANT:
+  // particles now simulate in WORLD SPACE,
+  // so start them at 0 and position the whole Points object in world coords
+  for (let i = 0; i < CIG_SMOKE_COUNT; i++) {
+    const i3 = i * 3;
 
-    //ALL DVD's
+    const x = 0;
+const y = 0;
+const z = 0;
+
+positions[i3 + 0] = x;
+positions[i3 + 1] = y;
+positions[i3 + 2] = z;
+
+cigaretteSmokeData.push({
+  x,
+  y,
+  z,
+  vx: (Math.random() - 0.5) * 0.03,
+  vy: 0.14 + Math.random() * 0.08,
+  vz: (Math.random() - 0.5) * 0.03,
+  age: 0, // ✅ start fresh
+  life: 3.0 + Math.random() * 2.0,
+  swirl: Math.random() * Math.PI * 2,
+});
+  }
 
-  All_DVD: (() => {
-  const m = makePBR(
-    {
-      albedo: "./assets/Textures/DVD's/All DVD albeto.jpg",
-    },
-    { metalness: 0.0, roughness: 0.78 }
+  cigaretteSmokeGeo.setAttribute(
+    "position",
+    new THREE.BufferAttribute(positions, 3)
   );
 
-  m.color.multiplyScalar(1.22);
-  m.color.lerp(new THREE.Color(0xffffff), 0.08);
-  m.envMapIntensity = 0.55;
+cigaretteSmokeMat = new THREE.PointsMaterial({
+  color: 0xf0f0f0,
+  map: cigaretteSmokeTex,
+  alphaMap: cigaretteSmokeTex,
+  transparent: true,
+  opacity: 0.39, // 🔥 increased
+  size: 0.50,    // 🔥 slightly bigger
+  sizeAttenuation: true,
+  depthTest: false,
+  depthWrite: false,
+  blending: THREE.NormalBlending,
+  fog: true
+});
 
-  return m;
-})(),
+ cigaretteSmokePoints = new THREE.Points(cigaretteSmokeGeo, cigaretteSmokeMat);
+cigaretteSmokePoints.frustumCulled = false;
+cigaretteSmokePoints.renderOrder = 999;
 
-    DVD_on_Player1: makePBR(
-    {
-      albedo: "./assets/Textures/DVD's/Dec of West/DVD5 Albeto.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+  // put smoke into WORLD space, not under the tilted mesh
+  worldRoot.add(cigaretteSmokePoints);
 
-    DVD_on_Player2: makePBR(
-    {
-      albedo: "./assets/Textures/DVD's/DVD 22 Akira/DVD22 Albeto.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+emitterParent.updateMatrixWorld(true);
+emitterParent.getWorldPosition(exhaleSmokeSourceWorld);
+emitterParent.getWorldQuaternion(exhaleSmokeQuatWorld);
 
-//Cigarettes
+exhaleSmokeSourceWorld.y += 0.15;
+exhaleSmokePoints.position.copy(exhaleSmokeSourceWorld);
+exhaleSmokePoints.quaternion.copy(exhaleSmokeQuatWorld);
 
- Cig2: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig2 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  console.log("✅ cigarette smoke built in WORLD space at:", smokeSourceWorld);
+}
 
- Cig3: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig3 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
 
- Cig4: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig4 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+function resetSmokeParticle(p) {
+  const U = Math.max(0.001, roomMaxDim * 0.01);
 
- Cig5: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig5 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  p.x = (Math.random() - 0.5) * U * 0.8;
+  p.y = Math.random() * U * 0.004;
+  p.z = (Math.random() - 0.5) * U * 0.8;
 
- Cig6: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig6 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  p.vx = (Math.random() - 0.5) * U * 0.4;
+  p.vy = U * (1.0 + Math.random() * 0.8);
+  p.vz = (Math.random() - 0.5) * U * 0.4;
 
- Cig7: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig7 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  p.age = 0;
 
- Cig8: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig8 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+// ✅ longer life so smoke rises higher
+p.life = 5.5 + Math.random() * 3.5;
 
- Cig9: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig9 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+p.swirl = Math.random() * Math.PI * 2;
+}
 
- Cig10: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig10 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+function resetAllSmokeParticlesToEmitter() {
+  if (!cigaretteSmokeGeo) return;
 
- Cig11: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig11 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  const pos = cigaretteSmokeGeo.attributes.position.array;
 
- Cig12: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig12 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  for (let i = 0; i < CIG_SMOKE_COUNT; i++) {
+    const p = cigaretteSmokeData[i];
+    const i3 = i * 3;
 
- Cig13: makePBR({
-    albedo: "./assets/Textures/Cigarettes/Cig13 Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    p.x = 0;
+    p.y = 0;
+    p.z = 0;
 
-front_wall1: (() => {
-  const m = makePBR(
-    {
-      albedo: "./assets/Textures/Walls/Front Wall/Front Wall12 Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 0.94 }
-  );
+  p.vx = (Math.random() - 0.5) * 0.08;
+  p.vy = 0.22 + Math.random() * 0.10;
+  p.vz = (Math.random() - 0.5) * 0.08;
 
-  m.color.multiplyScalar(1.04);
-  m.color.lerp(new THREE.Color(0xffffff), 0.015);
-  m.envMapIntensity = 0.05;
+  p.age = 0;
+  p.life = 3.8 + Math.random() * 2.2;
+    p.swirl = Math.random() * Math.PI * 2;
 
-  return m;
-})(),
+    pos[i3 + 0] = 0;
+    pos[i3 + 1] = 0;
+    pos[i3 + 2] = 0;
+  }
 
-    front_wall2: makePBR(
-    {
-      albedo: "./assets/Textures/Walls/Front Wall/Front Wall10 Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 2.0 }
-  ),
+  cigaretteSmokeGeo.attributes.position.needsUpdate = true;
+}
 
-  Left_wall1: makePBR(
-    {
-      albedo: "./assets/Textures/Walls/Left Wall/Left Wall Albeto.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+function updateCigaretteSmoke(dt) {
+    if (!smokeEmitterRef) return;
 
-  Floor1: makePBR(
-    {
-      albedo: "./assets/Textures/Floor/Floor Albedo2.jpg",
-    },
-    { metalness: 0.0, roughness: 1.0 }
-  ),
+  const now = performance.now() * 0.001;
 
-Door4: (() => {
-  const m = makePBR(
-    {
-      albedo: "./assets/Textures/new door/New Door Albedo1.jpg",
-      normal: "./assets/Textures/new door/New Door Normal1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0 }
-  );
+  // keep emitter world position fresh
+  smokeEmitterRef.updateMatrixWorld(true);
+  smokeEmitterRef.getWorldPosition(smokeSourceWorld);
+  smokeSourceWorld.y += 0.15; // 🔥 raise smoke here
 
-  m.color.setHex(0xeee6d6);
-  m.color.multiplyScalar(1.03);
-  m.color.b *= 1.4;
+    if (!cigaretteSmokeBuilt) {
+    if ((now - cigaretteSmokeStartTime) < CIGARETTE_SMOKE_DELAY) {
+      return;
+    }
 
-  return m;
-})(),
+    buildCigaretteSmoke(smokeEmitterRef);
+    cigaretteSmokeBuilt = true;
+    cigaretteSmokeStarted = true;
 
+    if (!cigaretteSmokeGeo || !cigaretteSmokePoints) return;
 
-    //DECORATIVE ELEMENTS
-  Cardboard_Box: makePBR(
-    {
-      albedo: "./assets/Textures/Cardboard Box/Cardboard Box Albeto.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+    cigaretteSmokePoints.visible = true;
+  }
 
-  Mask1: makePBR(
-    {
-      albedo: "./assets/Textures/Mask/Mask Albeto1.jpg",
-    },
-    { metalness: 0.0, roughness: 1.0 }
-  ),
+  if (!cigaretteSmokeGeo || !cigaretteSmokePoints) return;
 
-  Book4: makePBR(
-    {
-      albedo: "./assets/Textures/Books/Book2 Albeto1.jpg",
-    },
-    { metalness: 0.0, roughness: 1.0 }
-  ),
+  cigaretteSmokePoints.position.copy(smokeSourceWorld);
 
-  Book3: makePBR(
-    {
-      albedo: "./assets/Textures/Books/Book1 Albeto1.jpg",
-    },
-    { metalness: 0.0, roughness: 1.0 }
-  ),
+  const pos = cigaretteSmokeGeo.attributes.position.array;
+  const t = performance.now() * 0.001;
 
- AXE3: makePBR({
-    albedo: "./assets/Textures/AXE/AXE Albeto2.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  // quality tier: only the first `count` particles simulate + draw
+  const count = getQualitySmokeCount();
+  cigaretteSmokeGeo.setDrawRange(0, count);
 
- Digi_Cam2: makePBR({
-    albedo: "./assets/Textures/Digi Cam/Digi Cam Albeto1.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+  for (let i = 0; i < count; i++) {
+    const p = cigaretteSmokeData[i];
+    const i3 = i * 3;
+
+    p.age += dt;
+
+    if (p.age >= p.life) {
+        p.x = (Math.random() - 0.5) * 0.010;
+        p.y = Math.random() * 0.004;
+        p.z = (Math.random() - 0.5) * 0.010;
 
- Dunkeheit_Album: (() => {
-  const m = makePBR(
-    {
-      albedo: "./assets/Textures/Album/Album Albedo2.jpg",
-    },
-    { roughness: 0.72, metalness: 0.0 }
-  );
+        p.vx = (Math.random() - 0.5) * 0.020;
+        p.vy = 0.11 + Math.random() * 0.05;
+        p.vz = (Math.random() - 0.5) * 0.020;
 
-  m.color.multiplyScalar(1.22);
-  m.color.lerp(new THREE.Color(0xffffff), 0.06);
-  m.envMapIntensity = 0.55;
+      p.age = 0;
 
-  return m;
-})(),
+      // ✅ LONGER LIFE (linger)
+      p.life = 5.5 + Math.random() * 3.5;
 
- Sony_Handicam1: makePBR({
-    albedo: "./assets/Textures/Sony Handicam/Sony Handicam Albeto2.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+      p.swirl = Math.random() * Math.PI * 2;
+    }
 
- Top_of_thailand_box: makePBR({
-    albedo: "./assets/Textures/Thailand Box/Thailand Box Albeto2.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    const k = p.age / p.life;
 
- Thailand_box: makePBR({
-    albedo: "./assets/Textures/Thailand Box/Thailand Box Albeto2.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    // ✅ VERY SOFT MOTION
+        const curl = 0.020 + k * 0.032;
+const spread = 0.050 + k * 0.12;
 
- Headphones1: makePBR({
-    albedo: "./assets/Textures/Headphones/Headphones Albeto.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    // gentle curl + slow drift
+    p.x += p.vx * dt + Math.sin(t * 1.2 + p.swirl + k * 3.0) * curl * dt;
+    p.y += p.vy * dt * 0.95;
+    p.z += p.vz * dt + Math.cos(t * 1.1 + p.swirl + k * 3.0) * curl * dt;
 
- Tank4: makePBR({
-    albedo: "./assets/Textures/Tank/Tank Albeto.jpg",
-    },
-    { roughness: 0.3, metalness: 0.0}
-),
+    // ✅ DRAG (this is key for realism)
+    p.vx *= 0.985;
+    p.vy *= 0.997;
+    p.vz *= 0.985;
 
- DvD_player: makePBR({
-    albedo: "./assets/Textures/DVD Player/DVD Player Albeto.jpg",
-    },
-    { roughness: 0.5, metalness: 0.0}
-),
+    // gentle outward bloom over time
+    p.x *= (1.0 + spread * dt * 0.45);
+    p.z *= (1.0 + spread * dt * 0.45);
 
- Dusty_Beer_2: makePBR({
-    albedo: "./assets/Textures/Dusty Beer Bottle/Dusty Beer Bottle Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+    pos[i3 + 0] = p.x;
+    pos[i3 + 1] = p.y;
+    pos[i3 + 2] = p.z;
+  }
 
-Dusty_Beer_1: makePBR({
-    albedo: "./assets/Textures/Dusty Beer Bottle/Dusty Beer Bottle Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+  cigaretteSmokeGeo.attributes.position.needsUpdate = true;
 
-power_box: makePBR({
-    albedo: "./assets/Textures/Power Box/Power Box Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+  if (cigaretteSmokeMat) {
+    cigaretteSmokeMat.opacity = 0.26;
+  }
+}
 
-Power_Box_Cables: makePBR({
-    albedo: "./assets/Textures/Power Box/Power Box Cable Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+// ============================================================
+// EXHALE SMOKE DEBUG SYSTEM
+// - separate smoke system
+// - attached to a movable square + sphere marker
+// ============================================================
+function buildExhaleSmoke(emitterParent) {
+  if (!emitterParent) {
+    console.warn("buildExhaleSmoke: emitterParent missing");
+    return;
+  }
 
-ash_tray: makePBR({
-    albedo: "./assets/Textures/Ash Tray/Ash Tray Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.5}
-),
+  const worldRoot = ensureSmokeWorldRoot();
 
-Glass_Cup3: makeTransparentPBR({
-    albedo: "./assets/Textures/Glass/Glass Cup Albedo.png",
-    },
-    { roughness: 0.0, metalness: 0.0, opacity: 0.1,}
-),
+  if (exhaleSmokePoints) {
+    exhaleSmokePoints.removeFromParent();
+    exhaleSmokeGeo?.dispose?.();
+    exhaleSmokeMat?.dispose?.();
+    exhaleSmokeGeo = null;
+    exhaleSmokeMat = null;
+    exhaleSmokePoints = null;
+    exhaleSmokeData.length = 0;
+  }
 
-Glass_Cup4: makeTransparentPBR({
-    albedo: "./assets/Textures/Glass/Glass Cup Albedo.png",
-    },
-    { roughness: 0.0, metalness: 0.0, opacity: 0.1,}
-),
+  exhaleSmokeGeo = new THREE.BufferGeometry();
+  const positions = new Float32Array(EXHALE_SMOKE_COUNT * 3);
 
-Cabnet_Laches: makePBR({
-    albedo: "./assets/Textures/Cabnet Laches/Cabnet Laches Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+  exhaleSmokeData.length = 0;
 
-Dog_Tag1: makePBR({
-    albedo: "./assets/Textures/Dog Tag Necklace/Dog Tag Albeto1.jpg",
-    },
-    { roughness: 0.2, metalness: 0.0}
-),
+  for (let i = 0; i < EXHALE_SMOKE_COUNT; i++) {
+    const i3 = i * 3;
 
-Washer: makePBR({
-    albedo: "./assets/Textures/Dog Tag Necklace/Washer Albeto1.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+    const x = 0;
+    const y = 0;
+    const z = 0;
 
-Chain: makePBR({
-    albedo: "./assets/Textures/Dog Tag Necklace/Chain Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.01}
-),
+    positions[i3 + 0] = x;
+    positions[i3 + 1] = y;
+    positions[i3 + 2] = z;
 
-All_Cartridges: makePBR({
-    albedo: "./assets/Textures/Cartridges/Cartridges Albedo.jpg",
-    },
-    { roughness: 0.8, metalness: 0.0}
-),
+    exhaleSmokeData.push({
+      x,
+      y,
+      z,
+      vx: (Math.random() - 0.5) * 0.03,
+      vy: 0.14 + Math.random() * 0.08,
+      vz: (Math.random() - 0.5) * 0.03,
+      age: 0,
+      life: 3.0 + Math.random() * 2.0,
+      swirl: Math.random() * Math.PI * 2,
+    });
+  }
 
-Bed1: (() => {
-  const mat = makePBR(
-    {
-      albedo: "./assets/Textures/Bed/Bed Albedo2.jpg",
-    },
-    { roughness: 0.92, metalness: 0.0 }
+  exhaleSmokeGeo.setAttribute(
+    "position",
+    new THREE.BufferAttribute(positions, 3)
   );
 
-  mat.color.multiplyScalar(1.08);
-  mat.color.lerp(new THREE.Color(0xffffff), 0.025);
-  mat.envMapIntensity = 0.1;
-
-  return mat;
-})(),
+exhaleSmokeMat = new THREE.PointsMaterial({
+  color: 0xf0f0f0,
+  map: cigaretteSmokeTex,
+  alphaMap: cigaretteSmokeTex,
+  transparent: true,
+  opacity: 0.26,
+  size: 0.40,
+  sizeAttenuation: true,
+  depthTest: true,
+  depthWrite: false,
+  blending: THREE.NormalBlending,
+  fog: true
+});
 
-  // SKETCHBOOK
-  Sheets_Spine: makePBR(
-    {
-      albedo: "./assets/Textures/Sketchbook/Everything else.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0 }
-  ),
+exhaleSmokePoints = new THREE.Points(exhaleSmokeGeo, exhaleSmokeMat);
+exhaleSmokePoints.frustumCulled = false;
+exhaleSmokePoints.renderOrder = 0;
+exhaleSmokePoints.visible = false;
 
-Top_Sheet: makePBR(
-  {
-    albedo: "./assets/Textures/Sketchbook/Top Page11.jpg",
-  },
-  {
-    roughness: 1.0,        // already good (max matte)
-    metalness: 0.0,
-    color: 0xb0b0b0,       // keep your darker tone
-    envMapIntensity: 0.04  // 🔥 THIS is the big one
-  }
-),
+  worldRoot.add(exhaleSmokePoints);
 
-Frame: makePBR({
-    albedo: "./assets/Textures/Frame/Frame Albedo1.jpg",
- 
-    },
-    { roughness: 1.0, metalness: 0.5}
-),
+  emitterParent.updateMatrixWorld(true);
+  emitterParent.getWorldPosition(exhaleSmokeSourceWorld);
+  exhaleSmokeSourceWorld.y += 0.15;
+  exhaleSmokePoints.position.copy(exhaleSmokeSourceWorld);
 
- Bug_1: makePBR(
-    {
-      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+  console.log("✅ exhale smoke built in WORLD space at:", exhaleSmokeSourceWorld);
+}
 
-  Bug_2: makePBR(
-    {
-      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+function resetAllExhaleSmokeParticlesToEmitter() {
+  if (!exhaleSmokeGeo) return;
 
-  Bug_3: makePBR(
-    {
-      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+  const pos = exhaleSmokeGeo.attributes.position.array;
 
-  Bug_4: makePBR(
-    {
-      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+  for (let i = 0; i < EXHALE_SMOKE_COUNT; i++) {
+    const p = exhaleSmokeData[i];
+    const i3 = i * 3;
 
-  Bug_5: makePBR(
-    {
-      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+    p.x = 0;
+    p.y = 0;
+    p.z = 0;
 
-  Bug_6: makePBR(
-    {
-      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+   p.vx = (Math.random() - 0.5) * 0.08;
+   p.vy = 0.22 + Math.random() * 0.10;
+   p.vz = (Math.random() - 0.5) * 0.08;
 
-  Bug_7: makePBR(
-    {
-      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+   p.age = 0;
+   p.life = 3.8 + Math.random() * 2.2;
+    p.swirl = Math.random() * Math.PI * 2;
 
-  Bug_8: makePBR(
-    {
-      albedo: "./assets/Textures/Bugs/Bugs Albedo.jpg",
-    },
-    { metalness: 0.0, roughness: 0.0 }
-  ),
+    pos[i3 + 0] = 0;
+    pos[i3 + 1] = 0;
+    pos[i3 + 2] = 0;
+  }
 
-cabnet_hinge3: (() => {
+  exhaleSmokeGeo.attributes.position.needsUpdate = true;
+}
 
-  // 1️⃣ Create the material
-  const m = makePBR(
-    {
-      albedo: "./assets/Textures/Hinge/Hinge Albeto1.jpg",
-    },
-    { roughness: 0.9, metalness: 0.2}
-  );
+function updateExhaleSmoke(dt) {
+  if (!exhaleSmokeSphere) return;
+  if (!exhaleSmokePoints || !exhaleSmokeGeo) return;
 
-  // 2️⃣ DARKEN IT HERE 👇 (THIS is where multiplyScalar goes)
-  m.color.multiplyScalar(0.37);
+  const now = performance.now() * 0.001;
 
-  // 3️⃣ Optional: subtle reflection
-  m.envMapIntensity = 0.10;
+  // wait until 5.5s after cigarette animation starts
+  if (exhaleSmokeArmed && !exhaleSmokeActive && !exhaleSmokeDissipating) {
+    if ((now - exhaleSmokeStartTime) < EXHALE_SMOKE_DELAY) {
+      exhaleSmokePoints.visible = false;
+      return;
+    }
 
-  // 4️⃣ Return finished material
-  return m;
+    exhaleSmokeActive = true;
+    exhaleSmokeDissipating = false;
+    exhaleSmokePoints.visible = true;
+    resetAllExhaleSmokeParticlesToEmitter();
 
-})(),
+    console.log("💨 exhale smoke START");
+  }
 
-cabnet_hinge4: (() => {
+  // after burst duration, stop emitting but let smoke naturally dissipate
+  if (exhaleSmokeActive) {
+    const burstElapsed = now - exhaleSmokeStartTime - EXHALE_SMOKE_DELAY;
 
-  // 1️⃣ Create the material
-  const m = makePBR(
-    {
-      albedo: "./assets/Textures/Hinge/Hinge Albeto1.jpg",
-    },
-    { roughness: 0.9, metalness: 0.2 }
-  );
+    if (burstElapsed > EXHALE_SMOKE_BURST) {
+      exhaleSmokeActive = false;
+      exhaleSmokeArmed = false;
+      exhaleSmokeDissipating = true;
 
-  // 2️⃣ DARKEN IT HERE 👇 (THIS is where multiplyScalar goes)
-  m.color.multiplyScalar(0.37);
+      console.log("💨 exhale smoke RELEASE END / dissipating");
+    }
+  }
 
-  // 3️⃣ Optional: subtle reflection
-  m.envMapIntensity = 0.10;
+  // if nothing is active or dissipating, do nothing
+  if (!exhaleSmokeActive && !exhaleSmokeDissipating) return;
 
-  // 4️⃣ Return finished material
-  return m;
+  exhaleSmokeSphere.updateMatrixWorld(true);
+  exhaleSmokeSphere.getWorldPosition(exhaleSmokeSourceWorld);
+  exhaleSmokeSphere.getWorldQuaternion(exhaleSmokeQuatWorld);
 
-})(),
+  exhaleSmokeSourceWorld.y += 0.15;
 
-cabnet_hinge5: (() => {
+  exhaleSmokePoints.position.copy(exhaleSmokeSourceWorld);
+  exhaleSmokePoints.quaternion.copy(exhaleSmokeQuatWorld);
 
-  // 1️⃣ Create the material
-  const m = makePBR(
-    {
-      albedo: "./assets/Textures/Hinge/Hinge Albeto1.jpg",
-    },
-    { roughness: 0.9, metalness: 0.2 }
-  );
+  const pos = exhaleSmokeGeo.attributes.position.array;
+  const t = performance.now() * 0.001;
 
-  // 2️⃣ DARKEN IT HERE 👇 (THIS is where multiplyScalar goes)
-  m.color.multiplyScalar(0.2);
+  let aliveCount = 0;
+  let maxFade = 0;
 
-  // 3️⃣ Optional: subtle reflection
-  m.envMapIntensity = 0.05;
+  const count = getQualitySmokeCount();
+  exhaleSmokeGeo.setDrawRange(0, count);
 
-  // 4️⃣ Return finished material
-  return m;
+  for (let i = 0; i < count; i++) {
+    const p = exhaleSmokeData[i];
+    const i3 = i * 3;
 
-})(),
+    p.age += dt;
 
+    const k = p.age / p.life;
 
-Green_Beer_Bottle1: makePBR({
-    albedo: "./assets/Textures/Green Bottle/Green bottle Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+    if (k >= 1.0) {
+      pos[i3 + 0] = 9999;
+      pos[i3 + 1] = 9999;
+      pos[i3 + 2] = 9999;
+      continue;
+    }
 
-White_VCR_Cable: makePBR({
-    albedo: "./assets/Textures/VCR Cords/White VCR Albeto.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    aliveCount++;
 
-Red_VCR_Cable: makePBR({
-    albedo: "./assets/Textures/VCR Cords/Red VCR Albeto.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    const fadeStart = 1.0 - EXHALE_SMOKE_FADE_PORTION;
 
-Yellow_VCR_Cable: makePBR({
-    albedo: "./assets/Textures/VCR Cords/Yellow VCR Albeto.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    let fade = 1.0;
+    if (k > fadeStart) {
+      const u = (k - fadeStart) / EXHALE_SMOKE_FADE_PORTION;
+      fade = 1.0 - (u * u * (3.0 - 2.0 * u)); // smooth fade out
+    }
 
-Black_VCR_Cable: makePBR({
-    albedo: "./assets/Textures/VCR Cords/Black VCR Cable Albeto.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    if (fade > maxFade) maxFade = fade;
 
-Blade: makePBR({
-    albedo: "./assets/Textures/Knife/Knife Albeto1.jpg",
-    },
-    { roughness: 0.3, metalness: 0.1}
-),
+    const curl = 0.020 + k * 0.032;
+    const spread = 0.050 + k * 0.12;
 
-Handle: makePBR({
-    albedo: "./assets/Textures/Knife/Knife Handle Albeto.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    p.x += p.vx * dt + Math.sin(t * 1.2 + p.swirl + k * 3.0) * curl * dt;
+    p.y += p.vy * dt * 0.95;
+    p.z += p.vz * dt + Math.cos(t * 1.1 + p.swirl + k * 3.0) * curl * dt;
 
-Board2: makePBR({
-    albedo: "./assets/Textures/Skateboard/Board Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.2}
-),
+    // extra slowdown as particle dies
+    const dragMul = 0.985 - (1.0 - fade) * 0.02;
+    p.vx *= dragMul;
+    p.vy *= 0.997 - (1.0 - fade) * 0.01;
+    p.vz *= dragMul;
 
-Grinding_Treck2: makePBR({
-    albedo: "./assets/Textures/Skateboard/Treck Grinder Albeto2.jpg",
-    },
-    { roughness: 1.0, metalness: 0.5}
-),
+    p.x *= (1.0 + spread * dt * 0.45);
+    p.z *= (1.0 + spread * dt * 0.45);
 
-Grinding_Teck1: makePBR({
-    albedo: "./assets/Textures/Skateboard/Treck Grinder Albeto2.jpg",
-    },
-    { roughness: 1.0, metalness: 0.5}
-),
+   // keep particles spread out; only fade them visually
+    pos[i3 + 0] = p.x;
+    pos[i3 + 1] = p.y;
+    pos[i3 + 2] = p.z;
+  }
 
-Right_Wheel2: makePBR({
-    albedo: "./assets/Textures/Skateboard/Right Wheel Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  exhaleSmokeGeo.attributes.position.needsUpdate = true;
 
-Right_Wheel1: makePBR({
-    albedo: "./assets/Textures/Skateboard/Right Wheel Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  // smooth overall fade as the last visible particles die
+  if (exhaleSmokeMat) {
+    exhaleSmokeMat.opacity = 0.26 * maxFade;
+  }
 
-Left_Wheel: makePBR({
-    albedo: "./assets/Textures/Skateboard/Left Wheel Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+  // only hide the whole system after every particle has naturally died
+  if (exhaleSmokeDissipating && aliveCount === 0) {
+    exhaleSmokeDissipating = false;
+    exhaleSmokePoints.visible = false;
 
-Left_Wheel1: makePBR({
-    albedo: "./assets/Textures/Skateboard/Left Wheel Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0}
-),
+    // restore default opacity for next puff
+    if (exhaleSmokeMat) {
+      exhaleSmokeMat.opacity = 0.26;
+    }
 
-Top_of_Treck: makePBR({
-    albedo: "./assets/Textures/Skateboard/Top of Treck Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.5}
-),
+    console.log("💨 exhale smoke fully dissipated");
+  }
+}
 
-Top_of_Treck1: makePBR({
-    albedo: "./assets/Textures/Skateboard/Top of Treck Albeto1.jpg",
-    },
-    { roughness: 1.0, metalness: 0.5}
-),
+function setupExhaleSmokeDebugRig() {
+  if (exhaleSmokeRoot) return;
 
-Picture1: (() => {
-  const m = makePBR(
-    { albedo: "./assets/Textures/Picture/01_Picture1.jpg" },
-    { roughness: 0.95, metalness: 0.0 }
-  );
+  if (!camera) {
+    console.warn("setupExhaleSmokeDebugRig: camera missing");
+    return;
+  }
 
-  // ✅ stop reflections from washing it out / killing contrast
-  m.envMapIntensity = 0.0;
+  exhaleSmokeRoot = new THREE.Group();
+  exhaleSmokeRoot.name = "ExhaleSmokeDebugRoot";
 
-  // ✅ bring “life” back without making it neon
-  m.emissive = new THREE.Color(0xffffff);
-  m.emissiveIntensity = 0.07; // 🔥 tweak 0.15–0.35
+  // attach to camera so it stays in front of you for testing
+  camera.add(exhaleSmokeRoot);
 
-  return m;
-})(),
+  // KEEP POSITION STATIONARY
+  exhaleSmokeRoot.position.set(0.10, -0.20, -0.0);
 
-Picture_Frame: makePBR({
-    albedo: "./assets/Textures/Picture/Picture Frame Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+  // this is your existing "mouth plane" pitch
+  exhaleSmokeRoot.rotation.x = -Math.PI / 2;
 
-Lamp1: (() => {
-  const m = makePBR(
-    { albedo: "./assets/Textures/Lamp/Lamp Albeto.jpg" },
-    { roughness: 1.0, metalness: 0.0 }
-  );
+  // --------------------------------------------------
+  // AIM PIVOT
+  // rotate THIS to aim left/right without moving root
+  // --------------------------------------------------
+  exhaleSmokeAim = new THREE.Group();
+  exhaleSmokeAim.name = "ExhaleSmokeAim";
+  exhaleSmokeRoot.add(exhaleSmokeAim);
 
-  // emission glow BUT texture stays visible
-  m.emissive = new THREE.Color(0xffb45a);      // warm glow color
-  m.emissiveIntensity = 2.0;                  // keep low so texture still shows
-  m.emissive.offsetHSL(0, -0.07, 0);
-  m.emissiveMap = m.map;                       // uses the lamp texture as the glow pattern
-  m.toneMapped = true;
-  return m;
-})(),
+  // rotate toward left shelving
+  exhaleSmokeAim.rotation.z = THREE.MathUtils.degToRad(19);
 
+  // green square (keep as invisible debug anchor)
+exhaleSmokeBox = new THREE.Mesh(
+  new THREE.BoxGeometry(0.25, 0.25, 0.02),
+  new THREE.MeshBasicMaterial({
+    color: 0x00ff00,
+    transparent: true,
+    opacity: 0.0,
+    depthTest: false,
+    depthWrite: false,
+  })
+);
+exhaleSmokeBox.visible = false;
+exhaleSmokeBox.renderOrder = 9999;
+exhaleSmokeAim.add(exhaleSmokeBox);
 
-Treck_Screw4: makePBR({
-    albedo: "./assets/Textures/Skateboard/Treck screw.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0}
-),
+// red sphere (keep as invisible emitter anchor)
+exhaleSmokeSphere = new THREE.Mesh(
+  new THREE.SphereGeometry(0.06, 16, 16),
+  new THREE.MeshBasicMaterial({
+    color: 0xff0000,
+    transparent: true,
+    opacity: 0.0,
+    depthTest: false,
+    depthWrite: false,
+  })
+);
+exhaleSmokeSphere.visible = false;
+exhaleSmokeSphere.position.set(0, 0.18, 0);
+exhaleSmokeSphere.renderOrder = 9999;
+exhaleSmokeAim.add(exhaleSmokeSphere);
 
-Shoelase: makePBR({
-    albedo: "./assets/Textures/Shoelace/Shoelace Albeto.jpg",
-    },
-    { roughness: 0.2, metalness: 0.0}
-),
+  buildExhaleSmoke(exhaleSmokeSphere);
 
-//INTERACTIVE MATERIALS
+  console.log("✅ Exhale smoke debug rig created", {
+    exhaleSmokeRoot,
+    exhaleSmokeAim,
+    exhaleSmokeBox,
+    exhaleSmokeSphere,
+    exhaleSmokePoints
+  });
+}
 
-BluetoothSpeaker: (() => {
+const cigaretteAshMat = (() => {
   const m = makePBR(
     {
-      albedo: "./assets/Textures/Speaker/Speaker Albeto7.jpg",
+      albedo: "./assets/Textures/New Cigarette Folder/Cig Ash Albeto.jpg",
     },
-    { roughness: 0.72, metalness: 0.05 }
+    { roughness: 1.0, metalness: 0.0 }
   );
 
-  m.color.multiplyScalar(1.0);
-  m.color.lerp(new THREE.Color(0xffffff), 0.035);
-  m.envMapIntensity = 0.05;
-
-  return m;
-})(),
-
-  Left_Button_Remote: makePBR(
-{
-      albedo: "./assets/Textures/Remote/Left Arrow Button/Left Arrow Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.2 }
-  ),
-
- Ok_Button_Remote2: makePBR(
-{
-      albedo: "./assets/Textures/Remote/Ok Button/Ok Button Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0 }
-  ),
-
-   Right_Button_Remote: makePBR(
-{
-      albedo: "./assets/Textures/Remote/Right Button/Right Arrow Albeto.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0 }
-  ),
+  m.color.multiplyScalar(0.82);
 
-  Power_Button_Remote: makePBR(
-{
-      albedo: "./assets/Textures/Remote/Power Button/Power Button Albeto1.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0 }
-  ),
+  m.emissive = new THREE.Color(0x4a0800);
+  m.emissiveIntensity = 0.55;
 
-     Down_Arrow_Button: makePBR(
-{
-      albedo: "./assets/Textures/Remote/Down Arrow Button/Down Arrow Button Albedo.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0 }
-  ),
+  m.emissiveMap = null;
 
-    Top_Arrow_Button: makePBR(
-{
-      albedo: "./assets/Textures/Remote/Top Arrow Button/Top Arrow Button Albedo.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0 }
-  ),
+  m.toneMapped = true;
+  return m;
+})();
 
-   TV_Screen: makePBR(
-{
-      albedo: "./assets/Textures/TV Screen/TV Screen Albeto.jpg",
-      normal: "./assets/Textures/TV Screen/TV Screen Normal.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0 }
-  ),
+const cigaretteEmberMat = new THREE.MeshStandardMaterial({
+  color: 0x080201,
+  emissive: 0x551100,
+  emissiveIntensity: 0.25,
+  roughness: 1.0,
+  metalness: 0.0,
+  side: THREE.DoubleSide,
+  toneMapped: true,
+});
 
-     Food_Bowl: makePBR(
-{
-      albedo: "./assets/Textures/Food/Food albedo1.jpg",
-    },
-    { roughness: 0.2, metalness: 0.0 }
-  ),
-  
-     Foot: makePBR(
-{
-      albedo: "./assets/Textures/Foot/Foot albedo.jpg",
-    },
-    { roughness: 0.9, metalness: 0.0 }
-  ),
+darkenMaterial(cigaretteFilterMat, {
+  env: 0.0,
+  rough: 1.0,
+  colorMul: 0.7,
+});
 
-       Toe_Nail: makePBR(
-{
-      albedo: "./assets/Textures/Foot/Toe albedo.jpg",
-    },
-    { roughness: 0.3, metalness: 0.0 }
-  ),
-  
-       Garbage_Bag: makePBR(
-{
-      albedo: "./assets/Textures/Garbage/Garbage albedo1.jpg",
-    },
-    { roughness: 0.0, metalness: 0.0 }
-  ),
-  
-       Grim_reaper: makePBR(
-{
-      albedo: "./assets/Textures/Angel/Angel albedo",
-      normal: "./assets/Textures/Angel/Angel Normal.jpg",
-    },
-    { roughness: 0.5, metalness: 0.0 }
-  ),
-  
-       Rag1: makePBR(
-{
-      albedo: "./assets/Textures/Rag/Dirty Rag Albedo2.jpg",
-    },
-    { roughness: 0.3, metalness: 0.0 }
-  ),
+darkenMaterial(cigaretteTobaccoMat, {
+  env: 0.0,
+  rough: 1.0,
+  colorMul: 0.7,
+});
 
-       Underwear2: makePBR(
-{
-      albedo: "./assets/Textures/Underwear/Underwear2.jpg",
-    },
-    { roughness: 0.2, metalness: 0.0 }
-  ),
+darkenMaterial(cigaretteAshMat, {
+  env: 0.0,
+  rough: 1.0,
+  colorMul: 0.7,
+});
 
-  
-};
+materials.Contact = makePBR(
+  {
+    albedo: "./assets/Textures/Remote/Social Buttons/Instagram Albedo1.jpg",
+  },
+  {
+    roughness: 1.0,
+    metalness: 0.0,
+  }
+);
 
-materials.cabnet.color.setScalar(0.65);
-materials.TV_stand.color.setScalar(0.75);
+materials.Instagram = makePBR(
+  {
+    albedo: "./assets/Textures/Remote/Social Buttons/Contact Albedo3.jpg",
+  },
+  {
+    roughness: 1.0,
+    metalness: 0.0,
+  }
+);
 
-const cigaretteFilterMat = makePBR(
+materials.TikTok = makePBR(
   {
-    albedo: "./assets/Textures/New Cigarette Folder/Cig Filter Albeto.jpg",
+    albedo: "./assets/Textures/Remote/Social Buttons/TikTok Albedo.jpg",
   },
-  { roughness: 1.0, metalness: 0.0 }
+  {
+    roughness: 1.0,
+    metalness: 0.0,
+  }
 );
 
-const cigaretteTobaccoMat = makePBR(
+materials.Youtube = makePBR(
   {
-    albedo: "./assets/Textures/New Cigarette Folder/Cig Tobacco Albeto.jpg",
+    albedo: "./assets/Textures/Remote/Social Buttons/Youtube Albedo.jpg",
   },
-  { roughness: 1.0, metalness: 0.0 }
+  {
+    roughness: 1.0,
+    metalness: 0.0,
+  }
 );
 
-function makeBurnBandTexture(size = 256) {
-  const c = document.createElement("canvas");
-  c.width = size;
-  c.height = size;
-  const ctx = c.getContext("2d");
+// ============================================================
+// ✅ WALL DETAIL BOOST (micro-contrast without "brightening")
+// Paste directly under: const materials = { ... };
+// ============================================================
+if (materials.front_wall1) {
+  // small lift so cracks/details show
+  materials.front_wall1.color.multiplyScalar(1.12);
+  // slightly less chalk-flat
+  materials.front_wall1.roughness = Math.min(materials.front_wall1.roughness ?? 1.0, 0.92);
+  if ("envMapIntensity" in materials.front_wall1) materials.front_wall1.envMapIntensity = 0.03;
+  materials.front_wall1.needsUpdate = true;
+}
 
-  // base horizontal band
- const g = ctx.createLinearGradient(0, 0, size, 0);
-g.addColorStop(0.00, "rgba(0,0,0,0.0)");
-g.addColorStop(0.10, "rgba(20,0,0,0.05)");
-g.addColorStop(0.24, "rgba(60,0,0,0.16)");
-g.addColorStop(0.36, "rgba(110,0,0,0.34)");
-g.addColorStop(0.45, "rgba(165,10,0,0.62)");
-g.addColorStop(0.49, "rgba(235,70,12,0.88)");
-g.addColorStop(0.505, "rgba(255,150,45,0.78)");
-g.addColorStop(0.525, "rgba(255,210,120,0.22)");
-g.addColorStop(0.56, "rgba(150,8,0,0.58)");
-g.addColorStop(0.70, "rgba(55,0,0,0.18)");
-g.addColorStop(1.00, "rgba(0,0,0,0.0)");
+if (materials.Left_wall1) {
+  materials.Left_wall1.color.multiplyScalar(1.10);
+  materials.Left_wall1.roughness = Math.min(materials.Left_wall1.roughness ?? 1.0, 0.90);
+  if ("envMapIntensity" in materials.Left_wall1) materials.Left_wall1.envMapIntensity = 0.035;
+  materials.Left_wall1.needsUpdate = true;
+}
 
-  ctx.clearRect(0, 0, size, size);
-  ctx.fillStyle = g;
-  ctx.fillRect(0, 0, size, size);
+// ============================================================
+// ✅ Picture1 material tuning (prevents over-bright photos)
+// Paste DIRECTLY after: const materials = { ... };
+// ============================================================
+if (materials.Picture1) {
+  // isolate so nothing else sharing this material gets affected
+  materials.Picture1 = materials.Picture1.clone();
 
-  for (let y = 0; y < size; y++) {
-  const breakChance = Math.random();
+  // kill reflections / IBL on the photo
+  if ("envMapIntensity" in materials.Picture1) materials.Picture1.envMapIntensity = 0.0;
 
-  // 🔥 kill parts of the ring (dead ash sections)
-if (breakChance > 0.995)   {
-    ctx.fillStyle = `rgba(0,0,0,${0.35 + Math.random() * 0.4})`;
-    ctx.fillRect(0, y, size, 1);
-    continue;
-  }
+  // make it "paper-like"
+  materials.Picture1.metalness = 0.0;
+  materials.Picture1.roughness = 0.9;
 
-  // 🔥 dim uneven areas
-  if (breakChance > 0.985) {
-    ctx.fillStyle = `rgba(0,0,0,${0.15 + Math.random() * 0.25})`;
-    ctx.fillRect(0, y, size, 1);
-  }
+  // reduce brightness without changing your textures
+  materials.Picture1.color.setHex(0xffffff);
+  materials.Picture1.color.multiplyScalar(0.75); // ✅ try 0.70–0.90
 
-  // 🔥 rare hot bright streaks
-  if (Math.random() > 0.92) {
-    ctx.fillStyle = `rgba(255,200,120,${0.12 + Math.random() * 0.18})`;
-    ctx.fillRect(size * (0.45 + Math.random() * 0.1), y, 6, 1);
-  }
+  materials.Picture1.needsUpdate = true;
 }
 
-  // add a few brighter hot streaks / flecks
-for (let i = 0; i < 14; i++) {
-  const x = size * (0.44 + Math.random() * 0.12);
-  const y = Math.random() * size;
-  const w = 4 + Math.random() * 10;
-  const h = 1 + Math.random() * 3;
-
-  const isHot = Math.random() > 0.72;
-
-ctx.fillStyle = isHot
-  ? `rgba(255,240,170,${0.55 + Math.random() * 0.30})`
-  : `rgba(255,90,20,${0.30 + Math.random() * 0.25})`;
+let picture1TexIndex = 0;
+let picture1MeshRef = null; // will be captured from Main GLB
+let grimReaperRef = null;
 
-  ctx.fillRect(x, y, w, h);
-}
+let wallDrawPlaneRef = null;
+let wallDrawCanvas = null;
+let wallDrawCtx = null;
+let wallDrawTex = null;
 
-  const tex = new THREE.CanvasTexture(c);
-  tex.colorSpace = THREE.SRGBColorSpace;
-  tex.flipY = false;
-  tex.needsUpdate = true;
-  return tex;
-}
+let drawMode = false;
+let isWallDrawing = false;
+let hasLastWallDrawUv = false;
 
-const ashGlowTex = makeBurnBandTexture();
+let wallTool = "pen"; // "pen" or "eraser"
 
-function makeEmberHaloTexture(size = 256) {
-  const c = document.createElement("canvas");
-  c.width = c.height = size;
-  const ctx = c.getContext("2d");
+let wallDrawStartMs = 0;
+let wallDrawPressure = 1.0;
 
-  const g = ctx.createRadialGradient(
-    size * 0.5, size * 0.5, size * 0.18,
-    size * 0.5, size * 0.5, size * 0.5
-  );
+const WALL_PRESSURE_MIN = 1.0;
+const WALL_PRESSURE_MAX = 1.9;
+const WALL_PRESSURE_RAMP_MS = 1600;
 
-g.addColorStop(0.00, "rgba(0,0,0,0.0)");
-g.addColorStop(0.18, "rgba(80,0,0,0.20)");
-g.addColorStop(0.34, "rgba(180,20,0,0.75)");
-g.addColorStop(0.46, "rgba(255,90,20,1.0)");
-g.addColorStop(0.50, "rgba(255,220,140,1.0)");
-g.addColorStop(0.54, "rgba(255,90,20,1.0)");
-g.addColorStop(0.68, "rgba(180,20,0,0.70)");
-g.addColorStop(0.84, "rgba(80,0,0,0.18)");
-g.addColorStop(1.00, "rgba(0,0,0,0.0)");
+const WALL_MARKER_COLORS = [
+  "#000000", // black
+  "#FFFFFF", // white
+  "#6D120D", // red
+  "#5D7A91", // blue
+  "#E57B36", // orange
+  "#B396B7", // pink
+  "#2A6231", // green
+];
 
-  ctx.clearRect(0, 0, size, size);
-  ctx.fillStyle = g;
-  ctx.fillRect(0, 0, size, size);
+let wallMarkerColorIndex = 0;
+let wallMarkerColor = WALL_MARKER_COLORS[wallMarkerColorIndex];
 
-  const tex = new THREE.CanvasTexture(c);
-  tex.colorSpace = THREE.SRGBColorSpace;
-  tex.flipY = false;
-  tex.needsUpdate = true;
-  return tex;
-}
+const WALL_PEN_RADIUS = 8.0;
+const WALL_PEN_LINE_WIDTH = 10;
 
-const emberHaloTex = makeEmberHaloTexture();
+const WALL_SPRAY_CORE_DABS = 17;
+const WALL_SPRAY_EDGE_DABS = 7;
 
-function makeSmokeSpriteTexture(size = 128) {
-  const c = document.createElement("canvas");
-  c.width = c.height = size;
-  const ctx = c.getContext("2d");
+const WALL_SPRAY_JITTER = 6.0;
+const WALL_SPRAY_EDGE_JITTER = 9.5;
 
-  ctx.clearRect(0, 0, size, size);
+const WALL_SPRAY_DOT_MIN = 0.45;
+const WALL_SPRAY_DOT_MAX = 1.2;
 
-  // build a soft irregular cloud out of overlapping blobs
-  for (let i = 0; i < 14; i++) {
-    const x = size * (0.28 + Math.random() * 0.44);
-    const y = size * (0.18 + Math.random() * 0.64);
+const WALL_SPRAY_HOLE_CHANCE = 0.06;
 
-    const rx = size * (0.10 + Math.random() * 0.16);
-    const ry = size * (0.06 + Math.random() * 0.14);
+const WALL_PAINT_SHADOW_OFFSET_X = 0.85;
+const WALL_PAINT_SHADOW_OFFSET_Y = 0.55;
+const WALL_PAINT_SHADOW_ALPHA = 0.030;
 
-    const a = 0.035 + Math.random() * 0.05;
+const WALL_PAINT_ALPHA_MIN = 0.04;
+const WALL_PAINT_ALPHA_MAX = 0.090;
 
-    const g = ctx.createRadialGradient(x, y, 0, x, y, Math.max(rx, ry));
-    g.addColorStop(0.00, `rgba(255,255,255,${a})`);
-    g.addColorStop(0.45, `rgba(235,235,235,${a * 0.7})`);
-    g.addColorStop(1.00, "rgba(0,0,0,0.0)");
+const WALL_ERASER_RADIUS = 14.0;
+const WALL_ERASER_LINE_WIDTH = 24;
 
-    ctx.save();
-    ctx.translate(x, y);
-    ctx.rotate((Math.random() - 0.5) * 1.2);
-    ctx.scale(rx / Math.max(rx, ry), ry / Math.max(rx, ry));
-    ctx.translate(-x, -y);
+const wallDrawUv = new THREE.Vector2();
+const lastWallDrawUv = new THREE.Vector2();
+const wallDrawRaycastHits = [];
 
-    ctx.fillStyle = g;
-    ctx.fillRect(x - Math.max(rx, ry), y - Math.max(rx, ry), Math.max(rx, ry) * 2, Math.max(rx, ry) * 2);
-    ctx.restore();
-  }
+const IOS_WALL_DOUBLE_TAP_MS = 300;
+const IOS_WALL_TRIPLE_TAP_MS = 480;
+const IOS_WALL_HOLD_MS = 220;
 
-  // lightly erase the center so it doesn't look like a perfect puff stamp
-  for (let i = 0; i < 6; i++) {
-    const x = size * (0.35 + Math.random() * 0.30);
-    const y = size * (0.25 + Math.random() * 0.50);
-    const r = size * (0.05 + Math.random() * 0.08);
+let iosWallTapCount = 0;
+let iosWallTapTimer = null;
+let iosWallEraseHoldTimer = null;
+let iosWallTwoFingerEraseActive = false;
+let iosWallPrevTool = "pen";
+let iosWallMultiTap = null; // { t0, fingers } while 2+ fingers are down on the wall
 
-    const cut = ctx.createRadialGradient(x, y, 0, x, y, r);
-    cut.addColorStop(0.00, "rgba(0,0,0,0.06)");
-    cut.addColorStop(1.00, "rgba(0,0,0,0.0)");
+const WALL_DRAW_SIZE = 1024;
 
-    ctx.fillStyle = cut;
-    ctx.fillRect(x - r, y - r, r * 2, r * 2);
-  }
+// ============================================================
+// ✅ SPRAY TOOLBAR (nozzle, color, opacity, caps)
+// - shown while setWallDrawMode is on (after the loader is gone)
+// - tools: spray, fat cap (wide soft cap), drip (paint runs down),
+//   stencil line (drag → straight taped line on release), eraser
+// - nozzle scales every tool, opacity scales paint (not the eraser)
+// - full color picker + recent colors; C / E keys still work
+// ============================================================
+const WALL_TOOLS = [
+  { id: "pen", label: "Spray" },
+  { id: "fatcap", label: "Fat cap" },
+  { id: "drip", label: "Drip" },
+  { id: "line", label: "Stencil line" },
+  { id: "eraser", label: "Eraser" },
+];
 
-  const tex = new THREE.CanvasTexture(c);
-  tex.colorSpace = THREE.SRGBColorSpace;
-  tex.flipY = false;
-  tex.needsUpdate = true;
-  return tex;
-}
+const WALL_NOZZLE_MIN = 0.5;
+const WALL_NOZZLE_MAX = 2.5;
+const WALL_FATCAP_SIZE = 2.2;
+const WALL_OPACITY_MIN = 0.15;
+const WALL_RECENT_COLORS_MAX = 6;
+const WALL_STENCIL_HALF_WIDTH = 6; // px either side of the line, × nozzle
+
+const WALL_DRIP = {
+  chargePerDot: 0.012,   // × pressure × opacity × nozzle; a drip starts at 1
+  maxActive: 24,
+  speedMin: 38,          // px/s on the 1024 canvas
+  speedMax: 72,
+  drag: 1.4,             // per second
+  stopSpeed: 7,
+  lenMin: 36,
+  lenMax: 150,
+  widthMin: 1.3,
+  widthMax: 2.4,
+  alpha: 0.22,
+  step: 1 / 60,
+  maxStepsPerFrame: 32,  // room for fast timelapse playback
+};
 
-const cigaretteSmokeTex = makeSmokeSpriteTexture();
+let wallNozzle = 1.0;
+let wallPaintOpacity = 1.0;
+let wallLastSprayTool = "pen";
+let wallRecentColors = WALL_MARKER_COLORS.slice(0, WALL_RECENT_COLORS_MAX);
 
-function getSafeRoomMaxDim() {
-  return Number.isFinite(roomMaxDim) && roomMaxDim > 0 ? roomMaxDim : 10;
-}
+let wallDrips = [];
+let wallDripCharge = 0;
+let wallDripAccum = 0;
 
-function getSmokeScaleUnit() {
-  return Math.max(0.001, getSafeRoomMaxDim() * 0.01);
-}
+const wallLineStartUv = new THREE.Vector2();
 
-function getSmokeOffsetUnit() {
-  return Math.max(0.001, getSafeRoomMaxDim() * 0.003);
+// × the surface's scale, so a dab is about as big on the floor as on the wall
+function getWallSpraySize() {
+  return wallNozzle * (wallTool === "fatcap" ? WALL_FATCAP_SIZE : 1) * wallSurfaceSizeScale;
 }
 
-function ensureSmokeWorldRoot() {
-  if (smokeWorldRoot) return smokeWorldRoot;
+function setWallTool(id) {
+  if (!WALL_TOOLS.some((t) => t.id === id)) return;
+  if (wallReplay) return;
 
-  smokeWorldRoot = new THREE.Group();
-  smokeWorldRoot.name = "SmokeWorldRoot";
-  scene.add(smokeWorldRoot);
+  // switching mid-stroke would mix tools inside one undo step
+  if (isWallDrawing) endWallDraw();
 
-  return smokeWorldRoot;
+  wallTool = id;
+  if (id !== "eraser") wallLastSprayTool = id;
+
+  console.log(`Wall tool is now: ${wallTool}`);
+  syncWallToolbar();
 }
 
-function buildFrontWallDrawPlane() {
-  if (wallDrawPlaneRef) return wallDrawPlaneRef;
+function setWallMarkerColor(hex) {
+  if (!/^#[0-9a-f]{6}$/i.test(hex || "")) return;
+  if (wallReplay) return;
 
-  wallDrawCanvas = document.createElement("canvas");
-  wallDrawCanvas.width = WALL_DRAW_SIZE;
-  wallDrawCanvas.height = WALL_DRAW_SIZE;
+  wallMarkerColor = hex.toUpperCase();
 
-  wallDrawCtx = wallDrawCanvas.getContext("2d");
-  wallDrawCtx.clearRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
-  wallDrawCtx.fillStyle = "rgba(0,0,0,0)";
-wallDrawCtx.fillRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+  const paletteIndex = WALL_MARKER_COLORS.indexOf(wallMarkerColor);
+  if (paletteIndex !== -1) wallMarkerColorIndex = paletteIndex;
 
-  wallDrawTex = new THREE.CanvasTexture(wallDrawCanvas);
-  wallDrawTex.colorSpace = THREE.SRGBColorSpace;
-  wallDrawTex.flipY = true;
-  wallDrawTex.needsUpdate = true;
+  wallRecentColors = [wallMarkerColor, ...wallRecentColors.filter((c) => c !== wallMarkerColor)]
+    .slice(0, WALL_RECENT_COLORS_MAX);
 
-const wallDrawMat = new THREE.MeshBasicMaterial({
-  map: wallDrawTex,
-  transparent: true,
-  opacity: 1.0,
-  depthTest: true,
-  depthWrite: false,
-  side: THREE.DoubleSide
-});
+  syncWallToolbar();
+}
 
-  const wallDrawGeo = new THREE.PlaneGeometry(1, 1);
-  wallDrawPlaneRef = new THREE.Mesh(wallDrawGeo, wallDrawMat);
-  wallDrawPlaneRef.name = "WallDrawPlane";
-  wallDrawPlaneRef.renderOrder = 0;
+// ------------------------------------------------------------
+// drip tool: paint builds up per dab, then runs down the wall
+// ------------------------------------------------------------
+function chargeWallDrip(x, y, pressure) {
+  wallDripCharge += WALL_DRIP.chargePerDot * pressure * wallPaintOpacity * wallNozzle;
+  if (wallDripCharge < 1) return;
 
-  // start disabled so it does NOT block existing interactions
-  wallDrawPlaneRef.raycast = () => {};
+  wallDripCharge = wallRandom() * 0.4;
+  if (wallDrips.length >= WALL_DRIP.maxActive) return;
 
-  scene.add(wallDrawPlaneRef);
-  return wallDrawPlaneRef;
+  const r = wallRandom;
+
+  wallDrips.push({
+    x: x + (r() - 0.5) * WALL_SPRAY_JITTER * wallNozzle,
+    y,
+    y0: y,
+    vy: WALL_DRIP.speedMin + r() * (WALL_DRIP.speedMax - WALL_DRIP.speedMin),
+    len: (WALL_DRIP.lenMin + r() * (WALL_DRIP.lenMax - WALL_DRIP.lenMin)) * Math.sqrt(wallNozzle),
+    w: (WALL_DRIP.widthMin + r() * (WALL_DRIP.widthMax - WALL_DRIP.widthMin)) * Math.sqrt(wallNozzle),
+    rgb: getWallPaintRgb(wallMarkerColor),
+    alpha: WALL_DRIP.alpha * wallPaintOpacity,
+  });
 }
 
-function placeFrontWallDrawPlane(maxDim) {
-  if (!wallDrawPlaneRef) return;
+// fixed steps, so a drip runs the same length live and in a timelapse
+function updateWallDrips(dt) {
+  if (!wallDrips.length || !wallDrawCtx || !wallDrawTex) {
+    wallDripAccum = 0;
+    return;
+  }
 
- wallDrawPlaneRef.position.set(
-  maxDim * 0.28,   // X
-  maxDim * -0.17,  // Y
-  maxDim * -0.482   // Z
-);
+  const step = WALL_DRIP.step;
+  const speed = wallReplay ? wallReplay.speed : 1;
+  wallDripAccum = Math.min(wallDripAccum + dt * speed, step * WALL_DRIP.maxStepsPerFrame);
 
-  wallDrawPlaneRef.rotation.set(0, -0.015, 0);
+  const ctx = wallDrawCtx;
 
-  wallDrawPlaneRef.scale.set(
-    maxDim * 0.38,    // width
-    maxDim * 0.77,    // height
-    1
-  );
+  ctx.save();
+  ctx.globalCompositeOperation = "source-over";
+  ctx.lineCap = "round";
 
-  wallDrawPlaneRef.updateMatrixWorld(true);
+  while (wallDripAccum >= step && wallDrips.length) {
+    wallDripAccum -= step;
+    stepWallDrips(ctx, step);
+  }
+
+  ctx.restore();
+  wallDrawTex.needsUpdate = true;
+
+  // the stroke ended while these were still running
+  if (!wallDrips.length && !isWallDrawing) commitWallStroke();
 }
 
-function setWallDrawMode(on) {
-  drawMode = on;
+function stepWallDrips(ctx, step) {
+  for (let i = wallDrips.length - 1; i >= 0; i--) {
+    const d = wallDrips[i];
+    const y1 = d.y + d.vy * step;
+    const run = (y1 - d.y0) / d.len;
 
-  if (!wallDrawPlaneRef) return;
+    ctx.strokeStyle = rgbaFromRgbObject(d.rgb, d.alpha * getWallSurfaceAlpha(d.x, y1));
+    ctx.lineWidth = d.w * (1 - Math.min(1, run) * 0.55);
+    ctx.beginPath();
+    ctx.moveTo(d.x, d.y);
+    ctx.lineTo(d.x, y1);
+    ctx.stroke();
 
-  if (drawMode) {
-    delete wallDrawPlaneRef.raycast;
-  } else {
-    wallDrawPlaneRef.raycast = () => {};
-    isWallDrawing = false;
-    hasLastWallDrawUv = false;
+    markWallDirty(d.x, y1);
+
+    d.y = y1;
+    d.vy *= Math.exp(-WALL_DRIP.drag * step);
+
+    if (d.vy < WALL_DRIP.stopSpeed || run >= 1 || y1 >= WALL_DRAW_SIZE) {
+      // paint collects at the bottom of the run
+      ctx.fillStyle = rgbaFromRgbObject(d.rgb, d.alpha * 1.4);
+      ctx.beginPath();
+      ctx.arc(d.x, y1, d.w * 0.8, 0, Math.PI * 2);
+      ctx.fill();
+      wallDrips.splice(i, 1);
+    }
   }
 }
 
-function toggleWallTool() {
-  wallTool = wallTool === "pen" ? "eraser" : "pen";
-  console.log(`Wall tool is now: ${wallTool}`);
+// ------------------------------------------------------------
+// stencil line: dashed guide while dragging, sprayed on release
+// ------------------------------------------------------------
+function getWallUvPx(uv) {
+  return [uv.x * WALL_DRAW_SIZE, (1.0 - uv.y) * WALL_DRAW_SIZE];
 }
 
-function cycleWallMarkerColor() {
-  wallMarkerColorIndex = (wallMarkerColorIndex + 1) % WALL_MARKER_COLORS.length;
-  wallMarkerColor = WALL_MARKER_COLORS[wallMarkerColorIndex];
-  console.log(`Wall marker color is now: ${wallMarkerColor}`);
-}
+function previewWallLine(uvA, uvB) {
+  if (!wallDrawCtx || !wallDrawTex) return;
 
-function hexToRgba(hex, alpha) {
-  const h = hex.replace("#", "");
-  const r = parseInt(h.substring(0, 2), 16);
-  const g = parseInt(h.substring(2, 4), 16);
-  const b = parseInt(h.substring(4, 6), 16);
-  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  restoreWallStrokePixels(); // wipe the previous guide
+
+  const [x1, y1] = getWallUvPx(uvA);
+  const [x2, y2] = getWallUvPx(uvB);
+  markWallDirty(x1, y1);
+  markWallDirty(x2, y2);
+
+  wallDrawCtx.save();
+  wallDrawCtx.setLineDash([10, 8]);
+  wallDrawCtx.lineWidth = 2;
+  wallDrawCtx.strokeStyle = rgbaFromRgbObject(getWallPaintRgb(wallMarkerColor), 0.6);
+  wallDrawCtx.beginPath();
+  wallDrawCtx.moveTo(x1, y1);
+  wallDrawCtx.lineTo(x2, y2);
+  wallDrawCtx.stroke();
+  wallDrawCtx.restore();
+
+  wallDrawTex.needsUpdate = true;
 }
 
-function hexToRgbObject(hex) {
-  const h = hex.replace("#", "");
-  return {
-    r: parseInt(h.substring(0, 2), 16),
-    g: parseInt(h.substring(2, 4), 16),
-    b: parseInt(h.substring(4, 6), 16),
-  };
+function finishWallLine(uvA, uvB) {
+  if (!wallDrawCtx || !wallDrawTex) return;
+
+  restoreWallStrokePixels();
+
+  const [x1, y1] = getWallUvPx(uvA);
+  const [x2, y2] = getWallUvPx(uvB);
+  const len = Math.hypot(x2 - x1, y2 - y1);
+
+  wallDrawCtx.save();
+
+  // tape both sides: overspray stops on a hard edge (a dot stays a dot)
+  if (len > 1) {
+    const h = WALL_STENCIL_HALF_WIDTH * wallNozzle * wallSurfaceSizeScale;
+    const nx = (-(y2 - y1) / len) * h;
+    const ny = ((x2 - x1) / len) * h;
+
+    wallDrawCtx.beginPath();
+    wallDrawCtx.moveTo(x1 + nx, y1 + ny);
+    wallDrawCtx.lineTo(x2 + nx, y2 + ny);
+    wallDrawCtx.lineTo(x2 - nx, y2 - ny);
+    wallDrawCtx.lineTo(x1 - nx, y1 - ny);
+    wallDrawCtx.closePath();
+    wallDrawCtx.clip();
+  }
+
+  drawWallLineUV(uvA, uvB);
+  wallDrawCtx.restore();
 }
 
-function rgbaFromRgbObject(rgb, alpha) {
-  return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${alpha})`;
+// ------------------------------------------------------------
+// toolbar DOM
+// ------------------------------------------------------------
+let wallToolbarOpen = false;
+
+const wallToolbar = document.createElement("div");
+wallToolbar.setAttribute("role", "toolbar");
+wallToolbar.setAttribute("aria-label", "Spray wall tools");
+wallToolbar.style.position = "fixed";
+wallToolbar.style.left = "16px";
+wallToolbar.style.bottom = "calc(16px + env(safe-area-inset-bottom, 0px))";
+wallToolbar.style.display = "none";
+wallToolbar.style.flexDirection = "column";
+wallToolbar.style.gap = "8px";
+wallToolbar.style.padding = "8px 10px";
+wallToolbar.style.maxWidth = "min(300px, calc(100vw - 32px))";
+wallToolbar.style.borderRadius = "12px";
+wallToolbar.style.border = "1px solid rgba(255,255,255,0.18)";
+wallToolbar.style.background = "rgba(0,0,0,0.55)";
+wallToolbar.style.backdropFilter = "blur(8px)";
+wallToolbar.style.color = "#fff";
+wallToolbar.style.fontFamily = "Arial, sans-serif";
+wallToolbar.style.fontSize = "12px";
+wallToolbar.style.zIndex = "9998";
+wallToolbar.style.userSelect = "none";
+
+function styleWallToolbarButton(btn) {
+  btn.type = "button";
+  btn.style.padding = "5px 9px";
+  btn.style.borderRadius = "999px";
+  btn.style.border = "1px solid rgba(255,255,255,0.25)";
+  btn.style.background = "transparent";
+  btn.style.color = "#fff";
+  btn.style.font = "inherit";
+  btn.style.cursor = "pointer";
+  return btn;
+}
+
+const wallToolbarToggle = styleWallToolbarButton(document.createElement("button"));
+wallToolbarToggle.style.alignSelf = "flex-start";
+wallToolbarToggle.setAttribute("aria-expanded", "false");
+wallToolbarToggle.addEventListener("click", () => {
+  wallToolbarOpen = !wallToolbarOpen;
+  syncWallToolbar();
+  if (wallToolbarOpen) trackSceneClick("front_wall_toolbar_open");
+});
+wallToolbar.appendChild(wallToolbarToggle);
+
+const wallToolbarBody = document.createElement("div");
+wallToolbarBody.style.display = "none";
+wallToolbarBody.style.flexDirection = "column";
+wallToolbarBody.style.gap = "8px";
+wallToolbar.appendChild(wallToolbarBody);
+
+function makeWallToolbarRow() {
+  const row = document.createElement("div");
+  row.style.display = "flex";
+  row.style.flexWrap = "wrap";
+  row.style.alignItems = "center";
+  row.style.gap = "6px";
+  wallToolbarBody.appendChild(row);
+  return row;
+}
+
+const wallToolButtons = new Map();
+const wallToolRow = makeWallToolbarRow();
+
+for (const tool of WALL_TOOLS) {
+  const btn = styleWallToolbarButton(document.createElement("button"));
+  btn.textContent = tool.label;
+  btn.addEventListener("click", () => {
+    setWallTool(tool.id);
+    trackSceneClick("front_wall_tool", { wall_tool: tool.id });
+  });
+  wallToolButtons.set(tool.id, btn);
+  wallToolRow.appendChild(btn);
 }
 
-function getWallPaintRgb(hex) {
-  const h = hex.toUpperCase();
+function makeWallToolbarSlider(label, min, max, step, onInput) {
+  const row = makeWallToolbarRow();
+  row.style.flexWrap = "nowrap";
 
-  // white: make it wall-dirty, not digital white
-  if (h === "#FFFFFF") {
-    return { r: 198, g: 190, b: 178 };
-  }
+  const text = document.createElement("span");
+  text.textContent = label;
+  text.style.minWidth = "54px";
+  text.style.opacity = "0.78";
 
-  // black: slightly warm charcoal
-  if (h === "#000000") {
-    return { r: 22, g: 18, b: 16 };
-  }
+  const input = document.createElement("input");
+  input.type = "range";
+  input.min = String(min);
+  input.max = String(max);
+  input.step = String(step);
+  input.setAttribute("aria-label", label);
+  input.style.flex = "1";
+  input.addEventListener("input", () => onInput(Number(input.value)));
 
-  // red: darker, dried spray-paint red
-  if (h === "#6D120D") {
-    return { r: 90, g: 18, b: 16 };
-  }
+  row.append(text, input);
+  return input;
+}
 
-  // blue: much less neon / less clean
-  if (h === "#5D7A91") {
-    return { r: 86, g: 111, b: 126 };
-  }
+const wallNozzleInput = makeWallToolbarSlider("Nozzle", WALL_NOZZLE_MIN, WALL_NOZZLE_MAX, 0.1, (v) => {
+  if (wallReplay) return;
+  wallNozzle = THREE.MathUtils.clamp(v, WALL_NOZZLE_MIN, WALL_NOZZLE_MAX);
+});
 
-  // orange: less bright, more dusty
-  if (h === "#E57B36") {
-    return { r: 188, g: 112, b: 58 };
-  }
+const wallOpacityInput = makeWallToolbarSlider("Opacity", WALL_OPACITY_MIN, 1, 0.05, (v) => {
+  if (wallReplay) return;
+  wallPaintOpacity = THREE.MathUtils.clamp(v, WALL_OPACITY_MIN, 1);
+});
 
-  // pink: muted pastel, less synthetic
-  if (h === "#B396B7") {
-    return { r: 157, g: 132, b: 162 };
+const wallColorRow = makeWallToolbarRow();
+
+const wallColorInput = document.createElement("input");
+wallColorInput.type = "color";
+wallColorInput.setAttribute("aria-label", "Paint color");
+wallColorInput.style.width = "30px";
+wallColorInput.style.height = "24px";
+wallColorInput.style.padding = "0";
+wallColorInput.style.border = "none";
+wallColorInput.style.background = "transparent";
+wallColorInput.style.cursor = "pointer";
+// live while dragging the picker, into recents once it's picked
+wallColorInput.addEventListener("input", () => {
+  if (wallReplay) return;
+  wallMarkerColor = wallColorInput.value.toUpperCase();
+});
+wallColorInput.addEventListener("change", () => {
+  setWallMarkerColor(wallColorInput.value);
+  trackSceneClick("front_wall_color", { wall_color: wallMarkerColor, source: "picker" });
+});
+wallColorRow.appendChild(wallColorInput);
+
+const wallRecentSwatches = document.createElement("div");
+wallRecentSwatches.style.display = "flex";
+wallRecentSwatches.style.gap = "5px";
+wallColorRow.appendChild(wallRecentSwatches);
+
+const wallActionRow = makeWallToolbarRow();
+
+const wallSaveBtn = styleWallToolbarButton(document.createElement("button"));
+wallSaveBtn.textContent = "Save image";
+wallSaveBtn.addEventListener("click", () => setWallExportOpen(true));
+wallActionRow.appendChild(wallSaveBtn);
+
+document.body.appendChild(wallToolbar);
+
+function renderWallRecentSwatches() {
+  wallRecentSwatches.replaceChildren();
+
+  for (const hex of wallRecentColors) {
+    const sw = document.createElement("button");
+    sw.type = "button";
+    sw.setAttribute("aria-label", `Color ${hex}`);
+    sw.setAttribute("aria-pressed", String(hex === wallMarkerColor));
+    sw.style.width = "20px";
+    sw.style.height = "20px";
+    sw.style.padding = "0";
+    sw.style.borderRadius = "50%";
+    sw.style.border = hex === wallMarkerColor ? "2px solid #fff" : "1px solid rgba(255,255,255,0.35)";
+    sw.style.background = hex;
+    sw.style.cursor = "pointer";
+    sw.addEventListener("click", () => {
+      setWallMarkerColor(hex);
+      trackSceneClick("front_wall_color", { wall_color: hex, source: "recent" });
+    });
+    wallRecentSwatches.appendChild(sw);
   }
+}
 
-  // green: darker, dirtier green
-  if (h === "#2A6231") {
-    return { r: 40, g: 84, b: 47 };
+function syncWallToolbar() {
+  wallToolbarToggle.textContent = wallToolbarOpen ? "spray ▾" : "spray ▸";
+  wallToolbarToggle.style.borderColor = wallMarkerColor;
+  wallToolbarToggle.setAttribute("aria-expanded", String(wallToolbarOpen));
+  wallToolbarBody.style.display = wallToolbarOpen ? "flex" : "none";
+
+  for (const [id, btn] of wallToolButtons) {
+    const on = id === wallTool;
+    btn.setAttribute("aria-pressed", String(on));
+    btn.style.background = on ? "rgba(255,255,255,0.9)" : "transparent";
+    btn.style.color = on ? "#000" : "#fff";
   }
 
-  const rgb = hexToRgbObject(hex);
+  wallNozzleInput.value = String(wallNozzle);
+  wallOpacityInput.value = String(wallPaintOpacity);
+  wallColorInput.value = wallMarkerColor.toLowerCase();
 
-  return {
-    r: Math.round(rgb.r * 0.82),
-    g: Math.round(rgb.g * 0.80),
-    b: Math.round(rgb.b * 0.78),
-  };
+  if (wallToolbarOpen) renderWallRecentSwatches();
 }
 
-function wallHash2D(x, y) {
-  const s = Math.sin(x * 127.1 + y * 311.7) * 43758.5453123;
-  return s - Math.floor(s);
+function isWallToolbarAllowed() {
+  const loaderVisible = !!(loaderEl && loaderEl.isConnected && !loaderEl.classList.contains("hidden"));
+  return drawMode && !!wallDrawPlaneRef && !loaderVisible;
 }
 
-function wallNoise2D(x, y) {
-  const x0 = Math.floor(x);
-  const y0 = Math.floor(y);
-  const x1 = x0 + 1;
-  const y1 = y0 + 1;
+// called from setWallDrawMode() and on scene entry
+function updateWallToolbarVisibility() {
+  wallToolbar.style.display = isWallToolbarAllowed() ? "flex" : "none";
+}
 
-  const sx = x - x0;
-  const sy = y - y0;
+syncWallToolbar();
 
-  const n00 = wallHash2D(x0, y0);
-  const n10 = wallHash2D(x1, y0);
-  const n01 = wallHash2D(x0, y1);
-  const n11 = wallHash2D(x1, y1);
+// ============================================================
+// ✅ WALL TIMELAPSE (record / replay / import / export)
+// - every stroke is kept as a timestamped UV path with its tool,
+//   color, nozzle, opacity, pressure and the spray seed
+// - replay feeds the same paths back through sprayDot / drips on a
+//   clean wall, so wallNoise2D + getWallSurfaceAlpha and the seeded
+//   dabs come out the same as the original
+// - undo / redo / clear stay in step with the recording
+// - replay / import ask before wiping a painted wall; on the shared
+//   wall the timelapse plays locally only and the server's wall is
+//   loaded back when it ends
+// - JSON is compact: UV ×1e5 and pressure ×1e3 as ints, flat arrays
+// ============================================================
+const WALL_REC_VERSION = 1;
+const WALL_REC_APP = "gambo-wall";
+const WALL_REC_UV_SCALE = 100000;
+const WALL_REC_PRESSURE_SCALE = 1000;
+const WALL_REPLAY_SPEEDS = [1, 2, 4, 8, 16];
+const WALL_REPLAY_MAX_GAP_MS = 1200; // long breaks between strokes are squeezed
+
+let wallRec = { startedAt: 0, strokes: [] };
+let wallRecStroke = null;   // open stroke while the pointer is down
+let wallRecPending = 0;     // recorded since the last history step
+let wallReplay = null;      // { strokes, speed, clock, i, ... } while playing
+let wallReplayApplying = false;
+let wallReplaySpeed = 4;
+
+// live input is snapped to what the JSON can store, so replays match exactly
+function quantizeWallUv(uv) {
+  uv.x = Math.round(uv.x * WALL_REC_UV_SCALE) / WALL_REC_UV_SCALE;
+  uv.y = Math.round(uv.y * WALL_REC_UV_SCALE) / WALL_REC_UV_SCALE;
+  return uv;
+}
+
+function quantizeWallPressure(p) {
+  return Math.round(p * WALL_REC_PRESSURE_SCALE) / WALL_REC_PRESSURE_SCALE;
+}
+
+function getWallRecNow() {
+  if (wallReplay) return wallReplay.recT;
+  return performance.now() - wallRec.startedAt;
+}
+
+function pushWallRecPoint(stroke, dtMs, uv, pressure) {
+  stroke.p.push(
+    Math.max(0, Math.round(dtMs)),
+    Math.round(uv.x * WALL_REC_UV_SCALE),
+    Math.round(uv.y * WALL_REC_UV_SCALE),
+    Math.round(pressure * WALL_REC_PRESSURE_SCALE)
+  );
+}
 
-  const ix0 = n00 + (n10 - n00) * sx;
-  const ix1 = n01 + (n11 - n01) * sx;
+// also seeds the spray so the dabs can be reproduced
+function wallRecBegin(uv, pressure, { dot = true, seed = null } = {}) {
+  if (!wallRec.strokes.length && !wallRecStroke && !wallReplay) {
+    wallRec.startedAt = performance.now();
+  }
 
-  return ix0 + (ix1 - ix0) * sy;
-}
+  const s = seed == null ? (Math.random() * 4294967296) >>> 0 : seed >>> 0;
+  seedWallRandom(s);
+  wallDripCharge = 0;
 
-function getWallSurfaceAlpha(x, y) {
-  // small grain
-  const grain = wallNoise2D(x * 0.18, y * 0.18);
+  const now = getWallRecNow();
 
-  // bigger plaster breakup
-  const plaster = wallNoise2D(x * 0.045, y * 0.045);
+  wallRecStroke = {
+    t: Math.round(now),
+    tool: wallTool,
+    color: wallMarkerColor,
+    nozzle: wallNozzle,
+    opacity: wallPaintOpacity,
+    seed: s,
+    p: [],
+    lastT: now,
+  };
+  if (!dot) wallRecStroke.dot = 0;
 
-  // faint streaking / wall unevenness
-  const streak = wallNoise2D(x * 0.015, y * 0.09);
+  const surf = getWallSurfaceKeyForStroke();
+  if (surf) wallRecStroke.surf = surf;
 
-  let a = 0.78 + grain * 0.16 + plaster * 0.12 + streak * 0.08;
+  pushWallRecPoint(wallRecStroke, 0, uv, pressure);
+  wallSyncBegin(wallRecStroke);
+}
 
-  // clamp
-  if (a < 0.58) a = 0.58;
-  if (a > 1.0) a = 1.0;
+function wallRecPoint(uv, pressure) {
+  if (!wallRecStroke) return;
 
-  return a;
+  const now = getWallRecNow();
+  pushWallRecPoint(wallRecStroke, now - wallRecStroke.lastT, uv, pressure);
+  wallRecStroke.lastT = now;
 }
 
-function sprayDot(x, y, pressure = 1) {
-  if (!wallDrawCtx) return;
+function wallRecEnd() {
+  if (!wallRecStroke) return;
 
-  const paintRgb = getWallPaintRgb(wallMarkerColor);
+  delete wallRecStroke.lastT;
+  wallRec.strokes.push(wallRecStroke);
+  wallRecStroke = null;
+  wallRecPending += 1;
+  wallSyncEnd();
+}
 
-  const p = Math.max(1, pressure);
-const coreCount = Math.round(WALL_SPRAY_CORE_DABS * (0.9 + (p - 1) * 0.55));
-const edgeCount = Math.round(WALL_SPRAY_EDGE_DABS * (0.9 + (p - 1) * 0.45));
-const coreJitter = WALL_SPRAY_JITTER * (0.95 + (p - 1) * 0.55);
-const edgeJitter = WALL_SPRAY_EDGE_JITTER * (0.95 + (p - 1) * 0.60);
-const radiusScale = 1.0 + (p - 1) * 0.55;
-const holeScale = 1.0 + (p - 1) * 0.35;
+function wallRecCancel() {
+  wallRecStroke = null;
+  wallSyncEnd(true);
+}
 
-  wallDrawCtx.save();
-  wallDrawCtx.globalCompositeOperation = "source-over";
+function wallRecClear() {
+  if (!wallRec.strokes.length && !wallReplay) return; // nothing to clear in the story yet
 
-  // --------------------------------------------------
-  // PASS 1: main body of paint
-  // --------------------------------------------------
-  for (let i = 0; i < coreCount; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const dist = Math.pow(Math.random(), 2.35) * coreJitter;
+  wallRec.strokes.push({ t: Math.round(getWallRecNow()), clear: 1 });
+  wallRecPending += 1;
+}
 
-    const dx = Math.cos(angle) * dist;
-    const dy = Math.sin(angle) * dist;
+function takeWallRecPending() {
+  const n = wallRecPending;
+  wallRecPending = 0;
+  return n;
+}
 
-    const px = x + dx;
-    const py = y + dy;
+// a new stroke mid-line / mid-stroke on another finger just starts from here
+function restartWallRecStroke() {
+  if (!isWallDrawing || !hasLastWallDrawUv) return;
 
-  const r =
-  (WALL_SPRAY_DOT_MIN +
-    Math.random() * (WALL_SPRAY_DOT_MAX - WALL_SPRAY_DOT_MIN)) *
-  (0.85 + Math.random() * 0.35) *
-  radiusScale;
+  wallRecEnd();
+  wallRecBegin(lastWallDrawUv, wallDrawPressure, { dot: false });
+}
 
-    const baseAlpha =
-      WALL_PAINT_ALPHA_MIN +
-      Math.random() * (WALL_PAINT_ALPHA_MAX - WALL_PAINT_ALPHA_MIN);
+// ------------------------------------------------------------
+// JSON in / out
+// ------------------------------------------------------------
+function serializeWallRecording() {
+  const sx = Math.abs(wallDrawPlaneRef?.scale.x) || 1;
+  const sy = Math.abs(wallDrawPlaneRef?.scale.y) || 1;
+
+  return JSON.stringify({
+    app: WALL_REC_APP,
+    v: WALL_REC_VERSION,
+    size: WALL_DRAW_SIZE,
+    aspect: Number((sx / sy).toFixed(4)),
+    strokes: wallRec.strokes,
+  });
+}
 
-    const wallAlpha = getWallSurfaceAlpha(px, py);
-    const alpha = baseAlpha * wallAlpha;
+function parseWallRecording(text) {
+  const raw = JSON.parse(text);
 
-    wallDrawCtx.fillStyle = rgbaFromRgbObject(paintRgb, alpha);
-    wallDrawCtx.beginPath();
-    wallDrawCtx.arc(px, py, r, 0, Math.PI * 2);
-    wallDrawCtx.fill();
-  }
+  if (!raw || raw.app !== WALL_REC_APP) throw new Error("not a wall recording");
+  if (!(raw.v >= 1 && raw.v <= WALL_REC_VERSION)) throw new Error(`unsupported version ${raw.v}`);
+  if (!Array.isArray(raw.strokes)) throw new Error("strokes missing");
 
-  // --------------------------------------------------
-  // PASS 2: subtle edge dust
-  // --------------------------------------------------
- for (let i = 0; i < edgeCount; i++) {
-    const angle = Math.random() * Math.PI * 2;
+  const toolIds = new Set(WALL_TOOLS.map((t) => t.id));
+  const strokes = [];
+  let skipped = 0;
 
-    const dist =
-  coreJitter +
-  Math.random() * (edgeJitter - coreJitter);
+  for (const s of raw.strokes) {
+    const t = Number(s?.t);
+    if (!Number.isFinite(t) || t < 0) { skipped++; continue; }
 
-    const dx = Math.cos(angle) * dist;
-    const dy = Math.sin(angle) * dist;
+    if (s.clear) {
+      strokes.push({ t, clear: 1 });
+      continue;
+    }
 
-    const px = x + dx;
-    const py = y + dy;
+    const ok =
+      toolIds.has(s.tool) &&
+      /^#[0-9A-F]{6}$/i.test(s.color || "") &&
+      Array.isArray(s.p) && s.p.length >= 4 && s.p.length % 4 === 0 &&
+      s.p.every(Number.isFinite);
+
+    if (!ok) { skipped++; continue; }
+
+    const stroke = {
+      t,
+      tool: s.tool,
+      color: s.color.toUpperCase(),
+      nozzle: THREE.MathUtils.clamp(Number(s.nozzle) || 1, WALL_NOZZLE_MIN, WALL_NOZZLE_MAX),
+      opacity: THREE.MathUtils.clamp(Number(s.opacity) || 1, WALL_OPACITY_MIN, 1),
+      seed: Number(s.seed) >>> 0,
+      p: s.p,
+    };
+    if (s.dot === 0) stroke.dot = 0;
+    if (typeof s.surf === "string" && s.surf) stroke.surf = s.surf;
+    strokes.push(stroke);
+  }
 
-    const r = (0.25 + Math.random() * 0.55) * radiusScale;
-    const wallAlpha = getWallSurfaceAlpha(px, py);
-    const alpha = (0.008 + Math.random() * 0.012) * wallAlpha * 0.9;
+  if (skipped) console.warn(`🎞 Wall recording: skipped ${skipped} bad stroke(s)`);
+  return strokes;
+}
 
-    wallDrawCtx.fillStyle = rgbaFromRgbObject(paintRgb, alpha);
-    wallDrawCtx.beginPath();
-    wallDrawCtx.arc(px, py, r, 0, Math.PI * 2);
-    wallDrawCtx.fill();
+function exportWallRecording() {
+  if (!wallRec.strokes.length) {
+    console.warn("🎞 Nothing recorded on the wall yet");
+    return;
   }
 
-  // --------------------------------------------------
-  // PASS 3: minimal distressed breakup
-  // --------------------------------------------------
-  for (let i = 0; i < 10; i++) {
-    if (Math.random() > WALL_SPRAY_HOLE_CHANCE) continue;
+  const blob = new Blob([serializeWallRecording()], { type: "application/json" });
+  const name = `${WALL_EXPORT.fileName}-${new Date().toISOString().slice(0, 10)}.json`;
+  downloadWallExport(blob, name);
 
-    const angle = Math.random() * Math.PI * 2;
-    const dist = Math.pow(Math.random(), 2.2) * coreJitter;
+  console.log("🎞 Wall recording exported:", wallRec.strokes.length, "strokes,", blob.size, "bytes");
+  trackSceneClick("front_wall_recording_export", { strokes: wallRec.strokes.length, bytes: blob.size });
+}
 
-    const dx = Math.cos(angle) * dist;
-    const dy = Math.sin(angle) * dist;
+async function importWallRecording(file) {
+  if (!file) return;
 
-    const px = x + dx;
-    const py = y + dy;
+  try {
+    const strokes = parseWallRecording(await file.text());
+    if (!strokes.length) throw new Error("empty recording");
 
-    const r = (0.18 + Math.random() * 0.30) * holeScale;
+    if (!confirmWallReplayReset("Import this timelapse?")) return;
 
-    wallDrawCtx.globalCompositeOperation = "destination-out";
-    wallDrawCtx.beginPath();
-    wallDrawCtx.arc(px, py, r, 0, Math.PI * 2);
-    wallDrawCtx.fill();
-    wallDrawCtx.globalCompositeOperation = "source-over";
+    console.log("🎞 Wall recording imported:", strokes.length, "strokes");
+    trackSceneClick("front_wall_recording_import", { strokes: strokes.length, bytes: file.size });
+    startWallReplay(strokes);
+  } catch (e) {
+    console.warn("🎞 Wall recording import failed:", e);
   }
+}
 
-  wallDrawCtx.restore();
+// ------------------------------------------------------------
+// replay
+// ------------------------------------------------------------
+function getWallRecUv(p, i, out) {
+  return out.set(p[i + 1] / WALL_REC_UV_SCALE, p[i + 2] / WALL_REC_UV_SCALE);
 }
 
-function drawOnWallAtUV(uv) {
-  if (!wallDrawCtx || !wallDrawTex) return;
+// the replay starts from a clean wall: painting + undo history go
+function confirmWallReplayReset(question) {
+  const painted = wallUndoStack.length || [...wallSurfaces.values()].some((surf) => surf.painted);
+  if (!painted && !isWallSyncOnline()) return true;
 
-  const x = uv.x * WALL_DRAW_SIZE;
-  const y = (1.0 - uv.y) * WALL_DRAW_SIZE;
+  const shared = isWallSyncOnline()
+    ? " This is the shared wall: it comes back (with everyone's paint) when the timelapse ends."
+    : "";
+  return window.confirm(`${question} It clears the wall and its undo history.${shared}`);
+}
 
-  wallDrawCtx.save();
+function resetWallForReplay() {
+  if (isWallDrawing) endWallDraw();
 
-  if (wallTool === "eraser") {
-    wallDrawCtx.globalCompositeOperation = "destination-out";
-    wallDrawCtx.beginPath();
-    wallDrawCtx.arc(x, y, WALL_ERASER_RADIUS, 0, Math.PI * 2);
-    wallDrawCtx.fill();
-  } else {
-  sprayDot(x, y, wallDrawPressure);
-}
+  wallDrips.length = 0;
+  wallStrokeDirty = null;
+  wallRecStroke = null;
+  wallRecPending = 0;
 
-  wallDrawCtx.restore();
-  wallDrawTex.needsUpdate = true;
+  // a timelapse starts a fresh wall: history goes with the old one
+  wallUndoStack = [];
+  wallRedoStack = [];
+  wallHistoryBytes = 0;
+
+  for (const surf of wallSurfaces.values()) {
+    surf.ctx.clearRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+    surf.baseCtx?.clearRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+    surf.painted = false;
+    surf.tex.needsUpdate = true;
+  }
 }
 
-function drawWallLineUV(uvA, uvB) {
-  if (!wallDrawCtx || !wallDrawTex) return;
+function startWallReplay(strokes = wallRec.strokes) {
+  if (!wallDrawCtx || !wallDrawTex || !strokes.length) return;
 
-  const x1 = uvA.x * WALL_DRAW_SIZE;
-  const y1 = (1.0 - uvA.y) * WALL_DRAW_SIZE;
-  const x2 = uvB.x * WALL_DRAW_SIZE;
-  const y2 = (1.0 - uvB.y) * WALL_DRAW_SIZE;
+  if (wallReplay) finishWallReplay();
 
-  wallDrawCtx.save();
+  const source = strokes.slice();
+  resetWallForReplay();
 
-  if (wallTool === "eraser") {
-    wallDrawCtx.globalCompositeOperation = "destination-out";
-    wallDrawCtx.lineCap = "round";
-    wallDrawCtx.lineJoin = "round";
-    wallDrawCtx.lineWidth = WALL_ERASER_LINE_WIDTH;
+  wallRec = { startedAt: 0, strokes: [] };
 
-    wallDrawCtx.beginPath();
-    wallDrawCtx.moveTo(x1, y1);
-    wallDrawCtx.lineTo(x2, y2);
-    wallDrawCtx.stroke();
-  } else {
-   const pressure = wallDrawPressure || WALL_PRESSURE_MIN;
-const dx = x2 - x1;
-const dy = y2 - y1;
-const dist = Math.hypot(dx, dy);
+  // shared wall: replayed strokes never go out, so ask for the server's
+  // wall now — it waits in the sync queue and repaints once this ends
+  requestWallSyncState();
 
-const spacing = (0.8 + Math.random() * 0.3) / Math.max(1, pressure * 0.75);
-const steps = Math.max(1, Math.ceil(dist / spacing));
+  // squeeze long breaks; the replay clock runs on these times
+  const plan = [];
+  let prevOrigEnd = 0;
+  let prevPlanEnd = 0;
 
-for (let i = 0; i <= steps; i++) {
-  const t = i / steps;
-  const x = x1 + dx * t;
-  const y = y1 + dy * t;
-  sprayDot(x, y, pressure);
-}
-  }
+  for (const s of source) {
+    let dur = 0;
+    if (s.p) for (let i = 0; i < s.p.length; i += 4) dur += s.p[i];
 
-  wallDrawCtx.restore();
-  wallDrawTex.needsUpdate = true;
-}
+    const gap = Math.max(0, s.t - prevOrigEnd);
+    const start = prevPlanEnd + Math.min(gap, WALL_REPLAY_MAX_GAP_MS);
 
-function clearWallDrawing() {
-  if (!wallDrawCtx || !wallDrawTex) return;
+    plan.push({ s, start });
+    prevOrigEnd = Math.max(prevOrigEnd, s.t + dur);
+    prevPlanEnd = start + dur;
+  }
 
-  wallDrawCtx.clearRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
-  wallDrawCtx.fillStyle = "rgba(0,0,0,0)";
-  wallDrawCtx.fillRect(0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+  wallReplay = {
+    plan,
+    speed: wallReplaySpeed,
+    clock: 0,
+    i: 0,
+    pi: -1,       // point index inside the current stroke (-1 = not begun)
+    strokeT: 0,   // plan time of the current point
+    recT: 0,      // original timestamp (so the re-recording keeps real timing)
+    saved: {
+      tool: wallTool,
+      color: wallMarkerColor,
+      nozzle: wallNozzle,
+      opacity: wallPaintOpacity,
+    },
+    startUv: new THREE.Vector2(),
+    prevUv: new THREE.Vector2(),
+    uv: new THREE.Vector2(),
+  };
 
-  wallDrawTex.needsUpdate = true;
+  console.log(`🎞 Wall replay: ${plan.length} strokes at ${wallReplay.speed}×`);
+  trackSceneClick("front_wall_replay", { strokes: plan.length, speed: wallReplay.speed });
+  syncWallReplayUi();
 }
 
-function buildCigaretteSmoke(emitterParent) {
-  if (!emitterParent) {
-    console.warn("buildCigaretteSmoke: emitterParent missing");
-    return;
-  }
+function beginWallReplayStroke(r, s) {
+  wallTool = s.tool;
+  wallMarkerColor = s.color;
+  wallNozzle = s.nozzle;
+  wallPaintOpacity = s.opacity;
 
-  const worldRoot = ensureSmokeWorldRoot();
+  // same rule as live input: close the previous stroke's drips into their own step
+  if (wallDrips.length) commitWallStroke({ force: true });
+  activateWallSurfaceByKey(s.surf);
 
-  if (cigaretteSmokePoints) {
-    cigaretteSmokePoints.removeFromParent();
-    cigaretteSmokeGeo?.dispose?.();
-    cigaretteSmokeMat?.dispose?.();
-    cigaretteSmokeGeo = null;
-    cigaretteSmokeMat = null;
-    cigaretteSmokePoints = null;
-    cigaretteSmokeData.length = 0;
-  }
+  r.recT = s.t;
+  wallDrawPressure = s.p[3] / WALL_REC_PRESSURE_SCALE;
+  getWallRecUv(s.p, 0, r.uv);
+  r.startUv.copy(r.uv);
+  r.prevUv.copy(r.uv);
 
-  cigaretteSmokeGeo = new THREE.BufferGeometry();
-  const positions = new Float32Array(CIG_SMOKE_COUNT * 3);
+  wallRecBegin(r.uv, wallDrawPressure, { dot: s.dot !== 0, seed: s.seed });
+  if (s.tool !== "line" && s.dot !== 0) drawOnWallAtUV(r.uv);
+}
 
-  cigaretteSmokeData.length = 0;
+function stepWallReplayPoint(r, s, i) {
+  r.recT += s.p[i];
+  wallDrawPressure = s.p[i + 3] / WALL_REC_PRESSURE_SCALE;
+  getWallRecUv(s.p, i, r.uv);
 
-  // IMPORTANT:
-  // particles now simulate in WORLD SPACE,
-  // so start them at 0 and position the whole Points object in world coords
-  for (let i = 0; i < CIG_SMOKE_COUNT; i++) {
-    const i3 = i * 3;
+  wallRecPoint(r.uv, wallDrawPressure);
+  if (s.tool !== "line") drawWallLineUV(r.prevUv, r.uv);
+  r.prevUv.copy(r.uv);
+}
 
-    const x = 0;
-const y = 0;
-const z = 0;
+function endWallReplayStroke(r, s) {
+  if (s.tool === "line") finishWallLine(r.startUv, r.prevUv);
+  wallRecEnd();
+  commitWallStroke();
+}
 
-positions[i3 + 0] = x;
-positions[i3 + 1] = y;
-positions[i3 + 2] = z;
+// advance by `ms` of plan time (Infinity = to the end)
+function runWallReplay(ms) {
+  const r = wallReplay;
+  if (!r) return;
 
-cigaretteSmokeData.push({
-  x,
-  y,
-  z,
-  vx: (Math.random() - 0.5) * 0.03,
-  vy: 0.14 + Math.random() * 0.08,
-  vz: (Math.random() - 0.5) * 0.03,
-  age: 0, // ✅ start fresh
-  life: 3.0 + Math.random() * 2.0,
-  swirl: Math.random() * Math.PI * 2,
-});
-  }
+  r.clock += ms;
+  wallReplayApplying = true;
 
-  cigaretteSmokeGeo.setAttribute(
-    "position",
-    new THREE.BufferAttribute(positions, 3)
-  );
+  try {
+    while (r.i < r.plan.length) {
+      const { s, start } = r.plan[r.i];
+      if (r.pi === -1 && r.clock < start) break;
+
+      if (s.clear) {
+        r.recT = s.t;
+        clearWallDrawing();
+        r.i += 1;
+        continue;
+      }
 
-cigaretteSmokeMat = new THREE.PointsMaterial({
-  color: 0xf0f0f0,
-  map: cigaretteSmokeTex,
-  alphaMap: cigaretteSmokeTex,
-  transparent: true,
-  opacity: 0.39, // 🔥 increased
-  size: 0.50,    // 🔥 slightly bigger
-  sizeAttenuation: true,
-  depthTest: false,
-  depthWrite: false,
-  blending: THREE.NormalBlending,
-  fog: true
-});
+      // painted on a mesh this room doesn't have (or no canvas left for it)
+      if (r.pi === -1 && !getWallSurfaceByKey(s.surf)) {
+        r.i += 1;
+        continue;
+      }
 
- cigaretteSmokePoints = new THREE.Points(cigaretteSmokeGeo, cigaretteSmokeMat);
-cigaretteSmokePoints.frustumCulled = false;
-cigaretteSmokePoints.renderOrder = 999;
+      if (r.pi === -1) {
+        beginWallReplayStroke(r, s);
+        r.pi = 4;
+        r.strokeT = start;
+      }
 
-  // put smoke into WORLD space, not under the tilted mesh
-  worldRoot.add(cigaretteSmokePoints);
+      while (r.pi < s.p.length && r.strokeT + s.p[r.pi] <= r.clock) {
+        r.strokeT += s.p[r.pi];
+        stepWallReplayPoint(r, s, r.pi);
+        r.pi += 4;
+      }
 
-emitterParent.updateMatrixWorld(true);
-emitterParent.getWorldPosition(exhaleSmokeSourceWorld);
-emitterParent.getWorldQuaternion(exhaleSmokeQuatWorld);
+      if (r.pi < s.p.length) break; // rest of this stroke is in the future
 
-exhaleSmokeSourceWorld.y += 0.15;
-exhaleSmokePoints.position.copy(exhaleSmokeSourceWorld);
-exhaleSmokePoints.quaternion.copy(exhaleSmokeQuatWorld);
+      endWallReplayStroke(r, s);
+      r.i += 1;
+      r.pi = -1;
+    }
+  } finally {
+    wallReplayApplying = false;
+  }
 
-  console.log("✅ cigarette smoke built in WORLD space at:", smokeSourceWorld);
+  if (r.i >= r.plan.length) stopWallReplay();
 }
 
+function updateWallReplay(dt) {
+  if (!wallReplay) return;
+  runWallReplay(dt * 1000 * wallReplay.speed);
+}
 
-function resetSmokeParticle(p) {
-  const U = Math.max(0.001, roomMaxDim * 0.01);
+// jump to the end (so the wall is never left half-painted)
+function finishWallReplay() {
+  if (!wallReplay) return;
 
-  p.x = (Math.random() - 0.5) * U * 0.8;
-  p.y = Math.random() * U * 0.004;
-  p.z = (Math.random() - 0.5) * U * 0.8;
+  runWallReplay(Infinity);
 
-  p.vx = (Math.random() - 0.5) * U * 0.4;
-  p.vy = U * (1.0 + Math.random() * 0.8);
-  p.vz = (Math.random() - 0.5) * U * 0.4;
+  // let drips land too
+  while (wallDrips.length && wallDrawCtx) stepWallDrips(wallDrawCtx, WALL_DRIP.step);
+  if (wallDrawTex) wallDrawTex.needsUpdate = true;
+  commitWallStroke();
+}
 
-  p.age = 0;
+function stopWallReplay() {
+  const r = wallReplay;
+  if (!r) return;
 
-// ✅ longer life so smoke rises higher
-p.life = 5.5 + Math.random() * 3.5;
+  wallReplay = null;
 
-p.swirl = Math.random() * Math.PI * 2;
+  wallTool = r.saved.tool;
+  wallMarkerColor = r.saved.color;
+  wallNozzle = r.saved.nozzle;
+  wallPaintOpacity = r.saved.opacity;
+  wallDrawPressure = WALL_PRESSURE_MIN;
+
+  // what was just replayed is now "the" recording; new strokes carry on after it
+  wallRec.startedAt = performance.now() - r.recT;
+
+  console.log("🎞 Wall replay done");
+  syncWallToolbar();
+  syncWallReplayUi();
 }
 
-function resetAllSmokeParticlesToEmitter() {
-  if (!cigaretteSmokeGeo) return;
+// ------------------------------------------------------------
+// toolbar row
+// ------------------------------------------------------------
+const wallReplayRow = makeWallToolbarRow();
+
+const wallReplayLabel = document.createElement("span");
+wallReplayLabel.textContent = "Timelapse";
+wallReplayLabel.style.minWidth = "54px";
+wallReplayLabel.style.opacity = "0.78";
+wallReplayRow.appendChild(wallReplayLabel);
+
+const wallReplayBtn = styleWallToolbarButton(document.createElement("button"));
+wallReplayBtn.addEventListener("click", () => {
+  if (wallReplay) finishWallReplay();
+  else if (wallRec.strokes.length && confirmWallReplayReset("Replay the wall as a timelapse?")) startWallReplay();
+});
+wallReplayRow.appendChild(wallReplayBtn);
+
+const wallReplaySpeedSelect = document.createElement("select");
+wallReplaySpeedSelect.setAttribute("aria-label", "Timelapse speed");
+wallReplaySpeedSelect.style.font = "inherit";
+wallReplaySpeedSelect.style.color = "#fff";
+wallReplaySpeedSelect.style.background = "rgba(0,0,0,0.6)";
+wallReplaySpeedSelect.style.border = "1px solid rgba(255,255,255,0.25)";
+wallReplaySpeedSelect.style.borderRadius = "6px";
+for (const sp of WALL_REPLAY_SPEEDS) {
+  const opt = document.createElement("option");
+  opt.value = String(sp);
+  opt.textContent = `${sp}×`;
+  wallReplaySpeedSelect.appendChild(opt);
+}
+wallReplaySpeedSelect.value = String(wallReplaySpeed);
+wallReplaySpeedSelect.addEventListener("change", () => {
+  wallReplaySpeed = Number(wallReplaySpeedSelect.value) || 1;
+  if (wallReplay) wallReplay.speed = wallReplaySpeed;
+});
+wallReplayRow.appendChild(wallReplaySpeedSelect);
+
+const wallRecExportBtn = styleWallToolbarButton(document.createElement("button"));
+wallRecExportBtn.textContent = "Export";
+wallRecExportBtn.setAttribute("aria-label", "Export timelapse as JSON");
+wallRecExportBtn.addEventListener("click", exportWallRecording);
+wallReplayRow.appendChild(wallRecExportBtn);
+
+const wallRecImportInput = document.createElement("input");
+wallRecImportInput.type = "file";
+wallRecImportInput.accept = ".json,application/json";
+wallRecImportInput.style.display = "none";
+wallRecImportInput.addEventListener("change", () => {
+  importWallRecording(wallRecImportInput.files?.[0]);
+  wallRecImportInput.value = "";
+});
 
-  const pos = cigaretteSmokeGeo.attributes.position.array;
+const wallRecImportBtn = styleWallToolbarButton(document.createElement("button"));
+wallRecImportBtn.textContent = "Import";
+wallRecImportBtn.setAttribute("aria-label", "Import a timelapse JSON");
+wallRecImportBtn.addEventListener("click", () => wallRecImportInput.click());
+wallReplayRow.append(wallRecImportBtn, wallRecImportInput);
 
-  for (let i = 0; i < CIG_SMOKE_COUNT; i++) {
-    const p = cigaretteSmokeData[i];
-    const i3 = i * 3;
+function syncWallReplayUi() {
+  wallReplayBtn.textContent = wallReplay ? "Skip" : "Replay";
+  wallReplayBtn.setAttribute("aria-label", wallReplay ? "Skip to the end of the timelapse" : "Replay the wall as a timelapse");
+  wallRecImportBtn.disabled = !!wallReplay;
+}
 
-    p.x = 0;
-    p.y = 0;
-    p.z = 0;
+syncWallReplayUi();
 
-  p.vx = (Math.random() - 0.5) * 0.08;
-  p.vy = 0.22 + Math.random() * 0.10;
-  p.vz = (Math.random() - 0.5) * 0.08;
+// ============================================================
+// ✅ SHARED WALL (optional WebSocket sync)
+// - off unless an endpoint is set: WALL_SYNC.url (reference server:
+//   server/wall-server.mjs); ?wall=<ws url> only picks one from
+//   WALL_SYNC.allowedUrls, or anything while the site runs on
+//   localhost (dev); ?wall=off turns it off
+// - own strokes go out as begin / points / end while painting;
+//   other visitors' strokes are painted as they arrive, with the
+//   same seed, so everyone sees the same dabs
+// - join (and moderation clear / rollback) sends the whole wall:
+//   it is repainted from scratch and local undo starts over
+// - others' paint never enters local undo or the timelapse; undo /
+//   redo / clear only touch your own strokes on the server, and the
+//   area they restore is repainted from the finished strokes the
+//   server has (so others' paint laid over yours stays put)
+// - moderation is not in the site: use the server's HTTP
+//   POST /admin/clear and /admin/rollback (see wall-server.mjs)
+// ============================================================
+const WALL_SYNC = {
+  url: null,              // e.g. "wss://wall.example.com" — null = per-tab wall
+  allowedUrls: [],        // other endpoints ?wall= may pick (staging, …)
+  flushMs: 80,            // batch points this often while painting
+  reconnectMinMs: 1000,
+  reconnectMaxMs: 30000,
+};
 
-  p.age = 0;
-  p.life = 3.8 + Math.random() * 2.2;
-    p.swirl = Math.random() * Math.PI * 2;
+// a crafted link must not point visitors at someone else's server
+function getWallSyncUrl() {
+  const param = new URLSearchParams(location.search).get("wall");
+  if (param === "off") return null;
+  if (!param) return WALL_SYNC.url;
 
-    pos[i3 + 0] = 0;
-    pos[i3 + 1] = 0;
-    pos[i3 + 2] = 0;
-  }
+  const isLocalDev = ["localhost", "127.0.0.1", "[::1]"].includes(location.hostname);
+  if (isLocalDev || param === WALL_SYNC.url || WALL_SYNC.allowedUrls.includes(param)) return param;
 
-  cigaretteSmokeGeo.attributes.position.needsUpdate = true;
+  console.warn("🧱 Ignoring ?wall= endpoint that isn't configured:", param);
+  return WALL_SYNC.url;
 }
 
-function updateCigaretteSmoke(dt) {
-    if (!smokeEmitterRef) return;
+const WALL_SYNC_URL = getWallSyncUrl();
 
-  const now = performance.now() * 0.001;
+let wallSyncSocket = null;
+let wallSyncClientId = null;      // from the server "hello"; prefixes our sids
+let wallSyncSidCounter = 0;
+let wallSyncReconnectMs = WALL_SYNC.reconnectMinMs;
+let wallSyncReconnectTimer = null;
+let wallSyncQueue = [];           // remote messages waiting for a quiet wall
+let wallSyncOut = null;           // { sid, sentBegin, p: [] } for our open stroke
+let wallSyncOutTimer = null;
+const wallSyncRemote = new Map(); // sid → remote stroke being painted
+const wallSyncOwnSids = new Set();
+let wallSyncStrokes = [];         // finished strokes in server order (ours + others')
 
-  // keep emitter world position fresh
-  smokeEmitterRef.updateMatrixWorld(true);
-  smokeEmitterRef.getWorldPosition(smokeSourceWorld);
-  smokeSourceWorld.y += 0.15; // 🔥 raise smoke here
+function isWallSyncOnline() {
+  return !!(wallSyncSocket && wallSyncSocket.readyState === WebSocket.OPEN && wallSyncClientId);
+}
 
-    if (!cigaretteSmokeBuilt) {
-    if ((now - cigaretteSmokeStartTime) < CIGARETTE_SMOKE_DELAY) {
-      return;
-    }
+function sendWallSync(msg) {
+  if (!isWallSyncOnline()) return false;
 
-    buildCigaretteSmoke(smokeEmitterRef);
-    cigaretteSmokeBuilt = true;
-    cigaretteSmokeStarted = true;
+  try {
+    wallSyncSocket.send(JSON.stringify(msg));
+    return true;
+  } catch (e) {
+    console.warn("🧱 Wall sync send failed:", e);
+    return false;
+  }
+}
 
-    if (!cigaretteSmokeGeo || !cigaretteSmokePoints) return;
+function connectWallSync() {
+  if (!WALL_SYNC_URL || typeof WebSocket !== "function") return;
 
-    cigaretteSmokePoints.visible = true;
+  let ws;
+  try {
+    ws = new WebSocket(WALL_SYNC_URL);
+  } catch (e) {
+    console.warn("🧱 Wall sync endpoint rejected:", WALL_SYNC_URL, e);
+    return;
   }
 
-  if (!cigaretteSmokeGeo || !cigaretteSmokePoints) return;
+  wallSyncSocket = ws;
 
-  cigaretteSmokePoints.position.copy(smokeSourceWorld);
+  ws.addEventListener("open", () => {
+    wallSyncReconnectMs = WALL_SYNC.reconnectMinMs;
+    console.log("🧱 Wall sync connected:", WALL_SYNC_URL);
+  });
 
-  const pos = cigaretteSmokeGeo.attributes.position.array;
-  const t = performance.now() * 0.001;
+  ws.addEventListener("message", (e) => {
+    let msg;
+    try {
+      msg = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    onWallSyncMessage(msg);
+  });
 
-  for (let i = 0; i < CIG_SMOKE_COUNT; i++) {
-    const p = cigaretteSmokeData[i];
-    const i3 = i * 3;
+  ws.addEventListener("close", () => {
+    if (wallSyncSocket !== ws) return;
 
-    p.age += dt;
+    wallSyncSocket = null;
+    wallSyncClientId = null;
+    wallSyncOut = null;
+    wallSyncRemote.clear();
 
-    if (p.age >= p.life) {
-        p.x = (Math.random() - 0.5) * 0.010;
-        p.y = Math.random() * 0.004;
-        p.z = (Math.random() - 0.5) * 0.010;
+    console.warn(`🧱 Wall sync closed — retrying in ${Math.round(wallSyncReconnectMs / 1000)}s`);
+    clearTimeout(wallSyncReconnectTimer);
+    wallSyncReconnectTimer = setTimeout(connectWallSync, wallSyncReconnectMs);
+    wallSyncReconnectMs = Math.min(WALL_SYNC.reconnectMaxMs, wallSyncReconnectMs * 2);
+  });
+}
 
-        p.vx = (Math.random() - 0.5) * 0.020;
-        p.vy = 0.11 + Math.random() * 0.05;
-        p.vz = (Math.random() - 0.5) * 0.020;
+function onWallSyncMessage(msg) {
+  if (msg.type === "hello") {
+    wallSyncClientId = msg.id;
+    wallSyncOwnSids.clear(); // new id: the server won't take old sids anymore
+    console.log(`🧱 Wall sync: ${msg.clients} on the wall`);
+    trackSceneClick("front_wall_sync_join", { clients: msg.clients });
+    return;
+  }
 
-      p.age = 0;
+  // the rest paints; a full state replaces whatever was still queued
+  if (msg.type === "state") wallSyncQueue = [];
+  wallSyncQueue.push(msg);
+}
 
-      // ✅ LONGER LIFE (linger)
-      p.life = 5.5 + Math.random() * 3.5;
+// ------------------------------------------------------------
+// outgoing (called from the wallRec* recorder hooks)
+// ------------------------------------------------------------
+function wallSyncBegin(stroke) {
+  if (!isWallSyncOnline() || wallReplay) return;
 
-      p.swirl = Math.random() * Math.PI * 2;
-    }
+  stroke.sid = `${wallSyncClientId}-${++wallSyncSidCounter}`;
+  wallSyncOut = { stroke, sentBegin: false, sent: 0 };
 
-    const k = p.age / p.life;
+  // held back one flush, so a multi-finger tap's first dot never leaves
+  clearTimeout(wallSyncOutTimer);
+  wallSyncOutTimer = setTimeout(flushWallSyncOut, WALL_SYNC.flushMs);
+}
 
-    // ✅ VERY SOFT MOTION
-        const curl = 0.020 + k * 0.032;
-const spread = 0.050 + k * 0.12;
+function flushWallSyncOut() {
+  wallSyncOutTimer = null;
 
-    // gentle curl + slow drift
-    p.x += p.vx * dt + Math.sin(t * 1.2 + p.swirl + k * 3.0) * curl * dt;
-    p.y += p.vy * dt * 0.95;
-    p.z += p.vz * dt + Math.cos(t * 1.1 + p.swirl + k * 3.0) * curl * dt;
+  const out = wallSyncOut;
+  if (!out) return;
 
-    // ✅ DRAG (this is key for realism)
-    p.vx *= 0.985;
-    p.vy *= 0.997;
-    p.vz *= 0.985;
+  const s = out.stroke;
 
-    // gentle outward bloom over time
-    p.x *= (1.0 + spread * dt * 0.45);
-    p.z *= (1.0 + spread * dt * 0.45);
+  if (!out.sentBegin) {
+    const meta = { tool: s.tool, color: s.color, nozzle: s.nozzle, opacity: s.opacity, seed: s.seed };
+    if (s.dot === 0) meta.dot = 0;
+    if (s.surf) meta.surf = s.surf;
 
-    pos[i3 + 0] = p.x;
-    pos[i3 + 1] = p.y;
-    pos[i3 + 2] = p.z;
-  }
+    out.sentBegin = sendWallSync({ type: "begin", sid: s.sid, t: s.t, meta, p: s.p.slice(0, 4) });
+    if (!out.sentBegin) return;
 
-  cigaretteSmokeGeo.attributes.position.needsUpdate = true;
+    out.sent = 4;
+    wallSyncOwnSids.add(s.sid);
+  }
 
-  if (cigaretteSmokeMat) {
-    cigaretteSmokeMat.opacity = 0.26;
+  if (s.p.length > out.sent) {
+    sendWallSync({ type: "points", sid: s.sid, p: s.p.slice(out.sent) });
+    out.sent = s.p.length;
   }
+
+  if (isWallDrawing) wallSyncOutTimer = setTimeout(flushWallSyncOut, WALL_SYNC.flushMs);
 }
 
-// ============================================================
-// EXHALE SMOKE DEBUG SYSTEM
-// - separate smoke system
-// - attached to a movable square + sphere marker
-// ============================================================
-function buildExhaleSmoke(emitterParent) {
-  if (!emitterParent) {
-    console.warn("buildExhaleSmoke: emitterParent missing");
+function wallSyncEnd(cancelled = false) {
+  const out = wallSyncOut;
+  if (!out) return;
+
+  clearTimeout(wallSyncOutTimer);
+  wallSyncOutTimer = null;
+
+  // a cancelled stroke that never left stays local
+  if (cancelled && !out.sentBegin) {
+    wallSyncOut = null;
     return;
   }
 
-  const worldRoot = ensureSmokeWorldRoot();
+  flushWallSyncOut();
+  wallSyncOut = null;
 
-  if (exhaleSmokePoints) {
-    exhaleSmokePoints.removeFromParent();
-    exhaleSmokeGeo?.dispose?.();
-    exhaleSmokeMat?.dispose?.();
-    exhaleSmokeGeo = null;
-    exhaleSmokeMat = null;
-    exhaleSmokePoints = null;
-    exhaleSmokeData.length = 0;
+  if (out.sentBegin) {
+    sendWallSync({ type: "end", sid: out.stroke.sid, cancelled });
+    if (!cancelled) wallSyncStrokes.push(out.stroke);
   }
+}
 
-  exhaleSmokeGeo = new THREE.BufferGeometry();
-  const positions = new Float32Array(EXHALE_SMOKE_COUNT * 3);
+function wallSyncRemoveOwn(strokes, { echo = false } = {}) {
+  const sids = strokes.map((s) => s.sid).filter((sid) => wallSyncOwnSids.has(sid));
+  if (!sids.length) {
+    if (echo) requestWallSyncState();
+    return;
+  }
 
-  exhaleSmokeData.length = 0;
+  sids.forEach((sid) => wallSyncOwnSids.delete(sid));
+  sendWallSync({ type: "remove", sids, echo });
 
-  for (let i = 0; i < EXHALE_SMOKE_COUNT; i++) {
-    const i3 = i * 3;
+  const drop = new Set(sids);
+  wallSyncStrokes = wallSyncStrokes.filter((st) => !drop.has(st.sid));
+}
 
-    const x = 0;
-    const y = 0;
-    const z = 0;
+function wallSyncAddOwn(strokes) {
+  const mine = strokes.filter((s) => s.sid && s.sid.startsWith(`${wallSyncClientId}-`));
+  if (!mine.length) return;
 
-    positions[i3 + 0] = x;
-    positions[i3 + 1] = y;
-    positions[i3 + 2] = z;
+  if (!sendWallSync({ type: "add", strokes: mine })) return;
 
-    exhaleSmokeData.push({
-      x,
-      y,
-      z,
-      vx: (Math.random() - 0.5) * 0.03,
-      vy: 0.14 + Math.random() * 0.08,
-      vz: (Math.random() - 0.5) * 0.03,
-      age: 0,
-      life: 3.0 + Math.random() * 2.0,
-      swirl: Math.random() * Math.PI * 2,
-    });
-  }
+  mine.forEach((s) => wallSyncOwnSids.add(s.sid));
+  wallSyncStrokes.push(...mine);
+}
 
-  exhaleSmokeGeo.setAttribute(
-    "position",
-    new THREE.BufferAttribute(positions, 3)
-  );
+// pixel reach of a finished shared stroke (points + spray / drip run), cached
+const wallSyncStrokeBounds = new WeakMap();
 
-exhaleSmokeMat = new THREE.PointsMaterial({
-  color: 0xf0f0f0,
-  map: cigaretteSmokeTex,
-  alphaMap: cigaretteSmokeTex,
-  transparent: true,
-  opacity: 0.26,
-  size: 0.40,
-  sizeAttenuation: true,
-  depthTest: true,
-  depthWrite: false,
-  blending: THREE.NormalBlending,
-  fog: true
-});
+function getWallSyncStrokeBounds(st, surf) {
+  let b = wallSyncStrokeBounds.get(st);
+  if (b) return b;
 
-exhaleSmokePoints = new THREE.Points(exhaleSmokeGeo, exhaleSmokeMat);
-exhaleSmokePoints.frustumCulled = false;
-exhaleSmokePoints.renderOrder = 0;
-exhaleSmokePoints.visible = false;
+  b = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+  for (let i = 0; i < st.p.length; i += 4) {
+    const x = (st.p[i + 1] / WALL_REC_UV_SCALE) * WALL_DRAW_SIZE;
+    const y = (1 - st.p[i + 2] / WALL_REC_UV_SCALE) * WALL_DRAW_SIZE;
+    b.x0 = Math.min(b.x0, x);
+    b.y0 = Math.min(b.y0, y);
+    b.x1 = Math.max(b.x1, x);
+    b.y1 = Math.max(b.y1, y);
+  }
 
-  worldRoot.add(exhaleSmokePoints);
+  const nozzle = THREE.MathUtils.clamp(Number(st.nozzle) || 1, WALL_NOZZLE_MIN, WALL_NOZZLE_MAX);
+  const size = nozzle * (st.tool === "fatcap" ? WALL_FATCAP_SIZE : 1) * surf.sizeScale;
+  const pad = WALL_HISTORY.dirtyPad * Math.max(1, size);
 
-  emitterParent.updateMatrixWorld(true);
-  emitterParent.getWorldPosition(exhaleSmokeSourceWorld);
-  exhaleSmokeSourceWorld.y += 0.15;
-  exhaleSmokePoints.position.copy(exhaleSmokeSourceWorld);
+  b.x0 -= pad;
+  b.y0 -= pad;
+  b.x1 += pad;
+  b.y1 += pad + (st.tool === "drip" ? WALL_DRIP.lenMax : 0);
 
-  console.log("✅ exhale smoke built in WORLD space at:", exhaleSmokeSourceWorld);
+  wallSyncStrokeBounds.set(st, b);
+  return b;
 }
 
-function resetAllExhaleSmokeParticlesToEmitter() {
-  if (!exhaleSmokeGeo) return;
-
-  const pos = exhaleSmokeGeo.attributes.position.array;
-
-  for (let i = 0; i < EXHALE_SMOKE_COUNT; i++) {
-    const p = exhaleSmokeData[i];
-    const i3 = i * 3;
+// undo / redo put back their own pixels; online, the same area is
+// painted again from the finished strokes on that surface that reach
+// into it, in order (cost follows the area, not the whole wall)
+function repaintWallSyncArea(surf, x, y, w, h) {
+  if (!isWallSyncOnline() || !activateWallSurface(surf)) return;
 
-    p.x = 0;
-    p.y = 0;
-    p.z = 0;
+  const ctx = wallDrawCtx;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y, w, h);
+  ctx.clip();
+  ctx.clearRect(x, y, w, h);
 
-   p.vx = (Math.random() - 0.5) * 0.08;
-   p.vy = 0.22 + Math.random() * 0.10;
-   p.vz = (Math.random() - 0.5) * 0.08;
+  try {
+    for (const st of wallSyncStrokes) {
+      if (getWallSurfaceByKey(st.surf) !== surf) continue;
 
-   p.age = 0;
-   p.life = 3.8 + Math.random() * 2.2;
-    p.swirl = Math.random() * Math.PI * 2;
+      const b = getWallSyncStrokeBounds(st, surf);
+      if (b.x1 < x || b.y1 < y || b.x0 > x + w || b.y0 > y + h) continue;
 
-    pos[i3 + 0] = 0;
-    pos[i3 + 1] = 0;
-    pos[i3 + 2] = 0;
+      const rs = makeWallRemoteStroke(st.sid, st);
+      paintWallRemotePoints(rs, st.p);
+      endWallRemoteStroke(rs, false);
+      settleWallRemotePaint();
+    }
+  } finally {
+    ctx.restore();
   }
 
-  exhaleSmokeGeo.attributes.position.needsUpdate = true;
+  wallHistoryBaseCtx?.putImageData(ctx.getImageData(x, y, w, h), x, y);
+  wallDrawTex.needsUpdate = true;
 }
 
-function updateExhaleSmoke(dt) {
-  if (!exhaleSmokeSphere) return;
-  if (!exhaleSmokePoints || !exhaleSmokeGeo) return;
+function repaintWallSyncHistory(entry) {
+  if (!isWallSyncOnline()) return;
 
-  const now = performance.now() * 0.001;
+  if (entry.kind === "clear") {
+    for (const { surf } of entry.layers) repaintWallSyncArea(surf, 0, 0, WALL_DRAW_SIZE, WALL_DRAW_SIZE);
+    return;
+  }
 
-  // wait until 5.5s after cigarette animation starts
-  if (exhaleSmokeArmed && !exhaleSmokeActive && !exhaleSmokeDissipating) {
-    if ((now - exhaleSmokeStartTime) < EXHALE_SMOKE_DELAY) {
-      exhaleSmokePoints.visible = false;
-      return;
-    }
+  repaintWallSyncArea(entry.surf, entry.x, entry.y, entry.before.width, entry.before.height);
+}
 
-    exhaleSmokeActive = true;
-    exhaleSmokeDissipating = false;
-    exhaleSmokePoints.visible = true;
-    resetAllExhaleSmokeParticlesToEmitter();
+// the server answers "sync" with its whole wall (rate limited there)
+function requestWallSyncState() {
+  return sendWallSync({ type: "sync" });
+}
 
-    console.log("💨 exhale smoke START");
-  }
+// ------------------------------------------------------------
+// incoming: painted outside local history + timelapse
+// ------------------------------------------------------------
+function withWallStrokeState(rs, fn) {
+  const saved = {
+    tool: wallTool,
+    color: wallMarkerColor,
+    nozzle: wallNozzle,
+    opacity: wallPaintOpacity,
+    pressure: wallDrawPressure,
+    rng: wallRandomState,
+    charge: wallDripCharge,
+  };
 
-  // after burst duration, stop emitting but let smoke naturally dissipate
-  if (exhaleSmokeActive) {
-    const burstElapsed = now - exhaleSmokeStartTime - EXHALE_SMOKE_DELAY;
+  wallTool = rs.tool;
+  wallMarkerColor = rs.color;
+  wallNozzle = rs.nozzle;
+  wallPaintOpacity = rs.opacity;
+  wallRandomState = rs.rng;
+  wallDripCharge = rs.charge;
 
-    if (burstElapsed > EXHALE_SMOKE_BURST) {
-      exhaleSmokeActive = false;
-      exhaleSmokeArmed = false;
-      exhaleSmokeDissipating = true;
+  try {
+    fn();
+  } finally {
+    rs.rng = wallRandomState;
+    rs.charge = wallDripCharge;
 
-      console.log("💨 exhale smoke RELEASE END / dissipating");
-    }
+    wallTool = saved.tool;
+    wallMarkerColor = saved.color;
+    wallNozzle = saved.nozzle;
+    wallPaintOpacity = saved.opacity;
+    wallDrawPressure = saved.pressure;
+    wallRandomState = saved.rng;
+    wallDripCharge = saved.charge;
   }
+}
 
-  // if nothing is active or dissipating, do nothing
-  if (!exhaleSmokeActive && !exhaleSmokeDissipating) return;
-
-  exhaleSmokeSphere.updateMatrixWorld(true);
-  exhaleSmokeSphere.getWorldPosition(exhaleSmokeSourceWorld);
-  exhaleSmokeSphere.getWorldQuaternion(exhaleSmokeQuatWorld);
+function makeWallRemoteStroke(sid, meta) {
+  seedWallRandom(meta.seed);
+  return {
+    sid,
+    tool: meta.tool,
+    color: meta.color,
+    nozzle: THREE.MathUtils.clamp(Number(meta.nozzle) || 1, WALL_NOZZLE_MIN, WALL_NOZZLE_MAX),
+    opacity: THREE.MathUtils.clamp(Number(meta.opacity) || 1, WALL_OPACITY_MIN, 1),
+    dot: meta.dot,
+    surf: typeof meta.surf === "string" ? meta.surf : null,
+    seed: meta.seed,
+    rng: wallRandomState,
+    charge: 0,
+    p: [],
+    drawn: 0,
+    startUv: new THREE.Vector2(),
+    prevUv: new THREE.Vector2(),
+    uv: new THREE.Vector2(),
+  };
+}
 
-  exhaleSmokeSourceWorld.y += 0.15;
+function paintWallRemotePoints(rs, p) {
+  rs.p.push(...p);
+  if (!activateWallSurfaceByKey(rs.surf)) return;
 
-  exhaleSmokePoints.position.copy(exhaleSmokeSourceWorld);
-  exhaleSmokePoints.quaternion.copy(exhaleSmokeQuatWorld);
+  withWallStrokeState(rs, () => {
+    for (; rs.drawn < rs.p.length; rs.drawn += 4) {
+      const i = rs.drawn;
+      wallDrawPressure = rs.p[i + 3] / WALL_REC_PRESSURE_SCALE;
+      getWallRecUv(rs.p, i, rs.uv);
 
-  const pos = exhaleSmokeGeo.attributes.position.array;
-  const t = performance.now() * 0.001;
+      if (i === 0) {
+        rs.startUv.copy(rs.uv);
+        if (rs.tool !== "line" && rs.dot !== 0) drawOnWallAtUV(rs.uv);
+      } else if (rs.tool !== "line") {
+        drawWallLineUV(rs.prevUv, rs.uv);
+      }
 
-  let aliveCount = 0;
-  let maxFade = 0;
+      rs.prevUv.copy(rs.uv);
+    }
+  });
+}
 
-  for (let i = 0; i < EXHALE_SMOKE_COUNT; i++) {
-    const p = exhaleSmokeData[i];
-    const i3 = i * 3;
+// what the server keeps for a stroke relayed live (same shape as a recorded one)
+function getWallSyncFinishedStroke(rs) {
+  const st = { sid: rs.sid, tool: rs.tool, color: rs.color, nozzle: rs.nozzle, opacity: rs.opacity, seed: rs.seed, p: rs.p };
+  if (rs.dot === 0) st.dot = 0;
+  if (rs.surf) st.surf = rs.surf;
+  return st;
+}
 
-    p.age += dt;
+function endWallRemoteStroke(rs, cancelled) {
+  if (cancelled || rs.tool !== "line" || !rs.drawn) return;
+  if (!activateWallSurfaceByKey(rs.surf)) return;
 
-    const k = p.age / p.life;
+  withWallStrokeState(rs, () => {
+    wallDrawPressure = rs.p[rs.p.length - 1] / WALL_REC_PRESSURE_SCALE;
+    finishWallLine(rs.startUv, rs.prevUv);
+  });
+}
 
-    if (k >= 1.0) {
-      pos[i3 + 0] = 9999;
-      pos[i3 + 1] = 9999;
-      pos[i3 + 2] = 9999;
-      continue;
-    }
+// remote paint becomes part of the "before" of the next local stroke
+function settleWallRemotePaint() {
+  while (wallDrips.length && wallDrawCtx) stepWallDrips(wallDrawCtx, WALL_DRIP.step);
 
-    aliveCount++;
+  const rect = getWallDirtyRect();
+  wallStrokeDirty = null;
 
-    const fadeStart = 1.0 - EXHALE_SMOKE_FADE_PORTION;
+  if (rect && wallHistoryBaseCtx) {
+    wallHistoryBaseCtx.putImageData(
+      wallDrawCtx.getImageData(rect.x, rect.y, rect.w, rect.h),
+      rect.x,
+      rect.y
+    );
+  }
 
-    let fade = 1.0;
-    if (k > fadeStart) {
-      const u = (k - fadeStart) / EXHALE_SMOKE_FADE_PORTION;
-      fade = 1.0 - (u * u * (3.0 - 2.0 * u)); // smooth fade out
-    }
+  if (wallDrawTex) wallDrawTex.needsUpdate = true;
+}
 
-    if (fade > maxFade) maxFade = fade;
+function loadWallSyncState(strokes, reason) {
+  if (wallReplay) finishWallReplay();
 
-    const curl = 0.020 + k * 0.032;
-    const spread = 0.050 + k * 0.12;
+  // same fresh start as a timelapse, but the recording starts empty too
+  resetWallForReplay();
+  wallRec = { startedAt: 0, strokes: [] };
+  wallSyncRemote.clear();
+  wallSyncStrokes = [];
 
-    p.x += p.vx * dt + Math.sin(t * 1.2 + p.swirl + k * 3.0) * curl * dt;
-    p.y += p.vy * dt * 0.95;
-    p.z += p.vz * dt + Math.cos(t * 1.1 + p.swirl + k * 3.0) * curl * dt;
+  let painted = 0;
 
-    // extra slowdown as particle dies
-    const dragMul = 0.985 - (1.0 - fade) * 0.02;
-    p.vx *= dragMul;
-    p.vy *= 0.997 - (1.0 - fade) * 0.01;
-    p.vz *= dragMul;
+  for (const s of Array.isArray(strokes) ? strokes : []) {
+    const p = Array.isArray(s?.p) && s.p.length >= 4 ? s.p : null;
+    if (!p || !WALL_TOOLS.some((t) => t.id === s.tool)) continue;
 
-    p.x *= (1.0 + spread * dt * 0.45);
-    p.z *= (1.0 + spread * dt * 0.45);
+    const rs = makeWallRemoteStroke(s.sid, s);
+    paintWallRemotePoints(rs, p);
+    endWallRemoteStroke(rs, false);
+    settleWallRemotePaint();
 
-   // keep particles spread out; only fade them visually
-    pos[i3 + 0] = p.x;
-    pos[i3 + 1] = p.y;
-    pos[i3 + 2] = p.z;
+    if (s.sid && wallSyncClientId && s.sid.startsWith(`${wallSyncClientId}-`)) wallSyncOwnSids.add(s.sid);
+    wallSyncStrokes.push(s);
+    painted++;
   }
 
-  exhaleSmokeGeo.attributes.position.needsUpdate = true;
+  console.log(`🧱 Wall ${reason || "state"}: ${painted} strokes`);
+}
 
-  // smooth overall fade as the last visible particles die
-  if (exhaleSmokeMat) {
-    exhaleSmokeMat.opacity = 0.26 * maxFade;
-  }
+function applyWallSyncMessage(msg) {
+  switch (msg.type) {
+    case "state":
+      loadWallSyncState(msg.strokes, msg.reason);
+      return;
 
-  // only hide the whole system after every particle has naturally died
-  if (exhaleSmokeDissipating && aliveCount === 0) {
-    exhaleSmokeDissipating = false;
-    exhaleSmokePoints.visible = false;
+    case "begin": {
+      if (!msg.meta || !WALL_TOOLS.some((t) => t.id === msg.meta.tool)) return;
+      const rs = makeWallRemoteStroke(msg.sid, msg.meta);
+      wallSyncRemote.set(msg.sid, rs);
+      paintWallRemotePoints(rs, msg.p || []);
+      break;
+    }
 
-    // restore default opacity for next puff
-    if (exhaleSmokeMat) {
-      exhaleSmokeMat.opacity = 0.26;
+    case "points": {
+      const rs = wallSyncRemote.get(msg.sid);
+      if (rs && Array.isArray(msg.p)) paintWallRemotePoints(rs, msg.p);
+      break;
+    }
+
+    case "end": {
+      const rs = wallSyncRemote.get(msg.sid);
+      if (!rs) return;
+      wallSyncRemote.delete(msg.sid);
+      endWallRemoteStroke(rs, msg.cancelled);
+      if (!msg.cancelled) wallSyncStrokes.push(getWallSyncFinishedStroke(rs));
+      break;
+    }
+
+    // redo from someone else: arrives whole
+    case "stroke": {
+      const s = msg.stroke;
+      if (!s || !Array.isArray(s.p) || !WALL_TOOLS.some((t) => t.id === s.tool)) return;
+      const rs = makeWallRemoteStroke(s.sid, s);
+      paintWallRemotePoints(rs, s.p);
+      endWallRemoteStroke(rs, false);
+      wallSyncStrokes.push(s);
+      break;
     }
 
-    console.log("💨 exhale smoke fully dissipated");
+    default:
+      return;
   }
+
+  settleWallRemotePaint();
 }
 
-function setupExhaleSmokeDebugRig() {
-  if (exhaleSmokeRoot) return;
+// per frame: remote paint waits while our own stroke (or its drips) is open,
+// so it never lands inside a local undo step
+function updateWallSync() {
+  if (!wallSyncQueue.length) return;
+  if (!wallDrawCtx || !wallDrawTex) return;
+  if (isWallDrawing || wallDrips.length || wallReplay) return;
 
-  if (!camera) {
-    console.warn("setupExhaleSmokeDebugRig: camera missing");
-    return;
-  }
+  // a finished local stroke still waiting on its step gets it first
+  if (wallStrokeDirty) commitWallStroke();
 
-  exhaleSmokeRoot = new THREE.Group();
-  exhaleSmokeRoot.name = "ExhaleSmokeDebugRoot";
+  const queue = wallSyncQueue;
+  wallSyncQueue = [];
 
-  // attach to camera so it stays in front of you for testing
-  camera.add(exhaleSmokeRoot);
+  for (const msg of queue) {
+    try {
+      applyWallSyncMessage(msg);
+    } catch (e) {
+      console.warn("🧱 Wall sync message failed:", msg?.type, e);
+    }
+  }
+}
 
-  // KEEP POSITION STATIONARY
-  exhaleSmokeRoot.position.set(0.10, -0.20, -0.0);
+connectWallSync();
 
-  // this is your existing "mouth plane" pitch
-  exhaleSmokeRoot.rotation.x = -Math.PI / 2;
+// ============================================================
+// ✅ PAINT ANYWHERE (room meshes as spray surfaces)
+// - "Anywhere" in the spray toolbar: static meshes of the main GLB
+//   (floor, cabinet, TV stand, …) take paint too
+// - each painted mesh gets its own canvas, laid over it as a clone
+//   that shares the mesh's geometry + UVs, so paint follows the
+//   surface; canvases are made on the first dab (capped count)
+// - the active surface is swapped into wallDrawCanvas / Ctx / Tex and
+//   the history base, so spray, eraser, drips, undo, timelapse and the
+//   shared wall all work unchanged — strokes off the wall carry `surf`
+// - clickable things (TV, lamp, picture, door, …) keep their click
+// ============================================================
+const WALL_SURFACES = {
+  max: isTouch ? 6 : 16,    // painted meshes besides the front wall (canvas memory)
+  minSizeScale: 0.25,       // nozzle size vs. the wall, from texel density
+  maxSizeScale: 4,
+  maxSegmentUv: 0.25,       // longer jumps cross a UV seam: dab, don't draw a line
+  sampleTris: 4000,         // triangles looked at for the texel density
+};
 
-  // --------------------------------------------------
-  // AIM PIVOT
-  // rotate THIS to aim left/right without moving root
-  // --------------------------------------------------
-  exhaleSmokeAim = new THREE.Group();
-  exhaleSmokeAim.name = "ExhaleSmokeAim";
-  exhaleSmokeRoot.add(exhaleSmokeAim);
+const WALL_FRONT_SURFACE_KEY = "wall";
+
+let wallPaintAnywhere = false;
+let wallPaintMeshes = [];            // candidates, registered on main GLB load
+const wallPaintMeshByKey = new Map();
+const wallSurfaces = new Map();      // key → { key, mesh, canvas, ctx, tex, base*, sizeScale, painted }
+let wallFrontSurface = null;
+let wallActiveSurface = null;
+let wallSurfaceSizeScale = 1;
+let wallSurfaceLimitWarned = false;
+
+function makeWallSurfaceRecord(key, mesh, canvas, ctx, tex, sizeScale) {
+  const surf = {
+    key,
+    mesh,
+    canvas,
+    ctx,
+    tex,
+    baseCanvas: null,
+    baseCtx: null,
+    sizeScale,
+    painted: false,
+  };
+  wallSurfaces.set(key, surf);
+  return surf;
+}
 
-  // rotate toward left shelving
-  exhaleSmokeAim.rotation.z = THREE.MathUtils.degToRad(19);
+// called at the end of buildFrontWallDrawPlane()
+function registerFrontWallSurface() {
+  if (wallFrontSurface) return;
 
-  // green square (keep as invisible debug anchor)
-exhaleSmokeBox = new THREE.Mesh(
-  new THREE.BoxGeometry(0.25, 0.25, 0.02),
-  new THREE.MeshBasicMaterial({
-    color: 0x00ff00,
-    transparent: true,
-    opacity: 0.0,
-    depthTest: false,
-    depthWrite: false,
-  })
-);
-exhaleSmokeBox.visible = false;
-exhaleSmokeBox.renderOrder = 9999;
-exhaleSmokeAim.add(exhaleSmokeBox);
+  wallFrontSurface = makeWallSurfaceRecord(
+    WALL_FRONT_SURFACE_KEY,
+    wallDrawPlaneRef,
+    wallDrawCanvas,
+    wallDrawCtx,
+    wallDrawTex,
+    1
+  );
+  wallActiveSurface = wallFrontSurface;
+}
 
-// red sphere (keep as invisible emitter anchor)
-exhaleSmokeSphere = new THREE.Mesh(
-  new THREE.SphereGeometry(0.06, 16, 16),
-  new THREE.MeshBasicMaterial({
-    color: 0xff0000,
-    transparent: true,
-    opacity: 0.0,
-    depthTest: false,
-    depthWrite: false,
-  })
-);
-exhaleSmokeSphere.visible = false;
-exhaleSmokeSphere.position.set(0, 0.18, 0);
-exhaleSmokeSphere.renderOrder = 9999;
-exhaleSmokeAim.add(exhaleSmokeSphere);
+// paint, drips and the open history step stay on the surface they started on
+function activateWallSurface(surf) {
+  if (!surf || surf === wallActiveSurface) return surf;
 
-  buildExhaleSmoke(exhaleSmokeSphere);
+  if (wallActiveSurface) {
+    while (wallDrips.length && wallDrawCtx) stepWallDrips(wallDrawCtx, WALL_DRIP.step);
+    if (wallDrawTex) wallDrawTex.needsUpdate = true;
+    commitWallStroke({ force: true });
+  }
 
-  console.log("✅ Exhale smoke debug rig created", {
-    exhaleSmokeRoot,
-    exhaleSmokeAim,
-    exhaleSmokeBox,
-    exhaleSmokeSphere,
-    exhaleSmokePoints
-  });
+  wallActiveSurface = surf;
+  wallDrawCanvas = surf.canvas;
+  wallDrawCtx = surf.ctx;
+  wallDrawTex = surf.tex;
+  wallHistoryBaseCanvas = surf.baseCanvas;
+  wallHistoryBaseCtx = surf.baseCtx;
+  wallSurfaceSizeScale = surf.sizeScale;
+  return surf;
 }
 
-const cigaretteAshMat = (() => {
-  const m = makePBR(
-    {
-      albedo: "./assets/Textures/New Cigarette Folder/Cig Ash Albeto.jpg",
-    },
-    { roughness: 1.0, metalness: 0.0 }
-  );
+function isWallFrontSurfaceActive() {
+  return !wallActiveSurface || wallActiveSurface === wallFrontSurface;
+}
 
-  m.color.multiplyScalar(0.82);
+function getWallSurfaceKeyForStroke() {
+  return isWallFrontSurfaceActive() ? null : wallActiveSurface.key;
+}
 
-  m.emissive = new THREE.Color(0x4a0800);
-  m.emissiveIntensity = 0.55;
+// ------------------------------------------------------------
+// candidates
+// ------------------------------------------------------------
+function registerWallPaintMeshes(model, animations = []) {
+  // animated nodes (the bugs) move away from their paint
+  const animated = new Set();
+  for (const clip of animations) {
+    for (const track of clip.tracks) animated.add(track.name.split(".")[0]);
+  }
 
-  m.emissiveMap = null;
+  const seen = new Map();
+  wallPaintMeshes = [];
+  wallPaintMeshByKey.clear();
 
-  m.toneMapped = true;
-  return m;
-})();
+  model.traverse((o) => {
+    if (!o.isMesh || o.isSkinnedMesh) return;
+    if (!o.geometry?.attributes.uv || o.morphTargetInfluences) return;
 
-const cigaretteEmberMat = new THREE.MeshStandardMaterial({
-  color: 0x080201,
-  emissive: 0x551100,
-  emissiveIntensity: 0.25,
-  roughness: 1.0,
-  metalness: 0.0,
-  side: THREE.DoubleSide,
-  toneMapped: true,
-});
+    for (let p = o; p; p = p.parent) {
+      if (p.name && animated.has(p.name)) return;
+    }
 
-darkenMaterial(cigaretteFilterMat, {
-  env: 0.0,
-  rough: 1.0,
-  colorMul: 0.7,
-});
+    const name = o.name || "mesh";
+    const n = (seen.get(name) || 0) + 1;
+    seen.set(name, n);
 
-darkenMaterial(cigaretteTobaccoMat, {
-  env: 0.0,
-  rough: 1.0,
-  colorMul: 0.7,
-});
+    const key = n > 1 ? `${name}#${n}` : name;
+    o.userData.wallPaintKey = key;
+    wallPaintMeshes.push(o);
+    wallPaintMeshByKey.set(key, o);
+  });
 
-darkenMaterial(cigaretteAshMat, {
-  env: 0.0,
-  rough: 1.0,
-  colorMul: 0.7,
-});
+  console.log(`🎨 Paint anywhere: ${wallPaintMeshes.length} room meshes can take paint`);
+}
 
-materials.Contact = makePBR(
-  {
-    albedo: "./assets/Textures/Remote/Social Buttons/Instagram Albedo1.jpg",
-  },
-  {
-    roughness: 1.0,
-    metalness: 0.0,
+function isWallMeshShown(o) {
+  for (let p = o; p; p = p.parent) {
+    if (!p.visible) return false;
   }
-);
+  return true;
+}
 
-materials.Instagram = makePBR(
-  {
-    albedo: "./assets/Textures/Remote/Social Buttons/Contact Albedo3.jpg",
-  },
-  {
-    roughness: 1.0,
-    metalness: 0.0,
-  }
-);
+function isWallPaintBlocked(o) {
+  return isInteractiveHitForIOSCameraDrag([{ object: o }]);
+}
 
-materials.TikTok = makePBR(
-  {
-    albedo: "./assets/Textures/Remote/Social Buttons/TikTok Albedo.jpg",
-  },
-  {
-    roughness: 1.0,
-    metalness: 0.0,
-  }
-);
+// world units per 1.0 of UV, so the nozzle is about the same size everywhere
+function getWallMeshWorldPerUv(mesh) {
+  const geo = mesh.geometry;
+  const pos = geo.attributes.position;
+  const uv = geo.attributes.uv;
+  const index = geo.index;
+  const triCount = index ? index.count / 3 : pos.count / 3;
+  const stride = Math.max(1, Math.floor(triCount / WALL_SURFACES.sampleTris));
 
-materials.Youtube = makePBR(
-  {
-    albedo: "./assets/Textures/Remote/Social Buttons/Youtube Albedo.jpg",
-  },
-  {
-    roughness: 1.0,
-    metalness: 0.0,
+  mesh.updateMatrixWorld(true);
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  let worldArea = 0;
+  let uvArea = 0;
+
+  for (let t = 0; t < triCount; t += stride) {
+    const i0 = index ? index.getX(t * 3) : t * 3;
+    const i1 = index ? index.getX(t * 3 + 1) : t * 3 + 1;
+    const i2 = index ? index.getX(t * 3 + 2) : t * 3 + 2;
+
+    a.fromBufferAttribute(pos, i0).applyMatrix4(mesh.matrixWorld);
+    b.fromBufferAttribute(pos, i1).applyMatrix4(mesh.matrixWorld);
+    c.fromBufferAttribute(pos, i2).applyMatrix4(mesh.matrixWorld);
+    worldArea += b.sub(a).cross(c.sub(a)).length() * 0.5;
+
+    const ux = uv.getX(i1) - uv.getX(i0);
+    const uy = uv.getY(i1) - uv.getY(i0);
+    const vx = uv.getX(i2) - uv.getX(i0);
+    const vy = uv.getY(i2) - uv.getY(i0);
+    uvArea += Math.abs(ux * vy - uy * vx) * 0.5;
   }
-);
 
-// ============================================================
-// ✅ WALL DETAIL BOOST (micro-contrast without "brightening")
-// Paste directly under: const materials = { ... };
-// ============================================================
-if (materials.front_wall1) {
-  // small lift so cracks/details show
-  materials.front_wall1.color.multiplyScalar(1.12);
-  // slightly less chalk-flat
-  materials.front_wall1.roughness = Math.min(materials.front_wall1.roughness ?? 1.0, 0.92);
-  if ("envMapIntensity" in materials.front_wall1) materials.front_wall1.envMapIntensity = 0.03;
-  materials.front_wall1.needsUpdate = true;
+  return uvArea > 0 ? Math.sqrt(worldArea / uvArea) : 0;
 }
 
-if (materials.Left_wall1) {
-  materials.Left_wall1.color.multiplyScalar(1.10);
-  materials.Left_wall1.roughness = Math.min(materials.Left_wall1.roughness ?? 1.0, 0.90);
-  if ("envMapIntensity" in materials.Left_wall1) materials.Left_wall1.envMapIntensity = 0.035;
-  materials.Left_wall1.needsUpdate = true;
+function getWallSurfaceSizeScale(mesh) {
+  const perUv = getWallMeshWorldPerUv(mesh);
+  if (!perUv || !wallDrawPlaneRef) return 1;
+
+  const wallPerUv = Math.sqrt(Math.abs(wallDrawPlaneRef.scale.x * wallDrawPlaneRef.scale.y));
+  return THREE.MathUtils.clamp(wallPerUv / perUv, WALL_SURFACES.minSizeScale, WALL_SURFACES.maxSizeScale);
 }
 
-// ============================================================
-// ✅ Picture1 material tuning (prevents over-bright photos)
-// Paste DIRECTLY after: const materials = { ... };
-// ============================================================
-if (materials.Picture1) {
-  // isolate so nothing else sharing this material gets affected
-  materials.Picture1 = materials.Picture1.clone();
+// ------------------------------------------------------------
+// per-mesh paint layers
+// ------------------------------------------------------------
+function getWallSurfaceForMesh(mesh) {
+  const key = mesh?.userData.wallPaintKey;
+  if (!key) return null;
 
-  // kill reflections / IBL on the photo
-  if ("envMapIntensity" in materials.Picture1) materials.Picture1.envMapIntensity = 0.0;
+  const existing = wallSurfaces.get(key);
+  if (existing) return existing;
 
-  // make it "paper-like"
-  materials.Picture1.metalness = 0.0;
-  materials.Picture1.roughness = 0.9;
+  if (wallSurfaces.size - 1 >= WALL_SURFACES.max) {
+    if (!wallSurfaceLimitWarned) {
+      console.warn(`🎨 Paint anywhere: ${WALL_SURFACES.max} surfaces already painted — no more canvases`);
+      wallSurfaceLimitWarned = true;
+    }
+    return null;
+  }
 
-  // reduce brightness without changing your textures
-  materials.Picture1.color.setHex(0xffffff);
-  materials.Picture1.color.multiplyScalar(0.75); // ✅ try 0.70–0.90
+  const canvas = document.createElement("canvas");
+  canvas.width = WALL_DRAW_SIZE;
+  canvas.height = WALL_DRAW_SIZE;
+  const ctx = canvas.getContext("2d");
 
-  materials.Picture1.needsUpdate = true;
-}
+  // same orientation as the wall plane, so drawOnWallAtUV needs no changes
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.flipY = true;
+  tex.wrapS = THREE.RepeatWrapping;
+  tex.wrapT = THREE.RepeatWrapping;
+  tex.needsUpdate = true;
 
-// ============================================================
-// ✅ Picture1 interchangeable textures (01–06)
-// ============================================================
-const PICTURE1_TEXTURES = [
-  "./assets/Textures/Picture/02_Picture21.jpg",
-  "./assets/Textures/Picture/08_Picture81.jpg",
-  "./assets/Textures/Picture/03_Picture31.jpg",
-  "./assets/Textures/Picture/04_Picture41.jpg",
-  "./assets/Textures/Picture/05_Picture51.jpg",
-  "./assets/Textures/Picture/06_Picture61.jpg",
-  "./assets/Textures/Picture/07_Picture71.jpg",
-  "./assets/Textures/Picture/01_Picture11.jpg",
-  "./assets/Textures/Picture/09_Picture91.jpg",
-  "./assets/Textures/Picture/10_Picture101.jpg",
-  
-];
+  const baseMat = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
 
-let picture1TexIndex = 0;
-let picture1MeshRef = null; // will be captured from Main GLB
-let grimReaperRef = null;
+  const paintMat = new THREE.MeshBasicMaterial({
+    map: tex,
+    transparent: true,
+    depthTest: true,
+    depthWrite: false,
+    side: baseMat?.side ?? THREE.FrontSide,
+    polygonOffset: true,       // sits on the mesh without z-fighting
+    polygonOffsetFactor: -1,
+    polygonOffsetUnits: -4,
+  });
 
-let wallDrawPlaneRef = null;
-let wallDrawCanvas = null;
-let wallDrawCtx = null;
-let wallDrawTex = null;
+  const layer = new THREE.Mesh(mesh.geometry, paintMat);
+  layer.name = `${mesh.name || "Mesh"}_Paint`;
+  layer.renderOrder = 1;
+  layer.castShadow = false;
+  layer.receiveShadow = false;
+  layer.raycast = () => {};
+  mesh.add(layer);
 
-let drawMode = false;
-let isWallDrawing = false;
-let hasLastWallDrawUv = false;
+  const surf = makeWallSurfaceRecord(key, mesh, canvas, ctx, tex, getWallSurfaceSizeScale(mesh));
+  console.log(`🎨 New paint surface: ${key} (nozzle ×${surf.sizeScale.toFixed(2)})`);
+  return surf;
+}
 
-let wallTool = "pen"; // "pen" or "eraser"
+// recorded / remote strokes name their surface; no name = the front wall
+function getWallSurfaceByKey(key) {
+  if (!key || key === WALL_FRONT_SURFACE_KEY) return wallFrontSurface;
+  return wallSurfaces.get(key) || getWallSurfaceForMesh(wallPaintMeshByKey.get(key));
+}
 
-let wallDrawStartMs = 0;
-let wallDrawPressure = 1.0;
+function activateWallSurfaceByKey(key) {
+  return activateWallSurface(getWallSurfaceByKey(key));
+}
 
-const WALL_PRESSURE_MIN = 1.0;
-const WALL_PRESSURE_MAX = 1.9;
-const WALL_PRESSURE_RAMP_MS = 1600;
+// ------------------------------------------------------------
+// picking
+// ------------------------------------------------------------
+function toWallSurfaceUv(surf, uv) {
+  if (surf === wallFrontSurface) return uv;
 
-const WALL_MARKER_COLORS = [
-  "#000000", // black
-  "#FFFFFF", // white
-  "#6D120D", // red
-  "#5D7A91", // blue
-  "#E57B36", // orange
-  "#B396B7", // pink
-  "#2A6231", // green
-];
+  // tiled UVs land on the same texel the layer samples
+  uv.x -= Math.floor(uv.x);
+  uv.y -= Math.floor(uv.y);
+  return uv;
+}
 
-let wallMarkerColorIndex = 0;
-let wallMarkerColor = WALL_MARKER_COLORS[wallMarkerColorIndex];
+// → { surf, hit } for what the pointer is over, or null
+// (pass a surface to keep a stroke on it)
+function raycastWallPaint(e, surf = null) {
+  if (!wallDrawPlaneRef) return null;
 
-const WALL_PEN_RADIUS = 8.0;
-const WALL_PEN_LINE_WIDTH = 10;
+  updatePointerNdcFromEvent(e);
+  raycaster.setFromCamera(pointer, camera);
+  wallDrawRaycastHits.length = 0;
+
+  if (surf) {
+    raycaster.intersectObject(surf.mesh, false, wallDrawRaycastHits);
+    const hit = wallDrawRaycastHits[0];
+    return hit?.uv ? { surf, hit } : null;
+  }
+
+  const targets = wallPaintAnywhere ? [wallDrawPlaneRef, ...wallPaintMeshes] : [wallDrawPlaneRef];
+  raycaster.intersectObjects(targets, false, wallDrawRaycastHits);
 
-const WALL_SPRAY_CORE_DABS = 17;
-const WALL_SPRAY_EDGE_DABS = 7;
+  for (const hit of wallDrawRaycastHits) {
+    const o = hit.object;
+    if (!isWallMeshShown(o)) continue;
+    if (!hit.uv) return null;
 
-const WALL_SPRAY_JITTER = 6.0;
-const WALL_SPRAY_EDGE_JITTER = 9.5;
+    if (o === wallDrawPlaneRef) return wallFrontSurface ? { surf: wallFrontSurface, hit } : null;
+    if (isWallPaintBlocked(o)) return null;
 
-const WALL_SPRAY_DOT_MIN = 0.45;
-const WALL_SPRAY_DOT_MAX = 1.2;
+    const meshSurf = getWallSurfaceForMesh(o);
+    return meshSurf ? { surf: meshSurf, hit } : null;
+  }
 
-const WALL_SPRAY_HOLE_CHANCE = 0.06;
+  return null;
+}
 
-const WALL_PAINT_SHADOW_OFFSET_X = 0.85;
-const WALL_PAINT_SHADOW_OFFSET_Y = 0.55;
-const WALL_PAINT_SHADOW_ALPHA = 0.030;
+// drawWallLineUV: a jump this big on a mesh is a seam, not a stroke
+function isWallUvJump(uvA, uvB) {
+  if (isWallFrontSurfaceActive()) return false;
 
-const WALL_PAINT_ALPHA_MIN = 0.04;
-const WALL_PAINT_ALPHA_MAX = 0.090;
+  return (
+    Math.abs(uvA.x - uvB.x) > WALL_SURFACES.maxSegmentUv ||
+    Math.abs(uvA.y - uvB.y) > WALL_SURFACES.maxSegmentUv
+  );
+}
 
-const WALL_ERASER_RADIUS = 14.0;
-const WALL_ERASER_LINE_WIDTH = 24;
+function setWallPaintAnywhere(on) {
+  if (isWallDrawing) endWallDraw();
 
-const wallDrawUv = new THREE.Vector2();
-const lastWallDrawUv = new THREE.Vector2();
-const wallDrawRaycastHits = [];
+  wallPaintAnywhere = !!on;
+  console.log(`🎨 Paint anywhere: ${wallPaintAnywhere ? "on" : "off"}`);
+  syncWallPaintAnywhereUi();
+}
 
-const IOS_WALL_DOUBLE_TAP_MS = 300;
-const IOS_WALL_TRIPLE_TAP_MS = 480;
-const IOS_WALL_HOLD_MS = 220;
+const wallAnywhereBtn = styleWallToolbarButton(document.createElement("button"));
+wallAnywhereBtn.textContent = "Anywhere";
+wallAnywhereBtn.setAttribute("aria-label", "Paint on the whole room, not just the wall");
+wallAnywhereBtn.addEventListener("click", () => {
+  setWallPaintAnywhere(!wallPaintAnywhere);
+  trackSceneClick("front_wall_paint_anywhere", { enabled: wallPaintAnywhere });
+});
+wallActionRow.appendChild(wallAnywhereBtn);
 
-let iosWallTapCount = 0;
-let iosWallTapTimer = null;
-let iosWallEraseHoldTimer = null;
-let iosWallTwoFingerEraseActive = false;
-let iosWallPrevTool = "pen";
+function syncWallPaintAnywhereUi() {
+  wallAnywhereBtn.setAttribute("aria-pressed", String(wallPaintAnywhere));
+  wallAnywhereBtn.style.background = wallPaintAnywhere ? "rgba(255,255,255,0.9)" : "transparent";
+  wallAnywhereBtn.style.color = wallPaintAnywhere ? "#000" : "#fff";
+}
 
-const WALL_DRAW_SIZE = 1024;
+syncWallPaintAnywhereUi();
 
 let cigaretteRoot = null;
 let cigaretteMeshRef = null;
@@ -12975,7 +19401,9 @@ if (emberHaloMatRef && emberHaloRef) {
 
 function setPicture1Texture(index) {
   const n = PICTURE1_TEXTURES.length;
+  if (!n) return; // manifest not loaded yet (applyContentManifest re-applies)
   picture1TexIndex = (index + n) % n;
+  saveRoomStateSoon();
 
   const path = PICTURE1_TEXTURES[picture1TexIndex];
   console.log("🖼 Picture1 texture ->", picture1TexIndex, path);
@@ -13082,6 +19510,9 @@ o.receiveShadow = true;
   );
 });
 
+// ✅ static meshes that can take spray paint (PAINT ANYWHERE)
+registerWallPaintMeshes(model, gltf.animations || []);
+
 // ============================================================
 // ✅ START GLB ANIMATIONS (bugs)
 // ============================================================
@@ -13570,7 +20001,7 @@ console.log("✅ roomMaxDim is now ready:", roomMaxDim);
 
 __roomMaxDimForCamera = roomMaxDim;
 
-if (isIOSDevice()) {
+if (isTouchDevice()) {
   applyVisibleViewportToRendererAndCamera();
   setIOSCameraFraming(roomMaxDim);
 } else {
@@ -13767,10 +20198,11 @@ setTimeout(() => {
 
   },
   
-  undefined,
+  __noteLoadProgress,
   (err) => {
     console.error("GLB failed to load ❌", err);
     __endMainGLB(); // ✅ count errors as "done" so loader doesn't hang forever
+    __failRequiredAsset("Main GLB", err); // no room = nothing to show
   }
 );
 
@@ -14164,7 +20596,7 @@ if (isJokerOrHarley) {
 
     anchor.add(model);
   },
-  undefined,
+  __noteLoadProgress,
   (err) => {
     console.error("Extra Materials.glb failed to load ❌", err);
   }
@@ -14543,17 +20975,18 @@ if (tvScreenMatRef) {
 // ✅ iOS only: fix remote buttons after they exist
 applyIOSRemoteTweaks();
 
-if (isIOSDevice()) {
+if (isTouchDevice()) {
   startIosPowerPulse();
 } else {
   syncDesktopPulseWithTvState();
 }
 
 },
-undefined,
+__noteLoadProgress,
 (err) => {
   console.error("Interactive GLB failed to load ❌", err);
   __endUI();
+  __failRequiredAsset("Interactive GLB", err); // TV + speaker live here
 }
 );
 
@@ -14723,7 +21156,7 @@ if (!grimReaperRef && nn === "grim_reaper") {
 
     console.log("✅ New Materials GLB loaded:", extra);
   },
-  undefined,
+  __noteLoadProgress,
   (err) => {
     console.error("New Materials GLB failed to load ❌", err);
     __endNewMaterials(); // ✅ don't hang loader
@@ -14812,7 +21245,7 @@ sketchbookLoader.load(
     sketchbook.updateMatrixWorld(true);
     console.log("✅ Sketchbook GLB loaded:", sketchbook);
   },
-  undefined,
+  __noteLoadProgress,
   (err) => {
     console.error("Sketchbook GLB failed to load ❌", err);
     __endSketchbook(); // ✅ don't hang loader
@@ -15065,7 +21498,7 @@ if (instagramKey === "Instagram") {
     socialButtons.updateMatrixWorld(true);
     console.log("✅ Social Buttons loaded:", socialButtons);
   },
-  undefined,
+  __noteLoadProgress,
   (err) => {
     console.error("Social Buttons GLB failed to load ❌", err);
     __endSocialButtons();
@@ -15224,7 +21657,7 @@ newRemoteLoader.load(
 
     console.log("🎮 New remote loaded:", remote);
   },
-  undefined,
+  __noteLoadProgress,
   (err) => {
     console.error("New remote GLB failed to load ❌", err);
     __endNewRemote();
@@ -15472,7 +21905,7 @@ if (gltf.animations && gltf.animations.length > 0) {
 //attachSmokeTipToCigarette();
     console.log("✅ cigarette_smoke.glb loaded");
   },
-  undefined,
+  __noteLoadProgress,
   (err) => {
     console.error("❌ cigarette_smoke.glb failed to load:", err);
     __endCigaretteGLB();
@@ -15650,7 +22083,7 @@ if (gltf.animations && gltf.animations.length > 0) {
 }
 
   },
-  undefined,
+  __noteLoadProgress,
   (err) => {
     console.error("❌ Smoke_tip2.glb failed to load:", err);
     __endSmokeTipGLB();
@@ -15725,7 +22158,22 @@ function updatePointerNdcFromEvent(e) {
   pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
 }
 
-function getWallDrawPressure() {
+// pen / force-touch pressure when the device reports it (touch without a
+// sensor reports exactly 0.5 while down, mouse reports 0.5 on every button)
+function getWallPointerPressure(e) {
+  if (!e || e.pointerType === "mouse") return null;
+
+  const p = e.pressure;
+  if (!(p > 0)) return null;
+  if (e.pointerType === "touch" && p === 0.5) return null;
+
+  return WALL_PRESSURE_MIN + (WALL_PRESSURE_MAX - WALL_PRESSURE_MIN) * Math.min(1, p);
+}
+
+function getWallDrawPressure(e) {
+  const real = getWallPointerPressure(e);
+  if (real != null) return real;
+
   if (!isWallDrawing || !wallDrawStartMs) return WALL_PRESSURE_MIN;
 
   const heldMs = performance.now() - wallDrawStartMs;
@@ -15739,55 +22187,67 @@ function getWallDrawPressure() {
 
 function tryBeginWallDraw(e) {
   if (!drawMode || !wallDrawPlaneRef) return false;
+  if (wallReplay) return false; // timelapse playing
 
-  updatePointerNdcFromEvent(e);
+  // the wall plane, or (paint anywhere) whatever room mesh is under the pointer
+  const target = raycastWallPaint(e);
+  if (!target) return false;
 
-  raycaster.setFromCamera(pointer, camera);
-  wallDrawRaycastHits.length = 0;
-  raycaster.intersectObject(wallDrawPlaneRef, false, wallDrawRaycastHits);
+  const { surf, hit } = target;
 
-  if (!wallDrawRaycastHits.length) return false;
+  // painting the floor / furniture on touch: that's not a camera drag
+  if (surf !== wallFrontSurface && iosCamDragActive && e.pointerId === iosCamDragPointerId) {
+    iosCamDragActive = false;
+    iosCamDragPointerId = null;
+    setIOSInteractionQuality(false);
+  }
 
-  const hit = wallDrawRaycastHits[0];
-  if (!hit.uv) return false;
+  // drips of the last stroke may still be running — that stroke is done
+  if (wallDrips.length) commitWallStroke({ force: true });
+  activateWallSurface(surf);
 
-  wallDrawUv.copy(hit.uv);
-  lastWallDrawUv.copy(hit.uv);
+  quantizeWallUv(toWallSurfaceUv(surf, wallDrawUv.copy(hit.uv)));
+  lastWallDrawUv.copy(wallDrawUv);
   hasLastWallDrawUv = true;
   isWallDrawing = true;
   wallDrawStartMs = performance.now();
-  wallDrawPressure = WALL_PRESSURE_MIN;
+  wallDrawPressure = quantizeWallPressure(getWallPointerPressure(e) ?? WALL_PRESSURE_MIN);
+  wallRecBegin(wallDrawUv, wallDrawPressure);
 
   trackSceneClick("front_wall_draw_start", {
-    object_name: wallDrawPlaneRef?.name || "WallDrawPlane",
+    object_name: surf.mesh?.name || "WallDrawPlane",
     wall_tool: wallTool,
     wall_color: wallMarkerColor,
+    wall_nozzle: wallNozzle,
+    wall_opacity: wallPaintOpacity,
     uv_x: Number(hit.uv.x.toFixed(3)),
     uv_y: Number(hit.uv.y.toFixed(3)),
   });
 
-  drawOnWallAtUV(hit.uv);
+  // line tool: nothing lands until release, the drag only previews
+  if (wallTool === "line") {
+    wallLineStartUv.copy(wallDrawUv);
+    return true;
+  }
+
+  drawOnWallAtUV(wallDrawUv);
   return true;
 }
 
 function continueWallDraw(e) {
   if (!drawMode || !isWallDrawing || !wallDrawPlaneRef) return false;
 
-  updatePointerNdcFromEvent(e);
-
-  raycaster.setFromCamera(pointer, camera);
-  wallDrawRaycastHits.length = 0;
-  raycaster.intersectObject(wallDrawPlaneRef, false, wallDrawRaycastHits);
-
-  if (!wallDrawRaycastHits.length) return false;
-
-  const hit = wallDrawRaycastHits[0];
-  if (!hit.uv) return false;
+  // a stroke stays on the surface it started on
+  const target = raycastWallPaint(e, wallActiveSurface || wallFrontSurface);
+  if (!target) return false;
 
-wallDrawUv.copy(hit.uv);
-wallDrawPressure = getWallDrawPressure();
+quantizeWallUv(toWallSurfaceUv(target.surf, wallDrawUv.copy(target.hit.uv)));
+wallDrawPressure = quantizeWallPressure(getWallDrawPressure(e));
+wallRecPoint(wallDrawUv, wallDrawPressure);
 
-if (hasLastWallDrawUv) {
+if (wallTool === "line") {
+  previewWallLine(wallLineStartUv, wallDrawUv);
+} else if (hasLastWallDrawUv) {
   drawWallLineUV(lastWallDrawUv, wallDrawUv);
 } else {
   drawOnWallAtUV(wallDrawUv);
@@ -15800,10 +22260,16 @@ if (hasLastWallDrawUv) {
 }
 
 function endWallDraw() {
+  if (isWallDrawing && wallTool === "line" && hasLastWallDrawUv) {
+    finishWallLine(wallLineStartUv, lastWallDrawUv);
+  }
+  if (isWallDrawing) wallRecEnd();
+
   isWallDrawing = false;
   hasLastWallDrawUv = false;
   wallDrawStartMs = 0;
   wallDrawPressure = WALL_PRESSURE_MIN;
+  commitWallStroke();
 }
 
 function iosIsTouchEventOverWall(e) {
@@ -15815,23 +22281,21 @@ function iosIsTouchEventOverWall(e) {
 
   if (!touch) return false;
 
-  updatePointerNdcFromEvent(touch);
-
-  raycaster.setFromCamera(pointer, camera);
-  wallDrawRaycastHits.length = 0;
-  raycaster.intersectObject(wallDrawPlaneRef, false, wallDrawRaycastHits);
-
-  return wallDrawRaycastHits.length > 0;
+  // mid-stroke: the surface being painted; otherwise anything paintable
+  return !!raycastWallPaint(touch, isWallDrawing ? wallActiveSurface : null);
 }
 
 function iosBeginTwoFingerEraseHold() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (!drawMode) return;
   if (iosWallTwoFingerEraseActive) return;
+  if (wallReplay) return;
 
   iosWallTwoFingerEraseActive = true;
   iosWallPrevTool = wallTool;
   wallTool = "eraser";
+  restartWallRecStroke(); // tool changed mid-stroke
+  syncWallToolbar();
   console.log("📱 iOS wall erase hold ON");
 }
 
@@ -15840,11 +22304,13 @@ function iosEndTwoFingerEraseHold() {
 
   iosWallTwoFingerEraseActive = false;
   wallTool = iosWallPrevTool || "pen";
+  restartWallRecStroke();
+  syncWallToolbar();
   console.log("📱 iOS wall erase hold OFF");
 }
 
 function iosHandleWallTapGesture() {
-  if (!isIOSDevice()) return;
+  if (!isTouchDevice()) return;
   if (!drawMode) return;
 
   iosWallTapCount += 1;
@@ -15864,118 +22330,683 @@ function iosHandleWallTapGesture() {
       console.log("📱 iOS wall double tap -> change color");
     }
 
-    iosWallTapCount = 0;
-    iosWallTapTimer = null;
-  }, IOS_WALL_TRIPLE_TAP_MS);
+    iosWallTapCount = 0;
+    iosWallTapTimer = null;
+  }, IOS_WALL_TRIPLE_TAP_MS);
+}
+
+function smooth01(a, b, x) {
+  const t = THREE.MathUtils.clamp((x - a) / Math.max(1e-5, (b - a)), 0, 1);
+  return t * t * (3 - 2 * t);
+}
+
+function updateIOSCigaretteAnimPush() {
+  if (!isIOSDevice()) return;
+  if (!IOS_CIGARETTE_ANIM_PUSH.enabled) return;
+  if (!cigaretteRoot || !smokeTipRoot) return;
+  if (!cigaretteBasePos || !smokeTipBasePos) return;
+  if (!cigaretteActions.length || !smokeTipActions.length) return;
+
+  const cigAction = cigaretteActions[0];
+  const cigClip = cigAction.getClip();
+  if (!cigClip) return;
+
+  const smokeAction = smokeTipActions[0];
+  const smokeClip = smokeAction.getClip();
+  if (!smokeClip) return;
+
+  // ----------------------------------------------------------
+  // 1) cigarette controls the move IN
+  // ----------------------------------------------------------
+  const cigPlayableDur = Math.max(1e-5, cigClip.duration - CIG_START_TIME);
+  const cigLocalT = THREE.MathUtils.clamp(
+    cigAction.time - CIG_START_TIME,
+    0,
+    cigPlayableDur
+  );
+  const cigU = cigLocalT / cigPlayableDur;
+
+  const inStart = IOS_CIGARETTE_ANIM_PUSH.inStart;
+  const inEnd = IOS_CIGARETTE_ANIM_PUSH.inEnd;
+
+  // ----------------------------------------------------------
+  // 2) smoke tip controls when the cigarette is allowed to return
+  // ----------------------------------------------------------
+  const smokePlayableDur = Math.max(1e-5, smokeClip.duration - SMOKE_TIP_START_TIME);
+  const smokeLocalT = THREE.MathUtils.clamp(
+    smokeAction.time - SMOKE_TIP_START_TIME,
+    0,
+    smokePlayableDur
+  );
+  const smokeDone = smokeLocalT >= (smokePlayableDur - 0.001);
+
+  let amt = 0;
+
+  // before move-in starts
+  if (cigU < inStart) {
+    amt = 0;
+  }
+  // move cigarette from resting -> close position
+  else if (cigU < inEnd) {
+    amt = smooth01(inStart, inEnd, cigU);
+  }
+  // once it reaches the close position, HOLD there until smoke tip is done
+  else if (!smokeDone) {
+    amt = 1;
+  }
+  // after smoke tip is done, return back to rest
+  else {
+    if (iosCigReturnStartTime == null) {
+  iosCigReturnStartTime = performance.now() * 0.001;
+}
+
+const returnDuration = Math.max(0.001, IOS_CIGARETTE_ANIM_PUSH.returnDuration);
+const now = performance.now() * 0.001;
+const returnT = THREE.MathUtils.clamp(
+  (now - iosCigReturnStartTime) / returnDuration,
+  0,
+  1
+);
+
+amt = 1.0 - smooth01(0, 1, returnT);
+  }
+
+  cigaretteRoot.position.set(
+    cigaretteBasePos.x + IOS_CIGARETTE_ANIM_PUSH.x * amt,
+    cigaretteBasePos.y + IOS_CIGARETTE_ANIM_PUSH.y * amt,
+    cigaretteBasePos.z + IOS_CIGARETTE_ANIM_PUSH.z * amt
+  );
+
+  smokeTipRoot.position.set(
+    smokeTipBasePos.x + IOS_CIGARETTE_ANIM_PUSH.x * amt,
+    smokeTipBasePos.y + IOS_CIGARETTE_ANIM_PUSH.y * amt,
+    smokeTipBasePos.z + IOS_CIGARETTE_ANIM_PUSH.z * amt
+  );
+
+  cigaretteRoot.updateMatrixWorld(true);
+  smokeTipRoot.updateMatrixWorld(true);
+}
+
+// ============================================================
+// ✅ GAMEPAD (event demos on a TV)
+// D-pad / left stick = remote arrows, A = OK, B = back, Start = power,
+// right stick pans the camera through the same offset as the iOS drag.
+// Goes through handleKeyboardRemote() so the remote meshes light up too.
+// ============================================================
+const GAMEPAD = {
+  stickDeadzone: 0.5,     // left stick → arrow
+  panDeadzone: 0.15,      // right stick
+  panSpeed: 14,           // world units / sec at full tilt
+  repeatDelayMs: 420,     // ↑/↓ auto-repeat while held
+  repeatMs: 170,
+};
+
+// standard mapping button indices
+const GAMEPAD_BUTTONS = { a: 0, b: 1, start: 9, up: 12, down: 13, left: 14, right: 15 };
+
+const GAMEPAD_KEYS = {
+  up: "ArrowUp",
+  down: "ArrowDown",
+  left: "ArrowLeft",
+  right: "ArrowRight",
+  a: "Enter",
+  b: "Backspace",
+  start: "p",
+};
+
+let gamepadConnected = false;
+let gamepadCamPanActive = false;   // lets the iOS drag offset run on desktop
+const gamepadHeld = {};            // name -> { sinceMs, nextRepeatMs }
+
+window.addEventListener("gamepadconnected", (e) => {
+  gamepadConnected = true;
+  console.log("🎮 Gamepad connected:", e.gamepad.id);
+  trackSceneClick("gamepad_connected", { id: e.gamepad.id, mapping: e.gamepad.mapping || "none" });
+});
+
+window.addEventListener("gamepaddisconnected", (e) => {
+  gamepadConnected = [...(navigator.getGamepads?.() || [])].some(Boolean);
+  console.log("🎮 Gamepad disconnected:", e.gamepad.id);
+  Object.keys(gamepadHeld).forEach((name) => onGamepadRelease(name));
+});
+
+function readGamepadState(gp) {
+  const btn = (i) => !!gp.buttons[i]?.pressed;
+  const lx = gp.axes[0] || 0;
+  const ly = gp.axes[1] || 0;
+
+  return {
+    up: btn(GAMEPAD_BUTTONS.up) || ly < -GAMEPAD.stickDeadzone,
+    down: btn(GAMEPAD_BUTTONS.down) || ly > GAMEPAD.stickDeadzone,
+    left: btn(GAMEPAD_BUTTONS.left) || lx < -GAMEPAD.stickDeadzone,
+    right: btn(GAMEPAD_BUTTONS.right) || lx > GAMEPAD.stickDeadzone,
+    a: btn(GAMEPAD_BUTTONS.a),
+    b: btn(GAMEPAD_BUTTONS.b),
+    start: btn(GAMEPAD_BUTTONS.start),
+    rx: gp.axes[2] || 0,
+  };
+}
+
+function onGamepadPress(name) {
+  // loader: A / Start = click to enter
+  if (loaderEl && loaderEl.isConnected && !loaderEl.classList.contains("hidden")) {
+    if (name === "a" || name === "start") enterSceneFromLoader();
+    return;
+  }
+
+  if (keyboardHelpOpen) {
+    if (name === "b") setKeyboardHelpOpen(false);
+    return;
+  }
+
+  // fullscreen overlays: ←/→ browse, B closes
+  if (isAnyMediaOverlayOpen()) {
+    const dir = name === "right" ? +1 : name === "left" ? -1 : 0;
+
+    if (overlayOpen) {
+      if (dir) overlayNextPhoto(dir);
+      else if (name === "b") closePhotoOverlay();
+    } else if (videoOverlayOpen) {
+      if (dir) overlayNextVideo(dir);
+      else if (name === "b") closeVideoOverlay();
+    } else if (modelOverlayOpen) {
+      if (dir) overlayNextModel(dir);
+      else if (name === "b") closeModelOverlay();
+    }
+    return;
+  }
+
+  const key = GAMEPAD_KEYS[name];
+  if (key && handleKeyboardRemote({ key, code: `Gamepad-${name}` })) {
+    trackSceneClick("gamepad_remote", { button: name, tv_ui_state: tvUiState });
+  }
+}
+
+function onGamepadRelease(name) {
+  delete gamepadHeld[name];
+
+  if (name === "left" || name === "right") endRemoteSeekHold(true);
+  releaseRemoteMeshFromKey(`Gamepad-${name}`);
+}
+
+function updateGamepads(dt) {
+  if (!gamepadConnected || !navigator.getGamepads) return;
+
+  const gp = [...navigator.getGamepads()].find(Boolean);
+  if (!gp) return;
+
+  const st = readGamepadState(gp);
+  const now = performance.now();
+
+  for (const name of Object.keys(GAMEPAD_KEYS)) {
+    const held = gamepadHeld[name];
+
+    if (st[name] && !held) {
+      gamepadHeld[name] = { sinceMs: now, nextRepeatMs: now + GAMEPAD.repeatDelayMs };
+      onGamepadPress(name);
+    } else if (!st[name] && held) {
+      onGamepadRelease(name);
+    } else if (held && (name === "up" || name === "down") && now >= held.nextRepeatMs) {
+      held.nextRepeatMs = now + GAMEPAD.repeatMs;
+      onGamepadPress(name);
+    }
+  }
+
+  // right stick → camera pan (same offset target as the iOS horizontal drag)
+  if (IOS_CAM_DRAG.enabled && Math.abs(st.rx) > GAMEPAD.panDeadzone && !isAnyMediaOverlayOpen()) {
+    if (!gamepadCamPanActive) {
+      gamepadCamPanActive = true;
+      if (!iosCamBaseCaptured) captureIOSCameraDragBase();
+    }
+
+    const tilt = (Math.abs(st.rx) - GAMEPAD.panDeadzone) / (1 - GAMEPAD.panDeadzone);
+
+    iosCamUserOffsetXTarget = THREE.MathUtils.clamp(
+      iosCamUserOffsetXTarget + Math.sign(st.rx) * tilt * GAMEPAD.panSpeed * dt,
+      IOS_CAM_DRAG.minOffsetX,
+      IOS_CAM_DRAG.maxOffsetX
+    );
+  }
+}
+
+// ============================================================
+// ✅ ACCESSIBLE TV MIRROR (screen readers + Tab)
+// Everything on the TV is painted into tvCanvas, so this keeps a
+// visually hidden DOM copy of the current tvUiState: menu, subcategories,
+// current item (alt text) and the social row. Buttons call the same
+// functions as the remote; state changes are announced via aria-live.
+// Rebuilt from animate() only when the state signature changes.
+// ============================================================
+const TV_A11Y_HIDDEN_STYLE = {
+  position: "fixed",
+  left: "0",
+  bottom: "0",
+  width: "1px",
+  height: "1px",
+  padding: "0",
+  overflow: "hidden",
+  clipPath: "inset(50%)",
+  whiteSpace: "nowrap",
+};
+
+// shown as a small panel while something inside has keyboard focus
+const TV_A11Y_FOCUS_STYLE = {
+  left: "16px",
+  bottom: "16px",
+  width: "auto",
+  height: "auto",
+  padding: "12px 14px",
+  overflow: "visible",
+  clipPath: "none",
+  whiteSpace: "normal",
+};
+
+const TV_A11Y_SOCIAL_LABELS = {
+  email: "Email",
+  instagram: "Instagram",
+  youtube: "YouTube",
+  tiktok: "TikTok",
+};
+
+const tvA11yRoot = document.createElement("nav");
+tvA11yRoot.setAttribute("aria-label", "TV");
+Object.assign(tvA11yRoot.style, TV_A11Y_HIDDEN_STYLE);
+tvA11yRoot.style.maxWidth = "min(360px, 80vw)";
+tvA11yRoot.style.borderRadius = "12px";
+tvA11yRoot.style.background = "rgba(0,0,0,0.78)";
+tvA11yRoot.style.color = "#fff";
+tvA11yRoot.style.fontFamily = "Arial, sans-serif";
+tvA11yRoot.style.fontSize = "13px";
+tvA11yRoot.style.zIndex = "9998";
+
+const tvA11yLive = document.createElement("div");
+tvA11yLive.setAttribute("role", "status");
+tvA11yLive.setAttribute("aria-live", "polite");
+tvA11yLive.setAttribute("aria-atomic", "true");
+Object.assign(tvA11yLive.style, TV_A11Y_HIDDEN_STYLE);
+
+const tvA11yBody = document.createElement("div");
+tvA11yRoot.appendChild(tvA11yBody);
+
+document.body.appendChild(tvA11yRoot);
+document.body.appendChild(tvA11yLive);
+
+let tvA11ySignature = "";
+let tvA11yPage = "";              // last page announced (item steps count as pages)
+
+tvA11yRoot.addEventListener("focusin", () => {
+  Object.assign(tvA11yRoot.style, TV_A11Y_FOCUS_STYLE);
+});
+
+tvA11yRoot.addEventListener("focusout", (e) => {
+  if (tvA11yRoot.contains(e.relatedTarget)) return;
+  Object.assign(tvA11yRoot.style, TV_A11Y_HIDDEN_STYLE);
+});
+
+// the scene canvas itself
+renderer.domElement.setAttribute("role", "img");
+renderer.domElement.setAttribute(
+  "aria-label",
+  "GAMBO room: a 3D scene with a TV, remote, speaker and spray wall. Use the TV controls to browse the portfolio."
+);
+
+function getTvA11yItemAlt(info, state) {
+  if (info.item.alt) return info.item.alt;
+
+  const kind = state === "PHOTO" ? "Photo" : state === "VIDEO" ? "Video" : "3D model";
+  return [`${kind}: ${info.title}`, info.description].filter(Boolean).join(". ");
+}
+
+function announceTv(text) {
+  if (!text) return;
+
+  // clear first so the same sentence is read again
+  tvA11yLive.textContent = "";
+  requestAnimationFrame(() => { tvA11yLive.textContent = text; });
+}
+
+function makeTvA11yButton(key, label, onActivate, extra = {}) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  btn.dataset.tvA11y = key;
+
+  if (extra.current) btn.setAttribute("aria-current", "true");
+  if (extra.pressed != null) btn.setAttribute("aria-pressed", extra.pressed ? "true" : "false");
+
+  btn.style.display = "block";
+  btn.style.margin = "4px 0";
+  btn.style.padding = "6px 10px";
+  btn.style.border = "1px solid rgba(255,255,255,0.25)";
+  btn.style.borderRadius = "8px";
+  btn.style.background = extra.current ? "rgba(255,255,255,0.18)" : "transparent";
+  btn.style.color = "#fff";
+  btn.style.font = "inherit";
+  btn.style.cursor = "pointer";
+
+  btn.addEventListener("click", () => {
+    trackSceneClick("tv_a11y_click", { control: key, tv_ui_state: tvUiState });
+    onActivate();
+  });
+
+  return btn;
+}
+
+function makeTvA11yList(label, buttons) {
+  const group = document.createElement("div");
+  group.setAttribute("role", "group");
+  group.setAttribute("aria-label", label);
+
+  const list = document.createElement("ul");
+  list.style.listStyle = "none";
+  list.style.margin = "0";
+  list.style.padding = "0";
+
+  for (const btn of buttons) {
+    const li = document.createElement("li");
+    li.appendChild(btn);
+    list.appendChild(li);
+  }
+
+  group.appendChild(list);
+  return group;
+}
+
+function makeTvA11yReducedMotionButton() {
+  return makeTvA11yButton(
+    "reduced-motion",
+    "Reduced motion",
+    () => setReducedMotion(!reducedMotion, { fromUser: true }),
+    { pressed: reducedMotion }
+  );
+}
+
+function makeTvA11yMuteButton() {
+  return makeTvA11yButton("mute", "Mute sound", () => {
+    setAudioMuted(!audioMixMuted, { fromUser: true });
+    announceTv(audioMixMuted ? "Sound muted." : "Sound on.");
+  }, { pressed: audioMixMuted });
 }
 
-function smooth01(a, b, x) {
-  const t = THREE.MathUtils.clamp((x - a) / Math.max(1e-5, (b - a)), 0, 1);
-  return t * t * (3 - 2 * t);
+function makeTvA11yResetRoomButton() {
+  return makeTvA11yButton("reset-room", "Reset room", () => {
+    resetRoomState({ source: "a11y" });
+    announceTv("Room reset.");
+  });
 }
 
-function updateIOSCigaretteAnimPush() {
-  if (!isIOSDevice()) return;
-  if (!IOS_CIGARETTE_ANIM_PUSH.enabled) return;
-  if (!cigaretteRoot || !smokeTipRoot) return;
-  if (!cigaretteBasePos || !smokeTipBasePos) return;
-  if (!cigaretteActions.length || !smokeTipActions.length) return;
+function getTvA11yActiveVideo() {
+  if (tvUiState === "VIDEO") return videoEl;
+  if (tvUiState === "3D MODEL" && modelMediaType === "video") return modelVideoEl;
+  return null;
+}
 
-  const cigAction = cigaretteActions[0];
-  const cigClip = cigAction.getClip();
-  if (!cigClip) return;
+function getTvA11ySignature() {
+  const loaderVisible = !!(loaderEl && loaderEl.isConnected && !loaderEl.classList.contains("hidden"));
+  const v = getTvA11yActiveVideo();
+
+  return [
+    loaderVisible,
+    tvOn,
+    tvUiState,
+    menuIndex,
+    tvParentCategory,
+    subcategoryIndex,
+    selectedSubcategory,
+    tvSocialHoverId,
+    photoIndex,
+    videoIndex,
+    modelIndex,
+    modelMediaType,
+    tvCreditsOpen,
+    v ? v.paused : "-",
+    tvMusicView,
+    trackIndex,
+    isPlaying,
+    reducedMotion,
+    audioMixMuted,
+  ].join("|");
+}
+
+function buildTvA11yPage() {
+  const nodes = [];
+  let page = "";
+  let sentence = "";
+
+  const heading = (text) => {
+    const h = document.createElement("h2");
+    h.textContent = text;
+    h.style.fontSize = "13px";
+    h.style.margin = "0 0 6px";
+    h.style.letterSpacing = "0.12em";
+    nodes.push(h);
+  };
 
-  const smokeAction = smokeTipActions[0];
-  const smokeClip = smokeAction.getClip();
-  if (!smokeClip) return;
+  if (!tvOn) {
+    heading("TV (off)");
+    nodes.push(makeTvA11yButton("power", "Turn TV on", () => toggleTvPowerFrom("a11y")));
+    nodes.push(makeTvA11yReducedMotionButton());
+    nodes.push(makeTvA11yMuteButton());
+    nodes.push(makeTvA11yResetRoomButton());
+    return { nodes, page: "off", sentence: "TV off." };
+  }
 
-  // ----------------------------------------------------------
-  // 1) cigarette controls the move IN
-  // ----------------------------------------------------------
-  const cigPlayableDur = Math.max(1e-5, cigClip.duration - CIG_START_TIME);
-  const cigLocalT = THREE.MathUtils.clamp(
-    cigAction.time - CIG_START_TIME,
-    0,
-    cigPlayableDur
-  );
-  const cigU = cigLocalT / cigPlayableDur;
+  if (tvUiState === "MENU") {
+    const socialIndex = getTvSocialIndexFromHover();
 
-  const inStart = IOS_CIGARETTE_ANIM_PUSH.inStart;
-  const inEnd = IOS_CIGARETTE_ANIM_PUSH.inEnd;
+    heading("TV menu");
+    nodes.push(makeTvA11yList("Categories", MENU_ITEMS.map((name, i) =>
+      makeTvA11yButton(`menu:${name}`, name, () => {
+        menuIndex = i;
+        tvSocialHoverId = null;
+        syncTvHighlightToCurrentSelection(true);
+        confirmMenuSelection();
+      }, { current: socialIndex === -1 && i === menuIndex })
+    )));
+
+    nodes.push(makeTvA11yList("Contact", TV_SOCIAL_ITEMS.map((item, i) =>
+      makeTvA11yButton(`social:${item.id}`, TV_A11Y_SOCIAL_LABELS[item.id] || item.id, () => {
+        selectTvSocialByIndex(i);
+        activateTvSocialHit(item);
+
+        // a button click is already a user gesture: open right away
+        if (pendingExternalUrl) {
+          const url = pendingExternalUrl;
+          pendingExternalUrl = null;
+          openExternal(url);
+        }
+      }, { current: socialIndex === i })
+    )));
+
+    page = "menu";
+    sentence = socialIndex !== -1
+      ? `TV menu. ${TV_A11Y_SOCIAL_LABELS[TV_SOCIAL_ITEMS[socialIndex].id]} selected.`
+      : `TV menu. ${MENU_ITEMS[menuIndex]}, ${menuIndex + 1} of ${MENU_ITEMS.length}.`;
+  } else if (tvUiState === "SUBCATEGORY_MENU") {
+    const items = SUBCATEGORY_ITEMS[tvParentCategory] || [];
 
-  // ----------------------------------------------------------
-  // 2) smoke tip controls when the cigarette is allowed to return
-  // ----------------------------------------------------------
-  const smokePlayableDur = Math.max(1e-5, smokeClip.duration - SMOKE_TIP_START_TIME);
-  const smokeLocalT = THREE.MathUtils.clamp(
-    smokeAction.time - SMOKE_TIP_START_TIME,
-    0,
-    smokePlayableDur
-  );
-  const smokeDone = smokeLocalT >= (smokePlayableDur - 0.001);
+    heading(tvParentCategory);
+    nodes.push(makeTvA11yList(`${tvParentCategory} subcategories`, items.map((id, i) =>
+      makeTvA11yButton(`sub:${id}`, id.toUpperCase(), () => {
+        subcategoryIndex = i;
+        syncTvHighlightToCurrentSelection(true);
+        confirmMenuSelection();
+      }, { current: i === subcategoryIndex })
+    )));
+    nodes.push(makeTvA11yButton("back", "Back to menu", () => goBackOnePage()));
+
+    page = `sub:${tvParentCategory}`;
+    sentence = items.length
+      ? `${tvParentCategory}. ${String(items[subcategoryIndex] || "").toUpperCase()}, ${subcategoryIndex + 1} of ${items.length}.`
+      : `${tvParentCategory}. No subcategories.`;
+  } else if (tvUiState === "MUSIC") {
+    const title = getTrackTitle(trackIndex);
+    const playing = isPlaying && !currentAudio()?.paused;
+
+    if (tvMusicView === "now") {
+      heading("Now playing");
+
+      const now = document.createElement("p");
+      now.textContent = `${title} (${trackIndex + 1} of ${tracks.length})`;
+      now.style.margin = "4px 0";
+      nodes.push(now);
+
+      nodes.push(makeTvA11yList("Music controls", [
+        makeTvA11yButton("prev", "Previous track", () => stepTvMusicTrack(-1)),
+        makeTvA11yButton("play", playing ? "Pause" : "Play", () => toggleTvMusicPlayPause(), { pressed: playing }),
+        makeTvA11yButton("next", "Next track", () => stepTvMusicTrack(+1)),
+        makeTvA11yButton("back", "Back to playlist", () => goBackOnePage()),
+        makeTvA11yButton("home", "Main menu", () => goBackToTvMenu()),
+      ]));
+
+      page = `music:now:${trackIndex}`;
+      sentence = `Now playing. ${title}, ${trackIndex + 1} of ${tracks.length}.${playing ? "" : " Paused."}`;
+    } else {
+      heading("MUSIC");
+
+      nodes.push(makeTvA11yList("Playlist", tracks.map((src, i) => {
+        const dur = getTrackDuration(i);
+        const label = dur ? `${getTrackTitle(i)}, ${formatTimecode(dur)}` : getTrackTitle(i);
+        return makeTvA11yButton(`track:${i}`, label, () => playTvMusicRow(i), { current: i === trackIndex });
+      })));
+      nodes.push(makeTvA11yButton("back", "Back to menu", () => goBackOnePage()));
+
+      page = "music:list";
+      sentence = tracks.length
+        ? `Music. ${tracks.length} tracks.${playing ? ` Playing ${title}.` : ""}`
+        : "Music. No tracks yet.";
+    }
+  } else {
+    const state = tvUiState;
+    const info = getCurrentTvItemInfo(state);
+    const step = state === "PHOTO" ? nextPhoto : state === "VIDEO" ? nextVideo : nextModel;
+    const v = getTvA11yActiveVideo();
+
+    heading(`${state} · ${(selectedSubcategory || "").toUpperCase()}`);
+
+    if (info) {
+      const media = document.createElement("div");
+      media.setAttribute("role", "img");
+      media.setAttribute("aria-label", getTvA11yItemAlt(info, state));
+      media.textContent = `${info.title} (${info.index + 1} of ${info.count})`;
+      nodes.push(media);
+
+      if (info.meta) {
+        const meta = document.createElement("p");
+        meta.textContent = info.meta;
+        meta.style.margin = "4px 0";
+        nodes.push(meta);
+      }
+    }
 
-  let amt = 0;
+    const controls = [
+      makeTvA11yButton("prev", "Previous", () => step(-1)),
+      makeTvA11yButton("next", "Next", () => step(+1)),
+    ];
+
+    if (v) {
+      controls.push(makeTvA11yButton("play", v.paused ? "Play" : "Pause", () => {
+        if (state === "VIDEO") {
+          toggleVideoPlayPause();
+          drawVideoFrameToTv();
+        } else {
+          toggleModelPlayPause();
+          drawModelFrameToTv();
+        }
+      }, { pressed: !v.paused }));
+    }
 
-  // before move-in starts
-  if (cigU < inStart) {
-    amt = 0;
-  }
-  // move cigarette from resting -> close position
-  else if (cigU < inEnd) {
-    amt = smooth01(inStart, inEnd, cigU);
-  }
-  // once it reaches the close position, HOLD there until smoke tip is done
-  else if (!smokeDone) {
-    amt = 1;
+    if (state === "3D MODEL" && modelMediaType === "glb") {
+      controls.push(makeTvA11yButton("rotate", "Toggle auto-rotate", () => toggleModelViewerAutoRotate()));
+    }
+
+    controls.push(
+      makeTvA11yButton("fullscreen", "View fullscreen", () => {
+        if (state === "PHOTO") openPhotoOverlay(currentPhotoUrl);
+        else if (state === "VIDEO") openVideoOverlay();
+        else openModelOverlay();
+      }),
+      makeTvA11yButton("info", tvCreditsOpen ? "Hide info" : "Info and credits", () => toggleTvCredits(), { pressed: tvCreditsOpen }),
+      makeTvA11yButton("back", "Back", () => goBackOnePage()),
+      makeTvA11yButton("home", "Main menu", () => goBackToTvMenu())
+    );
+
+    nodes.push(makeTvA11yList(`${state} controls`, controls));
+
+    if (tvCreditsOpen && info) {
+      const credits = document.createElement("p");
+      credits.textContent = [
+        info.description,
+        ...info.credits.map((c) => (c.role ? `${c.role}: ${c.name}` : c.name)),
+      ].filter(Boolean).join(". ");
+      credits.style.margin = "4px 0";
+      nodes.push(credits);
+    }
+
+    page = `item:${state}:${selectedSubcategory}:${info ? info.index : -1}`;
+    sentence = info
+      ? `${getTvA11yItemAlt(info, state)}. ${info.index + 1} of ${info.count}.`
+      : `${state}. Nothing in ${(selectedSubcategory || "").toUpperCase()} yet.`;
   }
-  // after smoke tip is done, return back to rest
-  else {
-    if (iosCigReturnStartTime == null) {
-  iosCigReturnStartTime = performance.now() * 0.001;
+
+  nodes.push(makeTvA11yButton("power", "Turn TV off", () => toggleTvPowerFrom("a11y")));
+  nodes.push(makeTvA11yReducedMotionButton());
+  nodes.push(makeTvA11yMuteButton());
+  nodes.push(makeTvA11yResetRoomButton());
+  return { nodes, page, sentence };
 }
 
-const returnDuration = Math.max(0.001, IOS_CIGARETTE_ANIM_PUSH.returnDuration);
-const now = performance.now() * 0.001;
-const returnT = THREE.MathUtils.clamp(
-  (now - iosCigReturnStartTime) / returnDuration,
-  0,
-  1
-);
+function updateTvA11yMirror() {
+  const sig = getTvA11ySignature();
+  if (sig === tvA11ySignature) return;
+  tvA11ySignature = sig;
 
-amt = 1.0 - smooth01(0, 1, returnT);
-  }
+  const loaderVisible = sig.startsWith("true|");
+  tvA11yRoot.hidden = loaderVisible;
+  if (loaderVisible) return;
 
-  cigaretteRoot.position.set(
-    cigaretteBasePos.x + IOS_CIGARETTE_ANIM_PUSH.x * amt,
-    cigaretteBasePos.y + IOS_CIGARETTE_ANIM_PUSH.y * amt,
-    cigaretteBasePos.z + IOS_CIGARETTE_ANIM_PUSH.z * amt
-  );
+  const focusedKey = tvA11yRoot.contains(document.activeElement)
+    ? document.activeElement.dataset?.tvA11y
+    : null;
 
-  smokeTipRoot.position.set(
-    smokeTipBasePos.x + IOS_CIGARETTE_ANIM_PUSH.x * amt,
-    smokeTipBasePos.y + IOS_CIGARETTE_ANIM_PUSH.y * amt,
-    smokeTipBasePos.z + IOS_CIGARETTE_ANIM_PUSH.z * amt
-  );
+  const { nodes, page, sentence } = buildTvA11yPage();
+  tvA11yBody.replaceChildren(...nodes);
 
-  cigaretteRoot.updateMatrixWorld(true);
-  smokeTipRoot.updateMatrixWorld(true);
+  // keep keyboard focus on the "same" control across rebuilds
+  if (focusedKey) {
+    const again =
+      tvA11yBody.querySelector(`[data-tv-a11y="${CSS.escape(focusedKey)}"]`) ||
+      tvA11yBody.querySelector("[aria-current='true']") ||
+      tvA11yBody.querySelector("button");
+    again?.focus();
+  }
+
+  // selection moves inside a menu announce too; play/pause and info do not
+  if (page !== tvA11yPage || tvUiState === "MENU" || tvUiState === "SUBCATEGORY_MENU") {
+    announceTv(sentence);
+  }
+  tvA11yPage = page;
 }
 
 //ANIMATE
 const clock = new THREE.Clock();
 function animate() {
+  if (fallbackPortfolioActive) return; // 2D portfolio took over: stop the loop
+
   requestAnimationFrame(animate);
 
   const dt = clock.getDelta();
 
   const blocked = isIOSPortraitBlocked();
 
+  if (!blocked) updateQualityGovernor(dt);
+
   if (!exhaleSmokeDebugBuilt) {
   setupExhaleSmokeDebugRig();
   exhaleSmokeDebugBuilt = true;
 }
 
-if (bugMixer) {
+if (bugMixer && !reducedMotion) {
   if (isIOS) {
     bugAnimAccum += dt;
     const step = 1 / IOS_PERF.bugFps;
@@ -15990,8 +23021,8 @@ if (bugMixer) {
 }
   if (dragonMixer && dragonIsPlaying) dragonMixer.update(dt);
 
-if (cigaretteMixer) cigaretteMixer.update(dt);
-if (smokeTipMixer) smokeTipMixer.update(dt);
+if (cigaretteMixer && !reducedMotion) cigaretteMixer.update(dt);
+if (smokeTipMixer && !reducedMotion) smokeTipMixer.update(dt);
 
 updateIOSCigaretteAnimPush();
 
@@ -16006,36 +23037,55 @@ if (
   console.log("🚬 smoke timer armed at scene entry");
 }
 
+updateGamepads(dt);
+updateTvA11yMirror();
+updateWallReplay(dt);
+updateWallSync();
+updateWallDrips(dt);
+updateAudioSpatial();
+updateMusicAnalysis(dt);
+
 if (!blocked) {
   updateIOSCameraDrag();
   updateTv();
 
-  if (isIOS) {
+  // secondary FX throttle: always on iOS, on lower quality tiers elsewhere
+  const fxFps = getQualityFxFps();
+
+  if (fxFps) {
     iosFxAccum += dt;
-    const fxStep = 1 / IOS_FX_FPS;
+    const fxStep = 1 / fxFps;
 
     if (iosFxAccum >= fxStep) {
       updateLampFlicker();
 
-      // dust is already effectively off on iOS, but keep desktop-only behavior clean
+      // dust is already effectively off on iOS (and on the low tier)
+      if (!reducedMotion) updateDust(iosFxAccum);
       updateGlow();
       updatePress();
       updateSpeakerPulse(iosFxAccum);
-      updateCigaretteEmber();
-      updateCigaretteSmoke(iosFxAccum);
-      updateExhaleSmoke(iosFxAccum);
+
+      // reduced motion: ember + smoke hold their last frame
+      if (!reducedMotion) {
+        updateCigaretteEmber();
+        updateCigaretteSmoke(iosFxAccum);
+        updateExhaleSmoke(iosFxAccum);
+      }
 
       iosFxAccum = 0;
     }
   } else {
     updateLampFlicker();
-    updateDust(dt);
+    if (!reducedMotion) updateDust(dt);
     updateGlow();
     updatePress();
     updateSpeakerPulse(dt);
-    updateCigaretteEmber();
-    updateCigaretteSmoke(dt);
-    updateExhaleSmoke(dt);
+
+    if (!reducedMotion) {
+      updateCigaretteEmber();
+      updateCigaretteSmoke(dt);
+      updateExhaleSmoke(dt);
+    }
   }
 }
 
@@ -16046,8 +23096,13 @@ if (!blocked) {
     drawTvMenu();
   } else if (tvOn && tvUiState === "SUBCATEGORY_MENU") {
     drawTvSubcategoryMenu();
+  } else if (tvOn && tvUiState === "MUSIC") {
+    drawTvMusic();
   }
 
+ // ✅ .glb viewer: orbit damping + auto-rotate (overlay renders live)
+if (!blocked) updateModelViewer(dt);
+
  // ✅ Throttle TV redraw so it doesn't hammer performance
 if (!window.__tvRedrawAcc) window.__tvRedrawAcc = 0;
 window.__tvRedrawAcc += dt;
@@ -16088,10 +23143,11 @@ if (useNightVisionFX) {
   } else {
     // cheap fake gain on iOS
     const t = performance.now() * 0.001;
-    nightVisionPass.uniforms.uGain.value = 1.28 + Math.sin(t * 1.2) * 0.04;
+    nightVisionPass.uniforms.uGain.value = 1.28 + (reducedMotion ? 0 : Math.sin(t * 1.2) * 0.04);
   }
 
-  nightVisionPass.uniforms.uTime.value = performance.now() * 0.001;
+  // reduced motion: noise / scan drift hold still
+  if (!reducedMotion) nightVisionPass.uniforms.uTime.value = performance.now() * 0.001;
   composer.render();
 } else {
   renderer.render(scene, camera);
@@ -16156,7 +23212,7 @@ renderer.setPixelRatio(Math.min(dpr, MOBILE_PROFILE.maxDpr));
   camera.aspect = aspect;
   camera.updateProjectionMatrix();
 
-  if (isIOSDevice()) {
+  if (isTouchDevice()) {
     camera.userData.__finalIOSCamBase = null;
     applyFinalIOSCameraFraming();
     
@@ -16182,7 +23238,7 @@ function scheduleResize() {
     handleResize();
 
     // iOS Safari often needs a second pass after address bar settles
-    if (isIOSDevice()) {
+    if (isTouchDevice()) {
       setTimeout(handleResize, 120);
     }
   });
@@ -16204,10 +23260,33 @@ window.addEventListener("pointerup", () => {
   endWallDraw();
 });
 
-if (isIOSDevice()) {
+if (isTouchDevice()) {
   renderer.domElement.addEventListener("touchstart", (e) => {
     if (!drawMode || !wallDrawPlaneRef) return;
 
+    // 2+ fingers: maybe an undo/redo tap — drop the dot the first finger
+    // painted and don't let it count towards the single-finger taps
+    if (e.touches.length >= 2 && (iosWallMultiTap || iosIsTouchEventOverWall(e))) {
+      if (!iosWallMultiTap) iosWallMultiTap = { t0: performance.now(), fingers: 0 };
+      iosWallMultiTap.fingers = Math.max(iosWallMultiTap.fingers, e.touches.length);
+
+      cancelWallStroke();
+      // still down (maybe the erase hold): keep recording from here
+      if (isWallDrawing && hasLastWallDrawUv) wallRecBegin(lastWallDrawUv, wallDrawPressure, { dot: false });
+
+      iosWallTapCount = 0;
+      if (iosWallTapTimer) {
+        clearTimeout(iosWallTapTimer);
+        iosWallTapTimer = null;
+      }
+    }
+
+    // 3 fingers is never the erase hold
+    if (e.touches.length >= 3 && iosWallEraseHoldTimer) {
+      clearTimeout(iosWallEraseHoldTimer);
+      iosWallEraseHoldTimer = null;
+    }
+
     // 2-finger hold -> temporary eraser
     if (e.touches.length === 2 && iosIsTouchEventOverWall(e)) {
       if (iosWallEraseHoldTimer) clearTimeout(iosWallEraseHoldTimer);
@@ -16225,7 +23304,22 @@ if (isIOSDevice()) {
     }
   }, { passive: true });
 
-  renderer.domElement.addEventListener("touchend", () => {
+  renderer.domElement.addEventListener("touchend", (e) => {
+    // all fingers up quickly, no erase hold → 2 = undo, 3 = redo
+    if (iosWallMultiTap && e.touches.length === 0) {
+      const tap = iosWallMultiTap;
+      iosWallMultiTap = null;
+
+      if (!iosWallTwoFingerEraseActive && performance.now() - tap.t0 < IOS_WALL_HOLD_MS) {
+        cancelWallStroke();
+        isWallDrawing = false;
+        hasLastWallDrawUv = false;
+
+        if (tap.fingers >= 3) redoWallStroke();
+        else undoWallStroke();
+      }
+    }
+
     if (iosWallEraseHoldTimer) {
       clearTimeout(iosWallEraseHoldTimer);
       iosWallEraseHoldTimer = null;
@@ -16235,6 +23329,8 @@ if (isIOSDevice()) {
   }, { passive: true });
 
   renderer.domElement.addEventListener("touchcancel", () => {
+    iosWallMultiTap = null;
+
     if (iosWallEraseHoldTimer) {
       clearTimeout(iosWallEraseHoldTimer);
       iosWallEraseHoldTimer = null;
@@ -16245,8 +23341,330 @@ if (isIOSDevice()) {
   }, { passive: true });
 }
 
+// ============================================================
+// ✅ KEYBOARD REMOTE (desktop)
+// ↑/↓ menu (zoom on .glb), ←/→ prev/next (hold = seek on video),
+// Enter = OK, Backspace = back, P = power, M/N = speaker play/next,
+// ? = shortcut help. Keys press + glow the matching remote mesh.
+// ============================================================
+const KEYBOARD_REMOTE_HELP = [
+  ["↑ / ↓", "Move through the menu · zoom a 3D model"],
+  ["← / →", "Previous / next item · hold on video to seek ±10s"],
+  ["Enter", "OK · play / pause"],
+  ["Backspace", "Back one page"],
+  ["P", "TV power"],
+  ["M", "Speaker play / pause"],
+  ["N", "Speaker next track"],
+  ["- / + · 0", "Master volume down / up · mute"],
+  ["I", "Item info / credits"],
+  ["V", "3D model view: shaded / matcap / wireframe"],
+  ["R", "Reduced motion on / off"],
+  ["E / C", "Wall: eraser ↔ spray tool / next color"],
+  ["Ctrl+Z", "Wall: undo · add Shift to redo"],
+  ["S", "Wall: save / share as an image"],
+  ["Esc", "Close fullscreen"],
+  ["?", "Show / hide this help"],
+];
+
+const keyboardRemoteHeld = new Map(); // e.code -> mesh (released on keyup)
+
+let keyboardHelpOpen = false;
+
+const keyboardHelpOverlay = document.createElement("div");
+keyboardHelpOverlay.style.position = "fixed";
+keyboardHelpOverlay.style.inset = "0";
+keyboardHelpOverlay.style.display = "none";
+keyboardHelpOverlay.style.alignItems = "center";
+keyboardHelpOverlay.style.justifyContent = "center";
+keyboardHelpOverlay.style.background = "rgba(0,0,0,0.55)";
+keyboardHelpOverlay.style.zIndex = "9999";
+keyboardHelpOverlay.style.userSelect = "none";
+
+const keyboardHelpPanel = document.createElement("div");
+keyboardHelpPanel.style.minWidth = "min(420px, 86vw)";
+keyboardHelpPanel.style.padding = "22px 26px";
+keyboardHelpPanel.style.borderRadius = "14px";
+keyboardHelpPanel.style.border = "1px solid rgba(255,255,255,0.18)";
+keyboardHelpPanel.style.background = "rgba(0,0,0,0.78)";
+keyboardHelpPanel.style.backdropFilter = "blur(8px)";
+keyboardHelpPanel.style.color = "#fff";
+keyboardHelpPanel.style.fontFamily = "Arial, sans-serif";
+keyboardHelpPanel.style.fontSize = "14px";
+keyboardHelpPanel.style.lineHeight = "1.4";
+
+const keyboardHelpTitle = document.createElement("div");
+keyboardHelpTitle.textContent = "KEYBOARD";
+keyboardHelpTitle.style.fontWeight = "bold";
+keyboardHelpTitle.style.letterSpacing = "0.14em";
+keyboardHelpTitle.style.marginBottom = "14px";
+keyboardHelpPanel.appendChild(keyboardHelpTitle);
+
+for (const [keys, label] of KEYBOARD_REMOTE_HELP) {
+  const row = document.createElement("div");
+  row.style.display = "flex";
+  row.style.gap = "18px";
+  row.style.padding = "4px 0";
+
+  const k = document.createElement("span");
+  k.textContent = keys;
+  k.style.minWidth = "96px";
+  k.style.fontWeight = "bold";
+
+  const l = document.createElement("span");
+  l.textContent = label;
+  l.style.opacity = "0.78";
+
+  row.append(k, l);
+  keyboardHelpPanel.appendChild(row);
+}
+
+// 🧹 forget lamp / picture / track / TV page from earlier visits
+const keyboardHelpResetBtn = document.createElement("button");
+keyboardHelpResetBtn.type = "button";
+keyboardHelpResetBtn.textContent = "Reset room";
+keyboardHelpResetBtn.style.marginTop = "16px";
+keyboardHelpResetBtn.style.padding = "6px 14px";
+keyboardHelpResetBtn.style.borderRadius = "8px";
+keyboardHelpResetBtn.style.border = "1px solid rgba(255,255,255,0.3)";
+keyboardHelpResetBtn.style.background = "transparent";
+keyboardHelpResetBtn.style.color = "#fff";
+keyboardHelpResetBtn.style.font = "inherit";
+keyboardHelpResetBtn.style.cursor = "pointer";
+keyboardHelpResetBtn.addEventListener("click", () => {
+  resetRoomState({ source: "keyboard_help" });
+  setKeyboardHelpOpen(false);
+});
+keyboardHelpPanel.appendChild(keyboardHelpResetBtn);
+
+keyboardHelpOverlay.appendChild(keyboardHelpPanel);
+document.body.appendChild(keyboardHelpOverlay);
+
+keyboardHelpOverlay.addEventListener("click", (e) => {
+  if (e.target === keyboardHelpOverlay) setKeyboardHelpOpen(false);
+});
+
+function setKeyboardHelpOpen(open) {
+  keyboardHelpOpen = !!open;
+  keyboardHelpOverlay.style.display = keyboardHelpOpen ? "flex" : "none";
+
+  if (keyboardHelpOpen) {
+    showTvHint(false);
+    showSpeakerHint(false);
+    showPowerHint(false);
+    hideRemoteHints();
+    trackSceneClick("keyboard_help_open");
+  }
+}
+
+function isTypingTarget(el) {
+  return !!el?.closest?.("input, textarea, select, [contenteditable=''], [contenteditable='true']");
+}
+
+function isAnyMediaOverlayOpen() {
+  return overlayOpen || videoOverlayOpen || modelOverlayOpen;
+}
+
+// press + glow the remote mesh until the key comes back up
+function pressRemoteMeshFromKey(code, mesh, glowColor = REMOTE_GLOW_COLOR) {
+  if (!mesh) return;
+
+  markDesktopRemoteUsed();
+  setPressTarget(mesh, true);
+  setGlowTarget(mesh, true, glowColor);
+  keyboardRemoteHeld.set(code, { mesh, glowColor });
+}
+
+function releaseRemoteMeshFromKey(code) {
+  const held = keyboardRemoteHeld.get(code);
+  if (!held) return;
+
+  keyboardRemoteHeld.delete(code);
+  setPressTarget(held.mesh, false);
+  setGlowTarget(held.mesh, false, held.glowColor);
+}
+
+function toggleTvPowerFrom(objectName) {
+  const turningOn = !tvOn;
+
+  trackSceneClick("power_button_click", {
+    tv_state_before: tvOn ? "on" : "off",
+    tv_state_after: turningOn ? "on" : "off",
+    object_name: objectName,
+  });
+
+  if (turningOn) playTvOnSound();
+  else playTvOffSound();
+
+  setTvPower(turningOn);
+}
+
+function keyboardRemoteArrow(code, dir) {
+  const mesh = dir > 0 ? rightArrowMeshRef : leftArrowMeshRef;
+
+  if (tvUiState === "MENU" && getTvSocialIndexFromHover() !== -1) {
+    moveTvSocialSelection(dir);
+  } else if (tvUiState === "PHOTO") {
+    nextPhoto(dir);
+  } else if (tvUiState === "VIDEO") {
+    beginRemoteSeekHold(dir, () => nextVideo(dir)); // keyup decides tap vs hold
+  } else if (tvUiState === "3D MODEL") {
+    beginRemoteSeekHold(dir, () => nextModel(dir));
+  } else if (tvUiState === "MUSIC") {
+    if (!beginTvMusicSeekHold(dir)) return false;
+  } else {
+    return false;
+  }
+
+  pressRemoteMeshFromKey(code, mesh);
+  return true;
+}
+
+function handleKeyboardRemote(e) {
+  const key = e.key;
+
+  if (key === "?") {
+    setKeyboardHelpOpen(!keyboardHelpOpen);
+    return true;
+  }
+
+  if (keyboardHelpOpen) {
+    if (key === "Escape") setKeyboardHelpOpen(false);
+    return key === "Escape";
+  }
+
+  // power + speaker work whether the TV is on or not
+  if (key === "p" || key === "P") {
+    toggleTvPowerFrom("keyboard");
+    pressRemoteMeshFromKey(e.code, powerButtonMeshRef, POWER_GLOW_COLOR);
+    return true;
+  }
+
+  if (key === "r" || key === "R") {
+    setReducedMotion(!reducedMotion, { fromUser: true });
+    return true;
+  }
+
+  if (key === "m" || key === "M" || key === "n" || key === "N") {
+    const next = key === "n" || key === "N";
+
+    trackSceneClick("speaker_click", {
+      click_type: next ? "double" : "single",
+      object_name: "keyboard",
+    });
+
+    speakerPulseKick = 0.35;
+    unlockAudioOnce().then(() => (next ? nextTrack(true) : togglePlayPause()));
+    return true;
+  }
+
+  if (key === "-" || key === "+" || key === "=") {
+    stepAudioMasterVolume(key === "-" ? -1 : +1);
+    return true;
+  }
+
+  if (key === "0") {
+    setAudioMuted(!audioMixMuted, { fromUser: true });
+    return true;
+  }
+
+  if (!tvOn) return false;
+
+  switch (key) {
+    case "ArrowUp":
+    case "ArrowDown": {
+      const dir = key === "ArrowDown" ? +1 : -1;
+
+      if (tvUiState === "MENU" || tvUiState === "SUBCATEGORY_MENU") moveMenuSelection(dir);
+      else if (tvUiState === "MUSIC" && tvMusicView === "list") moveTvMusicSelection(dir);
+      else if (tvUiState === "3D MODEL" && modelMediaType === "glb") zoomModelViewer(-dir);
+      else return false;
+
+      playRemoteButtonSound();
+      pressRemoteMeshFromKey(e.code, dir > 0 ? downArrowMeshRef : upArrowMeshRef);
+      return true;
+    }
+
+    case "ArrowLeft":
+    case "ArrowRight":
+      if (!keyboardRemoteArrow(e.code, key === "ArrowRight" ? +1 : -1)) return false;
+      playRemoteButtonSound();
+      return true;
+
+    case "Enter":
+      if (tvUiState === "MENU" || tvUiState === "SUBCATEGORY_MENU" || tvUiState === "MUSIC") {
+        confirmMenuSelection();
+      } else if (tvUiState === "VIDEO") {
+        toggleVideoPlayPause();
+        drawVideoFrameToTv();
+      } else if (tvUiState === "3D MODEL") {
+        toggleModelPlayPause();
+        drawModelFrameToTv();
+      } else {
+        return false;
+      }
+
+      playRemoteButtonSound();
+      pressRemoteMeshFromKey(e.code, okButtonMeshRef);
+      return true;
+
+    case "Backspace":
+      if (tvUiState === "MENU") return false;
+      playRemoteButtonSound();
+      goBackOnePage();
+      return true;
+  }
+
+  return false;
+}
+
+window.addEventListener("keydown", (e) => {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (isTypingTarget(e.target)) return;
+  if (tvA11yRoot.contains(e.target)) return; // focused mirror buttons handle Enter/Space themselves
+
+  // loader: Enter = click to enter
+  if (loaderEl && loaderEl.isConnected && !loaderEl.classList.contains("hidden")) {
+    if (e.key === "Enter") enterSceneFromLoader();
+    return;
+  }
+
+  // fullscreen overlays keep their own ←/→/Esc
+  if (isAnyMediaOverlayOpen() && e.key !== "?") return;
+
+  // holding a key: arrows on video keep seeking via the hold timer, the rest ignore
+  if (e.repeat) {
+    if (e.key.startsWith("Arrow") || e.key === "Backspace") e.preventDefault();
+    return;
+  }
+
+  if (handleKeyboardRemote(e)) {
+    e.preventDefault();
+    trackSceneClick("keyboard_remote", { key: e.key, tv_ui_state: tvUiState });
+  }
+});
+
+window.addEventListener("keyup", (e) => {
+  if (e.key === "ArrowLeft" || e.key === "ArrowRight") endRemoteSeekHold(true);
+  releaseRemoteMeshFromKey(e.code);
+});
+
+window.addEventListener("blur", () => {
+  [...keyboardRemoteHeld.keys()].forEach(releaseRemoteMeshFromKey);
+});
+
 window.addEventListener("keydown", (e) => {
+  // wall undo / redo (held Ctrl+Z keeps stepping back)
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key === "z" || e.key === "Z")) {
+    if (!drawMode || isTypingTarget(e.target)) return;
+
+    e.preventDefault();
+    if (e.shiftKey) redoWallStroke();
+    else undoWallStroke();
+    return;
+  }
+
   if (e.repeat) return;
+  if (isTypingTarget(e.target)) return; // toolbar color / slider inputs
 
   if (e.key === "e" || e.key === "E") {
     toggleWallTool();
@@ -16257,6 +23675,16 @@ window.addEventListener("keydown", (e) => {
     cycleWallMarkerColor();
     return;
   }
+
+  if ((e.key === "s" || e.key === "S") && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    if (!drawMode || !wallDrawPlaneRef || isTypingTarget(e.target)) return;
+    setWallExportOpen(!wallExportOpen);
+    return;
+  }
+
+  if (e.key === "Escape" && wallExportOpen) {
+    setWallExportOpen(false);
+  }
 });
 
 renderer.domElement.addEventListener("dblclick", (e) => {
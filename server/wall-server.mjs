@@ -0,0 +1,544 @@
+// ============================================================
+// ✅ GAMBO SHARED WALL — reference server (no dependencies)
+// Run:   node server/wall-server.mjs
+// Open:  http://localhost:5500/?wall=ws://localhost:8787
+//
+// - keeps the wall as a list of finished strokes (same shape as the
+//   timelapse JSON) and writes it to WALL_FILE
+// - new visitors get { type: "state" }, live strokes are relayed as
+//   begin / points / end while they are being painted
+// - { type: "sync" } asks for the whole wall again (timelapse end, clear);
+//   it has its own tight rate limit and the serialized wall is cached
+//   until the strokes change
+// - bounded: total stored points are capped (oldest strokes go first),
+//   each socket is rate limited, and sockets that stop reading are dropped
+// - moderation (needs WALL_ADMIN_TOKEN):
+//     POST /admin/clear
+//     POST /admin/rollback?n=10          (last 10 strokes)
+//     POST /admin/rollback?since=<ms>    (everything after a time)
+//   with "Authorization: Bearer <token>", or the same as a
+//   { type: "admin", token, action, n, since } socket message
+//
+// Env: PORT (8787), WALL_FILE (./wall-data.json next to this file),
+//      WALL_ADMIN_TOKEN, WALL_ALLOWED_ORIGIN (any when unset)
+// ============================================================
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const PORT = Number(process.env.PORT) || 8787;
+const WALL_FILE = process.env.WALL_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "wall-data.json");
+const ADMIN_TOKEN = process.env.WALL_ADMIN_TOKEN || "";
+const ALLOWED_ORIGIN = process.env.WALL_ALLOWED_ORIGIN || "";
+
+const LIMITS = {
+  maxMessageBytes: 256 * 1024,
+  maxStrokePoints: 4 * 20000,  // flat [dt, u, v, pressure] numbers
+  maxStrokes: 20000,           // oldest strokes drop off after this…
+  maxTotalPoints: 4 * 250000,  // …or once the wall holds this many numbers (~8 MB of JSON)
+  maxOpenStrokes: 8,           // per socket
+  messagesPerSec: 40,          // per socket (the site flushes every 80 ms); sustained more → closed
+  messageBurst: 80,
+  strokesPerMin: 90,           // per socket, begin + add; the rest is ignored
+  strokeBurst: 30,
+  maxBufferedBytes: 16 * 1024 * 1024, // unsent data per socket before it counts as stuck
+  syncsPerMin: 6,              // per socket, full-wall resends ("sync", echoed "remove")
+  syncBurst: 3,
+};
+
+const WALL_TOOLS = new Set(["pen", "fatcap", "drip", "line", "eraser"]);
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const SAVE_DELAY_MS = 1000;
+
+// ------------------------------------------------------------
+// wall state
+// ------------------------------------------------------------
+let strokes = loadWall();
+let storedPoints = countPoints(strokes);
+let saveTimer = null;
+const stateFrames = new Map(); // reason → encoded "state" frame, dropped on every change
+
+trimWall();
+
+function loadWall() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(WALL_FILE, "utf8"));
+    if (Array.isArray(raw.strokes)) {
+      console.log(`🧱 Loaded ${raw.strokes.length} strokes from ${WALL_FILE}`);
+      return raw.strokes;
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("🧱 Wall file unreadable, starting empty:", e.message);
+  }
+  return [];
+}
+
+function countPoints(list) {
+  return list.reduce((n, s) => n + (Array.isArray(s.p) ? s.p.length : 0), 0);
+}
+
+// oldest strokes go first once either cap is hit
+function trimWall() {
+  let drop = 0;
+  while (
+    drop < strokes.length &&
+    (strokes.length - drop > LIMITS.maxStrokes || storedPoints > LIMITS.maxTotalPoints)
+  ) {
+    storedPoints -= strokes[drop].p?.length || 0;
+    drop++;
+  }
+
+  if (drop) strokes.splice(0, drop);
+  return drop;
+}
+
+// every change to strokes goes through here
+function wallChanged() {
+  stateFrames.clear();
+  saveWallSoon();
+}
+
+function saveWallSoon() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    const tmp = `${WALL_FILE}.tmp`;
+
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ v: 1, strokes }));
+      fs.renameSync(tmp, WALL_FILE);
+    } catch (e) {
+      console.warn("🧱 Wall not saved:", e.message);
+    }
+  }, SAVE_DELAY_MS);
+}
+
+function cleanMeta(m) {
+  if (!m || typeof m !== "object") return null;
+  if (!WALL_TOOLS.has(m.tool)) return null;
+  if (!/^#[0-9A-F]{6}$/i.test(m.color || "")) return null;
+
+  const num = (v, lo, hi, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : fallback;
+  };
+
+  const meta = {
+    tool: m.tool,
+    color: m.color.toUpperCase(),
+    nozzle: num(m.nozzle, 0.5, 2.5, 1),
+    opacity: num(m.opacity, 0.15, 1, 1),
+    seed: Number(m.seed) >>> 0,
+  };
+  if (m.dot === 0) meta.dot = 0;
+  if (typeof m.surf === "string" && m.surf && m.surf.length <= 128) meta.surf = m.surf; // paint-anywhere mesh
+  return meta;
+}
+
+function cleanPoints(p) {
+  return Array.isArray(p) && p.length % 4 === 0 && p.every(Number.isFinite) ? p : null;
+}
+
+function commitStroke(stroke) {
+  strokes.push(stroke);
+  storedPoints += stroke.p.length;
+  trimWall();
+  wallChanged();
+}
+
+function removeStrokes(sids) {
+  const drop = new Set(sids);
+  const before = strokes.length;
+  strokes = strokes.filter((s) => !drop.has(s.sid));
+  if (strokes.length !== before) {
+    storedPoints = countPoints(strokes);
+    wallChanged();
+  }
+  return before - strokes.length;
+}
+
+// ------------------------------------------------------------
+// moderation
+// ------------------------------------------------------------
+function runAdmin(action, { n, since } = {}) {
+  const before = strokes.length;
+
+  if (action === "clear") {
+    strokes = [];
+  } else if (action === "rollback") {
+    // Number(null) and Number("") are 0: without this a bare since wipes the wall
+    if (since != null && since !== "" && Number.isFinite(Number(since))) {
+      strokes = strokes.filter((s) => s.at < Number(since));
+    } else {
+      const count = Math.max(0, Math.floor(Number(n) || 1));
+      strokes = strokes.slice(0, Math.max(0, strokes.length - count));
+    }
+  } else {
+    return null;
+  }
+
+  storedPoints = countPoints(strokes);
+  wallChanged();
+  broadcastFrame(getStateFrame(action));
+  console.log(`🧹 Admin ${action}: ${before} → ${strokes.length} strokes`);
+  return { removed: before - strokes.length, strokes: strokes.length };
+}
+
+function isAdmin(token) {
+  if (!ADMIN_TOKEN || typeof token !== "string") return false;
+
+  const a = Buffer.from(token);
+  const b = Buffer.from(ADMIN_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ------------------------------------------------------------
+// minimal WebSocket (RFC 6455): text frames, ping/pong, close
+// ------------------------------------------------------------
+const clients = new Set();
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let head;
+
+  if (len < 126) {
+    head = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(len, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(len), 2);
+  }
+
+  return Buffer.concat([head, payload]);
+}
+
+// a socket that isn't reading (dead tab, slow link) is dropped instead of buffered forever
+function writeFrame(client, frame) {
+  if (client.socket.destroyed) return;
+
+  if (client.socket.writableLength > LIMITS.maxBufferedBytes) {
+    console.warn(`🧱 Dropping slow client ${client.id}`);
+    client.socket.destroy();
+    return;
+  }
+
+  client.socket.write(frame);
+}
+
+function send(client, msg) {
+  writeFrame(client, encodeFrame(0x1, Buffer.from(JSON.stringify(msg))));
+}
+
+function broadcastFrame(frame, except = null) {
+  for (const c of clients) {
+    if (c !== except) writeFrame(c, frame);
+  }
+}
+
+function broadcast(msg, except = null) {
+  broadcastFrame(encodeFrame(0x1, Buffer.from(JSON.stringify(msg))), except);
+}
+
+// the whole wall is up to ~8 MB of JSON: serialize it once per change
+function getStateFrame(reason) {
+  let frame = stateFrames.get(reason);
+  if (!frame) {
+    frame = encodeFrame(0x1, Buffer.from(JSON.stringify({ type: "state", strokes, reason })));
+    stateFrames.set(reason, frame);
+  }
+  return frame;
+}
+
+// token bucket on the client: { tokens, at }
+function takeToken(bucket, perSec, burst) {
+  const now = Date.now();
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.at) / 1000) * perSec);
+  bucket.at = now;
+
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+function takeStrokeToken(client) {
+  return takeToken(client.strokeBucket, LIMITS.strokesPerMin / 60, LIMITS.strokeBurst);
+}
+
+function takeSyncToken(client) {
+  return takeToken(client.syncBucket, LIMITS.syncsPerMin / 60, LIMITS.syncBurst);
+}
+
+function closeClient(client, code = 1000) {
+  if (client.socket.destroyed) return;
+
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code, 0);
+  client.socket.end(encodeFrame(0x8, payload));
+}
+
+// pulls whole frames off client.buf; fragmented messages are not used by the site
+function readFrames(client) {
+  for (;;) {
+    if (client.socket.writableEnded) return; // closing: ignore what's still coming in
+
+    const buf = client.buf;
+    if (buf.length < 2) return;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f;
+    let off = 2;
+
+    if (len === 126) {
+      if (buf.length < 4) return;
+      len = buf.readUInt16BE(2);
+      off = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) return;
+      const big = buf.readBigUInt64BE(2);
+      if (big > BigInt(LIMITS.maxMessageBytes)) return closeClient(client, 1009);
+      len = Number(big);
+      off = 10;
+    }
+
+    if (len > LIMITS.maxMessageBytes) return closeClient(client, 1009);
+    if (!masked) return closeClient(client, 1002); // browsers always mask
+    if (buf.length < off + 4 + len) return;
+
+    const mask = buf.subarray(off, off + 4);
+    const payload = Buffer.from(buf.subarray(off + 4, off + 4 + len));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+
+    client.buf = buf.subarray(off + 4 + len);
+
+    if (!fin || opcode === 0x0) return closeClient(client, 1003);
+
+    if (opcode === 0x8) return closeClient(client);
+    if (opcode === 0x9) {
+      client.socket.write(encodeFrame(0xa, payload));
+      continue;
+    }
+    if (opcode !== 0x1) continue;
+
+    if (!takeToken(client.msgBucket, LIMITS.messagesPerSec, LIMITS.messageBurst)) {
+      console.warn(`🧱 Closing flooding client ${client.id}`);
+      return closeClient(client, 1008);
+    }
+
+    let msg;
+    try {
+      msg = JSON.parse(payload.toString("utf8"));
+    } catch {
+      continue;
+    }
+    handleMessage(client, msg);
+  }
+}
+
+// ------------------------------------------------------------
+// protocol
+// ------------------------------------------------------------
+function handleMessage(client, msg) {
+  if (!msg || typeof msg.type !== "string") return;
+
+  const sid = typeof msg.sid === "string" && msg.sid.startsWith(`${client.id}-`) ? msg.sid : null;
+
+  switch (msg.type) {
+    case "begin": {
+      const meta = cleanMeta(msg.meta);
+      const p = cleanPoints(msg.p);
+      if (!sid || !meta || !p || client.open.size >= LIMITS.maxOpenStrokes) return;
+      if (p.length > LIMITS.maxStrokePoints || !takeStrokeToken(client)) return;
+
+      client.open.set(sid, { sid, ...meta, p: p.slice(), t: Number(msg.t) || 0 });
+      broadcast({ type: "begin", sid, meta, p }, client);
+      return;
+    }
+
+    case "points": {
+      const open = sid && client.open.get(sid);
+      const p = cleanPoints(msg.p);
+      if (!open || !p) return;
+      if (open.p.length + p.length > LIMITS.maxStrokePoints) return;
+
+      open.p.push(...p);
+      broadcast({ type: "points", sid, p }, client);
+      return;
+    }
+
+    case "end": {
+      const open = sid && client.open.get(sid);
+      if (!open) return;
+
+      client.open.delete(sid);
+      broadcast({ type: "end", sid, cancelled: !!msg.cancelled }, client);
+      if (!msg.cancelled) commitStroke({ ...open, at: Date.now() });
+      return;
+    }
+
+    // redo: strokes come back whole
+    case "add": {
+      if (!Array.isArray(msg.strokes)) return;
+
+      for (const s of msg.strokes.slice(0, 200)) {
+        const meta = cleanMeta(s);
+        const p = cleanPoints(s.p);
+        if (!meta || !p || typeof s.sid !== "string" || !s.sid.startsWith(`${client.id}-`)) continue;
+        if (p.length > LIMITS.maxStrokePoints || !takeStrokeToken(client)) return;
+
+        const stroke = { sid: s.sid, ...meta, p, t: Number(s.t) || 0, at: Date.now() };
+        commitStroke(stroke);
+        broadcast({ type: "stroke", stroke }, client);
+      }
+      return;
+    }
+
+    // undo / "clear my strokes": only your own sids are honoured
+    case "remove": {
+      if (!Array.isArray(msg.sids)) return;
+
+      const own = msg.sids.filter((s) => typeof s === "string" && s.startsWith(`${client.id}-`));
+      if (!own.length) return;
+
+      if (!removeStrokes(own)) {
+        if (msg.echo && takeSyncToken(client)) writeFrame(client, getStateFrame("remove"));
+        return;
+      }
+
+      broadcastFrame(getStateFrame("remove"), msg.echo ? null : client);
+      return;
+    }
+
+    // "send me the wall again"
+    case "sync": {
+      if (takeSyncToken(client)) writeFrame(client, getStateFrame("sync"));
+      return;
+    }
+
+    case "admin": {
+      if (!isAdmin(msg.token)) {
+        send(client, { type: "admin", ok: false, error: "unauthorized" });
+        return;
+      }
+
+      const result = runAdmin(msg.action, msg);
+      send(client, { type: "admin", ok: !!result, action: msg.action, ...(result || {}) });
+      return;
+    }
+  }
+}
+
+// ------------------------------------------------------------
+// http + upgrade
+// ------------------------------------------------------------
+function setCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN || "*");
+  res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+}
+
+const server = http.createServer((req, res) => {
+  setCors(res);
+
+  const url = new URL(req.url, "http://localhost");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: true, strokes: strokes.length, clients: clients.size }));
+    return;
+  }
+
+  const m = /^\/admin\/(clear|rollback)$/.exec(url.pathname);
+  if (req.method === "POST" && m) {
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    if (!isAdmin(token)) {
+      res.writeHead(401, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: false, error: "unauthorized" }));
+      return;
+    }
+
+    const result = runAdmin(m[1], {
+      n: url.searchParams.get("n"),
+      since: url.searchParams.get("since") ?? undefined,
+    });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: true, ...result }));
+    return;
+  }
+
+  res.writeHead(404).end();
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  const origin = req.headers.origin || "";
+
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket" ||
+      (ALLOWED_ORIGIN && origin !== ALLOWED_ORIGIN)) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const client = {
+    id: crypto.randomBytes(6).toString("base64url"),
+    socket,
+    buf: Buffer.alloc(0),
+    open: new Map(),
+    msgBucket: { tokens: LIMITS.messageBurst, at: Date.now() },
+    strokeBucket: { tokens: LIMITS.strokeBurst, at: Date.now() },
+    syncBucket: { tokens: LIMITS.syncBurst, at: Date.now() },
+  };
+  clients.add(client);
+
+  send(client, { type: "hello", id: client.id, clients: clients.size });
+  writeFrame(client, getStateFrame("join"));
+
+  socket.on("data", (chunk) => {
+    client.buf = client.buf.length ? Buffer.concat([client.buf, chunk]) : chunk;
+    readFrames(client);
+  });
+
+  const drop = () => {
+    if (!clients.delete(client)) return;
+
+    // strokes cut off mid-way are kept (they were already on everyone's wall)
+    for (const open of client.open.values()) {
+      broadcast({ type: "end", sid: open.sid, cancelled: false }, client);
+      commitStroke({ ...open, at: Date.now() });
+    }
+    client.open.clear();
+  };
+
+  socket.on("close", drop);
+  socket.on("error", drop);
+});
+
+server.listen(PORT, () => {
+  console.log(`🧱 GAMBO wall server on ws://localhost:${PORT}`);
+  if (!ADMIN_TOKEN) console.log("🧱 WALL_ADMIN_TOKEN not set — moderation endpoints are off");
+});